@@ -75,9 +75,119 @@ class AnalyticsEngine {
       enriched.Result = 'Open';
     }
 
+    // Capital the position tied up, and what it earned on it
+    enriched.MaxRisk = this._maxRisk(trade);
+    Object.assign(enriched, this._capitalReturns(
+      exitDate ? enriched.ProfitLoss : null,
+      enriched.MaxRisk,
+      enriched.DaysHeld
+    ));
+
+    // Where the underlying's implied volatility stood when the trade opened
+    Object.assign(enriched, this._entryIVRank(trade.Symbol, entryDate));
+
     return enriched;
   }
 
+  /**
+   * Most a defined-risk position can lose, which is also the buying power it
+   * reduces: a credit spread or iron structure risks its width less the
+   * credit, a cash-secured put its strike less the credit, and a position
+   * opened for a debit the debit paid. Share lots, covered calls, ratio
+   * spreads and naked short calls or strangles have no defined risk.
+   *
+   * The debit stands for the risk only when it was paid for the whole
+   * structure: a long call or put, or a multi-leg position whose opening legs
+   * were all recorded on the trade. Adapters that book each leg of a spread as
+   * its own trade (Robinhood) name every leg after the spread and record no
+   * width, and one leg's premium says nothing about the spread's risk.
+   * @param {Object} trade - Trade record
+   * @returns {number|null} - Dollars at risk, or null when undefined
+   * @private
+   */
+  _maxRisk(trade) {
+    const strategy = String(trade.Strategy || '');
+    if (/stock|covered|ratio|custom/i.test(strategy)) return null;
+
+    const contracts = Math.abs(parseFloat(trade.Volume)) || 1;
+    const premium = this._openingPremium(trade);
+    const width = parseFloat(trade.Width);
+    const strike = parseFloat(trade.Strike);
+    let risk = null;
+
+    if (width > 0) {
+      risk = premium > 0 ? width * 100 * contracts - premium : -premium;
+    } else if ((strategy === 'Short Put' || strategy === 'Cash Secured Put') && strike > 0) {
+      risk = strike * 100 * contracts - Math.max(premium, 0);
+    } else if (premium < 0 && (/^long (call|put)$/i.test(strategy) || this._openingContracts(trade) > 1)) {
+      risk = -premium;
+    }
+
+    return risk > 0 ? Math.round(risk * 100) / 100 : null;
+  }
+
+  /**
+   * Distinct contracts among the opening legs recorded on a trade
+   * @param {Object} trade - Trade record
+   * @returns {number} - 0 when the adapter kept no legs
+   * @private
+   */
+  _openingContracts(trade) {
+    const legs = (trade._metadata && trade._metadata.legs) || [];
+    const contracts = new Set(legs
+      .filter(leg => /to[_ ]open|^[BS]TO$/i.test(leg.action || ''))
+      .map(leg => [leg.symbol, leg.type, leg.strike, leg.expiry].join('|')));
+    return contracts.size;
+  }
+
+  /**
+   * Net premium taken in when a position was opened; negative for a debit
+   * Summed from the opening legs where the adapter kept them. Otherwise the
+   * opening credit (OpenCredit, or Credit) is used, or the debit for long
+   * premium positions.
+   * @param {Object} trade - Trade record
+   * @returns {number} - Net opening credit in dollars
+   * @private
+   */
+  _openingPremium(trade) {
+    const legs = (trade._metadata && trade._metadata.legs) || [];
+    const opening = legs.filter(leg => /to[_ ]open|^[BS]TO$/i.test(leg.action || ''));
+    if (opening.length > 0) {
+      return opening.reduce((total, leg) => total + (Number(leg.value) || 0), 0);
+    }
+
+    if (/^long /i.test(trade.Strategy || '')) {
+      return -(parseFloat(trade.Debit) || 0);
+    }
+    return trade.OpenCredit !== undefined && trade.OpenCredit !== null
+      ? parseFloat(trade.OpenCredit) || 0
+      : parseFloat(trade.Credit) || 0;
+  }
+
+  /**
+   * Return on the capital a closed position tied up
+   * A position held under a day counts as one day.
+   * @param {number|null} profitLoss - Net P/L, null while open
+   * @param {number|null} maxRisk - Capital at risk
+   * @param {number|null} daysHeld - Days from entry to exit
+   * @returns {Object} - { ReturnOnRisk, AnnualizedROC (percent), PLPerDay }
+   * @private
+   */
+  _capitalReturns(profitLoss, maxRisk, daysHeld) {
+    if (profitLoss === null || daysHeld === null || daysHeld === undefined) {
+      return { ReturnOnRisk: null, AnnualizedROC: null, PLPerDay: null };
+    }
+
+    const days = Math.max(1, daysHeld);
+    const returnOnRisk = maxRisk ? (profitLoss / maxRisk) * 100 : null;
+
+    return {
+      ReturnOnRisk: returnOnRisk,
+      AnnualizedROC: returnOnRisk !== null ? (returnOnRisk * 365) / days : null,
+      PLPerDay: profitLoss / days
+    };
+  }
+
   /**
    * Parse date string safely
    * @param {string} dateStr - Date string to parse
@@ -129,59 +239,179 @@ class AnalyticsEngine {
   }
 
   /**
-   * Filter trades by date range
-   * @param {Array} trades - Array of enriched trade records
-   * @param {string} rangeType - Date range type: 'last7days', 'last30days', 'last12months', 'ytd', 'alltime'
-   * @returns {Array} - Filtered trades
+   * Resolve a date range to the window it covers
+   * Rolling windows end today; prior year is the whole previous calendar year;
+   * a custom range missing one end is open on that side.
+   * @param {Object|string} range - filters.dateRange ({ type, startDate, endDate })
+   *   or a range type: 'last7days', 'last30days', 'last12months', 'mtd', 'qtd',
+   *   'ytd', 'prioryear', 'custom', 'alltime'
+   * @param {Date} [now] - Reference date, defaults to today
+   * @returns {Object|null} - { start, end } Dates (start null when open), or
+   *   null for all time
    */
-  filterByDateRange(trades, rangeType) {
-    if (rangeType === 'alltime') {
-      return trades;
-    }
+  resolveDateRange(range, now = new Date()) {
+    const { type, startDate, endDate } = typeof range === 'string' ? { type: range } : (range || {});
 
-    const today = new Date();
-    today.setHours(23, 59, 59, 999); // End of today
-    let startDate;
+    let end = new Date(now);
+    end.setHours(23, 59, 59, 999); // End of today
+    let start;
+
+    switch (type) {
+      case 'alltime':
+        return null;
 
-    switch (rangeType) {
       case 'last7days':
-        startDate = new Date(today);
-        startDate.setDate(today.getDate() - 7);
+        start = new Date(end);
+        start.setDate(end.getDate() - 7);
         break;
-      
+
       case 'last30days':
-        startDate = new Date(today);
-        startDate.setDate(today.getDate() - 30);
+        start = new Date(end);
+        start.setDate(end.getDate() - 30);
         break;
-      
+
       case 'last12months':
-        startDate = new Date(today);
-        startDate.setMonth(today.getMonth() - 12);
+        start = new Date(end);
+        start.setMonth(end.getMonth() - 12);
         break;
-      
+
       case 'ytd':
-        startDate = new Date(today.getFullYear(), 0, 1); // January 1st of current year
+        start = new Date(end.getFullYear(), 0, 1); // January 1st of current year
         break;
-      
+
+      case 'mtd':
+        start = new Date(end.getFullYear(), end.getMonth(), 1);
+        break;
+
+      case 'qtd':
+        start = new Date(end.getFullYear(), Math.floor(end.getMonth() / 3) * 3, 1);
+        break;
+
+      case 'prioryear':
+        start = new Date(end.getFullYear() - 1, 0, 1);
+        end = new Date(end.getFullYear() - 1, 11, 31, 23, 59, 59, 999);
+        break;
+
+      case 'custom': {
+        const from = startDate ? this._parseDate(startDate) : null;
+        const to = endDate ? this._parseDate(endDate) : null;
+        if (!from && !to) return null;
+        if (to) end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        if (!from) return { start: null, end };
+        start = new Date(from);
+        break;
+      }
+
       default:
-        console.warn(`Unknown date range type: ${rangeType}`);
-        return trades;
+        console.warn(`Unknown date range type: ${type}`);
+        return null;
     }
 
-    startDate.setHours(0, 0, 0, 0); // Start of day
+    start.setHours(0, 0, 0, 0); // Start of day
+    return { start, end };
+  }
+
+  /**
+   * The window a date range is compared against
+   * Calendar ranges compare with the same stretch of the previous year
+   * (YTD, prior year, last 12 months), quarter (QTD) or month (MTD); day-based
+   * ranges with the same number of days immediately before.
+   * @param {Object|string} range - As for resolveDateRange
+   * @param {Date} [now] - Reference date, defaults to today
+   * @returns {Object|null} - { start, end } Dates, or null when the range has
+   *   no bounded start to step back from
+   */
+  previousDateRange(range, now = new Date()) {
+    const window = this.resolveDateRange(range, now);
+    if (!window || !window.start) return null;
+
+    const type = typeof range === 'string' ? range : range.type;
+    const months = { ytd: 12, prioryear: 12, last12months: 12, qtd: 3, mtd: 1 }[type];
+
+    if (months) {
+      return {
+        start: this._shiftMonths(window.start, -months),
+        end: this._shiftMonths(window.end, -months)
+      };
+    }
+
+    const days = this._daysBetweenDates(window.start, window.end) + 1;
+    const start = new Date(window.start);
+    start.setDate(start.getDate() - days);
+    const end = new Date(window.start);
+    end.setMilliseconds(-1);
+    return { start, end };
+  }
+
+  /**
+   * Shift a date by whole months, keeping the day within the target month
+   * (May 31 less three months is the last day of February)
+   * @private
+   */
+  _shiftMonths(date, months) {
+    const shifted = new Date(date);
+    shifted.setDate(1);
+    shifted.setMonth(shifted.getMonth() + months);
+    const lastDay = new Date(shifted.getFullYear(), shifted.getMonth() + 1, 0).getDate();
+    shifted.setDate(Math.min(date.getDate(), lastDay));
+    return shifted;
+  }
+
+  /**
+   * Short label for a resolved window, e.g. "2024-01-01 to 2024-03-31"
+   * @param {Object|null} window - { start, end } from resolveDateRange
+   * @returns {string} - Label, or 'All time' for no window
+   */
+  describeDateWindow(window) {
+    if (!window) return 'All time';
+    const format = date => {
+      const pad = n => String(n).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    };
+    return !window.start
+      ? `Through ${format(window.end)}`
+      : `${format(window.start)} to ${format(window.end)}`;
+  }
+
+  /**
+   * Filter trades by date range
+   * @param {Array} trades - Array of enriched trade records
+   * @param {Object|string} range - filters.dateRange or a range type, as for
+   *   resolveDateRange
+   * @returns {Array} - Filtered trades
+   */
+  filterByDateRange(trades, range) {
+    return this.filterByWindow(trades, this.resolveDateRange(range));
+  }
+
+  /**
+   * Filter trades to a window
+   * Closed trades fall in the window they were closed in, open trades the one
+   * they were opened in.
+   * @param {Array} trades - Array of enriched trade records
+   * @param {Object|null} window - { start, end } Dates, or null for all trades
+   * @returns {Array} - Filtered trades
+   */
+  filterByWindow(trades, window) {
+    if (!window) {
+      return trades;
+    }
+
+    const { start, end } = window;
 
     return trades.filter(trade => {
       // For closed trades, use Exit date (Requirement 8.2)
       if (trade.Exit) {
         const exitDate = this._parseDate(trade.Exit);
         if (!exitDate) return false;
-        return exitDate >= startDate && exitDate <= today;
+        return (!start || exitDate >= start) && exitDate <= end;
       }
       
       // For open trades, use Entry date (Requirement 8.5)
       const entryDate = this._parseDate(trade.Entry);
       if (!entryDate) return false;
-      return entryDate >= startDate && entryDate <= today;
+      return (!start || entryDate >= start) && entryDate <= end;
     });
   }
 
@@ -210,6 +440,29 @@ class AnalyticsEngine {
     return trades;
   }
 
+  /**
+   * Filter trades by account
+   * @param {Array} trades - Array of enriched trade records
+   * @param {string} account - Account name, or 'all'
+   * @returns {Array} - Filtered trades
+   */
+  filterByAccount(trades, account) {
+    if (!account || account === 'all') {
+      return trades;
+    }
+
+    return trades.filter(trade => trade.Account === account);
+  }
+
+  /**
+   * Distinct account names across trades, sorted
+   * @param {Array} trades - Array of trade records
+   * @returns {Array} - Account names
+   */
+  getAccounts(trades) {
+    return [...new Set(trades.map(trade => trade.Account).filter(Boolean))].sort();
+  }
+
   /**
    * Calculate monthly P/L with cumulative totals
    * @param {Array} trades - Array of enriched trade records
@@ -258,7 +511,8 @@ class AnalyticsEngine {
   /**
    * Calculate win rate metrics by strategy
    * @param {Array} trades - Array of enriched trade records
-   * @returns {Array} - Array of strategy win rate objects
+   * @returns {Array} - Array of strategy win rate objects, each with capital
+   *   from calculateCapitalMetrics
    */
   calculateWinRateByStrategy(trades) {
     const strategyMap = new Map();
@@ -277,12 +531,14 @@ class AnalyticsEngine {
           wins: 0,
           losses: 0,
           totalWinAmount: 0,
-          totalLossAmount: 0
+          totalLossAmount: 0,
+          trades: []
         });
       }
 
       const stats = strategyMap.get(strategy);
       stats.totalTrades++;
+      stats.trades.push(trade);
 
       if (trade.Result === 'Win') {
         stats.wins++;
@@ -293,19 +549,64 @@ class AnalyticsEngine {
       }
     });
 
-    // Calculate win rate percentages and net P/L
-    return Array.from(strategyMap.values()).map(stats => ({
+    // Calculate win rate percentages, net P/L and return on capital
+    return Array.from(strategyMap.values()).map(({ trades: strategyTrades, ...stats }) => ({
       ...stats,
       winRate: stats.totalTrades > 0 ? (stats.wins / stats.totalTrades) * 100 : 0,
-      netPL: stats.totalWinAmount + stats.totalLossAmount
+      netPL: stats.totalWinAmount + stats.totalLossAmount,
+      capital: this.calculateCapitalMetrics(strategyTrades)
     }));
   }
 
+  /**
+   * Return on capital across closed trades
+   * Returns are pooled rather than averaged, so a large position weighs more
+   * than a small one: return on risk is P/L over the capital at risk,
+   * annualized return is P/L over capital × days held, and P/L per day is
+   * P/L over days held. Only trades with a defined risk count toward the
+   * first two; a trade held under a day counts as one day.
+   * @param {Array} trades - Array of enriched trade records
+   * @returns {Object} - { capitalAtRisk, riskTradeCount, returnOnRisk,
+   *   annualizedROC, plPerDay }; returns are percentages, null without data
+   */
+  calculateCapitalMetrics(trades) {
+    let capitalAtRisk = 0;
+    let capitalDays = 0;
+    let riskPL = 0;
+    let riskTradeCount = 0;
+    let heldPL = 0;
+    let daysHeld = 0;
+
+    trades.forEach(trade => {
+      if (trade.Result === 'Open' || trade.DaysHeld === null || trade.DaysHeld === undefined) return;
+
+      const days = Math.max(1, trade.DaysHeld);
+      heldPL += trade.ProfitLoss;
+      daysHeld += days;
+
+      if (trade.MaxRisk > 0) {
+        capitalAtRisk += trade.MaxRisk;
+        capitalDays += trade.MaxRisk * days;
+        riskPL += trade.ProfitLoss;
+        riskTradeCount++;
+      }
+    });
+
+    return {
+      capitalAtRisk,
+      riskTradeCount,
+      returnOnRisk: capitalAtRisk > 0 ? (riskPL / capitalAtRisk) * 100 : null,
+      annualizedROC: capitalDays > 0 ? (riskPL / capitalDays) * 365 * 100 : null,
+      plPerDay: daysHeld > 0 ? heldPL / daysHeld : null
+    };
+  }
+
   /**
    * Calculate P/L breakdown by flexible dimensions
    * @param {Array} trades - Array of enriched trade records
    * @param {Array} dimensions - Array of field names to group by (e.g., ['Symbol'], ['Type', 'Strategy'])
-   * @returns {Array} - Array of grouped P/L objects
+   * @returns {Array} - Array of grouped P/L objects, each with capital from
+   *   calculateCapitalMetrics
    */
   calculatePLBreakdown(trades, dimensions) {
     const breakdownMap = new Map();
@@ -337,7 +638,8 @@ class AnalyticsEngine {
           pl: 0,
           tradeCount: 0,
           plGross: 0,
-          realizedCount: 0
+          realizedCount: 0,
+          closedTrades: []
         });
       }
 
@@ -346,6 +648,7 @@ class AnalyticsEngine {
       if (isClosed) {
         group.pl += trade.ProfitLoss;
         group.tradeCount++;
+        group.closedTrades.push(trade);
       }
 
       if (gross) {
@@ -356,13 +659,16 @@ class AnalyticsEngine {
 
     // Convert to array and sort by P/L descending
     return Array.from(breakdownMap.values())
+      .map(({ closedTrades, ...group }) => ({ ...group, capital: this.calculateCapitalMetrics(closedTrades) }))
       .sort((a, b) => b.pl - a.pl);
   }
 
   /**
    * Calculate summary metrics
    * @param {Array} trades - Array of enriched trade records
-   * @returns {Object} - Object with totalTrades, winRate, totalPL, averageWin
+   * @returns {Object} - Object with totalTrades, winRate, totalPL, averageWin,
+   *   and the loss, ratio, drawdown and risk-adjusted fields documented on
+   *   calculateRiskMetrics
    */
   calculateSummaryMetrics(trades) {
     // Filter to closed trades only
@@ -399,10 +705,1543 @@ class AnalyticsEngine {
       realizedPL,
       openPositions,
       incompleteBasis,
-      averageWin
+      averageWin,
+      ...this.calculateRiskMetrics(closedTrades)
+    };
+  }
+
+  /**
+   * Calculate loss, ratio, drawdown and risk-adjusted metrics
+   *
+   * Ratios with a zero denominator (no losses, no drawdown, fewer than two
+   * trading days) are null rather than infinite. Sharpe and Sortino read the
+   * P/L of each day a trade closed, annualized over 252 trading days, with no
+   * risk-free rate; days with nothing closed are not counted.
+   *
+   * @param {Array} trades - Array of enriched trade records; open trades are
+   *   ignored
+   * @returns {Object} - averageLoss, largestWin, largestLoss, profitFactor,
+   *   expectancy, payoffRatio, maxDrawdown ({ amount, percent, durationDays,
+   *   peakDate, troughDate, recovered }), recoveryFactor, sharpeRatio,
+   *   sortinoRatio
+   */
+  calculateRiskMetrics(trades) {
+    const closedTrades = trades.filter(trade => trade.Result === 'Win' || trade.Result === 'Loss');
+    const results = closedTrades.map(trade => trade.ProfitLoss);
+    const wins = results.filter(value => value > 0);
+    const losses = results.filter(value => value <= 0);
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    const mean = values => (values.length > 0 ? sum(values) / values.length : 0);
+
+    const grossWin = sum(wins);
+    const grossLoss = Math.abs(sum(losses));
+    const averageWin = mean(wins);
+    const averageLoss = mean(losses);
+    const totalPL = sum(results);
+
+    const daily = this.calculateDailyPL(closedTrades).map(day => day.pl);
+    const maxDrawdown = this.calculateMaxDrawdown(closedTrades);
+    const annualize = Math.sqrt(252);
+
+    let sharpeRatio = null;
+    let sortinoRatio = null;
+    if (daily.length >= 2) {
+      const dailyMean = mean(daily);
+      const variance = sum(daily.map(value => (value - dailyMean) ** 2)) / (daily.length - 1);
+      const downside = Math.sqrt(sum(daily.map(value => Math.min(0, value) ** 2)) / daily.length);
+      sharpeRatio = variance > 0 ? (dailyMean / Math.sqrt(variance)) * annualize : null;
+      sortinoRatio = downside > 0 ? (dailyMean / downside) * annualize : null;
+    }
+
+    return {
+      averageLoss,
+      largestWin: wins.length > 0 ? Math.max(...wins) : 0,
+      largestLoss: losses.length > 0 ? Math.min(...losses) : 0,
+      profitFactor: grossLoss > 0 ? grossWin / grossLoss : null,
+      expectancy: mean(results),
+      payoffRatio: averageLoss < 0 ? averageWin / Math.abs(averageLoss) : null,
+      maxDrawdown,
+      recoveryFactor: maxDrawdown.amount > 0 ? totalPL / maxDrawdown.amount : null,
+      sharpeRatio,
+      sortinoRatio
+    };
+  }
+
+  /**
+   * Largest fall in cumulative closed P/L from a running peak
+   * The percent is of the peak's cumulative P/L, so it is null while the book
+   * has never been ahead. Duration runs from the peak to the day the curve
+   * regained it, or to the last close if it has not.
+   * @param {Array} trades - Array of enriched trade records
+   * @returns {Object} - { amount, percent, durationDays, peakDate, troughDate,
+   *   endDate, recovered }; amount is a positive magnitude, and endDate is the
+   *   day the peak was regained or the latest close
+   */
+  calculateMaxDrawdown(trades) {
+    const daily = this.calculateDailyPL(trades);
+    if (daily.length === 0) {
+      return { amount: 0, percent: null, durationDays: 0, peakDate: null, troughDate: null, endDate: null, recovered: true };
+    }
+
+    // Each stretch below a prior peak, from that peak to the day it was regained
+    const episodes = [];
+    let cumulative = 0;
+    let peak = 0;
+    let peakDate = daily[0].date;
+    let episode = null;
+
+    daily.forEach(day => {
+      cumulative += day.pl;
+
+      if (cumulative >= peak) {
+        if (episode) {
+          episode.endDate = day.date;
+          episode.recovered = true;
+          episode = null;
+        }
+        peak = cumulative;
+        peakDate = day.date;
+        return;
+      }
+
+      if (!episode) {
+        episode = { peak, peakDate, amount: 0, troughDate: null, endDate: null, recovered: false };
+        episodes.push(episode);
+      }
+      if (peak - cumulative > episode.amount) {
+        episode.amount = peak - cumulative;
+        episode.troughDate = day.date;
+      }
+    });
+    if (episode) episode.endDate = daily[daily.length - 1].date;
+
+    const worst = episodes.reduce((max, entry) => (entry.amount > max.amount ? entry : max),
+      { amount: 0, peak: 0, peakDate: null, troughDate: null, endDate: null, recovered: true });
+
+    return {
+      amount: worst.amount,
+      percent: worst.amount > 0 && worst.peak > 0 ? (worst.amount / worst.peak) * 100 : null,
+      durationDays: worst.peakDate ? this._daysBetweenDates(worst.peakDate, worst.endDate) : 0,
+      peakDate: worst.peakDate,
+      troughDate: worst.troughDate,
+      endDate: worst.endDate,
+      recovered: worst.recovered
     };
   }
 
+  /**
+   * Link rolled trades into chains
+   *
+   * A roll closes a position and opens its replacement the same day. A closed
+   * trade is linked to a trade opened on the calendar day it closed, in the
+   * same account, on the same underlying and with the same option type (put,
+   * call, or both). When several opens qualify, the one opened nearest the
+   * close wins. Share lots are never chained.
+   *
+   * @param {Array} trades - Array of enriched trade records
+   * @returns {Array} - Chains of trades in roll order; unrolled trades are
+   *   chains of one
+   */
+  chainRolls(trades) {
+    const dayKey = date => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+    const groupKey = trade => [
+      trade.Account || '',
+      trade.Symbol || '',
+      String(trade.Type || '').toUpperCase()
+    ].join('|');
+
+    const successor = new Map();
+    const hasPredecessor = new Set();
+    const isOption = trade => trade.Type !== 'Stock';
+
+    // Opens indexed by group and entry day
+    const opensByDay = new Map();
+    trades.filter(isOption).forEach(trade => {
+      const entry = this._parseDate(trade.Entry);
+      if (!entry) return;
+      const key = `${groupKey(trade)}|${dayKey(entry)}`;
+      if (!opensByDay.has(key)) opensByDay.set(key, []);
+      opensByDay.get(key).push({ trade, entry });
+    });
+
+    const closes = trades
+      .filter(trade => isOption(trade) && trade.Exit)
+      .map(trade => ({ trade, exit: this._parseDate(trade.Exit), entry: this._parseDate(trade.Entry) }))
+      .filter(close => close.exit)
+      .sort((a, b) => a.exit - b.exit);
+
+    closes.forEach(close => {
+      const candidates = (opensByDay.get(`${groupKey(close.trade)}|${dayKey(close.exit)}`) || [])
+        .filter(open => open.trade !== close.trade &&
+          !hasPredecessor.has(open.trade) &&
+          (!close.entry || open.entry > close.entry));
+      if (candidates.length === 0) return;
+
+      const nearest = candidates.reduce((best, open) =>
+        Math.abs(open.entry - close.exit) < Math.abs(best.entry - close.exit) ? open : best);
+      successor.set(close.trade, nearest.trade);
+      hasPredecessor.add(nearest.trade);
+    });
+
+    return trades
+      .filter(trade => !hasPredecessor.has(trade))
+      .map(head => {
+        const chain = [head];
+        while (successor.has(chain[chain.length - 1])) {
+          chain.push(successor.get(chain[chain.length - 1]));
+        }
+        return chain;
+      });
+  }
+
+  /**
+   * Roll chains as campaign records
+   *
+   * A campaign is shaped like a trade, so the filters, summary metrics and
+   * P/L breakdown apply to it unchanged. It takes its symbol, strategy and
+   * entry from the first trade and its exit and result from the last: it is
+   * open while its latest roll is. Money fields are summed across the chain.
+   * Credit collected counts the credit taken in when each trade opened
+   * (OpenCredit, or Credit where the adapter does not split it out); days in
+   * trade run from the first entry to the last exit, or to today while open.
+   *
+   * @param {Array} trades - Array of enriched trade records
+   * @returns {Array} - Campaign records, with Rolls, CreditCollected,
+   *   DaysInTrade, MaxRisk and its returns, and Trades (the chain)
+   */
+  buildCampaigns(trades) {
+    const sum = (chain, field) => chain.reduce((total, trade) => total + (parseFloat(trade[field]) || 0), 0);
+
+    return this.chainRolls(trades).map(chain => {
+      const first = chain[0];
+      const last = chain[chain.length - 1];
+      const entry = this._parseDate(first.Entry);
+      const exit = last.Exit ? this._parseDate(last.Exit) : null;
+      const profitLoss = sum(chain, 'ProfitLoss');
+      const daysInTrade = entry ? this._daysBetweenDates(entry, exit || new Date()) : null;
+
+      // A roll replaces the position, so the campaign ties up the most any
+      // one of its trades did
+      const maxRisk = chain.reduce((max, trade) => (trade.MaxRisk > (max || 0) ? trade.MaxRisk : max), null);
+
+      let result = 'Open';
+      if (exit) result = profitLoss > 0 ? 'Win' : 'Loss';
+
+      return {
+        Symbol: first.Symbol,
+        Type: first.Type,
+        Strategy: first.Strategy,
+        Account: first.Account,
+        Strike: last.Strike,
+        Expiry: last.Expiry,
+        Volume: first.Volume,
+        Entry: first.Entry,
+        Exit: exit ? last.Exit : null,
+        Credit: sum(chain, 'Credit'),
+        Debit: sum(chain, 'Debit'),
+        Commissions: sum(chain, 'Commissions'),
+        Fees: sum(chain, 'Fees'),
+        ProfitLoss: profitLoss,
+        RealizedPL: sum(chain, 'RealizedPL'),
+        RealizedGrossPL: sum(chain, 'RealizedGrossPL'),
+        Result: result,
+        Rolls: chain.length - 1,
+        CreditCollected: chain.reduce((total, trade) => total + (
+          trade.OpenCredit !== undefined && trade.OpenCredit !== null
+            ? parseFloat(trade.OpenCredit) || 0
+            : parseFloat(trade.Credit) || 0
+        ), 0),
+        DaysInTrade: daysInTrade,
+        MaxRisk: maxRisk,
+        ...this._capitalReturns(exit ? profitLoss : null, maxRisk, daysInTrade),
+        Trades: chain,
+        _metadata: {
+          incompleteBasis: chain.some(trade => trade._metadata && trade._metadata.incompleteBasis)
+        }
+      };
+    });
+  }
+
+  /**
+   * Calculate summary metrics per campaign
+   * The per-trade metrics over campaign records, plus roll totals
+   * @param {Array} campaigns - Campaign records from buildCampaigns
+   * @returns {Object} - calculateSummaryMetrics fields, plus unit, rolls,
+   *   creditCollected and averageDaysInTrade
+   */
+  calculateCampaignSummary(campaigns) {
+    const days = campaigns.map(campaign => campaign.DaysInTrade).filter(value => value !== null);
+
+    return {
+      ...this.calculateSummaryMetrics(campaigns),
+      unit: 'campaign',
+      rolls: campaigns.reduce((total, campaign) => total + campaign.Rolls, 0),
+      creditCollected: campaigns.reduce((total, campaign) => total + campaign.CreditCollected, 0),
+      averageDaysInTrade: days.length > 0
+        ? days.reduce((total, value) => total + value, 0) / days.length
+        : 0
+    };
+  }
+
+  /**
+   * Reconstruct wheel cycles
+   *
+   * A cycle sells puts on an underlying until one is assigned, holds the
+   * shares while selling calls against them, and ends when the shares are
+   * called away or sold. Each Long Stock lot with short puts sold since the
+   * previous lot was opened is one cycle; puts sold after the last lot, or on
+   * an underlying never assigned, form a cycle of their own so a new wheel
+   * shows from its first put. Lots bought with no puts before them are not
+   * wheels, and puts on cash-settled indexes (SPX, NDX, RUT...) are never
+   * part of one since they cannot be assigned.
+   *
+   * Premium is the net P/L of the options in the cycle, so buying a put or
+   * call back counts against it. The adjusted basis is the assignment cost
+   * less that premium, per share. Return is premium plus the realized share
+   * P/L, over the assignment cost (or the put collateral before assignment),
+   * annualized by simple scaling over the days since the first put.
+   *
+   * @param {Array} trades - Array of enriched trade records
+   * @returns {Array} - Cycles, newest first, shaped like trades (Symbol,
+   *   Account, Entry, Exit, Result) so the dashboard filters apply
+   */
+  calculateWheelCycles(trades) {
+    const round = value => Math.round(value * 100) / 100;
+    const time = value => {
+      const date = this._parseDate(value);
+      return date ? date.getTime() : null;
+    };
+    const byEntry = (a, b) => time(a.Entry) - time(b.Entry);
+
+    const cashSettled = symbol => typeof OptionPricing !== 'undefined' && OptionPricing.isCashSettled(symbol);
+
+    const groups = new Map();
+    trades.forEach(trade => {
+      if (cashSettled(trade.Symbol)) return;
+
+      const key = `${trade.Account || ''}|${trade.Symbol || ''}`;
+      if (!groups.has(key)) groups.set(key, { puts: [], calls: [], lots: [] });
+      const group = groups.get(key);
+      const type = String(trade.Type || '').toUpperCase();
+
+      if (trade.Strategy === 'Long Stock' && time(trade.Entry) !== null) group.lots.push(trade);
+      else if (type === 'PUT' && (trade.Strategy === 'Short Put' || trade.Strategy === 'Cash Secured Put')) group.puts.push(trade);
+      else if (type === 'CALL' && (trade.Strategy === 'Short Call' || trade.Strategy === 'Covered Call')) group.calls.push(trade);
+    });
+
+    const cycles = [];
+
+    groups.forEach(group => {
+      const puts = group.puts.slice().sort(byEntry);
+      const calls = group.calls.slice().sort(byEntry);
+      const claimed = new Set();
+      let since = null;
+
+      group.lots.slice().sort(byEntry).forEach(lot => {
+        const entry = time(lot.Entry);
+        const cyclePuts = puts.filter(put => !claimed.has(put) &&
+          time(put.Entry) <= entry && (since === null || time(put.Entry) > since));
+        if (cyclePuts.length === 0) return;
+
+        const exit = lot.Exit ? time(lot.Exit) : null;
+        const cycleCalls = calls.filter(call => !claimed.has(call) &&
+          time(call.Entry) >= entry && (exit === null || time(call.Entry) <= exit));
+        cyclePuts.concat(cycleCalls).forEach(trade => claimed.add(trade));
+        since = entry;
+
+        cycles.push(this._wheelCycle(cyclePuts, lot, cycleCalls));
+      });
+
+      // Puts sold since the last assignment, or with none yet
+      const pending = puts.filter(put => !claimed.has(put) && (since === null || time(put.Entry) > since));
+      if (pending.length > 0) {
+        cycles.push(this._wheelCycle(pending, null, []));
+      }
+    });
+
+    return cycles
+      .map(cycle => ({
+        ...cycle,
+        putPremium: round(cycle.putPremium),
+        callPremium: round(cycle.callPremium),
+        premium: round(cycle.premium),
+        totalReturn: round(cycle.totalReturn)
+      }))
+      .sort((a, b) => time(b.Entry) - time(a.Entry));
+  }
+
+  /**
+   * One wheel cycle from its puts, the lot they were assigned into, and the
+   * calls sold against it
+   * @private
+   */
+  _wheelCycle(puts, lot, calls) {
+    const total = (list, field) => list.reduce((sum, trade) => sum + (parseFloat(trade[field]) || 0), 0);
+    const first = puts[0];
+    const putPremium = total(puts, 'ProfitLoss');
+    const callPremium = total(calls, 'ProfitLoss');
+    const premium = putPremium + callPremium;
+
+    let exit = null;
+    if (lot) {
+      exit = lot.Exit || null;
+    } else if (puts.every(put => put.Exit)) {
+      exit = puts.reduce((latest, put) =>
+        (this._parseDate(put.Exit) > this._parseDate(latest) ? put.Exit : latest), puts[0].Exit);
+    }
+
+    const shares = lot ? parseFloat(lot.Volume) || 0 : 0;
+    const cost = lot ? total([lot], 'Debit') + total([lot], 'Commissions') + total([lot], 'Fees') : 0;
+    const stockPL = lot && lot.Exit ? lot.ProfitLoss : 0;
+    const collateral = lot
+      ? cost
+      : Math.max(...puts.map(put => (parseFloat(put.Strike) || 0) * 100 * (parseFloat(put.Volume) || 1)));
+    const totalReturn = premium + stockPL;
+
+    const start = this._parseDate(first.Entry);
+    const end = exit ? this._parseDate(exit) : new Date();
+    const days = start ? Math.max(1, this._daysBetweenDates(start, end)) : null;
+    const returnPct = collateral > 0 ? (totalReturn / collateral) * 100 : null;
+
+    // Shares leave on the day a call against them is assigned
+    const calledAway = Boolean(lot && lot.Exit && (
+      ((lot._metadata && lot._metadata.linkedOptions) || []).some(link => /call/i.test(link.contract)) ||
+      calls.some(call => call.Exit && this._daysBetweenDates(this._parseDate(call.Exit), this._parseDate(lot.Exit)) === 0)
+    ));
+
+    let status = 'Selling puts';
+    if (lot) status = lot.Exit ? (calledAway ? 'Called away' : 'Shares sold') : 'Holding shares';
+    else if (exit) status = 'Not assigned';
+
+    let result = 'Open';
+    if (exit) result = totalReturn > 0 ? 'Win' : 'Loss';
+
+    return {
+      Symbol: first.Symbol,
+      Account: first.Account,
+      Entry: first.Entry,
+      Exit: exit,
+      Result: result,
+      status,
+      putsSold: puts.length,
+      putPremium,
+      assignmentPrice: shares > 0 ? cost / shares : null,
+      shares,
+      callsSold: calls.length,
+      callPremium,
+      premium,
+      adjustedBasis: shares > 0 ? (cost - premium) / shares : null,
+      exitPrice: lot && lot.Exit && shares > 0 ? (parseFloat(lot.Credit) || 0) / shares : null,
+      totalReturn,
+      returnPct,
+      annualizedPct: returnPct !== null && days ? returnPct * 365 / days : null,
+      days,
+      Trades: [...puts, ...(lot ? [lot] : []), ...calls]
+    };
+  }
+
+  /**
+   * Open positions, soonest expiration first
+   * Each open trade with the days left to its expiration, the premium it was
+   * opened for, its max loss and its breakevens at expiration. Share lots and
+   * other positions without an expiration sort last.
+   * @param {Array} trades - Array of enriched trade records
+   * @param {Date} [now] - Reference date, defaults to today
+   * @returns {Array} - Array of {Symbol, Strategy, Account, Volume, Entry,
+   *   Expiry (Date or null), dte, credit (negative for a debit), maxLoss (null
+   *   when undefined), strikes, breakevens, trade}
+   */
+  calculateOpenPositions(trades, now = new Date()) {
+    return this.filterByStatus(trades, 'open')
+      .map(trade => {
+        const expiry = this._parseDate(trade.Expiry);
+        const strikes = this._positionStrikes(trade);
+        const credit = /stock/i.test(trade.Strategy || '') ? null : this._openingPremium(trade);
+
+        return {
+          Symbol: trade.Symbol,
+          Strategy: trade.Strategy,
+          Account: trade.Account,
+          Volume: trade.Volume,
+          Entry: trade.Entry,
+          Expiry: expiry,
+          dte: expiry ? this._daysBetweenDates(now, expiry) : null,
+          credit,
+          maxLoss: trade.MaxRisk !== undefined ? trade.MaxRisk : this._maxRisk(trade),
+          strikes,
+          breakevens: credit === null ? [] : this._breakevens(trade.Strategy, strikes, credit, trade.Volume),
+          trade
+        };
+      })
+      .sort((a, b) => {
+        if (a.Expiry && b.Expiry && a.Expiry - b.Expiry !== 0) return a.Expiry - b.Expiry;
+        if (!a.Expiry !== !b.Expiry) return a.Expiry ? -1 : 1;
+        return String(a.Symbol).localeCompare(String(b.Symbol));
+      });
+  }
+
+  /**
+   * Strikes of a position, low to high
+   * From the opening legs' strikes where the adapter kept them; otherwise the
+   * trade's strike, and for a vertical the strike a width below it (a spread's
+   * Strike is its upper leg).
+   * @param {Object} trade - Trade record
+   * @returns {Array} - Strikes
+   * @private
+   */
+  _positionStrikes(trade) {
+    const stored = ((trade._metadata && trade._metadata.strikes) || [])
+      .map(Number)
+      .filter(strike => Number.isFinite(strike) && strike > 0);
+    if (stored.length > 0) return stored.sort((a, b) => a - b);
+
+    const strike = parseFloat(trade.Strike);
+    if (!(strike > 0)) return [];
+
+    const width = parseFloat(trade.Width);
+    return width > 0 && /spread/i.test(trade.Strategy || '') ? [strike - width, strike] : [strike];
+  }
+
+  /**
+   * Underlying prices at which a position breaks even at expiration
+   * The premium per share moves the short strikes of a credit structure
+   * outward, and the long strikes of a debit structure by what was paid.
+   * Structures without a simple answer (butterflies, calendars, ratios) and
+   * covered calls, whose breakeven rests on the shares, return none.
+   * @param {string} strategy - Strategy name
+   * @param {Array} strikes - Strikes, low to high
+   * @param {number} credit - Net opening premium; negative for a debit
+   * @param {number} volume - Contracts
+   * @returns {Array} - Breakeven prices, low to high
+   * @private
+   */
+  _breakevens(strategy, strikes, credit, volume) {
+    if (strikes.length === 0) return [];
+
+    const perShare = Math.abs(credit) / (100 * (Math.abs(parseFloat(volume)) || 1));
+    const low = strikes[0];
+    const high = strikes[strikes.length - 1];
+    const round = value => Math.round(value * 100) / 100;
+
+    switch (strategy) {
+      case 'Short Put':
+      case 'Cash Secured Put':
+      case 'Long Put':
+      case 'Bear Put Spread':
+        return [round(high - perShare)];
+      case 'Bull Put Spread':
+        return strikes.length === 2 ? [round(high - perShare)] : [];
+      case 'Short Call':
+      case 'Long Call':
+      case 'Bull Call Spread':
+        return [round(low + perShare)];
+      case 'Bear Call Spread':
+        return strikes.length === 2 ? [round(low + perShare)] : [];
+      case 'Iron Condor':
+      case 'Iron Butterfly':
+        return strikes.length === 4 ? [round(strikes[1] - perShare), round(strikes[2] + perShare)] : [];
+      case 'Straddle':
+      case 'Strangle':
+        return [round(low - perShare), round(high + perShare)];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Group open positions by the week they expire
+   * Weeks start on Monday. Positions without an expiration form a last group.
+   * @param {Array} positions - Positions from calculateOpenPositions
+   * @returns {Array} - Array of {weekStart (Date or null), label, positions,
+   *   credit, maxLoss (summed over positions with a defined risk),
+   *   undefinedRisk (count without one)}
+   */
+  buildExpirationLadder(positions) {
+    const weeks = new Map();
+
+    positions.forEach(position => {
+      let weekStart = null;
+      if (position.Expiry) {
+        const date = position.Expiry;
+        weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+      }
+
+      const key = weekStart ? weekStart.getTime() : 'none';
+      if (!weeks.has(key)) {
+        weeks.set(key, {
+          weekStart,
+          label: weekStart
+            ? `Week of ${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+            : 'No expiration',
+          positions: [],
+          credit: 0,
+          maxLoss: 0,
+          undefinedRisk: 0
+        });
+      }
+
+      const week = weeks.get(key);
+      week.positions.push(position);
+      week.credit += position.credit || 0;
+      if (position.maxLoss) {
+        week.maxLoss += position.maxLoss;
+      } else if (position.Expiry) {
+        week.undefinedRisk++;
+      }
+    });
+
+    return Array.from(weeks.values()).sort((a, b) => {
+      if (!a.weekStart) return 1;
+      if (!b.weekStart) return -1;
+      return a.weekStart - b.weekStart;
+    });
+  }
+
+  /**
+   * Key a quote is stored and looked up under
+   * OCC option symbols, padded or not ("SPY   260417P00480000"), become
+   * underlying|expiry|type|strike so they match the legs the adapters keep.
+   * Anything else is taken as a share symbol.
+   * @param {string} symbol - Underlying or OCC option symbol
+   * @returns {string} - Instrument key, e.g. "SPY|2026-04-17|P|480" or "SPY"
+   */
+  instrumentKey(symbol) {
+    const text = String(symbol || '').trim().toUpperCase().replace(/^\./, '');
+    const occ = text.match(/^([A-Z][A-Z0-9./]*)\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/);
+    if (occ) {
+      return this._contractKey(occ[1], `20${occ[2]}-${occ[3]}-${occ[4]}`, occ[5], parseInt(occ[6], 10) / 1000);
+    }
+    return text;
+  }
+
+  /**
+   * Instrument key of one option contract
+   * @param {string} underlying - Underlying symbol
+   * @param {string} expiry - Expiration as YYYY-MM-DD
+   * @param {string} type - 'PUT', 'CALL', 'P' or 'C'
+   * @param {number} strike - Strike price
+   * @returns {string} - Instrument key
+   * @private
+   */
+  _contractKey(underlying, expiry, type, strike) {
+    return [
+      String(underlying).trim().toUpperCase(),
+      expiry,
+      String(type).charAt(0).toUpperCase(),
+      Number(strike)
+    ].join('|');
+  }
+
+  /**
+   * Contracts and shares a position still holds
+   * Nets its legs per instrument: buys add, sells subtract, and expirations
+   * or assignments retire quantity toward zero. Trades without legs are
+   * read from their own symbol, type, strike and expiry, with the side
+   * taken from the strategy name.
+   * @param {Object} trade - Trade record
+   * @returns {Array|null} - Array of {key, quantity (negative when short),
+   *   multiplier}, or null when the holdings cannot be told
+   * @private
+   */
+  _remainingHoldings(trade) {
+    const underlying = String(trade.Symbol || '').trim().toUpperCase();
+    const legs = (trade._metadata && trade._metadata.legs) || [];
+    const pad = n => String(n).padStart(2, '0');
+
+    if (legs.length === 0) {
+      const strategy = String(trade.Strategy || '');
+      const side = /^(short|covered)/i.test(strategy) ? -1 : (/^long/i.test(strategy) ? 1 : 0);
+      const volume = Math.abs(parseFloat(trade.Volume)) || 1;
+      if (!side) return null;
+      if (/stock/i.test(strategy)) return [{ key: underlying, quantity: side * volume, multiplier: 1 }];
+
+      const type = String(trade.Type || '').toUpperCase();
+      const expiry = this._parseDate(trade.Expiry);
+      const strike = parseFloat(trade.Strike);
+      if (!/^[CP]/.test(type) || !expiry || !(strike > 0)) return null;
+
+      const expiryKey = `${expiry.getFullYear()}-${pad(expiry.getMonth() + 1)}-${pad(expiry.getDate())}`;
+      return [{ key: this._contractKey(underlying, expiryKey, type, strike), quantity: side * volume, multiplier: 100 }];
+    }
+
+    const held = new Map();
+    for (const leg of legs) {
+      const type = String(leg.type || '').toUpperCase();
+      const isShares = type === 'STOCK';
+      if (!isShares && !(/^[CP]/.test(type) && leg.expiry && leg.strike > 0)) return null;
+
+      const key = isShares ? underlying : this._contractKey(underlying, leg.expiry, type, leg.strike);
+      const quantity = Math.abs(Number(leg.quantity)) || 0;
+      const action = String(leg.action || '').toUpperCase();
+      const net = held.has(key) ? held.get(key).quantity : 0;
+
+      let change;
+      if (/^B(UY|TO|TC)/.test(action)) {
+        change = quantity;
+      } else if (/^S(ELL|TO|TC)/.test(action)) {
+        change = -quantity;
+      } else {
+        change = -Math.sign(net) * Math.min(quantity, Math.abs(net));
+      }
+      held.set(key, { key, quantity: net + change, multiplier: isShares ? 1 : 100 });
+    }
+
+    return Array.from(held.values()).filter(holding => holding.quantity !== 0);
+  }
+
+  /**
+   * Most an open position can make from here to expiration
+   * The credit for a position opened for one; for a debit spread, its width
+   * less the debit. Null where the upside is open-ended or unknown.
+   * @param {Object} position - Position from calculateOpenPositions
+   * @returns {number|null} - Dollars
+   * @private
+   */
+  _maxProfit(position) {
+    if (position.credit === null || position.credit === 0) return null;
+    if (position.credit > 0) return position.credit;
+
+    const width = parseFloat(position.trade.Width);
+    const contracts = Math.abs(parseFloat(position.Volume)) || 1;
+    const profit = width > 0 ? width * 100 * contracts + position.credit : null;
+    return profit > 0 ? Math.round(profit * 100) / 100 : null;
+  }
+
+  /**
+   * Value an open position at the marks entered for it
+   * A mark typed against the position is its price per share as a whole
+   * (net credit or debit to close, or the share price for a lot). Otherwise
+   * every contract and share it still holds needs a quoted mark.
+   * @param {Object} position - Position from calculateOpenPositions
+   * @param {Object} marks - Map of key to { mark, updatedAt } (DataStore.getMarks)
+   * @param {string|null} [positionKey] - Key of a mark typed for this position
+   * @returns {Object} - {marked, source ('position', 'quotes' or null),
+   *   closeValue (what the position is worth, negative when closing it
+   *   costs money), totalPL (realized + unrealized, net of costs so far),
+   *   unrealizedPL, maxProfit, maxProfitCapturedPct, markedAt,
+   *   positionMark (the typed mark, if any), missing (instrument keys still
+   *   without a mark)}
+   */
+  valuePosition(position, marks = {}, positionKey = null) {
+    const trade = position.trade;
+    const strategy = String(trade.Strategy || '');
+    const maxProfit = this._maxProfit(position);
+    const unmarked = missing => ({
+      marked: false,
+      source: null,
+      closeValue: null,
+      totalPL: null,
+      unrealizedPL: null,
+      maxProfit,
+      maxProfitCapturedPct: null,
+      markedAt: null,
+      positionMark: null,
+      missing
+    });
+
+    // Without the cost of the shares no mark gives a meaningful P/L
+    if (trade._metadata && trade._metadata.incompleteBasis) return unmarked([]);
+
+    let closeValue;
+    let markedAt;
+    let source;
+    const typed = positionKey ? marks[positionKey] : null;
+
+    if (typed) {
+      const volume = Math.abs(parseFloat(trade.Volume)) || 1;
+      const isShares = /stock/i.test(strategy);
+      const short = isShares ? /^short/i.test(strategy) : position.credit > 0;
+      closeValue = (short ? -1 : 1) * typed.mark * volume * (isShares ? 1 : 100);
+      markedAt = typed.updatedAt;
+      source = 'position';
+    } else {
+      const holdings = this._remainingHoldings(trade);
+      if (!holdings || holdings.length === 0) return unmarked([]);
+
+      const missing = holdings.filter(holding => !marks[holding.key]).map(holding => holding.key);
+      if (missing.length > 0) return unmarked(missing);
+
+      closeValue = holdings.reduce((total, holding) =>
+        total + holding.quantity * marks[holding.key].mark * holding.multiplier, 0);
+      markedAt = holdings
+        .map(holding => marks[holding.key].updatedAt)
+        .sort()[0];
+      source = 'quotes';
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const totalPL = round((trade.ProfitLoss || 0) + closeValue);
+
+    return {
+      marked: true,
+      source,
+      closeValue: round(closeValue),
+      totalPL,
+      unrealizedPL: round(totalPL - (trade.RealizedPL || 0)),
+      maxProfit,
+      maxProfitCapturedPct: maxProfit ? (totalPL / maxProfit) * 100 : null,
+      markedAt,
+      positionMark: typed ? typed.mark : null,
+      missing: []
+    };
+  }
+
+  /**
+   * Mark open positions to market
+   * @param {Array} positions - Positions from calculateOpenPositions
+   * @param {Object} marks - Map of key to { mark, updatedAt } (DataStore.getMarks)
+   * @param {Function} [positionKeyOf] - Trade to the key of a mark typed
+   *   against it (DataStore.positionMarkKey)
+   * @returns {Object} - {positions (each with markKey and valuation from
+   *   valuePosition), unrealizedPL and totalPL summed over the marked ones,
+   *   marked, unmarked, asOf (oldest mark in use, ISO string or null)}
+   */
+  calculateMarkToMarket(positions, marks = {}, positionKeyOf = null) {
+    const valued = positions.map(position => {
+      const markKey = positionKeyOf ? positionKeyOf(position.trade) : null;
+      return { ...position, markKey, valuation: this.valuePosition(position, marks, markKey) };
+    });
+    const marked = valued.filter(position => position.valuation.marked);
+    const sum = field => Math.round(
+      marked.reduce((total, position) => total + position.valuation[field], 0) * 100
+    ) / 100;
+
+    return {
+      positions: valued,
+      unrealizedPL: sum('unrealizedPL'),
+      totalPL: sum('totalPL'),
+      marked: marked.length,
+      unmarked: valued.length - marked.length,
+      asOf: marked.map(position => position.valuation.markedAt).sort()[0] || null
+    };
+  }
+
+  /**
+   * Greeks of every open position, now, totalled and broken down
+   * Each contract still held is priced at its underlying's quoted mark, at
+   * the implied volatility of its own quote, or failing that the volatility
+   * it was opened at (backfillEntryGreeks). Contracts with neither, or whose
+   * underlying has no quote, are listed in missing and left out of the
+   * totals. Delta and gamma are in shares, theta in dollars per day and vega
+   * in dollars per volatility point.
+   *
+   * Beta-weighted delta restates each underlying's delta as shares of the
+   * benchmark: delta x price x beta / benchmark price. Betas come from the
+   * settings; the benchmark's own is 1, and any other not entered is taken
+   * as 1 and flagged betaAssumed.
+   * @param {Array} positions - From calculateOpenPositions
+   * @param {Object} marks - Map of key to { mark, updatedAt } (DataStore.getMarks)
+   * @param {Object} [settings] - { benchmark ('SPY'), betas (symbol to beta) }
+   * @param {Date} [now] - Valuation time, defaults to now
+   * @returns {Object} - {delta, betaWeightedDelta (null without a benchmark
+   *   quote), gamma, theta, vega, benchmark, benchmarkPrice, byUnderlying
+   *   (array of {symbol, price, beta, betaAssumed, holdings, delta,
+   *   betaWeightedDelta, gamma, theta, vega}), byExpiration (array of
+   *   {expiry, dte, holdings, delta, gamma, theta, vega}, shares last with
+   *   expiry null), priced (contract and share holdings in the totals),
+   *   missing (array of {key, reason: 'price' or 'volatility'})}
+   */
+  calculatePortfolioGreeks(positions, marks = {}, settings = {}, now = new Date()) {
+    const benchmark = String(settings.benchmark || 'SPY').trim().toUpperCase();
+    const betas = settings.betas || {};
+    const quote = key => (marks[key] && Number.isFinite(marks[key].mark) ? marks[key].mark : null);
+    // Weekly roots (SPXW, RUTW) quote under the index itself
+    const spotOf = symbol => quote(symbol) || (/^[A-Z]{3,}W$/.test(symbol) ? quote(symbol.slice(0, -1)) : null);
+    const benchmarkPrice = spotOf(benchmark);
+
+    const rows = [];
+    const missing = [];
+    positions.forEach(position => {
+      const trade = position.trade;
+      const entryLegs = (trade.EntryGreeks && trade.EntryGreeks.legs) || [];
+      (this._remainingHoldings(trade) || []).forEach(holding => {
+        const [symbol, expiry, type, strike] = holding.key.split('|');
+        const spot = spotOf(symbol);
+        if (!spot) {
+          missing.push({ key: holding.key, reason: 'price' });
+          return;
+        }
+        if (!expiry) {
+          rows.push({ symbol, spot, expiry: null, delta: holding.quantity, gamma: 0, theta: 0, vega: 0 });
+          return;
+        }
+
+        const params = {
+          type,
+          spot,
+          strike: Number(strike),
+          years: typeof OptionPricing === 'undefined' ? 0 : OptionPricing.yearsToExpiry(now, expiry),
+          symbol
+        };
+        const entry = entryLegs.find(leg => leg.iv && leg.expiry === expiry &&
+          leg.type.charAt(0) === type && Number(leg.strike) === params.strike);
+        const vol = typeof OptionPricing === 'undefined' ? null : (
+          (quote(holding.key) !== null ? OptionPricing.impliedVolatility(params, quote(holding.key)) : null) ||
+          (entry ? entry.iv : null)
+        );
+        if (!vol) {
+          missing.push({ key: holding.key, reason: 'volatility' });
+          return;
+        }
+
+        const greeks = OptionPricing.price({ ...params, vol });
+        const size = holding.quantity * holding.multiplier;
+        rows.push({
+          symbol,
+          spot,
+          expiry,
+          delta: size * greeks.delta,
+          gamma: size * greeks.gamma,
+          theta: size * greeks.theta,
+          vega: size * greeks.vega
+        });
+      });
+    });
+
+    const total = (group, field) => group.reduce((sum, row) => sum + row[field], 0);
+    const greeksOf = group => ({
+      holdings: group.length,
+      delta: total(group, 'delta'),
+      gamma: total(group, 'gamma'),
+      theta: total(group, 'theta'),
+      vega: total(group, 'vega')
+    });
+    const groupBy = field => rows.reduce((groups, row) => {
+      const key = row[field] === null ? '' : row[field];
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+      return groups;
+    }, new Map());
+
+    const byUnderlying = Array.from(groupBy('symbol').entries())
+      .map(([symbol, group]) => {
+        const entered = parseFloat(betas[symbol]);
+        const beta = symbol === benchmark ? 1 : (Number.isFinite(entered) ? entered : 1);
+        const greeks = greeksOf(group);
+        return {
+          symbol,
+          price: group[0].spot,
+          beta,
+          betaAssumed: symbol !== benchmark && !Number.isFinite(entered),
+          ...greeks,
+          betaWeightedDelta: benchmarkPrice ? greeks.delta * group[0].spot * beta / benchmarkPrice : null
+        };
+      })
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    const byExpiration = Array.from(groupBy('expiry').entries())
+      .map(([expiry, group]) => ({
+        expiry: expiry || null,
+        dte: expiry ? this._daysBetweenDates(now, this._parseDate(`${expiry}T00:00:00`)) : null,
+        ...greeksOf(group)
+      }))
+      .sort((a, b) => (a.expiry === null) - (b.expiry === null) || String(a.expiry).localeCompare(String(b.expiry)));
+
+    const totals = greeksOf(rows);
+    return {
+      delta: totals.delta,
+      gamma: totals.gamma,
+      theta: totals.theta,
+      vega: totals.vega,
+      betaWeightedDelta: benchmarkPrice ? total(byUnderlying, 'betaWeightedDelta') : null,
+      benchmark,
+      benchmarkPrice,
+      byUnderlying,
+      byExpiration,
+      priced: rows.length,
+      missing
+    };
+  }
+
+  /**
+   * Payoff of a trade at expiration, built from the legs it opened
+   * Each option leg pays its intrinsic value at the underlying price, shares
+   * their market value, on top of the net premium taken in (or paid) to open.
+   * Commissions and fees are left out. Legs with different expirations are
+   * all settled at once, which a calendar or diagonal never is; such trades
+   * are flagged with mixedExpiries.
+   * @param {Object} trade - Trade record
+   * @param {Object} [prices] - { entryPrice, exitPrice } of the underlying,
+   *   when known from elsewhere; otherwise read from share legs
+   * @returns {Object|null} - {legs (type, side, strike, quantity, expiry,
+   *   premium), netPremium, points (array of {price, pl}, enough to draw the
+   *   payoff exactly), breakevens, maxProfit and maxLoss (dollars, positive;
+   *   null when unlimited), mixedExpiries, entryPrice, exitPrice}, or null
+   *   when the trade's legs cannot be told
+   */
+  calculatePayoff(trade, prices = {}) {
+    const payoff = this._payoffLegs(trade);
+    if (!payoff) return null;
+
+    const { legs, netPremium } = payoff;
+    const underlying = this._underlyingPrices(trade);
+    const known = value => (Number.isFinite(value) && value > 0 ? value : null);
+    const entryPrice = known(prices.entryPrice) || underlying.entry;
+    const exitPrice = known(prices.exitPrice) || underlying.exit;
+
+    const value = price => netPremium + legs.reduce((total, leg) => {
+      let intrinsic = price;
+      if (leg.type === 'CALL') intrinsic = Math.max(0, price - leg.strike);
+      if (leg.type === 'PUT') intrinsic = Math.max(0, leg.strike - price);
+      return total + leg.side * leg.quantity * (leg.type === 'STOCK' ? 1 : 100) * intrinsic;
+    }, 0);
+
+    const strikes = [...new Set(legs.filter(leg => leg.type !== 'STOCK').map(leg => leg.strike))]
+      .sort((a, b) => a - b);
+    const anchors = [...strikes, entryPrice, exitPrice].filter(price => price !== null);
+    if (anchors.length === 0) {
+      // Shares alone, with no price known: centre on what they cost
+      const shares = legs.reduce((total, leg) => total + leg.quantity, 0);
+      anchors.push(Math.abs(netPremium) / (shares || 1) || 1);
+    }
+
+    const low = Math.min(...anchors);
+    const high = Math.max(...anchors);
+    const margin = Math.max(high - low, high * 0.1) * 0.5;
+    const from = Math.max(0, low - margin);
+    const to = high + margin;
+
+    // The payoff is straight between strikes, so the strikes and the ends of
+    // the range are all the points it takes to draw it
+    const round = amount => Math.round(amount * 100) / 100;
+    const kinks = [0, ...strikes];
+    const last = kinks[kinks.length - 1];
+    const slopeAbove = value(last + 1) - value(last);
+
+    const breakevens = [];
+    for (let i = 1; i < kinks.length; i++) {
+      const [a, b] = [kinks[i - 1], kinks[i]];
+      const [va, vb] = [value(a), value(b)];
+      if (vb === 0 || (va < 0) !== (vb < 0)) breakevens.push(vb === 0 ? b : a + (b - a) * va / (va - vb));
+    }
+    if (slopeAbove !== 0 && value(last) !== 0 && (value(last) < 0) === (slopeAbove > 0)) {
+      breakevens.push(last - value(last) / slopeAbove);
+    }
+
+    const bounded = kinks.map(value);
+    const points = [from, ...strikes.filter(strike => strike > from && strike < to), to, ...breakevens]
+      .filter(price => price >= from && price <= to)
+      .sort((a, b) => a - b)
+      .filter((price, index, all) => index === 0 || price !== all[index - 1])
+      .map(price => ({ price: round(price), pl: round(value(price)) }));
+
+    return {
+      legs,
+      netPremium: round(netPremium),
+      points,
+      breakevens: [...new Set(breakevens.map(round))],
+      maxProfit: slopeAbove > 0 ? null : round(Math.max(...bounded)),
+      maxLoss: slopeAbove < 0 ? null : round(Math.max(0, -Math.min(...bounded))),
+      mixedExpiries: new Set(legs.filter(leg => leg.expiry).map(leg => leg.expiry)).size > 1,
+      entryPrice,
+      exitPrice
+    };
+  }
+
+  /**
+   * Legs a payoff is drawn from, and the net premium they opened for
+   * The opening legs the adapter kept where they carry a strike. Otherwise
+   * the legs are rebuilt from the strategy and its strikes, with only the
+   * net premium known.
+   * @param {Object} trade - Trade record
+   * @returns {Object|null} - { legs, netPremium }, or null when unknown
+   * @private
+   */
+  _payoffLegs(trade) {
+    const strategy = String(trade.Strategy || '');
+    const volume = Math.abs(parseFloat(trade.Volume)) || 1;
+
+    if (/stock/i.test(strategy)) {
+      const long = !/^short/i.test(strategy);
+      const cost = long ? -(parseFloat(trade.Debit) || 0) : (parseFloat(trade.Credit) || 0);
+      return {
+        legs: [{ type: 'STOCK', side: long ? 1 : -1, strike: null, quantity: volume, expiry: null, premium: cost }],
+        netPremium: cost
+      };
+    }
+
+    const opening = ((trade._metadata && trade._metadata.legs) || [])
+      .filter(leg => /to[_ ]open|^[BS]TO$/i.test(leg.action || ''));
+    const readable = opening.length > 0 && opening.every(leg => {
+      const type = String(leg.type || '').toUpperCase();
+      return type === 'STOCK' || (/^(CALL|PUT)$/.test(type) && leg.strike > 0);
+    });
+
+    if (readable) {
+      const legs = opening.map(leg => ({
+        type: String(leg.type).toUpperCase(),
+        side: /^B/i.test(leg.action) ? 1 : -1,
+        strike: leg.type === 'STOCK' ? null : Number(leg.strike),
+        quantity: Math.abs(Number(leg.quantity)) || 1,
+        expiry: leg.expiry || null,
+        premium: Number(leg.value) || 0
+      }));
+      return { legs, netPremium: legs.reduce((total, leg) => total + leg.premium, 0) };
+    }
+
+    const strikes = this._positionStrikes(trade);
+    const netPremium = this._openingPremium(trade);
+    const date = this._parseDate(trade.Expiry);
+    const pad = n => String(n).padStart(2, '0');
+    const expiry = date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : null;
+    const leg = (type, side, strike) => ({ type, side, strike, quantity: volume, expiry, premium: null });
+    const [s1, s2, s3, s4] = strikes;
+    const lo = strikes[0];
+    const hi = strikes[strikes.length - 1];
+    const sell = netPremium > 0 ? -1 : 1;
+
+    const structures = {
+      'Long Call': () => [leg('CALL', 1, hi)],
+      'Short Call': () => [leg('CALL', -1, hi)],
+      'Covered Call': () => [leg('CALL', -1, hi)],
+      'Long Put': () => [leg('PUT', 1, hi)],
+      'Short Put': () => [leg('PUT', -1, hi)],
+      'Cash Secured Put': () => [leg('PUT', -1, hi)],
+      'Bull Put Spread': () => [leg('PUT', 1, lo), leg('PUT', -1, hi)],
+      'Bear Put Spread': () => [leg('PUT', -1, lo), leg('PUT', 1, hi)],
+      'Bull Call Spread': () => [leg('CALL', 1, lo), leg('CALL', -1, hi)],
+      'Bear Call Spread': () => [leg('CALL', -1, lo), leg('CALL', 1, hi)],
+      'Iron Condor': () => [leg('PUT', 1, s1), leg('PUT', -1, s2), leg('CALL', -1, s3), leg('CALL', 1, s4)],
+      'Iron Butterfly': () => [leg('PUT', 1, s1), leg('PUT', -1, s2), leg('CALL', -1, s3), leg('CALL', 1, s4)],
+      Straddle: () => [leg('PUT', sell, lo), leg('CALL', sell, hi)],
+      Strangle: () => [leg('PUT', sell, lo), leg('CALL', sell, hi)]
+    };
+
+    const build = structures[strategy];
+    const needed = /^Iron/.test(strategy) ? 4 : (/Spread$/.test(strategy) ? 2 : 1);
+    if (!build || strikes.length < needed || (needed !== 4 && strikes.length > 2)) return null;
+
+    return { legs: build(), netPremium };
+  }
+
+  /**
+   * Underlying price when a trade opened and closed, from its share legs
+   * @param {Object} trade - Trade record
+   * @returns {Object} - { entry, exit }, each null when no share leg says
+   * @private
+   */
+  _underlyingPrices(trade) {
+    const shares = ((trade._metadata && trade._metadata.legs) || [])
+      .filter(leg => String(leg.type || '').toUpperCase() === 'STOCK' && leg.price > 0);
+    const strategy = String(trade.Strategy || '');
+    const volume = Math.abs(parseFloat(trade.Volume)) || 0;
+
+    if (shares.length === 0 && /stock/i.test(strategy) && volume > 0) {
+      const long = !/^short/i.test(strategy);
+      const opened = (parseFloat(long ? trade.Debit : trade.Credit) || 0) / volume;
+      const closed = (parseFloat(long ? trade.Credit : trade.Debit) || 0) / volume;
+      return { entry: opened > 0 ? opened : null, exit: trade.Exit && closed > 0 ? closed : null };
+    }
+
+    return {
+      entry: shares.length > 0 ? shares[0].price : null,
+      exit: trade.Exit && shares.length > 1 ? shares[shares.length - 1].price : null
+    };
+  }
+
+  /**
+   * Greeks of the legs a trade opened, at the underlying price it opened at
+   * Each option leg's implied volatility is solved from its fill price and
+   * the leg is priced at it: Black-Scholes for European index options, a
+   * binomial tree for American ones (see OptionPricing). Position totals
+   * count every contract: delta and gamma in shares, theta in dollars per
+   * day and vega in dollars per volatility point.
+   * @param {Object} trade - Trade record
+   * @param {number} spot - Underlying price when the trade opened
+   * @param {Object} [options] - { rate } (OptionPricing.DEFAULT_RATE)
+   * @returns {Object|null} - {legs (the payoff legs, each with price, iv,
+   *   delta, gamma, theta and vega per share; null where no volatility fits
+   *   the fill), delta, gamma, theta, vega, entryDelta and entryIV (of the
+   *   leg that defines the trade: the short leg nearest the money for a
+   *   credit, the long one for a debit)}, or null when no leg can be priced
+   */
+  calculateEntryGreeks(trade, spot, options = {}) {
+    const entry = this._parseDate(trade.Entry);
+    const payoff = this._payoffLegs(trade);
+    if (typeof OptionPricing === 'undefined' || !(spot > 0) || !entry || !payoff) return null;
+
+    const single = payoff.legs.length === 1;
+    const legs = payoff.legs.map(leg => {
+      if (leg.type === 'STOCK') return { ...leg, delta: 1, gamma: 0, theta: 0, vega: 0 };
+
+      // Premium per share; a leg rebuilt from the strategy only knows it
+      // when it is the whole trade
+      const premium = leg.premium !== null ? leg.premium : (single ? payoff.netPremium : null);
+      const price = premium !== null ? Math.abs(premium) / leg.quantity / 100 : null;
+      const params = {
+        type: leg.type,
+        spot,
+        strike: leg.strike,
+        years: OptionPricing.yearsToExpiry(entry, leg.expiry || trade.Expiry),
+        rate: options.rate,
+        symbol: trade.Symbol
+      };
+      const iv = price > 0 ? OptionPricing.impliedVolatility(params, price) : null;
+      if (iv === null) return { ...leg, price, iv: null, delta: null, gamma: null, theta: null, vega: null };
+
+      const { delta, gamma, theta, vega } = OptionPricing.price({ ...params, vol: iv });
+      return { ...leg, price, iv, delta, gamma, theta, vega };
+    });
+
+    const priced = legs.filter(leg => leg.type !== 'STOCK' && leg.iv !== null);
+    if (priced.length === 0) return null;
+
+    const total = greek => legs.reduce((sum, leg) => (leg[greek] === null
+      ? sum
+      : sum + leg.side * leg.quantity * (leg.type === 'STOCK' ? 1 : 100) * leg[greek]), 0);
+
+    const side = payoff.netPremium > 0 ? -1 : 1;
+    const candidates = priced.some(leg => leg.side === side) ? priced.filter(leg => leg.side === side) : priced;
+    const defining = candidates.reduce((best, leg) => (Math.abs(leg.delta) > Math.abs(best.delta) ? leg : best));
+
+    return {
+      legs,
+      delta: total('delta'),
+      gamma: total('gamma'),
+      theta: total('theta'),
+      vega: total('vega'),
+      entryDelta: defining.delta,
+      entryIV: defining.iv
+    };
+  }
+
+  /**
+   * Fill in entry delta and Greeks where an underlying price is known
+   * The price comes from priceAt(symbol, entryDate) when given, else the
+   * trade's UnderlyingPrice column, else its share legs. A Delta the export
+   * carried is kept; zero or blank counts as not carried. Results are cached
+   * by what they are computed from rather than by trade record, so a refresh
+   * or a re-enrichment (after a price or IV import) only prices trades whose
+   * legs or entry price changed.
+   * @param {Array} trades - Enriched trades
+   * @param {Function|null} [priceAt] - (symbol, date) => underlying price
+   * @returns {Array} - Trades, those that could be priced copied with Delta,
+   *   EntryIV, UnderlyingAtEntry and EntryGreeks (calculateEntryGreeks) set
+   */
+  backfillEntryGreeks(trades, priceAt = null) {
+    const previous = this._entryGreeksCache || new Map();
+    // Only what this call used is kept, so the cache follows the book
+    const cache = new Map();
+
+    const result = trades.map(trade => {
+      const spot = this._entrySpot(trade, priceAt);
+      if (!spot) return trade;
+
+      const key = this._entryGreeksKey(trade, spot);
+      const greeks = cache.has(key) ? cache.get(key)
+        : previous.has(key) ? previous.get(key)
+          : this.calculateEntryGreeks(trade, spot);
+      cache.set(key, greeks);
+      if (!greeks) return trade;
+
+      const provided = parseFloat(trade.Delta);
+      return {
+        ...trade,
+        Delta: provided ? provided : Math.round(greeks.entryDelta * 1000) / 1000,
+        EntryIV: greeks.entryIV,
+        UnderlyingAtEntry: spot,
+        EntryGreeks: greeks
+      };
+    });
+
+    this._entryGreeksCache = cache;
+    return result;
+  }
+
+  /**
+   * Everything calculateEntryGreeks reads from a trade, with the spot
+   * @private
+   */
+  _entryGreeksKey(trade, spot) {
+    const metadata = trade._metadata || {};
+    return JSON.stringify([
+      spot, trade.Symbol, trade.Strategy, trade.Entry, trade.Expiry, trade.Strike, trade.Width,
+      trade.Volume, trade.Credit, trade.Debit, trade.OpenCredit, metadata.strikes || null, metadata.legs || null
+    ]);
+  }
+
+  /**
+   * Daily bars of an underlying, from imported price history
+   * Weekly option roots (SPXW, RUTW) read their index's history.
+   * @param {Object} history - Map of symbol to bars (DataStore.getPriceHistory)
+   * @param {string} symbol - Underlying symbol
+   * @returns {Array} - Bars, oldest first; empty when none were imported
+   */
+  priceBars(history, symbol) {
+    const key = String(symbol || '').trim().toUpperCase();
+    if (history[key] && history[key].length > 0) return history[key];
+    if (/^[A-Z]{3,}W$/.test(key) && history[key.slice(0, -1)]) return history[key.slice(0, -1)];
+    return [];
+  }
+
+  /**
+   * Close of the trading day a date falls on, from imported price history
+   * Weekends and holidays read the last close before them, up to a few
+   * days back; a gap any longer than that means the history has a hole.
+   * @param {Object} history - Map of symbol to bars (DataStore.getPriceHistory)
+   * @param {number} [maxGapDays=4] - Calendar days to look back for a close
+   * @returns {Function} - (symbol, date) => close, or null when not covered
+   */
+  priceLookup(history, maxGapDays = 4) {
+    return (symbol, date) => {
+      const bar = this._barOn(this.priceBars(history, symbol), date);
+      if (!bar) return null;
+      return this._daysBetweenDates(this._parseDate(`${bar.date}T00:00:00`), this._parseDate(date)) <= maxGapDays
+        ? bar.close
+        : null;
+    };
+  }
+
+  /**
+   * Last bar on or before a date
+   * @param {Array} bars - Bars, oldest first
+   * @param {Date|string} date - Date
+   * @returns {Object|null} - Bar
+   * @private
+   */
+  _barOn(bars, date) {
+    const day = this._dayKey(date);
+    if (!day || bars.length === 0) return null;
+
+    let low = 0;
+    let high = bars.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (bars[mid].date <= day) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low > 0 ? bars[low - 1] : null;
+  }
+
+  /**
+   * A date as YYYY-MM-DD in local time
+   * @param {Date|string} value - Date
+   * @returns {string|null}
+   * @private
+   */
+  _dayKey(value) {
+    const date = this._parseDate(value);
+    if (!date) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * What the underlying did while a trade was held
+   * The hold runs from the entry date's bar to the exit date's, or to the
+   * latest bar for a position still open. Prices are daily closes; the
+   * high and low are the extremes of the days held, so a strike is counted
+   * breached if the underlying traded through it at any point of a day.
+   * Short strikes are those of the legs sold (see calculatePayoff); a put
+   * is breached when the low went below it, a call when the high went above.
+   * @param {Object} trade - Trade record
+   * @param {Array} bars - Bars of its underlying (priceBars), oldest first
+   * @returns {Object|null} - {from, to (first and last day held), days,
+   *   entryPrice, exitPrice, move, movePct, high, low, shortStrikes (array
+   *   of {type, strike}), breaches (array of {type, strike, date (first
+   *   day through it), extreme (the worst price beyond it)}), breached,
+   *   beyondAtExit (a short strike in the money at the last close), open,
+   *   complete (false when the history ends before the exit)}, or null when
+   *   the history does not cover the entry
+   */
+  calculatePriceContext(trade, bars) {
+    const entryDay = this._dayKey(trade.Entry);
+    const exitDay = trade.Exit ? this._dayKey(trade.Exit) : null;
+    const first = bars.length > 0 ? bars[0].date : null;
+    const last = bars.length > 0 ? bars[bars.length - 1].date : null;
+    if (!entryDay || !first || entryDay < first || entryDay > last) return null;
+
+    const held = bars.filter(bar => bar.date >= entryDay && (!exitDay || bar.date <= exitDay));
+    const entryBar = this._barOn(bars, entryDay);
+    const exitBar = held.length > 0 ? held[held.length - 1] : entryBar;
+    const days = held.length > 0 ? held : [entryBar];
+
+    const payoff = this._payoffLegs(trade);
+    const shortStrikes = payoff
+      ? payoff.legs
+        .filter(leg => leg.side < 0 && (leg.type === 'PUT' || leg.type === 'CALL'))
+        .map(leg => ({ type: leg.type, strike: leg.strike }))
+        .filter((leg, index, all) => all.findIndex(other => other.type === leg.type && other.strike === leg.strike) === index)
+      : [];
+
+    const breaches = shortStrikes.map(({ type, strike }) => {
+      const through = days.filter(bar => (type === 'PUT' ? bar.low < strike : bar.high > strike));
+      if (through.length === 0) return null;
+      const extreme = type === 'PUT'
+        ? Math.min(...through.map(bar => bar.low))
+        : Math.max(...through.map(bar => bar.high));
+      return { type, strike, date: through[0].date, extreme };
+    }).filter(Boolean);
+
+    const entryPrice = entryBar.close;
+    const exitPrice = exitBar.close;
+    const round = amount => Math.round(amount * 100) / 100;
+
+    return {
+      from: days[0].date,
+      to: exitBar.date,
+      days: days.length,
+      entryPrice,
+      exitPrice,
+      move: round(exitPrice - entryPrice),
+      movePct: round((exitPrice - entryPrice) / entryPrice * 100),
+      high: Math.max(...days.map(bar => bar.high)),
+      low: Math.min(...days.map(bar => bar.low)),
+      shortStrikes,
+      breaches,
+      breached: breaches.length > 0,
+      beyondAtExit: shortStrikes.some(({ type, strike }) => (type === 'PUT' ? exitPrice < strike : exitPrice > strike)),
+      open: !exitDay,
+      complete: !exitDay || last >= exitDay
+    };
+  }
+
+  /**
+   * Attach what the underlying did to every trade with price history
+   * @param {Array} trades - Trade records
+   * @param {Object} history - Map of symbol to bars (DataStore.getPriceHistory)
+   * @returns {Array} - Trades, those covered copied with PriceContext
+   *   (calculatePriceContext) set
+   */
+  attachPriceContext(trades, history) {
+    if (!history || Object.keys(history).length === 0) return trades;
+
+    return trades.map(trade => {
+      const bars = this.priceBars(history, trade.Symbol);
+      const context = bars.length > 0 ? this.calculatePriceContext(trade, bars) : null;
+      return context ? { ...trade, PriceContext: context } : trade;
+    });
+  }
+
+  /**
+   * The bars of a hold with a margin either side, for charting it
+   * @param {Array} bars - Bars of the underlying, oldest first
+   * @param {Object} context - From calculatePriceContext
+   * @param {number} [margin=10] - Trading days to show before and after
+   * @returns {Array} - Bars, oldest first
+   */
+  barsAround(bars, context, margin = 10) {
+    const start = bars.findIndex(bar => bar.date >= context.from);
+    const end = bars.findIndex(bar => bar.date > context.to);
+    return bars.slice(Math.max(0, start - margin), end === -1 ? bars.length : end + margin);
+  }
+
+  /**
+   * Use an implied volatility history for the IV at entry enrichTrade attaches
+   * Trades already enriched must be enriched again to pick it up.
+   * @param {Object} history - Map of symbol to readings (DataStore.getIVHistory)
+   */
+  setIVHistory(history) {
+    this.ivHistory = history || {};
+  }
+
+  /**
+   * The underlying's implied volatility on the day a trade opened, and where
+   * it stood in its range over the year before
+   * IV rank is where the day's IV falls between the year's low (0) and high
+   * (100); IV percentile is the share of the year's readings below it. Both
+   * need a few weeks of readings; the IV itself needs one within a few days
+   * of entry.
+   * @param {string} symbol - Underlying symbol
+   * @param {Date|null} entryDate - When the trade opened
+   * @param {number} [lookbackDays=365] - Calendar days the range covers
+   * @param {number} [minReadings=20] - Readings needed to rank against
+   * @returns {Object} - {IVAtEntry (fraction), IVRank, IVPercentile (0-100)},
+   *   each null when not known
+   * @private
+   */
+  _entryIVRank(symbol, entryDate, lookbackDays = 365, minReadings = 20) {
+    const unknown = { IVAtEntry: null, IVRank: null, IVPercentile: null };
+    const readings = this.ivHistory && entryDate ? this.priceBars(this.ivHistory, symbol) : [];
+    const today = this._barOn(readings, entryDate);
+    if (!today || this._daysBetweenDates(this._parseDate(`${today.date}T00:00:00`), entryDate) > 4) {
+      return unknown;
+    }
+
+    const start = new Date(entryDate.getFullYear(), entryDate.getMonth(), entryDate.getDate() - lookbackDays);
+    const year = readings.filter(reading => reading.date > this._dayKey(start) && reading.date <= today.date);
+    if (year.length < minReadings) return { ...unknown, IVAtEntry: today.iv };
+
+    const values = year.map(reading => reading.iv);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const round = value => Math.round(value * 10) / 10;
+    return {
+      IVAtEntry: today.iv,
+      IVRank: high > low ? round((today.iv - low) / (high - low) * 100) : null,
+      IVPercentile: round(values.filter(value => value < today.iv).length / values.length * 100)
+    };
+  }
+
+  /**
+   * Underlying price when a trade opened, from whichever source has it
+   * @param {Object} trade - Trade record
+   * @param {Function|null} priceAt - (symbol, date) => underlying price
+   * @returns {number|null}
+   * @private
+   */
+  _entrySpot(trade, priceAt) {
+    const entry = this._parseDate(trade.Entry);
+    const sources = [
+      () => (priceAt && entry ? priceAt(trade.Symbol, entry) : null),
+      () => parseFloat(trade.UnderlyingPrice),
+      () => this._underlyingPrices(trade).entry
+    ];
+    for (const source of sources) {
+      const price = Number(source());
+      if (Number.isFinite(price) && price > 0) return price;
+    }
+    return null;
+  }
+
+  /**
+   * Change in each summary figure from one period to another
+   * @param {Object} current - calculateSummaryMetrics for the period shown
+   * @param {Object} previous - calculateSummaryMetrics for the comparison period
+   * @returns {Object} - Differences, current less previous: totalTrades,
+   *   winRate (percentage points), realizedPL and averageWin, plus
+   *   realizedPLPct, the P/L change relative to the previous P/L (null when
+   *   that was zero)
+   */
+  calculateComparisonDeltas(current, previous) {
+    const headline = metrics => (metrics.realizedPL === null || metrics.realizedPL === undefined
+      ? metrics.totalPL
+      : metrics.realizedPL) || 0;
+    const plChange = headline(current) - headline(previous);
+
+    return {
+      totalTrades: current.totalTrades - previous.totalTrades,
+      winRate: current.winRate - previous.winRate,
+      realizedPL: plChange,
+      realizedPLPct: headline(previous) !== 0 ? (plChange / Math.abs(headline(previous))) * 100 : null,
+      averageWin: current.averageWin - previous.averageWin
+    };
+  }
+
+  /**
+   * Place a comparison period's monthly P/L on the months of the period shown
+   * Each month moves forward by the months between the two windows' starts,
+   * so month one of the previous period overlays month one of this one.
+   * @param {Array} monthly - calculateMonthlyPL for the comparison period
+   * @param {Object} fromWindow - The comparison window, { start, end }
+   * @param {Object} toWindow - The window shown, { start, end }
+   * @returns {Array} - The monthly entries with alignedMonth and alignedLabel
+   */
+  alignMonthlyPL(monthly, fromWindow, toWindow) {
+    const shift = (toWindow.start.getFullYear() - fromWindow.start.getFullYear()) * 12 +
+      (toWindow.start.getMonth() - fromWindow.start.getMonth());
+
+    return monthly.map(item => {
+      const [year, month] = item.month.split('-').map(Number);
+      const aligned = new Date(year, month - 1 + shift, 1);
+      const alignedMonth = `${aligned.getFullYear()}-${String(aligned.getMonth() + 1).padStart(2, '0')}`;
+      return { ...item, alignedMonth, alignedLabel: this._formatMonthLabel(alignedMonth) };
+    });
+  }
+
   /**
    * Calculate win/loss distribution
    * @param {Array} trades - Array of enriched trade records
@@ -518,9 +2357,27 @@ class AnalyticsEngine {
   }
 
   /**
-   * Calculate scatter plot data (Days Held vs P/L)
+   * Daily equity curve from realized P/L by exit date
+   * Equity is cumulative closed P/L; drawdown is how far it sits below the
+   * highest equity reached so far, zero or negative.
+   * @param {Array} trades - Array of enriched trade records
+   * @returns {Array} - Array of {date, pl, tradeCount, equity, peak, drawdown}
+   */
+  calculateEquityCurve(trades) {
+    let equity = 0;
+    let peak = 0;
+
+    return this.calculateDailyPL(trades).map(day => {
+      equity += day.pl;
+      peak = Math.max(peak, equity);
+      return { ...day, equity, peak, drawdown: equity - peak };
+    });
+  }
+
+  /**
+   * Calculate scatter plot data (Days Held, DTE at entry or IV rank vs P/L)
    * @param {Array} trades - Array of enriched trade records
-   * @returns {Array} - Array of {symbol, strategy, daysHeld, pl, type} objects
+   * @returns {Array} - Array of {symbol, strategy, daysHeld, daysToExpire, ivRank, pl, type} objects
    */
   calculateScatterData(trades) {
     return trades
@@ -530,6 +2387,7 @@ class AnalyticsEngine {
         strategy: trade.Strategy,
         daysHeld: trade.DaysHeld,
         daysToExpire: trade.DaysToExpireAtEntry,
+        ivRank: trade.IVRank,
         pl: trade.ProfitLoss,
         type: trade.Type
       }));
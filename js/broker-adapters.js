@@ -9,7 +9,7 @@ class BrokerAdapter {
    * Detect which broker format the CSV is using
    * @param {Array} headers - CSV header row
    * @param {Array} firstRow - First data row
-   * @returns {string} - Broker name: 'robinhood', 'tasty', 'generic'
+   * @returns {string} - Broker name: 'robinhood', 'schwab', 'ibkr', 'fidelity', 'etrade', 'tasty', 'generic'
    */
   static detectBroker(headers, firstRow) {
     const headerStr = headers.join(',').toLowerCase();    
@@ -20,7 +20,34 @@ class BrokerAdapter {
         headerStr.includes('instrument')) {
       return 'robinhood';
     }
-    
+
+    // Schwab detection (also covers accounts migrated from TD Ameritrade)
+    if (headerStr.includes('fees & comm') &&
+        headerStr.includes('action') &&
+        headerStr.includes('symbol')) {
+      return 'schwab';
+    }
+
+    // Interactive Brokers Flex Query, or the Activity Statement's sectioned layout
+    if (headerStr.includes('open/closeindicator') ||
+        headerStr.includes('ibcommission') ||
+        (headerStr.startsWith('statement,header') && headerStr.includes('field name'))) {
+      return 'ibkr';
+    }
+
+    // Fidelity Accounts History
+    if (headerStr.includes('run date') &&
+        headerStr.includes('action') &&
+        headerStr.includes('symbol')) {
+      return 'fidelity';
+    }
+
+    // E*TRADE Transaction History, older and current layouts
+    if ((headerStr.includes('transactiontype') && headerStr.includes('securitytype')) ||
+        (headerStr.includes('activity/trade date') && headerStr.includes('activity type'))) {
+      return 'etrade';
+    }
+
     // TastyTrade detection
     // Look for distinctive TastyTrade columns
     if (headerStr.includes('sub type') && 
@@ -46,6 +73,29 @@ class BrokerAdapter {
     return 'generic';
   }
 
+  /**
+   * Column reader that ignores case and punctuation in header names, so
+   * "Price ($)", "Price $" and "price" all answer to 'price'
+   * @param {Object} row - Raw CSV row
+   * @returns {Function} - (...names) => first non-empty value, trimmed, or ''
+   */
+  static fieldReader(row) {
+    const lookup = {};
+    Object.keys(row).forEach(key => {
+      lookup[key.toLowerCase().replace(/[^a-z0-9]/g, '')] = row[key];
+    });
+
+    return (...names) => {
+      for (const name of names) {
+        const value = lookup[name];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+          return String(value).trim();
+        }
+      }
+      return '';
+    };
+  }
+
   /**
    * Get appropriate adapter for broker
    * @param {string} broker - Broker name
@@ -57,6 +107,14 @@ class BrokerAdapter {
         return new RobinhoodAdapter();
       case 'tasty':
         return new TastyAdapter();
+      case 'schwab':
+        return new SchwabAdapter();
+      case 'ibkr':
+        return new IBKRAdapter();
+      case 'fidelity':
+        return new FidelityAdapter();
+      case 'etrade':
+        return new ETradeAdapter();
       default:
         return new GenericAdapter();
     }
@@ -88,11 +146,13 @@ class RobinhoodAdapter {
    * Parse Robinhood description to extract option details
    * Format: "SYMBOL MM/DD/YYYY Type $Strike"
    * Example: "QQQ 4/11/2025 Call $460.00"
+   * Expiration, assignment and exercise rows prefix the contract, e.g.
+   * "Option Expiration for QQQ 4/11/2025 Call $460.00"
    */
   parseDescription(description) {
     if (!description) return null;
     
-    const parts = description.trim().split(' ');
+    const parts = this._contractDescription(description).split(' ');
     if (parts.length < 4) return null;
     
     const symbol = parts[0];
@@ -106,6 +166,8 @@ class RobinhoodAdapter {
     // Parse strike (remove $ and commas)
     const strike = parseFloat(strikeStr.replace(/[$,]/g, ''));
     
+    if (!/^(call|put)$/i.test(type) || isNaN(strike)) return null;
+    
     return {
       symbol,
       expiry,
@@ -114,6 +176,14 @@ class RobinhoodAdapter {
     };
   }
 
+  /**
+   * The option contract a description refers to, without the
+   * "Option Expiration for " style prefix of settlement rows
+   */
+  _contractDescription(description) {
+    return String(description || '').trim().replace(/^Option\s+\w+\s+for\s+/i, '');
+  }
+
   /**
    * Parse Robinhood date format (M/D/YYYY)
    */
@@ -156,67 +226,66 @@ class RobinhoodAdapter {
    * Determine if a transaction is a closing trade
    */
   _isCloseTrade(transCode) {
-    return transCode === 'STC' || transCode === 'BTC' || transCode === 'OEXP';
+    return transCode === 'STC' || transCode === 'BTC' || this._isSettlement(transCode);
   }
 
   /**
-   * Infer strategy from a group of opening legs on the same date and instrument
+   * Determine if a transaction settles an option at expiration: it expired
+   * worthless (OEXP), was assigned (OASGN) or was exercised (OEXCS)
    */
-  _inferStrategy(legs) {
-    if (legs.length === 0) return 'Custom';
-    if (legs.length === 1) {
-      const leg = legs[0];
-      // Single leg strategies
-      if (leg.transCode === 'STO' && leg.type === 'Put') return 'Short Put';
-      if (leg.transCode === 'BTO' && leg.type === 'Call') return 'Long Call';
-      if (leg.transCode === 'BTO' && leg.type === 'Put') return 'Short Put'; // Buy Put is bearish
-      if (leg.transCode === 'STO' && leg.type === 'Call') return 'Short Call';
-      return 'Long Option';
-    }
-
-    // Multi-leg strategies
-    const puts = legs.filter(l => l.type === 'Put');
-    const calls = legs.filter(l => l.type === 'Call');
-    const sellPuts = puts.filter(l => l.transCode === 'STO');
-    const buyPuts = puts.filter(l => l.transCode === 'BTO');
-    const sellCalls = calls.filter(l => l.transCode === 'STO');
-    const buyCalls = calls.filter(l => l.transCode === 'BTO');
-
-    // Strangle: Sell Put AND Sell Call
-    if (sellPuts.length === 1 && sellCalls.length === 1 && legs.length === 2) {
-      return 'Strangle';
-    }
-
-    // Straddle: Buy Put AND Buy Call
-    if (buyPuts.length === 1 && buyCalls.length === 1 && legs.length === 2) {
-      return 'Straddle';
-    }
-
-    // Put Credit Spread: Sell Put AND Buy Put (same expiry)
-    if (sellPuts.length === 1 && buyPuts.length === 1 && legs.length === 2) {
-      const expiry1 = sellPuts[0].expiry;
-      const expiry2 = buyPuts[0].expiry;
-      if (expiry1 && expiry2 && expiry1.getTime() === expiry2.getTime()) {
-        return 'Put Credit Spread';
-      }
-    }
+  _isSettlement(transCode) {
+    return transCode === 'OEXP' || transCode === 'OASGN' || transCode === 'OEXCS';
+  }
 
-    // Call Credit Spread: Sell Call AND Buy Call (same expiry)
-    if (sellCalls.length === 1 && buyCalls.length === 1 && legs.length === 2) {
-      const expiry1 = sellCalls[0].expiry;
-      const expiry2 = buyCalls[0].expiry;
-      if (expiry1 && expiry2 && expiry1.getTime() === expiry2.getTime()) {
-        return 'Call Credit Spread';
-      }
-    }
+  /**
+   * Determine if a transaction is a share purchase or sale
+   */
+  _isShareTrade(transCode) {
+    return transCode === 'Buy' || transCode === 'Sell';
+  }
 
-    // Iron Condor: Sell Put, Buy Put, Sell Call, Buy Call
-    if (sellPuts.length === 1 && buyPuts.length === 1 && 
-        sellCalls.length === 1 && buyCalls.length === 1 && legs.length === 4) {
-      return 'Iron Condor';
-    }
+  /**
+   * One transaction row as kept on a trade, in the shape the TastyTrade
+   * mapper records. Amount is already net, so costs are not split out.
+   */
+  _legDetail(row) {
+    const date = this._parseDate(row['Activity Date']);
+    const sourceRow = parseInt(row['Source Row'], 10);
+    const isShares = this._isShareTrade(row['Trans Code']);
+    const details = isShares ? null : this.parseDescription(row['Description']);
+    const expiry = details && details.expiry;
+    const pad = n => String(n).padStart(2, '0');
+
+    return {
+      symbol: row['Instrument'] || '',
+      type: isShares ? 'STOCK' : (details ? String(details.type).toUpperCase() : null),
+      strike: details ? details.strike : null,
+      expiry: expiry ? `${expiry.getFullYear()}-${pad(expiry.getMonth() + 1)}-${pad(expiry.getDate())}` : null,
+      action: row['Trans Code'] || '',
+      quantity: Math.abs(parseFloat(row['Quantity']) || 0),
+      price: Math.abs(this._parseAmount(row['Price']) || 0),
+      // Local midnight, kept without a zone so it reads back as the same day
+      date: date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T00:00:00` : null,
+      value: this._parseAmount(row['Amount']) || 0,
+      commissions: 0,
+      fees: 0,
+      description: row['Description'] || '',
+      sourceRow: Number.isFinite(sourceRow) ? sourceRow : null
+    };
+  }
 
-    return 'Custom';
+  /**
+   * Infer strategy from a group of opening legs on the same date and instrument
+   * @returns {Object} - { strategy, confidence } from StrategyDetector.classifyLegs
+   */
+  _inferStrategy(legs) {
+    return StrategyDetector.classifyLegs(legs.map(leg => ({
+      type: String(leg.type || '').toUpperCase(),
+      side: leg.transCode === 'BTO' ? 'BUY' : 'SELL',
+      strike: leg.strike,
+      expiry: leg.expiry,
+      quantity: leg.quantity
+    })));
   }
 
   /**
@@ -233,8 +302,7 @@ class RobinhoodAdapter {
       'Interest Payment',
       'Gold Deposit Boost Payment',
       'Gold Plan Credit',
-      'Gold Subscription Fee',
-      'Option Expiration' // OEXP transactions
+      'Gold Subscription Fee'
     ];
     
     const tradingRows = rows.filter(row => {
@@ -251,12 +319,16 @@ class RobinhoodAdapter {
     });
     
     console.log(`Filtered ${rows.length} rows to ${tradingRows.length} trading rows`);
+
+    // Share purchases and sales become lots; everything else is an option
+    const shareRows = tradingRows.filter(row => this._isShareTrade(row['Trans Code']));
+    const optionRows = tradingRows.filter(row => !this._isShareTrade(row['Trans Code']));
     
     // Step 1: Parse all rows and separate opens from closes
     const openTrades = [];
     const closeTrades = [];
     
-    tradingRows.forEach(row => {
+    optionRows.forEach(row => {
       const transCode = row['Trans Code'];
       const details = this.parseDescription(row['Description']);
       if (!details) return;
@@ -291,22 +363,23 @@ class RobinhoodAdapter {
     });
     
     // Step 3: Infer strategy for each group of open trades
-    const strategyMap = new Map(); // Maps description -> strategy
+    const strategyMap = new Map(); // Maps description -> { strategy, confidence }
     
     openTradeGroups.forEach((legs, groupKey) => {
-      const strategy = this._inferStrategy(legs);
+      const classification = this._inferStrategy(legs);
       
       // Assign this strategy to all legs in the group
       legs.forEach(leg => {
-        strategyMap.set(leg.Description, strategy);
+        strategyMap.set(leg.Description, classification);
       });
     });
     
     // Step 4: Build trades from individual legs
-    // Group by Description to aggregate all transactions for each option
+    // Group by contract to aggregate all transactions for each option,
+    // including the row that expired, assigned or exercised it
     const byDescription = new Map();
-    tradingRows.forEach(row => {
-      const desc = row['Description'];
+    optionRows.forEach(row => {
+      const desc = this._contractDescription(row['Description']);
       if (!byDescription.has(desc)) {
         byDescription.set(desc, []);
       }
@@ -352,6 +425,12 @@ class RobinhoodAdapter {
         }
       });
       
+      // Options opened before the export window that then expired carry no
+      // money in it, and are not positions
+      if (!hasOpen && transRows.every(row => this._isSettlement(row['Trans Code']))) {
+        return;
+      }
+
       // Determine if position is closed or open
       const isClosed = hasOpen && hasClose;
       
@@ -366,13 +445,16 @@ class RobinhoodAdapter {
       }
       
       // Get strategy from strategyMap (inferred from open trades)
-      let strategy = strategyMap.get(description) || 'Custom';
+      const classification = strategyMap.get(description) || { strategy: 'Custom', confidence: 0 };
+      const strategy = classification.strategy;
       
       // Get average quantity
       const totalQty = transRows.reduce((sum, row) => {
         return sum + Math.abs(parseInt(row['Quantity']) || 1);
       }, 0);
       const avgQty = Math.floor(totalQty / transRows.length);
+
+      const legs = transRows.map(row => this._legDetail(row));
       
       const trade = {
         Symbol: details.symbol,
@@ -386,13 +468,168 @@ class RobinhoodAdapter {
         Exit: isClosed ? latestDate : null,
         Debit: debit,
         Credit: credit,
-        Account: 'Robinhood'
+        Account: 'Robinhood',
+        _metadata: {
+          contract: description,
+          strategyConfidence: classification.confidence,
+          legs: legs,
+          sourceRows: [...new Set(legs.map(leg => leg.sourceRow).filter(row => row !== null))]
+            .sort((a, b) => a - b)
+        }
       };
       
       trades.push(trade);
     });
-    
-    return trades;
+
+    // Step 5: Share lots, linked to the assignment or exercise behind them
+    return trades.concat(this._buildShareLots(shareRows, optionRows, trades));
+  }
+
+  /**
+   * Match share rows into lots, first in first out, per symbol
+   *
+   * Assignment and exercise book the shares as an ordinary Buy or Sell on the
+   * settlement date at the strike. Each such row is linked to its contract:
+   * the option trade records what it settled into under
+   * `_metadata.settlement`, and the lot the shares opened or closed lists the
+   * contract under `_metadata.linkedOptions`. A sale with no lot to close is
+   * a short position when an assigned call caused it, and otherwise shares
+   * bought before the export began, whose basis is unknown.
+   *
+   * @param {Array} shareRows - Buy and Sell rows
+   * @param {Array} optionRows - Option rows, including OASGN and OEXCS
+   * @param {Array} optionTrades - Option trades built from optionRows
+   * @returns {Array} - Long Stock and Short Stock trades
+   */
+  _buildShareLots(shareRows, optionRows, optionTrades) {
+    const tradeByContract = new Map(optionTrades.map(trade => [trade._metadata.contract, trade]));
+    const settlements = optionRows.filter(row => row['Trans Code'] === 'OASGN' || row['Trans Code'] === 'OEXCS');
+    const used = new Set();
+
+    // The assignment or exercise on the same day and underlying, at the strike
+    const settlementFor = row => {
+      const sameDay = settlements.filter(option => !used.has(option) &&
+        option['Instrument'] === row['Instrument'] &&
+        option['Activity Date'] === row['Activity Date']);
+      const price = Math.abs(this._parseAmount(row['Price']));
+      const atStrike = sameDay.find(option => {
+        const details = this.parseDescription(option['Description']);
+        return details && Math.abs(details.strike - price) < 0.005;
+      });
+      const match = atStrike || sameDay[0] || null;
+      if (match) used.add(match);
+      return match;
+    };
+
+    // Exports list the newest rows first; reversing keeps same-day rows in order
+    const chronological = shareRows
+      .slice()
+      .reverse()
+      .map(row => ({ row, date: this._parseDate(row['Activity Date']) }))
+      .sort((a, b) => (a.date ? a.date.getTime() : 0) - (b.date ? b.date.getTime() : 0));
+
+    const openLots = new Map();
+    const lots = [];
+
+    const newLot = (symbol, isLong, quantity, entry) => {
+      const lot = {
+        symbol, isLong, quantity, remaining: quantity, entry, exit: null,
+        credit: 0, debit: 0, legs: [], linkedOptions: [], incompleteBasis: false
+      };
+      lots.push(lot);
+      return lot;
+    };
+
+    const applyRow = (lot, row, quantity, totalQuantity, settlement) => {
+      const value = this._parseAmount(row['Amount']) * (quantity / totalQuantity);
+      lot.legs.push({ ...this._legDetail(row), quantity, value: Math.round(value * 100) / 100 });
+      if (value > 0) {
+        lot.credit += value;
+      } else {
+        lot.debit += Math.abs(value);
+      }
+      if (settlement) {
+        lot.linkedOptions.push({
+          contract: this._contractDescription(settlement['Description']),
+          action: settlement['Trans Code']
+        });
+      }
+    };
+
+    chronological.forEach(({ row, date }) => {
+      const symbol = row['Instrument'];
+      const quantity = Math.abs(parseFloat(row['Quantity']) || 0);
+      if (!quantity) return;
+
+      const isBuy = row['Trans Code'] === 'Buy';
+      const settlement = settlementFor(row);
+      if (settlement) {
+        const option = tradeByContract.get(this._contractDescription(settlement['Description']));
+        if (option) {
+          option._metadata.settlement = {
+            action: settlement['Trans Code'],
+            side: isBuy ? 'BUY' : 'SELL',
+            shares: quantity,
+            price: Math.abs(this._parseAmount(row['Price']))
+          };
+        }
+      }
+
+      if (!openLots.has(symbol)) openLots.set(symbol, []);
+      const queue = openLots.get(symbol);
+
+      // A buy covers short lots and a sale closes long ones
+      let unmatched = quantity;
+      while (unmatched > 0 && queue.length > 0 && queue[0].isLong !== isBuy) {
+        const lot = queue[0];
+        const taken = Math.min(unmatched, lot.remaining);
+        applyRow(lot, row, taken, quantity, settlement);
+        lot.remaining -= taken;
+        lot.exit = date;
+        unmatched -= taken;
+        if (lot.remaining <= 0) queue.shift();
+      }
+      if (unmatched <= 0) return;
+
+      const assignedCall = settlement && /call/i.test(settlement['Description']);
+      if (isBuy || assignedCall) {
+        const lot = newLot(symbol, isBuy, unmatched, date);
+        applyRow(lot, row, unmatched, quantity, settlement);
+        queue.push(lot);
+        return;
+      }
+
+      // Shares acquired before this export window began
+      const lot = newLot(symbol, true, unmatched, null);
+      lot.remaining = 0;
+      lot.exit = date;
+      lot.incompleteBasis = true;
+      applyRow(lot, row, unmatched, quantity, settlement);
+    });
+
+    return lots.map(lot => ({
+      Symbol: lot.symbol,
+      Type: 'Stock',
+      Strategy: lot.isLong ? 'Long Stock' : 'Short Stock',
+      Strike: 0,
+      Expiry: null,
+      Volume: lot.quantity,
+      Entry: lot.entry,
+      Delta: 0,
+      Exit: lot.remaining <= 0 ? lot.exit : null,
+      Debit: Math.round(lot.debit * 100) / 100,
+      Credit: Math.round(lot.credit * 100) / 100,
+      Account: 'Robinhood',
+      _metadata: {
+        instrument: 'Equity',
+        strategyConfidence: 1,
+        incompleteBasis: lot.incompleteBasis,
+        linkedOptions: lot.linkedOptions,
+        legs: lot.legs,
+        sourceRows: [...new Set(lot.legs.map(leg => leg.sourceRow).filter(row => row !== null))]
+          .sort((a, b) => a - b)
+      }
+    }));
   }
 
   /**
@@ -456,9 +693,761 @@ class TastyAdapter {
   }
 }
 
+/**
+ * Schwab Adapter
+ * Converts Schwab transaction history CSV to internal trade format
+ * Layout: Date, Action, Symbol, Description, Quantity, Price, Fees & Comm, Amount
+ *
+ * Rather than reimplementing lot matching, each row is rewritten into the
+ * TastyTrade ledger shape and handed to the same strategy inference, so
+ * expirations, assignments and the resulting share lots behave identically.
+ * Accounts migrated from TD Ameritrade export through Schwab in this layout,
+ * sometimes with OCC or thinkorswim-style option symbols, and all three symbol
+ * forms are accepted.
+ *
+ * Fidelity and E*TRADE carry the same information with different wording and
+ * extend this adapter by translating their rows into Schwab's.
+ */
+class SchwabAdapter {
+  constructor() {
+    this.accountName = 'Schwab';
+    // Prefix for the synthetic order numbers that group same-day legs
+    this.orderPrefix = 'schwab';
+  }
+
+  /**
+   * Parse an option symbol in any of the forms Schwab exports carry
+   * Schwab:      "SPY 03/15/2024 500.00 P"
+   * OCC:         "SPY   240315P00500000"
+   * thinkorswim: ".SPY240315P500" or "SPY_031524P500"
+   * @param {string} symbol - Symbol column value
+   * @returns {Object|null} - { root, expiry, type, strike }, or null for non-options
+   */
+  parseOptionSymbol(symbol) {
+    const text = String(symbol || '').trim().toUpperCase();
+    let match;
+
+    match = text.match(/^([A-Z0-9.]+)\s+(\d{2})\/(\d{2})\/(\d{4})\s+([\d.]+)\s+([CP])$/);
+    if (match) {
+      return this._optionParts(match[1], match[4], match[2], match[3], match[6], parseFloat(match[5]));
+    }
+
+    match = text.match(/^([A-Z0-9.]+?)\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/);
+    if (match) {
+      return this._optionParts(match[1], `20${match[2]}`, match[3], match[4], match[5], parseInt(match[6], 10) / 1000);
+    }
+
+    match = text.match(/^\.([A-Z0-9]+?)(\d{2})(\d{2})(\d{2})([CP])([\d.]+)$/);
+    if (match) {
+      return this._optionParts(match[1], `20${match[2]}`, match[3], match[4], match[5], parseFloat(match[6]));
+    }
+
+    match = text.match(/^([A-Z0-9]+)_(\d{2})(\d{2})(\d{2})([CP])([\d.]+)$/);
+    if (match) {
+      return this._optionParts(match[1], `20${match[4]}`, match[2], match[3], match[5], parseFloat(match[6]));
+    }
+
+    return null;
+  }
+
+  _optionParts(root, year, month, day, typeChar, strike) {
+    if (!Number.isFinite(strike) || strike <= 0) return null;
+    return {
+      root,
+      expiry: new Date(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10)),
+      type: typeChar === 'P' ? 'PUT' : 'CALL',
+      strike
+    };
+  }
+
+  /**
+   * Underlying for an option root
+   * Index weeklies trade under their own roots; grouping SPXW with SPX keeps
+   * one underlying per index in every per-symbol view.
+   */
+  _underlyingFor(root) {
+    const weeklyRoots = { SPXW: 'SPX', NDXP: 'NDX', RUTW: 'RUT', VIXW: 'VIX', XSPW: 'XSP' };
+    return weeklyRoots[root] || root;
+  }
+
+  /**
+   * OCC symbol for an option, the form the strategy inference reads strikes from
+   */
+  _toOCC(option) {
+    const yy = String(option.expiry.getFullYear()).slice(-2);
+    const mm = String(option.expiry.getMonth() + 1).padStart(2, '0');
+    const dd = String(option.expiry.getDate()).padStart(2, '0');
+    const strike = String(Math.round(option.strike * 1000)).padStart(8, '0');
+    return `${option.root.padEnd(6)}${yy}${mm}${dd}${option.type[0]}${strike}`;
+  }
+
+  /**
+   * Trade date of a row
+   * Schwab appends "as of" for back-dated entries ("03/15/2024 as of 03/14/2024");
+   * the first date is when the transaction posted, the second when it took
+   * effect, and the effective date is the one kept so holding periods and DTE
+   * match the trade.
+   */
+  _parseDate(value) {
+    const text = String(value || '');
+    const match = text.match(/as\s+of\s+(\d{1,2})\/(\d{1,2})\/(\d{4})/i) ||
+      text.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (!match) return null;
+    return new Date(parseInt(match[3], 10), parseInt(match[1], 10) - 1, parseInt(match[2], 10));
+  }
+
+  /**
+   * Parse a money column ("$1,234.56", "-$125.66", "($125.66)", "")
+   */
+  _parseAmount(value) {
+    if (value === null || value === undefined) return 0;
+    let cleaned = String(value).replace(/[$,\s]/g, '');
+    if (cleaned === '') return 0;
+
+    if (cleaned.includes('(') || cleaned.includes(')')) {
+      cleaned = '-' + cleaned.replace(/[()]/g, '');
+    }
+
+    const parsed = parseFloat(cleaned);
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  _formatDate(date) {
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return `${mm}/${dd}/${date.getFullYear()}`;
+  }
+
+  /**
+   * Rewrite Schwab rows into the TastyTrade ledger shape
+   *
+   * Schwab has no order number, so opening legs on the same date and
+   * underlying are treated as one order, the same grouping Robinhood gets.
+   * Expirations, assignments and exercises become Receive Deliver rows with no
+   * action, which the inference resolves against the open position. Share buys
+   * and sells carry no open/close marker either; it is inferred from the
+   * running share position.
+   * @param {Array} rows - Raw Schwab CSV rows
+   * @returns {Array} - Rows in TastyTrade ledger shape
+   */
+  normalizeRows(rows) {
+    const dated = rows
+      .map(row => ({ row, date: this._parseDate(row['Date']) }))
+      .filter(entry => entry.date && String(entry.row['Action'] || '').trim() !== '');
+
+    // Exports are newest first; lot matching needs the ledger in order. Rows on
+    // the same date keep their relative order, so reverse rather than sort.
+    if (dated.length > 1 && dated[0].date > dated[dated.length - 1].date) {
+      dated.reverse();
+    }
+
+    const optionActions = {
+      'sell to open': { type: 'Trade', action: 'SELL_TO_OPEN' },
+      'buy to open': { type: 'Trade', action: 'BUY_TO_OPEN' },
+      'buy to close': { type: 'Trade', action: 'BUY_TO_CLOSE' },
+      'sell to close': { type: 'Trade', action: 'SELL_TO_CLOSE' },
+      'expired': { type: 'Receive Deliver', action: '' },
+      'assigned': { type: 'Receive Deliver', action: '' },
+      'exchange or exercise': { type: 'Receive Deliver', action: '' }
+    };
+
+    const sharesHeld = new Map();
+    const normalized = [];
+
+    dated.forEach(({ row, date }) => {
+      const actionText = String(row['Action'] || '').trim().toLowerCase();
+      const symbol = String(row['Symbol'] || '').trim();
+      const quantity = Math.abs(this._parseAmount(row['Quantity']));
+      const amount = this._parseAmount(row['Amount']);
+      const costs = Math.abs(this._parseAmount(row['Fees & Comm']));
+      const option = this.parseOptionSymbol(symbol);
+
+      const base = {
+        Date: this._formatDate(date),
+        Type: 'Trade',
+        'Sub Type': row['Action'],
+        Action: '',
+        Symbol: symbol,
+        'Instrument Type': 'Equity',
+        Description: row['Description'] || '',
+        // Amount is net of fees; the ledger shape carries gross value and costs
+        // separately, with costs negative
+        Value: (amount === 0 ? 0 : amount + costs).toFixed(2),
+        Quantity: String(quantity),
+        Commissions: (-costs).toFixed(2),
+        Fees: '0.00',
+        'Underlying Symbol': symbol,
+        'Expiration Date': '',
+        'Strike Price': '',
+        'Call or Put': '',
+        'Order #': '',
+        Total: amount.toFixed(2),
+        'Source Row': row['Source Row'] || ''
+      };
+
+      if (option) {
+        const mapped = optionActions[actionText];
+        if (!mapped || !quantity) return;
+
+        const underlying = this._underlyingFor(option.root);
+        normalized.push({
+          ...base,
+          Type: mapped.type,
+          Action: mapped.action,
+          Symbol: this._toOCC(option),
+          'Instrument Type': 'Equity Option',
+          'Underlying Symbol': underlying,
+          'Expiration Date': this._formatDate(option.expiry),
+          'Strike Price': String(option.strike),
+          'Call or Put': option.type,
+          'Order #': mapped.action.endsWith('_TO_OPEN')
+            ? `${this.orderPrefix}:${base.Date}:${underlying}`
+            : ''
+        });
+        return;
+      }
+
+      if ((actionText === 'buy' || actionText === 'sell') && symbol && quantity) {
+        const held = sharesHeld.get(symbol) || 0;
+        let action;
+        if (actionText === 'buy') {
+          action = held < 0 ? 'BUY_TO_CLOSE' : 'BUY_TO_OPEN';
+          sharesHeld.set(symbol, held + quantity);
+        } else {
+          action = held > 0 ? 'SELL_TO_CLOSE' : 'SELL_TO_OPEN';
+          sharesHeld.set(symbol, held - quantity);
+        }
+        normalized.push({ ...base, Action: action });
+      }
+
+      // Transfers, interest, dividends and journal entries carry no position
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Convert Schwab CSV to internal format
+   */
+  convert(rows) {
+    if (typeof TastyStrategyMapper === 'undefined' || !TastyStrategyMapper.convertTastyWithStrategyInference) {
+      console.error('TastyStrategyMapper not loaded. Please ensure tasty-strategy-mapper.js is included before broker-adapters.js');
+      return [];
+    }
+
+    const normalized = this.normalizeRows(rows);
+    console.log(`${this.accountName}: ${rows.length} rows, ${normalized.length} position rows`);
+    if (normalized.length === 0) return [];
+
+    return TastyStrategyMapper.convertTastyWithStrategyInference(normalized)
+      .map(trade => ({ ...trade, Account: this.accountName }));
+  }
+}
+
+/**
+ * Interactive Brokers Adapter
+ * Converts IBKR trade reports to internal trade format. Three deliveries of the
+ * same data are accepted:
+ *   - Flex Query CSV (one header row; Open/CloseIndicator, IBCommission, ...)
+ *   - Flex Query XML (<Trade .../> elements with camelCase attributes)
+ *   - Activity Statement CSV (sectioned; only the Trades section is read)
+ *
+ * Like Schwab, rows are rewritten into the TastyTrade ledger shape so combos,
+ * expirations and assignments go through the same strategy inference. Column
+ * names are matched case- and punctuation-insensitively, which lets one reader
+ * serve "Open/CloseIndicator" and openCloseIndicator alike.
+ */
+class IBKRAdapter {
+  /**
+   * Whether text is a Flex Query XML document rather than CSV
+   * @param {string} text - Raw file contents
+   * @returns {boolean}
+   */
+  static isFlexXML(text) {
+    const head = String(text || '').trimStart().slice(0, 500);
+    return head.startsWith('<') && /<FlexQueryResponse|<FlexStatement/i.test(head);
+  }
+
+  /**
+   * Read every <Trade> element of a Flex Query XML document into a row object
+   * Flex XML is attribute-only, so a tag scan is enough and works without a DOM.
+   * @param {string} text - XML document
+   * @returns {Array} - One object per trade, keyed by attribute name
+   */
+  static parseFlexXML(text) {
+    const decode = value => value
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+
+    const rows = [];
+    const tagPattern = /<Trade\s([^>]*?)\/?>/g;
+    let tag;
+
+    while ((tag = tagPattern.exec(text)) !== null) {
+      const row = {};
+      const attributePattern = /([\w/.-]+)="([^"]*)"/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(tag[1])) !== null) {
+        row[attribute[1]] = decode(attribute[2]);
+      }
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Rows for a sectioned Activity Statement, or null for any other layout
+   * Every line leads with its section name and a Header/Data marker, and a
+   * section may restate its header when the asset class changes.
+   * @param {Array} lines - Raw CSV lines
+   * @param {Function} parseLine - CSV line splitter
+   * @param {number} firstLine - File line number of lines[0]
+   * @returns {Array|null} - Trades section rows keyed by that section's header
+   */
+  extractRows(lines, parseLine, firstLine = 1) {
+    if (!lines.length || !/^"?Statement"?,"?Header"?/.test(lines[0].trim())) return null;
+
+    const rows = [];
+    let header = null;
+
+    lines.forEach((line, lineIndex) => {
+      if (!line.trim()) return;
+      const fields = parseLine(line.trim());
+      if (fields[0] !== 'Trades') return;
+
+      if (fields[1] === 'Header') {
+        header = fields.slice(2);
+        return;
+      }
+
+      if (fields[1] === 'Data' && header) {
+        const row = {};
+        header.forEach((name, index) => {
+          row[name] = fields[index + 2] || '';
+        });
+        row['Source Row'] = String(firstLine + lineIndex);
+        rows.push(row);
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Parse IBKR date/time forms: "20240301;093512", "20240301 093512",
+   * "2024-03-01, 09:35:12", "2024-03-01" and "03/01/2024"
+   */
+  _parseDateTime(value) {
+    const text = String(value || '').trim();
+    const match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[;,\sT]+(\d{2}):?(\d{2}):?(\d{2})?)?/);
+    if (match) {
+      return new Date(
+        parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+        parseInt(match[4] || '0', 10), parseInt(match[5] || '0', 10), parseInt(match[6] || '0', 10)
+      );
+    }
+
+    const fallback = new Date(text);
+    return isNaN(fallback.getTime()) ? null : fallback;
+  }
+
+  _parseNumber(value) {
+    const parsed = parseFloat(String(value === undefined || value === null ? '' : value).replace(/[$,\s]/g, ''));
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  _formatDateTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+      + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * Option details from a symbol when the row lacks the explicit columns
+   * OCC ("SPY   240315P00500000") or Activity Statement ("SPY 15MAR24 500 P")
+   */
+  _parseOptionSymbol(symbol) {
+    const text = String(symbol || '').trim().toUpperCase();
+    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+    let match = text.match(/^([A-Z0-9.]+?)\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/);
+    if (match) {
+      return {
+        root: match[1],
+        expiry: new Date(2000 + parseInt(match[2], 10), parseInt(match[3], 10) - 1, parseInt(match[4], 10)),
+        putCall: match[5],
+        strike: parseInt(match[6], 10) / 1000
+      };
+    }
+
+    match = text.match(/^(\S+)\s+(\d{2})([A-Z]{3})(\d{2})\s+([\d.]+)\s+([CP])$/);
+    if (match && months.indexOf(match[3]) !== -1) {
+      return {
+        root: match[1],
+        expiry: new Date(2000 + parseInt(match[4], 10), months.indexOf(match[3]), parseInt(match[2], 10)),
+        putCall: match[6],
+        strike: parseFloat(match[5])
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read one report row into canonical fields, or null when it is not a fill
+   * @param {Object} row - Raw row from any of the three layouts
+   * @returns {Object|null}
+   */
+  _canonical(row) {
+    const get = BrokerAdapter.fieldReader(row);
+
+    const assetClass = get('assetclass', 'assetcategory');
+    const isOption = /^(OPT|FOP)$/i.test(assetClass) || /option/i.test(assetClass);
+    const isStock = /^STK$/i.test(assetClass) || /^stocks?$/i.test(assetClass);
+    if (!isOption && !isStock) return null;
+
+    const discriminator = get('datadiscriminator');
+    if (discriminator && discriminator !== 'Order' && discriminator !== 'Trade') return null;
+
+    const date = this._parseDateTime(get('datetime', 'tradedate', 'date'));
+    const quantity = this._parseNumber(get('quantity'));
+    if (!date || !quantity) return null;
+
+    const buySell = get('buysell').toUpperCase();
+    const isBuy = buySell ? buySell.startsWith('BUY') : quantity > 0;
+    const multiplier = this._parseNumber(get('multiplier')) || (isOption ? 100 : 1);
+    const price = this._parseNumber(get('tradeprice', 'tprice', 'price'));
+    const proceedsText = get('proceeds');
+    const proceeds = proceedsText
+      ? this._parseNumber(proceedsText)
+      : (isBuy ? -1 : 1) * Math.abs(quantity) * price * multiplier;
+
+    const codes = get('notescodes', 'code', 'notes').split(/[;,\s]+/).filter(Boolean);
+    const indicator = get('opencloseindicator').toUpperCase();
+    let openClose = indicator ? indicator[0] : '';
+    if (!openClose) {
+      if (codes.indexOf('O') !== -1) openClose = 'O';
+      else if (codes.indexOf('C') !== -1) openClose = 'C';
+    }
+
+    const canonical = {
+      date,
+      discriminator,
+      isOption,
+      symbol: get('symbol'),
+      quantity: Math.abs(quantity),
+      isBuy,
+      proceeds,
+      commission: this._parseNumber(get('ibcommission', 'commfee', 'commission')),
+      openClose,
+      // Expired, assigned and exercised contracts are booked as zero-price fills
+      removal: codes.some(code => code === 'Ep' || code === 'A' || code === 'Ex'),
+      orderId: get('iborderid', 'orderid'),
+      description: get('description'),
+      sourceRow: row['Source Row'] || ''
+    };
+
+    if (isOption) {
+      const parsed = this._parseOptionSymbol(canonical.symbol);
+      const expiry = get('expiry') ? this._parseDateTime(get('expiry')) : (parsed && parsed.expiry);
+      const putCall = (get('putcall') || (parsed && parsed.putCall) || '').toUpperCase();
+      const strike = this._parseNumber(get('strike')) || (parsed && parsed.strike) || 0;
+      const underlying = get('underlyingsymbol', 'underlying') || (parsed && parsed.root) || '';
+
+      if (!expiry || !strike || !underlying || (putCall[0] !== 'P' && putCall[0] !== 'C')) return null;
+
+      canonical.underlying = underlying;
+      canonical.expiry = expiry;
+      canonical.putCall = putCall[0] === 'P' ? 'PUT' : 'CALL';
+      canonical.strike = strike;
+    }
+
+    return canonical;
+  }
+
+  /**
+   * Rewrite IBKR fills into the TastyTrade ledger shape
+   *
+   * Combo legs share an IBOrderID, which becomes the order number the
+   * inference groups on. Activity Statements carry no order id; legs filled at
+   * the same moment on the same underlying are grouped instead. Where a report
+   * omits the open/close indicator it is inferred from the running position.
+   * @param {Array} rows - Raw rows from any of the three layouts
+   * @returns {Array} - Rows in TastyTrade ledger shape
+   */
+  normalizeRows(rows) {
+    let fills = rows.map(row => this._canonical(row)).filter(Boolean);
+
+    // Activity Statements can list an order and its executions; keep one level
+    if (fills.some(fill => fill.discriminator === 'Order')) {
+      fills = fills.filter(fill => fill.discriminator !== 'Trade');
+    }
+
+    fills.sort((a, b) => a.date - b.date);
+
+    const position = new Map();
+    const normalized = [];
+
+    fills.forEach(fill => {
+      const contract = fill.isOption
+        ? `${fill.underlying}|${fill.expiry.getTime()}|${fill.putCall}|${fill.strike}`
+        : fill.symbol;
+      const held = position.get(contract) || 0;
+
+      let opening;
+      if (fill.openClose === 'O') {
+        opening = true;
+      } else if (fill.openClose === 'C') {
+        opening = false;
+      } else {
+        opening = fill.isBuy ? held >= 0 : held <= 0;
+      }
+      position.set(contract, held + (fill.isBuy ? fill.quantity : -fill.quantity));
+
+      const action = `${fill.isBuy ? 'BUY' : 'SELL'}_TO_${opening ? 'OPEN' : 'CLOSE'}`;
+      const date = this._formatDateTime(fill.date);
+
+      const base = {
+        Date: date,
+        Type: 'Trade',
+        'Sub Type': '',
+        Action: action,
+        Symbol: fill.symbol,
+        'Instrument Type': 'Equity',
+        Description: fill.description,
+        Value: fill.proceeds.toFixed(2),
+        Quantity: String(fill.quantity),
+        Commissions: (-Math.abs(fill.commission)).toFixed(2),
+        Fees: '0.00',
+        'Underlying Symbol': fill.symbol,
+        'Expiration Date': '',
+        'Strike Price': '',
+        'Call or Put': '',
+        'Order #': '',
+        Total: (fill.proceeds - Math.abs(fill.commission)).toFixed(2),
+        'Source Row': fill.sourceRow
+      };
+
+      if (!fill.isOption) {
+        normalized.push(base);
+        return;
+      }
+
+      const yy = String(fill.expiry.getFullYear()).slice(-2);
+      const mm = String(fill.expiry.getMonth() + 1).padStart(2, '0');
+      const dd = String(fill.expiry.getDate()).padStart(2, '0');
+      const occ = `${fill.underlying.padEnd(6)}${yy}${mm}${dd}${fill.putCall[0]}`
+        + String(Math.round(fill.strike * 1000)).padStart(8, '0');
+
+      normalized.push({
+        ...base,
+        Type: fill.removal && !opening ? 'Receive Deliver' : 'Trade',
+        Symbol: occ,
+        'Instrument Type': 'Equity Option',
+        'Underlying Symbol': fill.underlying,
+        'Expiration Date': `${mm}/${dd}/${fill.expiry.getFullYear()}`,
+        'Strike Price': String(fill.strike),
+        'Call or Put': fill.putCall,
+        'Order #': opening ? (fill.orderId || `ibkr:${date}:${fill.underlying}`) : ''
+      });
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Convert IBKR rows to internal format
+   */
+  convert(rows) {
+    if (typeof TastyStrategyMapper === 'undefined' || !TastyStrategyMapper.convertTastyWithStrategyInference) {
+      console.error('TastyStrategyMapper not loaded. Please ensure tasty-strategy-mapper.js is included before broker-adapters.js');
+      return [];
+    }
+
+    const normalized = this.normalizeRows(rows);
+    console.log(`IBKR: ${rows.length} rows, ${normalized.length} fills`);
+    if (normalized.length === 0) return [];
+
+    return TastyStrategyMapper.convertTastyWithStrategyInference(normalized)
+      .map(trade => ({ ...trade, Account: 'IBKR' }));
+  }
+}
+
+/**
+ * Fidelity Adapter
+ * Converts Fidelity "Accounts History" CSV to internal trade format
+ * Layout: Run Date, Action, Symbol, Description, Type, Quantity, Price ($),
+ * Commission ($), Fees ($), Accrued Interest ($), Amount ($), Settlement Date
+ *
+ * Actions are sentences ("YOU SOLD OPENING TRANSACTION PUT (SPY) ...") and
+ * option symbols look like "-SPY240315P495". Rows are translated into Schwab's
+ * wording and converted by SchwabAdapter.
+ */
+class FidelityAdapter extends SchwabAdapter {
+  constructor() {
+    super();
+    this.accountName = 'Fidelity';
+    this.orderPrefix = 'fidelity';
+  }
+
+  /**
+   * Schwab action for a Fidelity action sentence, or null for cash movements
+   */
+  _schwabAction(actionText) {
+    const text = actionText.toUpperCase();
+    const sold = text.startsWith('YOU SOLD');
+    const bought = text.startsWith('YOU BOUGHT');
+
+    if (text.includes('OPENING TRANSACTION') && (sold || bought)) {
+      return sold ? 'Sell to Open' : 'Buy to Open';
+    }
+    if (text.includes('CLOSING TRANSACTION') && (sold || bought)) {
+      return sold ? 'Sell to Close' : 'Buy to Close';
+    }
+    if (text.startsWith('EXPIRED')) return 'Expired';
+    if (text.startsWith('ASSIGNED')) return 'Assigned';
+    if (text.startsWith('EXERCISED')) return 'Exchange or Exercise';
+    // Share fills, including those delivered by assignment ("YOU BOUGHT ASSIGNED PUTS")
+    if (bought) return 'Buy';
+    if (sold) return 'Sell';
+    return null;
+  }
+
+  /**
+   * Rewrite Fidelity rows in Schwab's layout
+   * @param {Array} rows - Raw Fidelity CSV rows
+   * @returns {Array} - Rows in TastyTrade ledger shape
+   */
+  normalizeRows(rows) {
+    const translated = rows.map(row => {
+      const get = BrokerAdapter.fieldReader(row);
+      const action = this._schwabAction(get('action'));
+      if (!action) return null;
+
+      const costs = Math.abs(this._parseAmount(get('commission'))) + Math.abs(this._parseAmount(get('fees')));
+
+      return {
+        Date: get('rundate', 'date'),
+        Action: action,
+        // "-SPY240315P495" is the thinkorswim form with a different lead character
+        Symbol: get('symbol').replace(/^-/, '.'),
+        Description: get('description'),
+        Quantity: get('quantity'),
+        'Fees & Comm': String(costs),
+        Amount: get('amount'),
+        'Source Row': row['Source Row'] || ''
+      };
+    }).filter(Boolean);
+
+    return super.normalizeRows(translated);
+  }
+}
+
+/**
+ * E*TRADE Adapter
+ * Converts E*TRADE "Transaction History" CSV to internal trade format. Both
+ * layouts in circulation are accepted:
+ *   - TransactionDate, TransactionType, SecurityType, Symbol, Quantity, Amount,
+ *     Price, Commission, Description
+ *   - Activity/Trade Date, Transaction Date, Settlement Date, Activity Type,
+ *     Description, Symbol, Cusip, Quantity #, Price $, Amount $, Commission, ...
+ *
+ * Options appear as "SPY Mar 15 '24 $495 Put" in Symbol or
+ * "PUT SPY 03/15/24 495.000" in Description. Rows are translated into
+ * Schwab's wording and converted by SchwabAdapter.
+ */
+class ETradeAdapter extends SchwabAdapter {
+  constructor() {
+    super();
+    this.accountName = 'E*TRADE';
+    this.orderPrefix = 'etrade';
+  }
+
+  /**
+   * Option from the Symbol or Description column, in Schwab's symbol form
+   * @returns {string|null} - e.g. "SPY 03/15/2024 495 P"
+   */
+  _schwabOptionSymbol(symbol, description) {
+    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    const pad = value => String(value).padStart(2, '0');
+    let match;
+
+    match = String(symbol || '').trim().match(/^(\S+)\s+([A-Za-z]{3})\s+(\d{1,2})\s+'(\d{2})\s+\$([\d.]+)\s+(Put|Call)$/i);
+    if (match && months.indexOf(match[2].toUpperCase()) !== -1) {
+      const month = pad(months.indexOf(match[2].toUpperCase()) + 1);
+      return `${match[1].toUpperCase()} ${month}/${pad(match[3])}/20${match[4]} ${parseFloat(match[5])} ${match[6][0].toUpperCase()}`;
+    }
+
+    match = String(description || '').trim().match(/\b(PUT|CALL)\s+(\S+)\s+(\d{1,2})\/(\d{1,2})\/(\d{2,4})\s+([\d.]+)/i);
+    if (match) {
+      const year = match[5].length === 2 ? `20${match[5]}` : match[5];
+      return `${match[2].toUpperCase()} ${pad(match[3])}/${pad(match[4])}/${year} ${parseFloat(match[6])} ${match[1][0].toUpperCase()}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Rewrite E*TRADE rows in Schwab's layout
+   * @param {Array} rows - Raw E*TRADE CSV rows
+   * @returns {Array} - Rows in TastyTrade ledger shape
+   */
+  normalizeRows(rows) {
+    const optionActions = {
+      'bought to open': 'Buy to Open',
+      'sold to open': 'Sell to Open',
+      'sold short': 'Sell to Open',
+      'bought to close': 'Buy to Close',
+      'bought to cover': 'Buy to Close',
+      'sold to close': 'Sell to Close',
+      'option expiration': 'Expired',
+      'expired': 'Expired',
+      'option assignment': 'Assigned',
+      'assigned': 'Assigned',
+      'option exercise': 'Exchange or Exercise',
+      'exercised': 'Exchange or Exercise'
+    };
+    const shareActions = {
+      'bought': 'Buy',
+      'bought to cover': 'Buy',
+      'sold': 'Sell',
+      'sold short': 'Sell'
+    };
+
+    const translated = rows.map(row => {
+      const get = BrokerAdapter.fieldReader(row);
+      const type = get('transactiontype', 'activitytype').toLowerCase();
+      const option = this._schwabOptionSymbol(get('symbol'), get('description'));
+      const action = option ? optionActions[type] : shareActions[type];
+      if (!action) return null;
+
+      // The older layout uses two-digit years (03/01/24)
+      const date = get('activitytradedate', 'transactiondate')
+        .replace(/^(\d{1,2})\/(\d{1,2})\/(\d{2})$/, '$1/$2/20$3');
+
+      return {
+        Date: date,
+        Action: action,
+        Symbol: option || get('symbol'),
+        Description: get('description'),
+        Quantity: get('quantity'),
+        'Fees & Comm': String(Math.abs(this._parseAmount(get('commission'))) + Math.abs(this._parseAmount(get('fees')))),
+        Amount: get('amount'),
+        'Source Row': row['Source Row'] || ''
+      };
+    }).filter(Boolean);
+
+    return super.normalizeRows(translated);
+  }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { BrokerAdapter, RobinhoodAdapter, TastyAdapter, GenericAdapter };
+  module.exports = { BrokerAdapter, RobinhoodAdapter, TastyAdapter, SchwabAdapter, IBKRAdapter, FidelityAdapter, ETradeAdapter, GenericAdapter };
 }
 
 // Make available globally for browser usage
@@ -466,5 +1455,9 @@ if (typeof window !== 'undefined') {
   window.BrokerAdapter = BrokerAdapter;
   window.RobinhoodAdapter = RobinhoodAdapter;
   window.TastyAdapter = TastyAdapter;
+  window.SchwabAdapter = SchwabAdapter;
+  window.IBKRAdapter = IBKRAdapter;
+  window.FidelityAdapter = FidelityAdapter;
+  window.ETradeAdapter = ETradeAdapter;
   window.GenericAdapter = GenericAdapter;
 }
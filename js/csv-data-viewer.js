@@ -5,9 +5,10 @@
 
 class CSVDataViewer {
     constructor() {
-        this.container = document.querySelector('#tab-panel-data .overflow-x-auto');
+        this.container = document.getElementById('csv-data-viewer');
         this.rawCSVText = null;
         this.parsedData = null;
+        this.fileName = null;
     }
 
     /**
@@ -17,6 +18,7 @@ class CSVDataViewer {
     async loadCSVFile(file) {
         try {
             this.rawCSVText = await file.text();
+            this.fileName = file.name;
             this.parseCSV();
             this.render();
         } catch (error) {
@@ -33,7 +35,10 @@ class CSVDataViewer {
             return;
         }
 
-        const lines = this.rawCSVText.split('\n').filter(line => line.trim());
+        // Keep each line's number in the file; trades point back at them
+        const lines = this.rawCSVText.split('\n')
+            .map((text, index) => ({ text, lineNumber: index + 1 }))
+            .filter(line => line.text.trim());
         
         if (lines.length === 0) {
             this.parsedData = null;
@@ -41,13 +46,14 @@ class CSVDataViewer {
         }
 
         // First line is headers
-        const headers = this.parseCSVLine(lines[0]);
+        const headers = this.parseCSVLine(lines[0].text);
         
         // Rest are data rows
         const rows = [];
         for (let i = 1; i < lines.length; i++) {
-            const row = this.parseCSVLine(lines[i]);
+            const row = this.parseCSVLine(lines[i].text);
             if (row.length > 0) {
+                row.lineNumber = lines[i].lineNumber;
                 rows.push(row);
             }
         }
@@ -126,6 +132,11 @@ class CSVDataViewer {
         // Create header
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
+
+        const lineHeader = document.createElement('th');
+        lineHeader.setAttribute('role', 'columnheader');
+        lineHeader.textContent = 'Line';
+        headerRow.appendChild(lineHeader);
         
         this.parsedData.headers.forEach(header => {
             const th = document.createElement('th');
@@ -142,6 +153,12 @@ class CSVDataViewer {
         
         this.parsedData.rows.forEach(row => {
             const tr = document.createElement('tr');
+            tr.dataset.line = row.lineNumber;
+
+            const lineCell = document.createElement('td');
+            lineCell.className = 'line-number';
+            lineCell.textContent = row.lineNumber;
+            tr.appendChild(lineCell);
             
             row.forEach(value => {
                 const td = document.createElement('td');
@@ -159,12 +176,40 @@ class CSVDataViewer {
         this.container.appendChild(table);
     }
 
+    /**
+     * Highlight file lines and scroll the first into view
+     * @param {Array} lineNumbers - 1-based line numbers in the uploaded file
+     * @returns {number} - Number of rows highlighted
+     */
+    highlightLines(lineNumbers) {
+        if (!this.container) return 0;
+
+        const wanted = new Set((lineNumbers || []).map(String));
+        let first = null;
+        let count = 0;
+
+        this.container.querySelectorAll('tbody tr').forEach(tr => {
+            const match = wanted.has(tr.dataset.line);
+            tr.classList.toggle('source-row-highlight', match);
+            if (match) {
+                count++;
+                if (!first) first = tr;
+            }
+        });
+
+        if (first) {
+            first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        return count;
+    }
+
     /**
      * Clear the data
      */
     clear() {
         this.rawCSVText = null;
         this.parsedData = null;
+        this.fileName = null;
         this.render();
     }
 }
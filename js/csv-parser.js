@@ -13,6 +13,9 @@ class ParseError extends Error {
 
 class CSVParser {
   constructor() {
+    // Broker format of the most recently parsed file ('generic' when unrecognized)
+    this.lastDetectedBroker = null;
+
     // Minimal required fields - only what's absolutely necessary
     this.requiredFields = [
       'Symbol',
@@ -30,7 +33,8 @@ class CSVParser {
       'Exit': null,
       'Debit': 0,
       'Credit': 0,
-      'Account': 'Default'
+      'Account': 'Default',
+      'UnderlyingPrice': null
     };
   }
 
@@ -69,12 +73,29 @@ class CSVParser {
    * @throws {ParseError} - If CSV format is invalid
    */
   parseCSVString(csvText) {
-    const lines = csvText.trim().split('\n');
+    // IBKR Flex Queries can be delivered as XML instead of CSV
+    if (typeof IBKRAdapter !== 'undefined' && IBKRAdapter.isFlexXML(csvText)) {
+      console.log('Detected broker format: ibkr (Flex XML)');
+      this.lastDetectedBroker = 'ibkr';
+      const convertedTrades = new IBKRAdapter().convert(IBKRAdapter.parseFlexXML(csvText));
+      console.log(`Converted ${convertedTrades.length} trades from ibkr format`);
+      return convertedTrades;
+    }
+
+    const allLines = csvText.trim().split('\n');
     
-    if (lines.length === 0) {
+    if (allLines.length === 0) {
       throw new ParseError('CSV file is empty');
     }
 
+    // Skip any account preamble above the real header row
+    const headerIndex = this.findHeaderIndex(allLines);
+    const lines = allLines.slice(headerIndex);
+
+    // File line number of lines[0], so each row can point back at its source
+    const leadingLines = (csvText.match(/^\s*/)[0].match(/\n/g) || []).length;
+    const firstLine = leadingLines + headerIndex + 1;
+
     // Parse header row
     const headers = this.parseCSVLine(lines[0]);
     
@@ -99,11 +120,16 @@ class CSVParser {
     } else {
       console.warn('BrokerAdapter not loaded, using generic parser');
     }
+    this.lastDetectedBroker = brokerType;
     
     // If using broker-specific adapter, parse all rows first
     if (brokerType !== 'generic') {
-      const rawRows = [];
-      for (let i = 1; i < lines.length; i++) {
+      // Adapters for sectioned layouts pick their own rows out of the file
+      const sectionRows = typeof adapter.extractRows === 'function'
+        ? adapter.extractRows(lines, line => this.parseCSVLine(line), firstLine)
+        : null;
+      const rawRows = sectionRows || [];
+      for (let i = 1; !sectionRows && i < lines.length; i++) {
         const line = lines[i].trim();
         if (line === '') continue;
         
@@ -112,6 +138,7 @@ class CSVParser {
         headers.forEach((header, index) => {
           record[header] = values[index] || '';
         });
+        record['Source Row'] = String(firstLine + i);
         rawRows.push(record);
       }
       
@@ -152,6 +179,7 @@ class CSVParser {
         const normalized = this.normalizeRecord(record, i + 1);
         
         if (normalized) {
+          normalized._metadata = { sourceRows: [firstLine + i] };
           records.push(normalized);
         } else {
           warnings.push(`Row ${i + 1}: Skipped due to missing critical data`);
@@ -175,6 +203,29 @@ class CSVParser {
     return records;
   }
 
+  /**
+   * Index of the header row
+   * Fidelity and E*TRADE open their exports with account details and blank
+   * lines. The header is the first of the leading lines a broker adapter
+   * recognizes; when none is recognized the file is taken to start with it.
+   * @param {Array} lines - Raw CSV lines
+   * @returns {number} - Line index of the header row
+   */
+  findHeaderIndex(lines) {
+    if (typeof BrokerAdapter === 'undefined') return 0;
+
+    const searchLimit = Math.min(lines.length, 20);
+    for (let i = 0; i < searchLimit; i++) {
+      const line = lines[i].trim();
+      if (line === '') continue;
+      if (BrokerAdapter.detectBroker(this.parseCSVLine(line), null) !== 'generic') {
+        return i;
+      }
+    }
+
+    return 0;
+  }
+
   /**
    * Parse a single CSV line, handling quoted fields and commas
    * @param {string} line - Single line from CSV
@@ -213,6 +264,179 @@ class CSVParser {
     return result;
   }
 
+  /**
+   * Parse a quotes list of symbol and mark pairs
+   * One quote per line: an underlying symbol or OCC option symbol, then its
+   * mark. A header row is optional; when present, the Symbol (or Contract)
+   * and Mark (or Price) columns are used wherever they sit.
+   * @param {string} text - Pasted or uploaded quotes
+   * @returns {Array} - Array of { symbol, mark, rowNumber }
+   * @throws {ParseError} - If no line carries a symbol and a numeric mark
+   */
+  parseQuotesString(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+      throw new ParseError('No quotes to read');
+    }
+
+    let symbolColumn = 0;
+    let markColumn = 1;
+    let firstRow = 0;
+
+    const header = this.parseCSVLine(lines[0]).map(name => name.toLowerCase());
+    const symbolHeader = header.findIndex(name => /^(symbol|contract|instrument|occ)/.test(name));
+    const markHeader = header.findIndex(name => /^(mark|price|last|mid)/.test(name));
+    if (symbolHeader !== -1 && markHeader !== -1) {
+      symbolColumn = symbolHeader;
+      markColumn = markHeader;
+      firstRow = 1;
+    }
+
+    const quotes = [];
+    for (let i = firstRow; i < lines.length; i++) {
+      const fields = this.parseCSVLine(lines[i]);
+      const symbol = (fields[symbolColumn] || '').trim();
+      const mark = this._parseNumber(fields[markColumn], NaN);
+      if (symbol && Number.isFinite(mark) && mark >= 0) {
+        quotes.push({ symbol, mark, rowNumber: i + 1 });
+      }
+    }
+
+    if (quotes.length === 0) {
+      throw new ParseError('No quotes found. Use one "symbol, mark" pair per line.');
+    }
+    return quotes;
+  }
+
+  /**
+   * Parse a daily price history file
+   * Needs a header with Date and Close columns (Adj Close is not used);
+   * Open, High and Low are read when present and fall back to the close.
+   * A Symbol column splits one file across underlyings; otherwise every row
+   * belongs to the symbol given.
+   * @param {string} text - Uploaded CSV text
+   * @param {string} [symbol] - Underlying the file is for, e.g. from its name
+   * @returns {Object} - Map of symbol to bars {date (YYYY-MM-DD), open, high,
+   *   low, close}, oldest first, one per date
+   * @throws {ParseError} - If the columns are missing or no row has a price
+   */
+  parsePriceHistoryString(text, symbol = '') {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = lines.length > 0 ? this.parseCSVLine(lines[0]).map(name => name.trim().toLowerCase()) : [];
+    const column = pattern => header.findIndex(name => pattern.test(name));
+    const columns = {
+      date: column(/^(date|time|timestamp)$/),
+      open: column(/^open$/),
+      high: column(/^high$/),
+      low: column(/^low$/),
+      close: column(/^(close|close\/last|last)$/),
+      symbol: column(/^(symbol|ticker)$/)
+    };
+    if (columns.date === -1 || columns.close === -1) {
+      throw new ParseError('Price history needs a header row with Date and Close columns.');
+    }
+
+    const fallback = String(symbol || '').trim().toUpperCase();
+    const bySymbol = {};
+    for (let i = 1; i < lines.length; i++) {
+      const fields = this.parseCSVLine(lines[i]);
+      const date = this._formatDay(fields[columns.date]);
+      const close = this._parseNumber(fields[columns.close], NaN);
+      const rowSymbol = columns.symbol !== -1 ? String(fields[columns.symbol] || '').trim().toUpperCase() : fallback;
+      if (!date || !rowSymbol || !(close > 0)) continue;
+
+      const price = name => {
+        const value = columns[name] === -1 ? NaN : this._parseNumber(fields[columns[name]], NaN);
+        return value > 0 ? value : close;
+      };
+      (bySymbol[rowSymbol] = bySymbol[rowSymbol] || new Map())
+        .set(date, { date, open: price('open'), high: price('high'), low: price('low'), close });
+    }
+
+    const result = {};
+    Object.entries(bySymbol).forEach(([key, bars]) => {
+      result[key] = Array.from(bars.values()).sort((a, b) => a.date.localeCompare(b.date));
+    });
+
+    if (Object.keys(result).length === 0) {
+      throw new ParseError(fallback || columns.symbol !== -1
+        ? 'No prices found. Each row needs a date and a close.'
+        : 'Which underlying is this? Name the file after it (e.g. SPY.csv) or add a Symbol column.');
+    }
+    return result;
+  }
+
+  /**
+   * Parse an implied volatility history file
+   * Needs a header with Date and IV columns; a Symbol column splits one
+   * file across underlyings, otherwise every row belongs to the symbol
+   * given. IV may be written as a percentage (18.5) or a fraction (0.185):
+   * a file whose values are all 3 or under is read as fractions.
+   * @param {string} text - Uploaded CSV text
+   * @param {string} [symbol] - Underlying the file is for, e.g. from its name
+   * @returns {Object} - Map of symbol to readings {date (YYYY-MM-DD), iv
+   *   (annualized, as a fraction)}, oldest first, one per date
+   * @throws {ParseError} - If the columns are missing or no row has an IV
+   */
+  parseIVHistoryString(text, symbol = '') {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = lines.length > 0 ? this.parseCSVLine(lines[0]).map(name => name.trim().toLowerCase()) : [];
+    const column = pattern => header.findIndex(name => pattern.test(name));
+    const columns = {
+      date: column(/^(date|time|timestamp)$/),
+      iv: column(/^(iv|iv ?30|iv ?index|implied ?vol(atility)?|close)$/),
+      symbol: column(/^(symbol|ticker)$/)
+    };
+    if (columns.date === -1 || columns.iv === -1) {
+      throw new ParseError('IV history needs a header row with Date and IV columns.');
+    }
+
+    const fallback = String(symbol || '').trim().toUpperCase();
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+      const fields = this.parseCSVLine(lines[i]);
+      const date = this._formatDay(fields[columns.date]);
+      const iv = this._parseNumber(String(fields[columns.iv] || '').replace('%', ''), NaN);
+      const rowSymbol = columns.symbol !== -1 ? String(fields[columns.symbol] || '').trim().toUpperCase() : fallback;
+      if (date && rowSymbol && iv > 0) rows.push({ symbol: rowSymbol, date, iv });
+    }
+
+    if (rows.length === 0) {
+      throw new ParseError(fallback || columns.symbol !== -1
+        ? 'No IV readings found. Each row needs a date and an IV.'
+        : 'Which underlying is this? Name the file after it (e.g. SPY.csv) or add a Symbol column.');
+    }
+
+    const scale = rows.every(row => row.iv <= 3) ? 1 : 100;
+    const bySymbol = {};
+    rows.forEach(({ symbol: key, date, iv }) => {
+      (bySymbol[key] = bySymbol[key] || new Map()).set(date, { date, iv: iv / scale });
+    });
+
+    const result = {};
+    Object.entries(bySymbol).forEach(([key, readings]) => {
+      result[key] = Array.from(readings.values()).sort((a, b) => a.date.localeCompare(b.date));
+    });
+    return result;
+  }
+
+  /**
+   * A date as YYYY-MM-DD, as written, without shifting it across time zones
+   * @param {string} value - Date text
+   * @returns {string|null}
+   * @private
+   */
+  _formatDay(value) {
+    const text = String(value || '').trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const date = this._parseDate(text);
+    if (!date) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
   /**
    * Parse a numeric value safely
    * @param {*} value - Value to parse
@@ -310,7 +534,8 @@ class CSVParser {
       Exit: this._parseDate(record.Exit),
       Debit: this._parseNumber(record.Debit, this.optionalFields.Debit),
       Credit: this._parseNumber(record.Credit, this.optionalFields.Credit),
-      Account: record.Account && record.Account !== '' ? record.Account.trim() : this.optionalFields.Account
+      Account: record.Account && record.Account !== '' ? record.Account.trim() : this.optionalFields.Account,
+      UnderlyingPrice: this._parseNumber(record.UnderlyingPrice, this.optionalFields.UnderlyingPrice)
     };
 
     return normalized;
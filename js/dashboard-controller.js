@@ -16,6 +16,11 @@ class DashboardController {
     // Current enriched trades
     this.enrichedTrades = [];
 
+    // Imported daily prices per underlying, and a (symbol, date) => close
+    // lookup over them used to work out entry delta and Greeks
+    this.priceHistory = {};
+    this.underlyingPriceAt = null;
+
     // Debounce timer for filter changes
     this.filterDebounceTimer = null;
     this.filterDebounceDelay = 300; // 300ms debounce (Requirement 8.3)
@@ -39,12 +44,16 @@ class DashboardController {
       summaryMetrics: new SummaryMetricsPanel('summary-metrics-panel'),
       tradeFlow: new SankeyDiagramChart('trade-flow-chart'),
       plTrend: new PLTrendChart('pl-trend-chart'),
+      equityCurve: new EquityCurveChart('equity-curve-chart'),
       winRate: new WinRateChart('win-rate-chart'),
       plBreakdown: new PLBreakdownChart('pl-breakdown-chart'),
       symbolPL: new SymbolPLChart('symbol-pl-chart'),
       winLossDonut: new WinLossDonutChart('win-loss-donut-chart'),
       topUnderlyings: new TopUnderlyingsChart('top-underlyings-chart'),
-      costBasis: new CostBasisChart('cost-basis-chart')
+      costBasis: new CostBasisChart('cost-basis-chart'),
+      wheelCycles: new WheelCycleTable('wheel-cycle-table'),
+      openPositions: new OpenPositionsPanel('open-positions-panel'),
+      portfolioGreeks: new PortfolioGreeksPanel('portfolio-greeks-panel')
     };
 
     // Initialize Advanced Visualization Panel (Requirements: 2.1, 2.2)
@@ -55,11 +64,24 @@ class DashboardController {
     this.advancedVizPanel.initialize();
 
     // Research tab (Requirement 5.1)
-    this.researchPanel = new ResearchPanel('research-panel');
+    this.researchPanel = new ResearchPanel('research-panel', {
+      onTradeSelect: trade => this.showPayoffModal(trade)
+    });
     this.researchPanel.initialize();
     ResearchOutputs.register(this.researchPanel);
 
+    // Data tab: every trade, expandable to the fills behind it; a row opens
+    // the trade's payoff diagram
+    this.tradeTable = new RawDataTable('trade-data-table', {
+      onSelect: trade => this.showPayoffModal(trade)
+    });
+
     this.initializePLMeasureToggle();
+    this.initializeChartMeasureToggle();
+    this.initializeMarkEntry();
+    this.initializeGreeksSettings();
+    this.initializePriceHistory();
+    this.initializeIVHistory();
 
     // Register all advanced visualizations (Requirements: 2.3, 2.4)
     // Note: Pass factory functions instead of instances so charts are created
@@ -124,6 +146,32 @@ class DashboardController {
       }
     );
 
+    this.advancedVizPanel.registerVisualization(
+      'ivRankScatter',
+      'IV Rank (at Entry) vs P/L',
+      {
+        instance: null,
+        initialize: (container) => {
+          if (!this.advancedVizPanel.charts) this.advancedVizPanel.charts = {};
+          this.advancedVizPanel.charts.ivRankScatter = new ScatterPlotChart(container.id, [], {
+            xField: 'ivRank',
+            xLabel: 'IV Rank at Entry',
+            xDomain: [0, 100],
+            bucketEdges: [0, 25, 50, 75, 100],
+            emptyHint: 'Import implied volatility history on the Data tab to rank trades by IV at entry'
+          });
+          return this.advancedVizPanel.charts.ivRankScatter;
+        },
+        update: (data) => {
+          if (this.advancedVizPanel.charts?.ivRankScatter) {
+            const scatterData = this.analyticsEngine.calculateScatterData(data)
+              .filter(point => point.ivRank !== null && point.ivRank !== undefined);
+            this.advancedVizPanel.charts.ivRankScatter.update(scatterData);
+          }
+        }
+      }
+    );
+
     this.advancedVizPanel.registerVisualization(
       'violin',
       'P/L Distribution',
@@ -233,6 +281,15 @@ class DashboardController {
     });
     this.collapsibleSection.initialize();
 
+    // Background IndexedDB writes report failures after saveTrades returns
+    this.dataStore.on('storageError', () => {
+      this.showToast(
+        'Warning: Unable to save data to browser storage. Your trades will not persist after closing the browser.',
+        'warning',
+        5000
+      );
+    });
+
     // Load persisted trades from data store
     const storedTrades = this.dataStore.loadTrades();
 
@@ -253,28 +310,49 @@ class DashboardController {
    * Handle CSV file upload
    * Orchestrates parsing, enrichment, and storage
    * @param {File} file - CSV file from file input
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'replace' the stored trades or 'append' to them
+   * @param {string} options.account - Account name to tag the trades with; the
+   *   broker (or, for generic CSVs, their own Account column) is used when blank
    */
-  async handleFileUpload(file) {
+  async handleFileUpload(file, options = {}) {
+    const mode = options.mode === 'append' ? 'append' : 'replace';
+
     try {
       // Show loading spinner (Requirement 12.5)
       this.showLoading();
 
       // Parse CSV file (Requirement 1.1)
       const rawTrades = await this.csvParser.parse(file);
+      const source = {
+        file: file.name,
+        broker: this.csvParser.lastDetectedBroker || 'generic'
+      };
 
       // Enrich trades with computed fields
-      this.enrichedTrades = rawTrades.map(trade => {
-        // Apply strategy detection
-        const detectedStrategy = this.strategyDetector.detect(trade);
-        trade.Strategy = detectedStrategy;
+      const importedTrades = rawTrades.map(trade => {
+        // Apply strategy detection; the whole import is the book a short call
+        // may be covered by
+        const detected = this.strategyDetector.classify(trade, rawTrades);
+        trade.Strategy = detected.strategy;
+        trade.Account = this.resolveAccountName(trade, options.account);
+        trade._metadata = { ...(trade._metadata || {}), source, strategyConfidence: detected.confidence };
 
         // Enrich with analytics
         return this.analyticsEngine.enrichTrade(trade);
       });
 
+      let merge = null;
+      if (mode === 'append') {
+        merge = this.dataStore.mergeTrades(this.enrichedTrades || [], importedTrades);
+        this.enrichedTrades = merge.trades;
+      } else {
+        this.enrichedTrades = importedTrades;
+      }
+
       // Save to data store
       try {
-        this.dataStore.saveTrades(this.enrichedTrades);
+        this.dataStore.saveTrades(this.enrichedTrades, merge ? merge.changed : undefined);
       } catch (storageError) {
         console.warn('Failed to save to localStorage:', storageError);
         // Handle localStorage quota exceeded (Requirement 12.3)
@@ -291,10 +369,14 @@ class DashboardController {
       this.refreshDashboard();
 
       // Show success notification (Requirement 12.2)
-      this.showToast(
-        `Successfully loaded ${this.enrichedTrades.length} trade${this.enrichedTrades.length !== 1 ? 's' : ''}`,
-        'success'
-      );
+      const plural = count => `${count} trade${count !== 1 ? 's' : ''}`;
+      let message = `Successfully loaded ${plural(importedTrades.length)}`;
+      if (merge) {
+        message = `Added ${plural(merge.added)}`;
+        if (merge.updated > 0) message += `, updated ${merge.updated} now closed`;
+        if (merge.duplicates > 0) message += `, skipped ${merge.duplicates} already imported`;
+      }
+      this.showToast(message, 'success');
 
     } catch (error) {
       // Hide loading
@@ -308,6 +390,24 @@ class DashboardController {
     }
   }
 
+  /**
+   * Account a trade is filed under
+   * An explicit name wins. Otherwise broker adapters already name their
+   * broker, and generic CSVs keep their own Account column or the parser
+   * default. The file name never stands in: it is part of the dedupe key, and
+   * two overlapping exports of one account must still match.
+   * @param {Object} trade - Parsed trade
+   * @param {string} accountName - Name entered at upload, if any
+   * @returns {string} - Account name
+   * @private
+   */
+  resolveAccountName(trade, accountName) {
+    const explicit = String(accountName || '').trim();
+    if (explicit) return explicit;
+
+    return trade.Account || 'Default';
+  }
+
   /**
    * Handle filter changes with debouncing
    * @param {Object} filters - New filter values
@@ -341,13 +441,34 @@ class DashboardController {
     // Get current filters
     const filters = this.dataStore.getFilters();
 
+    // Entry delta and Greeks where the underlying price at entry is known,
+    // and what the underlying did during the hold where prices were imported
+    const trades = this.analyticsEngine.attachPriceContext(
+      this.analyticsEngine.backfillEntryGreeks(this.enrichedTrades, this.underlyingPriceAt),
+      this.priceHistory
+    );
+
     // Apply filters to trades
-    let filteredTrades = this.enrichedTrades;
+    let filteredTrades = trades;
+
+    // Campaigns chain the rolls of one account, so they are built before the
+    // date and status filters, which then apply to the campaign as a whole
+    const accountTrades = this.analyticsEngine.filterByAccount(trades, filters.account);
+    const byCampaign = filters.unit === 'campaign';
+    const campaigns = byCampaign
+      ? this.analyticsEngine.filterByStatus(
+        this.analyticsEngine.filterByDateRange(
+          this.analyticsEngine.buildCampaigns(accountTrades),
+          filters.dateRange
+        ),
+        filters.positionStatus
+      )
+      : null;
 
     // Apply date range filter (Requirement 8.3)
     filteredTrades = this.analyticsEngine.filterByDateRange(
       filteredTrades,
-      filters.dateRange.type
+      filters.dateRange
     );
 
     // Apply position status filter (Requirement 9.6)
@@ -356,11 +477,52 @@ class DashboardController {
       filters.positionStatus
     );
 
+    // Apply account filter
+    filteredTrades = this.analyticsEngine.filterByAccount(
+      filteredTrades,
+      filters.account
+    );
+
     // Note: Don't show empty state if we have enriched trades but filters result in no matches
     // Instead, let the visualizations show their own empty states
 
     // Calculate analytics data
-    const summaryMetrics = this.analyticsEngine.calculateSummaryMetrics(filteredTrades);
+    const summaryMetrics = byCampaign
+      ? this.analyticsEngine.calculateCampaignSummary(campaigns)
+      : this.analyticsEngine.calculateSummaryMetrics(filteredTrades);
+
+    // The same measures over the window before, for comparison
+    const previousWindow = filters.compare === 'previous'
+      ? this.analyticsEngine.previousDateRange(filters.dateRange)
+      : null;
+    let previousMonthlyPL = null;
+    if (previousWindow) {
+      const inPreviousWindow = set => this.analyticsEngine.filterByStatus(
+        this.analyticsEngine.filterByWindow(set, previousWindow),
+        filters.positionStatus
+      );
+      const previousTrades = inPreviousWindow(accountTrades);
+      const previousMetrics = byCampaign
+        ? this.analyticsEngine.calculateCampaignSummary(
+          inPreviousWindow(this.analyticsEngine.buildCampaigns(accountTrades))
+        )
+        : this.analyticsEngine.calculateSummaryMetrics(previousTrades);
+      const label = this.analyticsEngine.describeDateWindow(previousWindow);
+
+      summaryMetrics.comparison = {
+        label,
+        metrics: previousMetrics,
+        deltas: this.analyticsEngine.calculateComparisonDeltas(summaryMetrics, previousMetrics)
+      };
+      previousMonthlyPL = {
+        label,
+        data: this.analyticsEngine.alignMonthlyPL(
+          this.analyticsEngine.calculateMonthlyPL(previousTrades),
+          previousWindow,
+          this.analyticsEngine.resolveDateRange(filters.dateRange)
+        )
+      };
+    }
     const monthlyPL = this.analyticsEngine.calculateMonthlyPL(filteredTrades);
     const winRateData = this.analyticsEngine.calculateWinRateByStrategy(filteredTrades);
     const plByStrategy = this.analyticsEngine.calculatePLBreakdown(filteredTrades, ['Strategy']);
@@ -368,7 +530,10 @@ class DashboardController {
     const plByTypeStrategy = this.analyticsEngine.calculatePLBreakdown(filteredTrades, ['Type', 'Strategy']);
     console.log('P/L by type/strategy:', plByTypeStrategy);
 
-    const plBySymbolStrategy = this.analyticsEngine.calculatePLBreakdown(filteredTrades, ['Symbol', 'Strategy']);
+    const plBySymbolStrategy = this.analyticsEngine.calculatePLBreakdown(
+      byCampaign ? campaigns : filteredTrades,
+      ['Symbol', 'Strategy']
+    );
     console.log('P/L by symbol/strategy:', plBySymbolStrategy);
 
     const winLossDistribution = this.analyticsEngine.calculateWinLossDistribution(filteredTrades);
@@ -380,6 +545,35 @@ class DashboardController {
     const costBasisData = this.analyticsEngine.calculateCostBasisBySymbol(filteredTrades);
     console.log('Cost basis by symbol:', costBasisData);
 
+    // A wheel spans puts, shares and calls, so cycles are rebuilt from the
+    // whole account and then filtered as a unit
+    const wheelCycles = this.analyticsEngine.filterByStatus(
+      this.analyticsEngine.filterByDateRange(
+        this.analyticsEngine.calculateWheelCycles(accountTrades),
+        filters.dateRange
+      ),
+      filters.positionStatus
+    );
+    console.log('Wheel cycles:', wheelCycles);
+
+    // Open positions are what is held now, so only the account filter applies
+    const marks = this.dataStore.getMarks();
+    const markToMarket = this.analyticsEngine.calculateMarkToMarket(
+      this.analyticsEngine.calculateOpenPositions(accountTrades),
+      marks,
+      trade => this.dataStore.positionMarkKey(trade)
+    );
+    const openPositions = markToMarket.positions;
+    console.log('Open positions:', openPositions);
+    summaryMetrics.markToMarket = markToMarket;
+
+    const portfolioGreeks = this.analyticsEngine.calculatePortfolioGreeks(
+      openPositions,
+      marks,
+      this.dataStore.getGreeksSettings()
+    );
+    console.log('Portfolio Greeks:', portfolioGreeks);
+
     // Update visualizations
     console.log('Updating visualizations...');
     try {
@@ -398,12 +592,22 @@ class DashboardController {
     }
 
     try {
-      this.visualizations.plTrend.update(monthlyPL);
+      this.visualizations.plTrend.update(monthlyPL, previousMonthlyPL);
       console.log('✓ P/L Trend updated');
     } catch (e) {
       console.error('✗ P/L Trend error:', e);
     }
 
+    try {
+      this.visualizations.equityCurve.update(
+        this.analyticsEngine.calculateEquityCurve(filteredTrades),
+        this.analyticsEngine.calculateMaxDrawdown(filteredTrades)
+      );
+      console.log('✓ Equity Curve updated');
+    } catch (e) {
+      console.error('✗ Equity Curve error:', e);
+    }
+
     try {
       this.visualizations.winRate.update(winRateData);
       console.log('✓ Win Rate updated');
@@ -446,14 +650,47 @@ class DashboardController {
       console.error('✗ Cost Basis error:', e);
     }
 
+    try {
+      this.visualizations.wheelCycles.update(wheelCycles);
+      console.log('✓ Wheel Cycles updated');
+    } catch (e) {
+      console.error('✗ Wheel Cycles error:', e);
+    }
+
+    try {
+      this.visualizations.openPositions.update(
+        openPositions,
+        this.analyticsEngine.buildExpirationLadder(openPositions),
+        markToMarket
+      );
+      console.log('✓ Open Positions updated');
+    } catch (e) {
+      console.error('✗ Open Positions error:', e);
+    }
+
+    try {
+      this.visualizations.portfolioGreeks.update(portfolioGreeks);
+      console.log('✓ Portfolio Greeks updated');
+    } catch (e) {
+      console.error('✗ Portfolio Greeks error:', e);
+    }
+
     // Update table
     try {
+      this.countUnit = byCampaign ? 'campaign' : 'trade';
       this.updateTable(plBySymbolStrategy);
       console.log('✓ Table updated');
     } catch (e) {
       console.error('✗ Table error:', e);
     }
 
+    try {
+      this.tradeTable.render(filteredTrades);
+      console.log('✓ Trade data table updated');
+    } catch (e) {
+      console.error('✗ Trade data table error:', e);
+    }
+
     // Update advanced visualization panel with filtered trades (Requirements: 12.1, 12.2)
     if (this.advancedVizPanel) {
       try {
@@ -467,7 +704,12 @@ class DashboardController {
     // Update research tab with the same filtered set (Requirement 5.5)
     if (this.researchPanel) {
       try {
-        this.researchPanel.update(filteredTrades);
+        this.researchPanel.update(filteredTrades, {
+          period: this.analyticsEngine.describeDateWindow(
+            this.analyticsEngine.resolveDateRange(filters.dateRange)
+          ),
+          account: filters.account && filters.account !== 'all' ? filters.account : null
+        });
         console.log('✓ Research Panel updated');
       } catch (e) {
         console.error('✗ Research Panel error:', e);
@@ -489,6 +731,9 @@ class DashboardController {
     const tbody = table.querySelector('tbody');
     tbody.innerHTML = '';
 
+    const countColumn = document.getElementById('pl-count-column');
+    if (countColumn) countColumn.textContent = this.countUnit === 'campaign' ? 'Campaigns' : 'Trades';
+
     if (data.length === 0) {
       tbody.innerHTML = `
         <tr>
@@ -596,6 +841,322 @@ class DashboardController {
     }
   }
 
+  /**
+   * Wire the measure toggles above the P/L bar charts
+   *
+   * Raw P/L hides how much capital a result tied up. Return on risk divides
+   * P/L by the defined risk of the trades behind it, annualized return also
+   * by the days they were held, and P/L per day by the days alone. Both bar
+   * charts follow one choice.
+   */
+  initializeChartMeasureToggle() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem('chart_measure');
+    } catch (error) {
+      console.warn('Could not read chart measure preference:', error);
+    }
+
+    this.chartMeasure = SymbolPLChart.MEASURES[stored] ? stored : 'pl';
+
+    document.addEventListener('click', event => {
+      const button = event.target.closest('[data-chart-measure]');
+      if (!button) return;
+
+      this.chartMeasure = button.dataset.chartMeasure;
+      try {
+        localStorage.setItem('chart_measure', this.chartMeasure);
+      } catch (error) {
+        console.warn('Could not persist chart measure preference:', error);
+      }
+      this.syncChartMeasureToggle();
+    });
+
+    this.syncChartMeasureToggle();
+  }
+
+  syncChartMeasureToggle() {
+    document.querySelectorAll('[data-chart-measure]').forEach(button => {
+      const active = button.dataset.chartMeasure === this.chartMeasure;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-checked', String(active));
+    });
+
+    this.visualizations.symbolPL.setMeasure(this.chartMeasure);
+    this.visualizations.plBreakdown.setMeasure(this.chartMeasure);
+  }
+
+  /**
+   * Wire mark entry on the Open Positions tab
+   *
+   * Quotes pasted or uploaded are stored per contract or share symbol, so one
+   * quote marks every position holding that contract. A mark typed in a
+   * position's row prices the whole position and takes precedence.
+   */
+  initializeMarkEntry() {
+    // Delegated, because the panel re-renders its inputs on every update
+    document.addEventListener('change', event => {
+      const input = event.target.closest('[data-position-mark]');
+      if (input) {
+        this.dataStore.setMarks({ [input.dataset.positionMark]: input.value === '' ? null : input.value });
+        return;
+      }
+
+      const upload = event.target.closest('[data-quotes-file]');
+      if (upload && upload.files && upload.files[0]) {
+        upload.files[0].text()
+          .then(text => this.applyQuotes(text))
+          .catch(error => this.showToast(`Could not read quotes: ${error.message}`, 'error'));
+        upload.value = '';
+      }
+    });
+
+    document.addEventListener('click', event => {
+      if (event.target.closest('[data-apply-quotes]')) {
+        const textarea = document.querySelector('[data-quotes-input]');
+        this.applyQuotes(textarea ? textarea.value : '');
+      } else if (event.target.closest('[data-clear-marks]')) {
+        this.dataStore.clearMarks();
+        this.showToast('Marks cleared', 'success');
+      }
+    });
+
+    this.dataStore.on('marksChanged', () => {
+      if (this.enrichedTrades.length > 0) this.refreshDashboard();
+    });
+  }
+
+  /**
+   * Wire the benchmark and beta inputs of the Portfolio Greeks panel
+   */
+  initializeGreeksSettings() {
+    // Delegated, because the panel re-renders its inputs on every update
+    document.addEventListener('change', event => {
+      const benchmark = event.target.closest('[data-greeks-benchmark]');
+      if (benchmark) {
+        if (benchmark.value.trim() !== '') this.dataStore.setGreeksSettings({ benchmark: benchmark.value });
+        return;
+      }
+
+      const beta = event.target.closest('[data-greeks-beta]');
+      if (beta) {
+        this.dataStore.setGreeksSettings({ betas: { [beta.dataset.greeksBeta]: beta.value === '' ? null : beta.value } });
+      }
+    });
+
+    this.dataStore.on('greeksSettingsChanged', () => {
+      if (this.enrichedTrades.length > 0) this.refreshDashboard();
+    });
+  }
+
+  /**
+   * Wire the underlying price history import on the Data tab
+   *
+   * One daily OHLC file per underlying, named after it (SPY.csv) unless a
+   * symbol is typed or the file has a Symbol column. Files for a symbol
+   * already imported add to its history.
+   */
+  initializePriceHistory() {
+    this.loadPriceHistory();
+
+    document.addEventListener('change', event => {
+      const upload = event.target.closest('[data-price-file]');
+      if (upload) {
+        this.readHistoryFiles(upload, '[data-price-symbol]', (text, symbol) => this.importPriceHistory(text, symbol));
+      }
+    });
+
+    document.addEventListener('click', event => {
+      const remove = event.target.closest('[data-remove-prices]');
+      if (remove) {
+        this.dataStore.removePriceHistory(remove.dataset.removePrices);
+      }
+    });
+
+    this.dataStore.on('pricesChanged', () => {
+      this.loadPriceHistory();
+      if (this.enrichedTrades.length > 0) this.refreshDashboard();
+    });
+  }
+
+  /**
+   * Read the stored price history and list it on the Data tab
+   */
+  loadPriceHistory() {
+    this.priceHistory = this.dataStore.getPriceHistory();
+    this.underlyingPriceAt = Object.keys(this.priceHistory).length > 0
+      ? this.analyticsEngine.priceLookup(this.priceHistory)
+      : null;
+    this.renderHistoryList('price-history-list', this.priceHistory, 'data-remove-prices', 'Days');
+  }
+
+  /**
+   * Store the bars in a price history file
+   * @param {string} text - File contents
+   * @param {string} symbol - Underlying the file is for, when it has no Symbol column
+   */
+  importPriceHistory(text, symbol) {
+    try {
+      const bars = this.csvParser.parsePriceHistoryString(text, symbol);
+      if (!this.dataStore.setPriceHistory(bars)) {
+        this.showToast('Could not save the prices: browser storage may be full.', 'error');
+        return;
+      }
+      const summary = Object.entries(bars).map(([name, rows]) => `${rows.length} days of ${name}`).join(', ');
+      this.showToast(`Imported ${summary}`, 'success');
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Wire the implied volatility history import on the Data tab
+   *
+   * Files are read like price files (see initializePriceHistory). The
+   * history feeds the IV and IV rank enrichTrade attaches at entry, so
+   * every trade is enriched again when it changes.
+   */
+  initializeIVHistory() {
+    this.loadIVHistory();
+
+    document.addEventListener('change', event => {
+      const upload = event.target.closest('[data-iv-file]');
+      if (upload) {
+        this.readHistoryFiles(upload, '[data-iv-symbol]', (text, symbol) => this.importIVHistory(text, symbol));
+      }
+    });
+
+    document.addEventListener('click', event => {
+      const remove = event.target.closest('[data-remove-iv]');
+      if (remove) {
+        this.dataStore.removeIVHistory(remove.dataset.removeIv);
+      }
+    });
+
+    this.dataStore.on('ivHistoryChanged', () => {
+      this.loadIVHistory();
+      if (this.enrichedTrades.length > 0) {
+        this.enrichedTrades = this.enrichedTrades.map(trade => this.analyticsEngine.enrichTrade(trade));
+        this.refreshDashboard();
+      }
+    });
+  }
+
+  /**
+   * Hand the stored IV history to the analytics engine and list it on the Data tab
+   */
+  loadIVHistory() {
+    const history = this.dataStore.getIVHistory();
+    this.analyticsEngine.setIVHistory(history);
+    this.renderHistoryList('iv-history-list', history, 'data-remove-iv', 'Readings');
+  }
+
+  /**
+   * Store the readings in an IV history file
+   * @param {string} text - File contents
+   * @param {string} symbol - Underlying the file is for, when it has no Symbol column
+   */
+  importIVHistory(text, symbol) {
+    try {
+      const readings = this.csvParser.parseIVHistoryString(text, symbol);
+      if (!this.dataStore.setIVHistory(readings)) {
+        this.showToast('Could not save the IV history: browser storage may be full.', 'error');
+        return;
+      }
+      const summary = Object.entries(readings).map(([name, rows]) => `${rows.length} IV readings for ${name}`).join(', ');
+      this.showToast(`Imported ${summary}`, 'success');
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Read the files chosen in a history upload, one underlying per file
+   * @param {HTMLInputElement} upload - File input
+   * @param {string} symbolSelector - Input a symbol can be typed in, for every file
+   * @param {Function} importer - (text, symbol) => void
+   * @private
+   */
+  readHistoryFiles(upload, symbolSelector, importer) {
+    if (!upload.files || upload.files.length === 0) return;
+
+    const typed = document.querySelector(symbolSelector);
+    const symbol = typed ? typed.value.trim() : '';
+    Array.from(upload.files).forEach(file => {
+      file.text()
+        .then(text => importer(text, symbol || this.symbolFromFileName(file.name)))
+        .catch(error => this.showToast(`Could not read ${file.name}: ${error.message}`, 'error'));
+    });
+    upload.value = '';
+  }
+
+  /**
+   * Underlying a price or IV file is named after, e.g. "SPY.csv" or "spy_daily.csv"
+   * @param {string} name - File name
+   * @returns {string} - Symbol, or '' when the name does not start with one
+   */
+  symbolFromFileName(name) {
+    const match = String(name || '').match(/^\^?([A-Za-z][A-Za-z.]*?)(?:[-_ ].*)?\.(csv|txt)$/i);
+    return match ? match[1].toUpperCase() : '';
+  }
+
+  /**
+   * List imported histories, each symbol with its date range
+   * @param {string} containerId - DOM element ID
+   * @param {Object} history - Map of symbol to dated rows, oldest first
+   * @param {string} removeAttribute - Attribute whose buttons remove a symbol
+   * @param {string} countLabel - Heading of the row count column
+   * @private
+   */
+  renderHistoryList(containerId, history, removeAttribute, countLabel) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const symbols = Object.keys(history).sort();
+    if (symbols.length === 0) {
+      container.innerHTML = '<p class="text-text-secondary text-sm">Nothing imported.</p>';
+      return;
+    }
+
+    const rows = symbols.map(symbol => {
+      const entries = history[symbol];
+      return `
+        <tr>
+          <td>${symbol}</td>
+          <td>${entries[0].date}</td>
+          <td>${entries[entries.length - 1].date}</td>
+          <td class="font-mono">${entries.length}</td>
+          <td><button type="button" class="filter-btn" ${removeAttribute}="${symbol}" aria-label="Remove ${symbol}">Remove</button></td>
+        </tr>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <table class="data-table" role="table">
+        <thead><tr><th>Symbol</th><th>From</th><th>To</th><th>${countLabel}</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Store the marks in a quotes list
+   * @param {string} text - Quotes, one symbol and mark per line
+   */
+  applyQuotes(text) {
+    try {
+      const quotes = this.csvParser.parseQuotesString(text);
+      const entries = {};
+      quotes.forEach(quote => {
+        entries[this.analyticsEngine.instrumentKey(quote.symbol)] = quote.mark;
+      });
+      this.dataStore.setMarks(entries);
+      this.showToast(`${quotes.length} quote${quotes.length === 1 ? '' : 's'} applied`, 'success');
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
   /**
    * Show loading spinner
    * @private
@@ -744,6 +1305,169 @@ class DashboardController {
     });
   }
 
+  /**
+   * Show a trade's payoff at expiration over the page
+   * @param {Object} trade - Enriched trade
+   */
+  showPayoffModal(trade) {
+    const bars = this.analyticsEngine.priceBars(this.priceHistory, trade.Symbol);
+    const context = trade.PriceContext || (bars.length > 0 ? this.analyticsEngine.calculatePriceContext(trade, bars) : null);
+
+    // Fills on share legs price the underlying exactly; daily closes stand in otherwise
+    let payoff = this.analyticsEngine.calculatePayoff(trade);
+    if (payoff && context && payoff.entryPrice === null) {
+      payoff = this.analyticsEngine.calculatePayoff(trade, {
+        entryPrice: context.entryPrice,
+        exitPrice: context.open ? null : context.exitPrice
+      });
+    }
+    const money = value => `$${Math.abs(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+    const price = value => (value === null ? 'Not known' : money(value));
+
+    let details = '';
+    if (payoff) {
+      const notes = [];
+      if (payoff.legs.some(leg => leg.premium === null)) {
+        notes.push('Legs rebuilt from the strategy and its strikes; only the net premium is known.');
+      }
+      if (payoff.mixedExpiries) {
+        notes.push('The legs expire on different dates. The curve settles them all at once, so it only approximates the trade.');
+      }
+      notes.push('Commissions and fees are not included.');
+
+      const legRows = payoff.legs.map(leg => `
+        <tr>
+          <td>${leg.side > 0 ? 'Long' : 'Short'}</td>
+          <td class="font-mono">${leg.quantity}</td>
+          <td>${leg.type === 'STOCK' ? 'Shares' : leg.type === 'CALL' ? 'Call' : 'Put'}</td>
+          <td class="font-mono">${leg.strike === null ? '—' : leg.strike}</td>
+          <td>${leg.expiry || '—'}</td>
+          <td class="font-mono">${leg.premium === null ? '—' : this.formatCurrency(leg.premium)}</td>
+        </tr>
+      `).join('');
+
+      details = `
+        <dl class="payoff-stats">
+          <div><dt>Net premium</dt><dd>${money(Math.abs(payoff.netPremium))} ${payoff.netPremium >= 0 ? 'credit' : 'debit'}</dd></div>
+          <div><dt>Max profit</dt><dd class="text-profit">${payoff.maxProfit === null ? 'Unlimited' : this.formatCurrency(payoff.maxProfit)}</dd></div>
+          <div><dt>Max loss</dt><dd class="text-loss">${payoff.maxLoss === null ? 'Unlimited' : this.formatCurrency(-payoff.maxLoss)}</dd></div>
+          <div><dt>Breakevens</dt><dd>${payoff.breakevens.length > 0 ? payoff.breakevens.map(money).join(' / ') : 'None'}</dd></div>
+          <div><dt>Underlying at entry</dt><dd>${price(payoff.entryPrice)}</dd></div>
+          <div><dt>Underlying at exit</dt><dd>${price(payoff.exitPrice)}</dd></div>
+        </dl>
+        <div id="payoff-diagram"></div>
+        <div class="overflow-x-auto mt-4">
+          <table class="data-table trade-legs-table">
+            <thead><tr><th>Side</th><th>Qty</th><th>Type</th><th>Strike</th><th>Expires</th><th>Premium</th></tr></thead>
+            <tbody>${legRows}</tbody>
+          </table>
+        </div>
+        <p class="text-text-secondary text-xs mt-3">${notes.join(' ')}</p>
+      `;
+    } else {
+      details = `
+        <p class="text-text-secondary text-sm">
+          The legs of this trade are not known, so its payoff cannot be drawn.
+        </p>
+      `;
+    }
+
+    details += this.renderPriceContext(trade, context);
+
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center';
+    modal.id = 'payoff-modal';
+    modal.innerHTML = `
+      <div class="bg-surface border border-border rounded-lg p-6 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto"
+        role="dialog" aria-modal="true" aria-labelledby="payoff-modal-title">
+        <div class="flex items-start justify-between mb-4">
+          <div>
+            <h2 id="payoff-modal-title" class="text-xl font-semibold">${trade.Symbol} ${trade.Strategy}</h2>
+            <p class="text-text-secondary text-sm">Payoff at expiration</p>
+          </div>
+          <button id="close-payoff-modal" class="text-text-secondary hover:text-text-primary" aria-label="Close payoff diagram">
+            <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+        ${details}
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Drawn once the modal is in the page, so the chart can measure itself
+    const diagram = payoff ? new PayoffDiagram('payoff-diagram', payoff) : null;
+    const priceChart = context ? new UnderlyingPriceChart('underlying-price-chart', {
+      bars: this.analyticsEngine.barsAround(bars, context),
+      context
+    }) : null;
+
+    const closeModal = () => {
+      if (diagram) diagram.destroy();
+      if (priceChart) priceChart.destroy();
+      modal.remove();
+      document.removeEventListener('keydown', onKeydown);
+    };
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') closeModal();
+    };
+
+    document.getElementById('close-payoff-modal').addEventListener('click', closeModal);
+    document.addEventListener('keydown', onKeydown);
+
+    // Close on overlay click
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeModal();
+      }
+    });
+  }
+
+  /**
+   * What the underlying did while a trade was held, for the payoff modal
+   * @param {Object} trade - Trade record
+   * @param {Object|null} context - From AnalyticsEngine.calculatePriceContext
+   * @returns {string} - HTML
+   * @private
+   */
+  renderPriceContext(trade, context) {
+    if (!context) {
+      return `
+        <h3 class="text-sm font-semibold mt-6 mb-2">Underlying during the trade</h3>
+        <p class="text-text-secondary text-sm">
+          Import daily prices for ${trade.Symbol} on the Data tab to see what it did while this trade was open.
+        </p>
+      `;
+    }
+
+    const money = value => `$${value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+    const move = `${this.formatCurrency(context.move)} (${context.movePct >= 0 ? '+' : ''}${context.movePct.toFixed(2)}%)`;
+    let strikes = 'None sold';
+    if (context.shortStrikes.length > 0) {
+      strikes = context.breached
+        ? context.breaches.map(breach =>
+          `${breach.type === 'PUT' ? 'Put' : 'Call'} ${money(breach.strike)} breached ${breach.date} (${breach.type === 'PUT' ? 'low' : 'high'} ${money(breach.extreme)})`
+        ).join('; ')
+        : 'Held throughout';
+    }
+    const notes = [`Daily prices: entry and exit are the closes of ${context.from} and ${context.to}.`];
+    if (!context.complete) notes.push('The imported prices end before the trade was closed.');
+
+    return `
+      <h3 class="text-sm font-semibold mt-6 mb-2">Underlying during the trade</h3>
+      <dl class="payoff-stats">
+        <div><dt>Move ${context.open ? 'so far' : 'while held'}</dt><dd class="${context.move >= 0 ? 'text-profit' : 'text-loss'}">${move}</dd></div>
+        <div><dt>Range held</dt><dd>${money(context.low)} – ${money(context.high)}</dd></div>
+        <div><dt>Days held</dt><dd>${context.days} trading day${context.days === 1 ? '' : 's'}</dd></div>
+        <div><dt>Short strikes</dt><dd class="${context.breached ? 'text-loss' : ''}">${strikes}</dd></div>
+      </dl>
+      <div id="underlying-price-chart"></div>
+      <p class="text-text-secondary text-xs mt-3">${notes.join(' ')}</p>
+    `;
+  }
+
   /**
    * Clear all data and reset to empty state
    */
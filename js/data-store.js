@@ -1,17 +1,85 @@
 /**
- * DataStore - Manages application state and localStorage persistence
+ * Trade record migrations, keyed by the schema version they upgrade to
+ * Version 1 is any record saved before versioning. Each step fills in a field
+ * later imports compute, so older books read the same as fresh ones.
+ */
+const TRADE_MIGRATIONS = {
+  // Realized P/L, net of costs, and its gross counterpart
+  2: trade => {
+    if (trade.RealizedPL !== undefined && trade.RealizedPL !== null) return trade;
+
+    const gross = (parseFloat(trade.Credit) || 0) - (parseFloat(trade.Debit) || 0);
+    const costs = (parseFloat(trade.Commissions) || 0) + (parseFloat(trade.Fees) || 0);
+    return {
+      ...trade,
+      RealizedGrossPL: trade.Exit ? gross : 0,
+      RealizedPL: trade.Exit ? gross - costs : 0
+    };
+  },
+
+  // Spread width, recovered from the stored strikes of verticals and
+  // four-leg iron structures (both wings are the outer pairs once sorted)
+  3: trade => {
+    if (trade.Width !== undefined) return trade;
+
+    const strikes = ((trade._metadata && trade._metadata.strikes) || [])
+      .map(Number)
+      .filter(strike => Number.isFinite(strike) && strike > 0)
+      .sort((a, b) => a - b);
+
+    let width = null;
+    if (strikes.length === 2 && /spread/i.test(trade.Strategy || '')) {
+      width = strikes[1] - strikes[0];
+    } else if (strikes.length === 4 && /^iron/i.test(trade.Strategy || '')) {
+      width = Math.max(strikes[1] - strikes[0], strikes[3] - strikes[2]);
+    }
+
+    return { ...trade, Width: width > 0 ? width : null };
+  },
+
+  // Flag for closes whose opening leg predates the export
+  4: trade => {
+    if (trade._metadata && trade._metadata.incompleteBasis !== undefined) return trade;
+    return { ...trade, _metadata: { ...(trade._metadata || {}), incompleteBasis: false } };
+  }
+};
+
+/**
+ * DataStore - Manages application state and trade persistence
  * 
  * Responsibilities:
- * - Persist trade data to localStorage
+ * - Persist trade data to IndexedDB (localStorage where IndexedDB is missing)
+ * - Migrate stored trades to the current schema version
  * - Manage filter state
  * - Emit events on state changes
  * - Handle storage quota errors gracefully
+ *
+ * Trades are held in memory once init() resolves, so loadTrades and
+ * saveTrades stay synchronous; IndexedDB writes complete in the background
+ * and report failures through the 'storageError' event. An append writes
+ * only the trades it added or updated, not the whole book. Imported price
+ * and IV history are held the same way, one IndexedDB record per symbol, so
+ * an import rewrites only the symbols it touched.
  */
 class DataStore {
   constructor() {
     this.TRADES_KEY = 'options_trading_journal_trades';
     this.FILTERS_KEY = 'options_trading_journal_filters';
+    this.MARKS_KEY = 'options_trading_journal_marks';
+    this.GREEKS_SETTINGS_KEY = 'options_trading_journal_greeks_settings';
+    this.PRICES_KEY = 'options_trading_journal_prices';
+    this.IV_HISTORY_KEY = 'options_trading_journal_iv_history';
+    this.SCHEMA_KEY = 'options_trading_journal_schema_version';
+    this.DB_NAME = 'options_trading_journal';
+    this.DB_VERSION = 3;
+    this.SCHEMA_VERSION = 4;
     this.listeners = new Map();
+
+    this.db = null;
+    this.trades = [];
+    this.priceHistory = {};
+    this.ivHistory = {};
+    this.pendingWrite = Promise.resolve();
     
     // Default filter state
     this.defaultFilters = {
@@ -20,45 +88,105 @@ class DataStore {
         startDate: null,
         endDate: null
       },
-      positionStatus: 'all'  // Changed from 'closed' to 'all' to show all trades by default
+      positionStatus: 'all',  // Changed from 'closed' to 'all' to show all trades by default
+      account: 'all',
+      unit: 'trade',          // 'trade' or 'campaign' (roll chains)
+      compare: 'off'          // 'off' or 'previous' (period before the date range)
     };
   }
 
   /**
-   * Load trades from localStorage
-   * @returns {Array} - Stored trades or empty array
+   * Open storage and load the stored trades
+   * On first load with IndexedDB, trades saved to localStorage by earlier
+   * versions are migrated across and the localStorage copy is removed.
+   * @returns {Promise<void>}
    */
-  loadTrades() {
+  async init() {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('IndexedDB not available, storing trades in localStorage');
+      this.trades = this._loadLocalStorageTrades();
+      return;
+    }
+
     try {
-      const data = localStorage.getItem(this.TRADES_KEY);
-      if (!data) {
-        return [];
+      this.db = await this._openDatabase();
+      this.priceHistory = await this._loadHistory('prices', this.PRICES_KEY, this._unpackBars);
+      this.ivHistory = await this._loadHistory('ivHistory', this.IV_HISTORY_KEY, this._unpackReadings);
+      const stored = await this._readAll();
+
+      if (stored.records.length === 0 && localStorage.getItem(this.TRADES_KEY)) {
+        this.trades = this._loadLocalStorageTrades();
+        await this._writeAll(this.trades);
+        localStorage.removeItem(this.TRADES_KEY);
+        localStorage.removeItem(this.SCHEMA_KEY);
+        console.log(`Migrated ${this.trades.length} trades from localStorage to IndexedDB`);
+        return;
+      }
+
+      this.trades = this.migrateTrades(stored.records, stored.version).map(trade => this._reviveTrade(trade));
+      if (stored.records.length > 0 && stored.version < this.SCHEMA_VERSION) {
+        await this._writeAll(this.trades);
       }
-      
-      const trades = JSON.parse(data);
-      
-      // Parse date strings back to Date objects
-      return trades.map(trade => ({
-        ...trade,
-        Entry: trade.Entry ? new Date(trade.Entry) : null,
-        Exit: trade.Exit ? new Date(trade.Exit) : null,
-        Expiry: trade.Expiry ? new Date(trade.Expiry) : null
-      }));
     } catch (error) {
-      console.error('Error loading trades from localStorage:', error);
-      return [];
+      console.error('Error opening IndexedDB, storing trades in localStorage:', error);
+      this.db = null;
+      this.trades = this._loadLocalStorageTrades();
     }
   }
 
   /**
-   * Save trades to localStorage
+   * Upgrade trade records saved under an older schema version
+   * @param {Array} trades - Stored trade records
+   * @param {number} fromVersion - Schema version they were saved under
+   * @returns {Array} - Records at the current schema version
+   */
+  migrateTrades(trades, fromVersion) {
+    let migrated = trades;
+    for (let version = (fromVersion || 1) + 1; version <= this.SCHEMA_VERSION; version++) {
+      const migrate = TRADE_MIGRATIONS[version];
+      if (migrate) {
+        migrated = migrated.map(migrate);
+      }
+    }
+    return migrated;
+  }
+
+  /**
+   * Load trades
+   * @returns {Array} - Stored trades or empty array
+   */
+  loadTrades() {
+    return [...this.trades];
+  }
+
+  /**
+   * Save trades
    * @param {Array} trades - Trades to persist
-   * @throws {Error} - If localStorage quota exceeded
+   * @param {Array} [changed] - Indexes of the trades that differ from the
+   *   stored book, as returned by mergeTrades; only those are written to
+   *   IndexedDB. Omit to replace the stored trades.
+   * @throws {Error} - If localStorage quota exceeded (IndexedDB failures are
+   *   reported through the 'storageError' event instead)
    */
-  saveTrades(trades) {
+  saveTrades(trades, changed) {
+    this.trades = [...trades];
+
+    if (this.db) {
+      const snapshot = this.trades;
+      this.pendingWrite = this.pendingWrite
+        .then(() => (changed ? this._writeRecords(snapshot, changed) : this._writeAll(snapshot)))
+        .catch(error => {
+          console.error('Error saving trades to IndexedDB:', error);
+          this.emit('storageError', error);
+        });
+      this.emit('tradesChanged', trades);
+      return;
+    }
+
     try {
       const serializedTrades = JSON.stringify(trades);
       localStorage.setItem(this.TRADES_KEY, serializedTrades);
+      localStorage.setItem(this.SCHEMA_KEY, String(this.SCHEMA_VERSION));
       this.emit('tradesChanged', trades);
     } catch (error) {
       if (error.name === 'QuotaExceededError' || error.code === 22) {
@@ -70,12 +198,120 @@ class DataStore {
     }
   }
 
+  /**
+   * Resolves once every queued IndexedDB write has completed
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingWrite;
+  }
+
+  /**
+   * Add imported trades to the stored book
+   * Exports with overlapping date windows repeat trades; a repeat replaces the
+   * stored copy only when it records a close the stored copy lacks.
+   * @param {Array} trades - Newly imported trades
+   * @returns {Object} - { trades, added, updated, duplicates, changed }
+   * @throws {Error} - If localStorage quota exceeded
+   */
+  appendTrades(trades) {
+    const merged = this.mergeTrades(this.loadTrades(), trades);
+    this.saveTrades(merged.trades, merged.changed);
+    return merged;
+  }
+
+  /**
+   * Merge incoming trades into an existing list without duplicating any
+   * Each incoming trade is matched against the existing book only, one stored
+   * copy per incoming copy, so identical fills within one file all survive.
+   * @param {Array} existing - Trades already in the book
+   * @param {Array} incoming - Trades from a new import
+   * @returns {Object} - { trades, added, updated, duplicates, changed
+   *   (indexes in trades of those added or updated, for saveTrades) }
+   */
+  mergeTrades(existing, incoming) {
+    const trades = [...existing];
+    const unmatchedByKey = new Map();
+    trades.forEach((trade, index) => {
+      const key = this.tradeKey(trade);
+      if (!unmatchedByKey.has(key)) unmatchedByKey.set(key, []);
+      unmatchedByKey.get(key).push(index);
+    });
+
+    let added = 0;
+    let updated = 0;
+    let duplicates = 0;
+    const changed = [];
+
+    incoming.forEach(trade => {
+      const unmatched = unmatchedByKey.get(this.tradeKey(trade));
+      if (!unmatched || unmatched.length === 0) {
+        changed.push(trades.length);
+        trades.push(trade);
+        added++;
+        return;
+      }
+
+      const index = unmatched.shift();
+      if (trade.Exit && !trades[index].Exit) {
+        trades[index] = trade;
+        changed.push(index);
+        updated++;
+      } else {
+        duplicates++;
+      }
+    });
+
+    return { trades, added, updated, duplicates, changed };
+  }
+
+  /**
+   * Identity of a trade across exports
+   * Built from what is fixed when the position opens (account, strategy group,
+   * legs, entry time) so a later export that also carries the close still
+   * matches, while the same trade placed in two accounts stays two trades.
+   * @param {Object} trade - Trade record
+   * @returns {string} - Key shared by copies of the same trade
+   */
+  tradeKey(trade) {
+    const time = value => {
+      const date = value ? new Date(value) : null;
+      return date && !isNaN(date.getTime()) ? date.getTime() : '';
+    };
+    const metadata = trade._metadata || {};
+    const strikes = Array.isArray(metadata.strikes) && metadata.strikes.length > 0
+      ? metadata.strikes.map(Number).join('/')
+      : Number(trade.Strike) || '';
+
+    return [
+      trade.Account || '',
+      metadata.strategyGroupId || '',
+      trade.Symbol,
+      trade.Type,
+      time(trade.Entry),
+      time(trade.Expiry),
+      strikes,
+      Number(trade.Volume) || ''
+    ].join('|');
+  }
+
   /**
    * Clear all stored trade data
    */
   clearTrades() {
+    this.trades = [];
+
+    if (this.db) {
+      this.pendingWrite = this.pendingWrite
+        .then(() => this._writeAll([]))
+        .catch(error => console.error('Error clearing trades from IndexedDB:', error));
+      this.emit('tradesCleared');
+      return;
+    }
+
     try {
       localStorage.removeItem(this.TRADES_KEY);
+      localStorage.removeItem(this.SCHEMA_KEY);
       this.emit('tradesCleared');
     } catch (error) {
       console.error('Error clearing trades from localStorage:', error);
@@ -127,9 +363,309 @@ class DataStore {
     }
   }
 
+  /**
+   * Get the current marks
+   * Keyed by instrument (AnalyticsEngine.instrumentKey) for quoted contracts
+   * and shares, or by positionMarkKey for a price typed against a position.
+   * @returns {Object} - Map of key to { mark, updatedAt (ISO string) }
+   */
+  getMarks() {
+    try {
+      const data = localStorage.getItem(this.MARKS_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Error loading marks from localStorage:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Record marks, stamped with the time they were entered
+   * A null mark removes the key. Keys not given keep their earlier mark.
+   * @param {Object} entries - Map of key to mark price (or null)
+   * @param {Date} [now] - Time of entry, defaults to now
+   * @returns {Object} - All marks after the update
+   */
+  setMarks(entries, now = new Date()) {
+    const marks = this.getMarks();
+    Object.entries(entries).forEach(([key, mark]) => {
+      const price = mark === null || mark === '' ? NaN : Number(mark);
+      if (Number.isFinite(price)) {
+        marks[key] = { mark: price, updatedAt: now.toISOString() };
+      } else {
+        delete marks[key];
+      }
+    });
+
+    try {
+      localStorage.setItem(this.MARKS_KEY, JSON.stringify(marks));
+      this.emit('marksChanged', marks);
+    } catch (error) {
+      console.error('Error saving marks to localStorage:', error);
+    }
+    return marks;
+  }
+
+  /**
+   * Remove every mark
+   */
+  clearMarks() {
+    try {
+      localStorage.removeItem(this.MARKS_KEY);
+      this.emit('marksChanged', {});
+    } catch (error) {
+      console.error('Error clearing marks from localStorage:', error);
+    }
+  }
+
+  /**
+   * Get the imported daily price history
+   * Stored compactly as [date, open, high, low, close] rows per symbol.
+   * @returns {Object} - Map of symbol to bars {date (YYYY-MM-DD), open,
+   *   high, low, close}, oldest first
+   */
+  getPriceHistory() {
+    if (this.db) return { ...this.priceHistory };
+
+    try {
+      const data = localStorage.getItem(this.PRICES_KEY);
+      const stored = data ? JSON.parse(data) : {};
+      const history = {};
+      Object.entries(stored).forEach(([symbol, rows]) => {
+        history[symbol] = this._unpackBars(rows);
+      });
+      return history;
+    } catch (error) {
+      console.error('Error loading price history from localStorage:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Add daily bars to the price history
+   * Bars are merged per symbol by date; a date already stored takes the
+   * newer bar.
+   * @param {Object} entries - Map of symbol to bars (CSVParser.parsePriceHistoryString)
+   * @returns {Object|null} - Price history after the update, or null when it
+   *   could not be saved (usually browser storage being full)
+   */
+  setPriceHistory(entries) {
+    const history = this.getPriceHistory();
+    const symbols = Object.entries(entries).map(([symbol, bars]) => {
+      const key = String(symbol).trim().toUpperCase();
+      const merged = new Map((history[key] || []).map(bar => [bar.date, bar]));
+      bars.forEach(bar => merged.set(bar.date, bar));
+      history[key] = Array.from(merged.values()).sort((a, b) => a.date.localeCompare(b.date));
+      return key;
+    });
+    return this._savePriceHistory(history, symbols);
+  }
+
+  /**
+   * Remove the price history of one symbol, or of every symbol
+   * @param {string|null} [symbol] - Symbol to remove; all when omitted
+   */
+  removePriceHistory(symbol = null) {
+    const history = symbol ? this.getPriceHistory() : {};
+    if (symbol) delete history[symbol];
+    this._savePriceHistory(history, symbol ? [symbol] : null);
+  }
+
+  /**
+   * Write the price history and announce it
+   * @param {Object} history - Map of symbol to bars
+   * @param {Array|null} symbols - Symbols that changed; null when the whole
+   *   history was replaced
+   * @returns {Object|null} - The history, or null when it could not be saved
+   * @private
+   */
+  _savePriceHistory(history, symbols) {
+    const pack = bars => bars.map(bar => [bar.date, bar.open, bar.high, bar.low, bar.close]);
+
+    if (this.db) {
+      this.priceHistory = history;
+      this._queueHistoryWrite('prices', history, symbols, pack);
+      this.emit('pricesChanged', history);
+      return history;
+    }
+
+    const stored = {};
+    Object.entries(history).forEach(([symbol, bars]) => {
+      stored[symbol] = pack(bars);
+    });
+
+    try {
+      localStorage.setItem(this.PRICES_KEY, JSON.stringify(stored));
+      this.emit('pricesChanged', history);
+      return history;
+    } catch (error) {
+      console.error('Error saving price history to localStorage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Bars from their stored [date, open, high, low, close] rows
+   * @private
+   */
+  _unpackBars(rows) {
+    return rows.map(([date, open, high, low, close]) => ({ date, open, high, low, close }));
+  }
+
+  /**
+   * Get the imported implied volatility history
+   * Stored compactly as [date, iv] rows per symbol.
+   * @returns {Object} - Map of symbol to readings {date (YYYY-MM-DD), iv
+   *   (as a fraction)}, oldest first
+   */
+  getIVHistory() {
+    if (this.db) return { ...this.ivHistory };
+
+    try {
+      const data = localStorage.getItem(this.IV_HISTORY_KEY);
+      const stored = data ? JSON.parse(data) : {};
+      const history = {};
+      Object.entries(stored).forEach(([symbol, rows]) => {
+        history[symbol] = this._unpackReadings(rows);
+      });
+      return history;
+    } catch (error) {
+      console.error('Error loading IV history from localStorage:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Add readings to the implied volatility history
+   * Readings are merged per symbol by date; a date already stored takes
+   * the newer reading.
+   * @param {Object} entries - Map of symbol to readings (CSVParser.parseIVHistoryString)
+   * @returns {Object|null} - IV history after the update, or null when it
+   *   could not be saved
+   */
+  setIVHistory(entries) {
+    const history = this.getIVHistory();
+    const symbols = Object.entries(entries).map(([symbol, readings]) => {
+      const key = String(symbol).trim().toUpperCase();
+      const merged = new Map((history[key] || []).map(reading => [reading.date, reading]));
+      readings.forEach(reading => merged.set(reading.date, reading));
+      history[key] = Array.from(merged.values()).sort((a, b) => a.date.localeCompare(b.date));
+      return key;
+    });
+    return this._saveIVHistory(history, symbols);
+  }
+
+  /**
+   * Remove the IV history of one symbol, or of every symbol
+   * @param {string|null} [symbol] - Symbol to remove; all when omitted
+   */
+  removeIVHistory(symbol = null) {
+    const history = symbol ? this.getIVHistory() : {};
+    if (symbol) delete history[symbol];
+    this._saveIVHistory(history, symbol ? [symbol] : null);
+  }
+
+  /**
+   * Write the IV history and announce it
+   * @param {Object} history - Map of symbol to readings
+   * @param {Array|null} symbols - Symbols that changed; null when the whole
+   *   history was replaced
+   * @returns {Object|null} - The history, or null when it could not be saved
+   * @private
+   */
+  _saveIVHistory(history, symbols) {
+    const pack = readings => readings.map(reading => [reading.date, reading.iv]);
+
+    if (this.db) {
+      this.ivHistory = history;
+      this._queueHistoryWrite('ivHistory', history, symbols, pack);
+      this.emit('ivHistoryChanged', history);
+      return history;
+    }
+
+    const stored = {};
+    Object.entries(history).forEach(([symbol, readings]) => {
+      stored[symbol] = pack(readings);
+    });
+
+    try {
+      localStorage.setItem(this.IV_HISTORY_KEY, JSON.stringify(stored));
+      this.emit('ivHistoryChanged', history);
+      return history;
+    } catch (error) {
+      console.error('Error saving IV history to localStorage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Readings from their stored [date, iv] rows
+   * @private
+   */
+  _unpackReadings(rows) {
+    return rows.map(([date, iv]) => ({ date, iv }));
+  }
+
+  /**
+   * Get the portfolio Greeks settings
+   * @returns {Object} - { benchmark (symbol, 'SPY' by default), betas (map of
+   *   underlying symbol to beta against the benchmark) }
+   */
+  getGreeksSettings() {
+    const defaults = { benchmark: 'SPY', betas: {} };
+    try {
+      const data = localStorage.getItem(this.GREEKS_SETTINGS_KEY);
+      return data ? { ...defaults, ...JSON.parse(data) } : defaults;
+    } catch (error) {
+      console.error('Error loading Greeks settings from localStorage:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Update the portfolio Greeks settings
+   * Betas given are merged into those stored; a null or blank beta removes it.
+   * @param {Object} changes - { benchmark, betas }, either optional
+   * @returns {Object} - Settings after the update
+   */
+  setGreeksSettings(changes) {
+    const settings = this.getGreeksSettings();
+    if (changes.benchmark) {
+      settings.benchmark = String(changes.benchmark).trim().toUpperCase();
+    }
+    Object.entries(changes.betas || {}).forEach(([symbol, beta]) => {
+      const value = beta === null || beta === '' ? NaN : Number(beta);
+      if (Number.isFinite(value)) {
+        settings.betas[symbol] = value;
+      } else {
+        delete settings.betas[symbol];
+      }
+    });
+
+    try {
+      localStorage.setItem(this.GREEKS_SETTINGS_KEY, JSON.stringify(settings));
+      this.emit('greeksSettingsChanged', settings);
+    } catch (error) {
+      console.error('Error saving Greeks settings to localStorage:', error);
+    }
+    return settings;
+  }
+
+  /**
+   * Key a mark typed against a whole position is stored under
+   * Scoped to the account through tradeKey, so the same position held in two
+   * accounts is marked separately.
+   * @param {Object} trade - Trade record
+   * @returns {string} - Mark key
+   */
+  positionMarkKey(trade) {
+    return `position:${this.tradeKey(trade)}`;
+  }
+
   /**
    * Subscribe to state change events
-   * @param {string} event - Event name ('tradesChanged', 'tradesCleared', 'filtersChanged')
+   * @param {string} event - Event name ('tradesChanged', 'tradesCleared', 'filtersChanged', 'marksChanged',
+   *   'greeksSettingsChanged', 'pricesChanged', 'ivHistoryChanged')
    * @param {Function} callback - Callback function
    * @returns {Function} - Unsubscribe function
    */
@@ -170,6 +706,224 @@ class DataStore {
     }
   }
 
+  /**
+   * Trades saved to localStorage, migrated to the current schema
+   * @returns {Array} - Trades with dates revived
+   * @private
+   */
+  _loadLocalStorageTrades() {
+    try {
+      const data = localStorage.getItem(this.TRADES_KEY);
+      if (!data) {
+        return [];
+      }
+
+      const version = parseInt(localStorage.getItem(this.SCHEMA_KEY), 10) || 1;
+      return this.migrateTrades(JSON.parse(data), version).map(trade => this._reviveTrade(trade));
+    } catch (error) {
+      console.error('Error loading trades from localStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Parse date strings back to Date objects
+   * @private
+   */
+  _reviveTrade(trade) {
+    return {
+      ...trade,
+      Entry: trade.Entry ? new Date(trade.Entry) : null,
+      Exit: trade.Exit ? new Date(trade.Exit) : null,
+      Expiry: trade.Expiry ? new Date(trade.Expiry) : null
+    };
+  }
+
+  /**
+   * Open (creating or upgrading) the trades database
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  _openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('trades')) {
+          db.createObjectStore('trades', { keyPath: '_recordId' });
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        // Version 2: daily price history, one record per symbol
+        if (!db.objectStoreNames.contains('prices')) {
+          db.createObjectStore('prices', { keyPath: 'symbol' });
+        }
+        // Version 3: implied volatility history, one record per symbol
+        if (!db.objectStoreNames.contains('ivHistory')) {
+          db.createObjectStore('ivHistory', { keyPath: 'symbol' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+    });
+  }
+
+  /**
+   * Every stored trade record and the schema version it was saved under
+   * @returns {Promise<Object>} - { records, version }
+   * @private
+   */
+  _readAll() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['trades', 'meta'], 'readonly');
+      const tradesRequest = transaction.objectStore('trades').getAll();
+      const versionRequest = transaction.objectStore('meta').get('schemaVersion');
+
+      transaction.oncomplete = () => {
+        const records = tradesRequest.result
+          .sort((a, b) => a._recordId - b._recordId)
+          .map(({ _recordId, ...trade }) => trade);
+        const version = versionRequest.result ? versionRequest.result.value : 1;
+        resolve({ records, version });
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Replace the stored trades and stamp the current schema version
+   * Records go through JSON so they hold the same plain values the
+   * localStorage layout did.
+   * @param {Array} trades - Trades to store
+   * @returns {Promise<void>}
+   * @private
+   */
+  _writeAll(trades) {
+    const records = JSON.parse(JSON.stringify(trades));
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['trades', 'meta'], 'readwrite');
+      const store = transaction.objectStore('trades');
+
+      store.clear();
+      records.forEach((trade, index) => store.put({ ...trade, _recordId: index }));
+      transaction.objectStore('meta').put({ key: 'schemaVersion', value: this.SCHEMA_VERSION });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB write aborted'));
+    });
+  }
+
+  /**
+   * Write some trades over their stored records, leaving the rest in place
+   * Records are keyed by their index in the book, so appended trades land
+   * after the stored ones and an updated trade replaces its stored copy.
+   * @param {Array} trades - Every trade in the book
+   * @param {Array} indexes - Indexes of the trades to write
+   * @returns {Promise<void>}
+   * @private
+   */
+  _writeRecords(trades, indexes) {
+    const records = indexes.map(index => ({ ...JSON.parse(JSON.stringify(trades[index])), _recordId: index }));
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['trades'], 'readwrite');
+      const store = transaction.objectStore('trades');
+
+      records.forEach(record => store.put(record));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB write aborted'));
+    });
+  }
+
+  /**
+   * Load a per-symbol history store into memory
+   * History saved to localStorage by earlier versions, as one map of symbol
+   * to rows under storageKey, is moved across on first load.
+   * @param {string} storeName - Object store holding one record per symbol
+   * @param {string} storageKey - localStorage key of the earlier layout
+   * @param {Function} unpack - Stored rows to entries
+   * @returns {Promise<Object>} - Map of symbol to entries
+   * @private
+   */
+  async _loadHistory(storeName, storageKey, unpack) {
+    const records = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readonly');
+      const request = transaction.objectStore(storeName).getAll();
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    const history = {};
+    if (records.length === 0 && localStorage.getItem(storageKey)) {
+      const stored = JSON.parse(localStorage.getItem(storageKey));
+      await this._writeHistory(storeName, Object.entries(stored).map(([symbol, rows]) => ({ symbol, rows })), [], true);
+      localStorage.removeItem(storageKey);
+      Object.entries(stored).forEach(([symbol, rows]) => {
+        history[symbol] = unpack(rows);
+      });
+      return history;
+    }
+
+    records.forEach(({ symbol, rows }) => {
+      history[symbol] = unpack(rows);
+    });
+    return history;
+  }
+
+  /**
+   * Queue the write of the symbols of a history that changed
+   * @param {string} storeName - Object store holding one record per symbol
+   * @param {Object} history - Map of symbol to entries, after the change
+   * @param {Array|null} symbols - Symbols that changed; null to replace all
+   * @param {Function} pack - Entries to stored rows
+   * @private
+   */
+  _queueHistoryWrite(storeName, history, symbols, pack) {
+    const changed = symbols || Object.keys(history);
+    const records = changed
+      .filter(symbol => history[symbol])
+      .map(symbol => ({ symbol, rows: pack(history[symbol]) }));
+    const removed = changed.filter(symbol => !history[symbol]);
+
+    this.pendingWrite = this.pendingWrite
+      .then(() => this._writeHistory(storeName, records, removed, symbols === null))
+      .catch(error => {
+        console.error(`Error saving ${storeName} to IndexedDB:`, error);
+        this.emit('storageError', error);
+      });
+  }
+
+  /**
+   * Put and delete per-symbol history records in one transaction
+   * @param {string} storeName - Object store
+   * @param {Array} records - { symbol, rows } to store
+   * @param {Array} removed - Symbols to delete
+   * @param {boolean} replaceAll - Clear the store first
+   * @returns {Promise<void>}
+   * @private
+   */
+  _writeHistory(storeName, records, removed, replaceAll) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+
+      if (replaceAll) store.clear();
+      removed.forEach(symbol => store.delete(symbol));
+      records.forEach(record => store.put(record));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB write aborted'));
+    });
+  }
+
   /**
    * Check if localStorage is available and working
    * @returns {boolean} - True if localStorage is available
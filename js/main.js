@@ -21,9 +21,10 @@ let currentSortDirection = 'desc'; // Descending by default
 /**
  * Initialize application on page load
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   // Initialize core components
   dataStore = new DataStore();
+  await dataStore.init();
   analyticsEngine = new AnalyticsEngine();
   strategyDetector = new StrategyDetector();
   csvParser = new CSVParser();
@@ -77,8 +78,9 @@ function setupEventListeners() {
   const headerClearBtn = document.getElementById('header-clear-btn');
   const emptyStateDemoBtn = document.getElementById('empty-state-demo-btn');
   
-  // Filter button groups
-  const filterButtons = document.querySelectorAll('.filter-btn');
+  // Filter button groups (account buttons are rendered per data set)
+  const filterButtons = document.querySelectorAll('.filter-btn[data-filter]');
+  const importModeButtons = document.querySelectorAll('[data-import-mode]');
   
   // Table headers for sorting
   const tableHeaders = document.querySelectorAll('#symbol-strategy-table th.sortable');
@@ -132,6 +134,7 @@ function setupEventListeners() {
         dashboardController.clearData();
         dashboardController.showToast('Trade data cleared', 'success');
         syncHeaderActions();
+        renderAccountFilter();
       }
     });
   }
@@ -176,10 +179,10 @@ function setupEventListeners() {
       dropZone.style.borderColor = '';
       
       const file = event.dataTransfer.files[0];
-      if (file && file.type === 'text/csv') {
+      if (file && (file.type === 'text/csv' || /\.(csv|xml)$/i.test(file.name))) {
         handleFileUpload(file);
       } else {
-        dashboardController.showToast('Please upload a CSV file', 'error');
+        dashboardController.showToast('Please upload a CSV or Flex Query XML file', 'error');
       }
     });
     
@@ -200,27 +203,33 @@ function setupEventListeners() {
     button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      
-      const filterType = button.getAttribute('data-filter');
-      const filterValue = button.getAttribute('data-value');
-      
-      // Update active state for buttons in the same group
-      const groupButtons = document.querySelectorAll(`[data-filter="${filterType}"]`);
-      groupButtons.forEach(btn => {
-        btn.classList.remove('active');
-        btn.setAttribute('aria-checked', 'false');
-      });
-      
-      button.classList.add('active');
-      button.setAttribute('aria-checked', 'true');
-      
-      // Update filter summary
+      selectFilterButton(button);
+    });
+  });
+
+  // Custom date range inputs apply as soon as either end changes, unless the
+  // start is after the end
+  ['date-range-start', 'date-range-end'].forEach(id => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.addEventListener('change', () => {
+      if (!checkCustomRange()) return;
       updateFilterSummary();
-      
-      // Trigger filter change
       handleFilterChange();
     });
   });
+
+  // Import mode (replace or add to the stored trades)
+  importModeButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      importModeButtons.forEach(btn => {
+        btn.classList.toggle('active', btn === button);
+        btn.setAttribute('aria-checked', btn === button ? 'true' : 'false');
+      });
+    });
+  });
   
   // Table header sorting (Requirements 7.3, 7.4)
   tableHeaders.forEach(header => {
@@ -244,6 +253,76 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * Mark a filter button active within its group and apply the filters
+ * @param {HTMLElement} button - Clicked filter button
+ */
+function selectFilterButton(button) {
+  const filterType = button.getAttribute('data-filter');
+
+  // Update active state for buttons in the same group
+  const groupButtons = document.querySelectorAll(`[data-filter="${filterType}"]`);
+  groupButtons.forEach(btn => {
+    btn.classList.remove('active');
+    btn.setAttribute('aria-checked', 'false');
+  });
+
+  button.classList.add('active');
+  button.setAttribute('aria-checked', 'true');
+
+  syncCustomRangeInputs();
+
+  // Update filter summary
+  updateFilterSummary();
+
+  // Trigger filter change
+  handleFilterChange();
+}
+
+/**
+ * Rebuild the account filter from the loaded trades
+ * The group stays hidden until trades span more than one account; a selected
+ * account that is no longer present falls back to All.
+ */
+function renderAccountFilter() {
+  const group = document.getElementById('account-filter-group');
+  const container = document.getElementById('account-filter-buttons');
+  if (!group || !container) return;
+
+  const accounts = analyticsEngine.getAccounts(dashboardController.enrichedTrades || []);
+  const filters = dataStore.getFilters();
+  let selected = filters.account || 'all';
+
+  if (selected !== 'all' && !accounts.includes(selected)) {
+    selected = 'all';
+    dataStore.setFilters({ ...filters, account: 'all' });
+  }
+
+  container.innerHTML = '';
+  ['all', ...accounts].forEach(account => {
+    const button = document.createElement('button');
+    button.className = 'filter-btn';
+    button.setAttribute('data-filter', 'account');
+    button.setAttribute('data-value', account);
+    button.setAttribute('role', 'radio');
+    button.textContent = account === 'all' ? 'All' : account;
+
+    const isActive = account === selected;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-checked', isActive ? 'true' : 'false');
+
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      selectFilterButton(button);
+    });
+    container.appendChild(button);
+  });
+
+  group.classList.toggle('hidden', accounts.length < 2);
+  updateFilterSummary();
+}
+
 /**
  * Handle file upload
  * @param {File} file - CSV file to upload
@@ -260,8 +339,18 @@ async function handleFileUpload(file) {
     await csvDataViewer.loadCSVFile(file);
   }
   
+  // Import mode and account name chosen in the upload zone
+  const activeImportModeBtn = document.querySelector('[data-import-mode].active');
+  const accountInput = document.getElementById('import-account-input');
+
   // Pass to dashboard controller
-  await dashboardController.handleFileUpload(file);
+  await dashboardController.handleFileUpload(file, {
+    mode: activeImportModeBtn ? activeImportModeBtn.getAttribute('data-import-mode') : 'replace',
+    account: accountInput ? accountInput.value : ''
+  });
+
+  // Offer the accounts now in the book
+  renderAccountFilter();
   
   // Enable compact header after data loads
   enableCompactHeader();
@@ -281,14 +370,26 @@ function handleFilterChange() {
   // Get active filter values from buttons
   const activeDateRangeBtn = document.querySelector('[data-filter="date-range"].active');
   const activePositionStatusBtn = document.querySelector('[data-filter="position-status"].active');
+  const activeAccountBtn = document.querySelector('[data-filter="account"].active');
+  const activeUnitBtn = document.querySelector('[data-filter="unit"].active');
+  const activeCompareBtn = document.querySelector('[data-filter="compare"].active');
+  const rangeType = activeDateRangeBtn ? activeDateRangeBtn.getAttribute('data-value') : 'alltime';
+  const custom = rangeType === 'custom';
+
+  // A reversed custom range would leave every chart empty; keep the last filters
+  if (custom && !checkCustomRange()) return;
   
   const filters = {
     dateRange: {
-      type: activeDateRangeBtn ? activeDateRangeBtn.getAttribute('data-value') : 'alltime',
-      startDate: null, // Calculated by analytics engine
-      endDate: null
+      type: rangeType,
+      // Preset windows are calculated by the analytics engine
+      startDate: custom ? readDateInput('date-range-start') : null,
+      endDate: custom ? readDateInput('date-range-end') : null
     },
-    positionStatus: activePositionStatusBtn ? activePositionStatusBtn.getAttribute('data-value') : 'all'
+    positionStatus: activePositionStatusBtn ? activePositionStatusBtn.getAttribute('data-value') : 'all',
+    account: activeAccountBtn ? activeAccountBtn.getAttribute('data-value') : 'all',
+    unit: activeUnitBtn ? activeUnitBtn.getAttribute('data-value') : 'trade',
+    compare: activeCompareBtn ? activeCompareBtn.getAttribute('data-value') : 'off'
   };
   
   // Pass to dashboard controller (with debouncing)
@@ -328,6 +429,84 @@ function loadFilters() {
       }
     });
   }
+
+  const restore = (filterType, value) => {
+    document.querySelectorAll(`[data-filter="${filterType}"]`).forEach(btn => {
+      const isActive = btn.getAttribute('data-value') === value;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-checked', isActive ? 'true' : 'false');
+    });
+  };
+  restore('unit', filters.unit || 'trade');
+  restore('compare', filters.compare || 'off');
+
+  // Custom range ends, shown only while the Custom range is selected
+  if (filters.dateRange) {
+    writeDateInput('date-range-start', filters.dateRange.startDate);
+    writeDateInput('date-range-end', filters.dateRange.endDate);
+  }
+  syncCustomRangeInputs();
+
+  // Account buttons depend on the loaded trades and restore their own selection
+  renderAccountFilter();
+}
+
+/**
+ * Show the custom range inputs while the Custom range is selected
+ */
+function syncCustomRangeInputs() {
+  const inputs = document.getElementById('custom-range-inputs');
+  if (!inputs) return;
+  const activeDateRangeBtn = document.querySelector('[data-filter="date-range"].active');
+  const custom = Boolean(activeDateRangeBtn && activeDateRangeBtn.getAttribute('data-value') === 'custom');
+  inputs.classList.toggle('hidden', !custom);
+}
+
+/**
+ * Read a date input as local midnight
+ * `new Date('2024-03-01')` is UTC midnight, which is the previous evening west
+ * of Greenwich, so the parts are read individually.
+ * @param {string} id - Input element id
+ * @returns {Date|null} - Date, or null when empty
+ */
+function readDateInput(id) {
+  const input = document.getElementById(id);
+  const match = input && /^(\d{4})-(\d{2})-(\d{2})$/.exec(input.value);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Check that the custom range starts on or before its end
+ * Flags both inputs and shows an error toast when it does not.
+ * @returns {boolean} - Whether the range can be applied
+ */
+function checkCustomRange() {
+  const start = readDateInput('date-range-start');
+  const end = readDateInput('date-range-end');
+  const valid = !start || !end || start <= end;
+
+  ['date-range-start', 'date-range-end'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) input.setAttribute('aria-invalid', valid ? 'false' : 'true');
+  });
+  if (!valid) {
+    dashboardController.showToast('The start date is after the end date.', 'error');
+  }
+  return valid;
+}
+
+/**
+ * Write a date into a date input, or clear it
+ * @param {string} id - Input element id
+ * @param {Date|null} date - Date to show
+ */
+function writeDateInput(id, date) {
+  const input = document.getElementById(id);
+  if (!input) return;
+  const pad = n => String(n).padStart(2, '0');
+  input.value = date && !isNaN(date.getTime())
+    ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    : '';
 }
 
 /**
@@ -477,6 +656,9 @@ function handleDemoDataLoad() {
 
   // Reveal the Clear action now that data is loaded
   syncHeaderActions();
+
+  // Demo trades are spread across several accounts
+  renderAccountFilter();
 }
 
 /**
@@ -535,6 +717,7 @@ function updateFilterSummary() {
   
   const activeDateRangeBtn = document.querySelector('[data-filter="date-range"].active');
   const activePositionStatusBtn = document.querySelector('[data-filter="position-status"].active');
+  const activeAccountBtn = document.querySelector('[data-filter="account"].active');
   
   const dateRangeText = activeDateRangeBtn ? activeDateRangeBtn.textContent : 'All';
   const positionStatusText = activePositionStatusBtn ? activePositionStatusBtn.textContent : 'All';
@@ -543,11 +726,34 @@ function updateFilterSummary() {
     '1W': 'Last 7 Days',
     '1M': 'Last 30 Days',
     '1Y': 'Last 12 Months',
+    'MTD': 'Month to Date',
+    'QTD': 'Quarter to Date',
     'YTD': 'Year to Date',
     'All': 'All Time'
   };
+
+  let dateRangeLabel = dateRangeMap[dateRangeText] || dateRangeText;
+  if (activeDateRangeBtn && activeDateRangeBtn.getAttribute('data-value') === 'custom') {
+    dateRangeLabel = analyticsEngine.describeDateWindow(analyticsEngine.resolveDateRange({
+      type: 'custom',
+      startDate: readDateInput('date-range-start'),
+      endDate: readDateInput('date-range-end')
+    }));
+  }
   
-  filtersSummary.textContent = `${dateRangeMap[dateRangeText] || dateRangeText} • ${positionStatusText} Positions`;
+  let summary = `${dateRangeLabel} • ${positionStatusText} Positions`;
+  if (activeAccountBtn && activeAccountBtn.getAttribute('data-value') !== 'all') {
+    summary += ` • ${activeAccountBtn.textContent}`;
+  }
+  const activeUnitBtn = document.querySelector('[data-filter="unit"].active');
+  if (activeUnitBtn && activeUnitBtn.getAttribute('data-value') === 'campaign') {
+    summary += ' • By Campaign';
+  }
+  const activeCompareBtn = document.querySelector('[data-filter="compare"].active');
+  if (activeCompareBtn && activeCompareBtn.getAttribute('data-value') !== 'off') {
+    summary += ` • vs ${activeCompareBtn.textContent}`;
+  }
+  filtersSummary.textContent = summary;
 }
 
 /**
@@ -0,0 +1,361 @@
+/**
+ * Option Pricing
+ * Pure option valuation: Black-Scholes for European-style options (the
+ * cash-settled index options such as SPX), a Cox-Ross-Rubinstein binomial
+ * tree for American-style equity and ETF options, the Greeks of either, and
+ * the implied volatility that reproduces a traded price. No DOM access, no
+ * wall-clock reads.
+ *
+ * Volatility, rates and dividend yields are annual decimals (0.2 is 20%).
+ * Price, delta and gamma are per share; theta is per calendar day and vega
+ * and rho per percentage point. Multiply by 100 for one contract.
+ */
+
+const OptionPricing = (function () {
+  const DEFAULT_RATE = 0.04;
+  const BINOMIAL_STEPS = 150;
+
+  // Roots of the cash-settled, European-exercise index options. Everything
+  // else listed in the US (equities, ETFs) exercises American-style.
+  const EUROPEAN_ROOTS = new Set([
+    'SPX', 'SPXW', 'XSP', 'NDX', 'NDXP', 'XND', 'RUT', 'RUTW', 'MRUT',
+    'VIX', 'VIXW', 'DJX', 'XEO'
+  ]);
+
+  const HOURS_PER_YEAR = 365 * 24;
+
+  // Search range for implied volatility: 1% to 500%
+  const MIN_VOL = 0.01;
+  const MAX_VOL = 5;
+
+  // ===== normal distribution =====
+
+  function normPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  }
+
+  /**
+   * Standard normal cumulative distribution
+   * Zelen and Severo's approximation (Abramowitz and Stegun 26.2.17),
+   * accurate to 7.5e-8.
+   * @param {number} x
+   * @returns {number}
+   */
+  function normCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const tail = normPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  // ===== inputs =====
+
+  /**
+   * Exercise style of an option on an underlying
+   * @param {string} symbol - Underlying or option root, e.g. "SPXW" or "SPY"
+   * @returns {string} - 'european' or 'american'
+   */
+  function exerciseStyle(symbol) {
+    return EUROPEAN_ROOTS.has(optionRoot(symbol)) ? 'european' : 'american';
+  }
+
+  /**
+   * Whether options on an underlying settle in cash, so can never be
+   * assigned into shares
+   * @param {string} symbol - Underlying or option root, e.g. "SPXW" or "SPY"
+   * @returns {boolean}
+   */
+  function isCashSettled(symbol) {
+    return EUROPEAN_ROOTS.has(optionRoot(symbol));
+  }
+
+  function optionRoot(symbol) {
+    return String(symbol || '').trim().toUpperCase().replace(/^[$.^]/, '').split(/[\s\d]/)[0];
+  }
+
+  /**
+   * Time to expiration in years
+   * Options stop trading at the 4pm close on their expiration date, so the
+   * clock runs to 16:00 local on that day. An option is never treated as
+   * having less than an hour left before it expires.
+   * @param {Date|string} from - Valuation time
+   * @param {Date|string} expiry - Expiration date (YYYY-MM-DD or Date)
+   * @returns {number} - Years, 0 once expired
+   */
+  function yearsToExpiry(from, expiry) {
+    const start = from instanceof Date ? from : new Date(from);
+    let close;
+    if (expiry instanceof Date) {
+      close = new Date(expiry.getFullYear(), expiry.getMonth(), expiry.getDate(), 16);
+    } else {
+      const [y, m, d] = String(expiry || '').slice(0, 10).split('-').map(Number);
+      close = new Date(y, m - 1, d, 16);
+    }
+    if (isNaN(start.getTime()) || isNaN(close.getTime()) || close <= start) return 0;
+
+    return Math.max((close - start) / 3600000, 1) / HOURS_PER_YEAR;
+  }
+
+  /**
+   * Inputs with defaults applied
+   * @param {Object} params - See price()
+   * @returns {Object}
+   * @private
+   */
+  function _inputs(params) {
+    const years = params.years !== undefined ? params.years : (Number(params.dte) || 0) / 365;
+    return {
+      call: /^C/i.test(String(params.type || '')),
+      spot: Number(params.spot),
+      strike: Number(params.strike),
+      years: Math.max(Number(years) || 0, 0),
+      vol: Number(params.vol) || 0,
+      rate: params.rate !== undefined && params.rate !== null ? Number(params.rate) : DEFAULT_RATE,
+      dividendYield: Number(params.dividendYield) || 0
+    };
+  }
+
+  function _intrinsic(call, spot, strike) {
+    return Math.max(0, call ? spot - strike : strike - spot);
+  }
+
+  /**
+   * Value of an option with no time or no volatility left
+   * @private
+   */
+  function _expired(input) {
+    const { call, spot, strike } = input;
+    const inTheMoney = call ? spot > strike : spot < strike;
+    return {
+      price: _intrinsic(call, spot, strike),
+      delta: inTheMoney ? (call ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0
+    };
+  }
+
+  // ===== models =====
+
+  /**
+   * Black-Scholes-Merton value and Greeks of a European option
+   * @param {Object} params - See price()
+   * @returns {Object} - { price, delta, gamma, theta, vega, rho }
+   */
+  function blackScholes(params) {
+    const input = _inputs(params);
+    const { call, spot, strike, years, vol, rate, dividendYield } = input;
+    if (!(spot > 0) || !(strike > 0) || years <= 0 || vol <= 0) return _expired(input);
+
+    const root = Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + vol * vol / 2) * years) / (vol * root);
+    const d2 = d1 - vol * root;
+    const carry = Math.exp(-dividendYield * years);
+    const discount = Math.exp(-rate * years);
+    const density = normPdf(d1);
+    const decay = -spot * carry * density * vol / (2 * root);
+
+    const price = call
+      ? spot * carry * normCdf(d1) - strike * discount * normCdf(d2)
+      : strike * discount * normCdf(-d2) - spot * carry * normCdf(-d1);
+    const theta = call
+      ? decay - rate * strike * discount * normCdf(d2) + dividendYield * spot * carry * normCdf(d1)
+      : decay + rate * strike * discount * normCdf(-d2) - dividendYield * spot * carry * normCdf(-d1);
+    const rho = call
+      ? strike * years * discount * normCdf(d2)
+      : -strike * years * discount * normCdf(-d2);
+
+    return {
+      price: Math.max(price, 0),
+      delta: call ? carry * normCdf(d1) : -carry * normCdf(-d1),
+      gamma: carry * density / (spot * vol * root),
+      theta: theta / 365,
+      vega: spot * carry * density * root / 100,
+      rho: rho / 100
+    };
+  }
+
+  /**
+   * Cox-Ross-Rubinstein tree for an American option
+   * Delta, gamma and theta are read off the first steps of the tree; vega
+   * and rho come from repricing with volatility and rate nudged either way.
+   * @param {Object} params - See price()
+   * @param {number} [steps=150] - Tree steps
+   * @returns {Object} - { price, delta, gamma, theta, vega, rho }
+   */
+  function binomial(params, steps = BINOMIAL_STEPS) {
+    const input = _inputs(params);
+    if (!(input.spot > 0) || !(input.strike > 0) || input.years <= 0 || input.vol <= 0) return _expired(input);
+
+    const tree = _tree(input, steps);
+    const bump = (field, size) => (
+      _tree({ ...input, [field]: input[field] + size }, steps).price -
+      _tree({ ...input, [field]: input[field] - size }, steps).price
+    ) / (2 * size) / 100;
+
+    return {
+      price: tree.price,
+      delta: tree.delta,
+      gamma: tree.gamma,
+      theta: tree.theta,
+      vega: bump('vol', Math.min(0.01, input.vol / 2)),
+      rho: bump('rate', 0.0025)
+    };
+  }
+
+  /**
+   * Price an American option on a tree, with the early Greeks
+   * @private
+   */
+  function _tree(input, steps) {
+    const { call, spot, strike, years, vol, rate, dividendYield } = input;
+    const dt = years / steps;
+    const up = Math.exp(vol * Math.sqrt(dt));
+    const down = 1 / up;
+    const growth = Math.exp((rate - dividendYield) * dt);
+    const p = Math.min(Math.max((growth - down) / (up - down), 0), 1);
+    const discount = Math.exp(-rate * dt);
+
+    // Underlying at node i of a step is spot * up^(2i - step)
+    const prices = new Array(2 * steps + 1);
+    for (let k = 0; k <= 2 * steps; k++) prices[k] = spot * Math.pow(up, k - steps);
+
+    const values = new Array(steps + 1);
+    for (let i = 0; i <= steps; i++) {
+      values[i] = _intrinsic(call, prices[2 * i], strike);
+    }
+
+    let level1 = null;
+    let level2 = null;
+    for (let step = steps - 1; step >= 0; step--) {
+      for (let i = 0; i <= step; i++) {
+        const held = discount * (p * values[i + 1] + (1 - p) * values[i]);
+        values[i] = Math.max(held, _intrinsic(call, prices[2 * i - step + steps], strike));
+      }
+      if (step === 2) level2 = values.slice(0, 3);
+      if (step === 1) level1 = values.slice(0, 2);
+    }
+
+    const price = values[0];
+    if (steps < 3) return { price, delta: 0, gamma: 0, theta: 0 };
+
+    const [su, sd] = [spot * up, spot * down];
+    const [suu, sdd] = [spot * up * up, spot * down * down];
+    const delta = (level1[1] - level1[0]) / (su - sd);
+    const gamma = ((level2[2] - level2[1]) / (suu - spot) - (level2[1] - level2[0]) / (spot - sdd)) / ((suu - sdd) / 2);
+    const theta = (level2[1] - price) / (2 * dt) / 365;
+
+    return { price, delta, gamma, theta };
+  }
+
+  /**
+   * Value and Greeks of an option
+   * European options go to Black-Scholes and American ones to the tree. An
+   * American call on an underlying paying no dividend is never worth
+   * exercising early, so it is priced as European.
+   * @param {Object} params - { type ('CALL'/'PUT'), spot, strike, years (or
+   *   dte in calendar days), vol, rate (DEFAULT_RATE), dividendYield (0),
+   *   style ('european'/'american'; taken from symbol when omitted), symbol }
+   * @returns {Object} - { price, delta, gamma, theta, vega, rho, style }
+   */
+  function price(params) {
+    const style = _style(params);
+    return { ...(_european(params, style) ? blackScholes(params) : binomial(params)), style };
+  }
+
+  function _european(params, style) {
+    const input = _inputs(params);
+    return style === 'european' || (input.call && input.dividendYield <= 0);
+  }
+
+  function _style(params) {
+    if (params.style === 'european' || params.style === 'american') return params.style;
+    return params.symbol ? exerciseStyle(params.symbol) : 'european';
+  }
+
+  /**
+   * Implied volatility of a traded option price
+   * Bisects between 1% and 500%. A price below what the option is worth at
+   * the bottom of that range (below intrinsic, typically) or above it at
+   * the top has no implied volatility.
+   *
+   * Searching on the tree costs a full tree per step, so American options
+   * are searched on Black-Scholes instead, with the target price less the
+   * early-exercise premium the tree adds at the current estimate. That
+   * premium barely moves with volatility, and a few rounds settle it; the
+   * result is checked on the tree and the plain bisection is the fallback.
+   * @param {Object} params - As for price(), without vol
+   * @param {number} marketPrice - Option price per share
+   * @returns {number|null} - Annual volatility, or null when none fits
+   */
+  function impliedVolatility(params, marketPrice) {
+    const target = Number(marketPrice);
+    const input = _inputs(params);
+    if (!(target > 0) || !(input.spot > 0) || !(input.strike > 0) || input.years <= 0) return null;
+
+    const european = value => blackScholes({ ...params, vol: value }).price;
+    if (_european(params, _style(params))) return _bisect(european, target);
+
+    // Price alone: the tree's bumped Greeks are not needed while searching
+    const american = value => _tree({ ...input, vol: value }, BINOMIAL_STEPS).price;
+    let vol = _bisect(european, target);
+    for (let round = 0; vol !== null && round < 4; round++) {
+      const next = _bisect(european, target - (american(vol) - european(vol)));
+      if (next === null || Math.abs(next - vol) < 1e-5) {
+        vol = next;
+        break;
+      }
+      vol = next;
+    }
+
+    if (vol !== null && Math.abs(american(vol) - target) < 1e-4) return vol;
+    return _bisect(american, target);
+  }
+
+  /**
+   * Volatility at which a pricing function meets a target price
+   * @param {Function} value - vol => option price, rising with vol
+   * @param {number} target - Price per share
+   * @returns {number|null} - Volatility, or null outside 1% to 500%
+   * @private
+   */
+  function _bisect(value, target) {
+    let low = MIN_VOL;
+    let high = MAX_VOL;
+    if (!(target > 0) || target < value(low) - 0.005 || target > value(high)) return null;
+
+    for (let i = 0; i < 60 && high - low > 1e-5; i++) {
+      const mid = (low + high) / 2;
+      if (value(mid) < target) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  return {
+    DEFAULT_RATE,
+    normPdf,
+    normCdf,
+    exerciseStyle,
+    isCashSettled,
+    yearsToExpiry,
+    blackScholes,
+    binomial,
+    price,
+    impliedVolatility
+  };
+})();
+
+// Export as global object for browser use (non-module)
+if (typeof window !== 'undefined') {
+  window.OptionPricing = OptionPricing;
+}
+
+// Also support CommonJS for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OptionPricing;
+}
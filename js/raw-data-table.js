@@ -1,11 +1,17 @@
 /**
  * Raw Data Table
- * Displays all imported trades in a sortable table
+ * Displays all imported trades in a sortable table. A trade expands to the
+ * fills behind it, each linked to its line in the uploaded file.
  */
 
 class RawDataTable {
-    constructor() {
-        this.container = document.querySelector('#tab-panel-data .overflow-x-auto');
+    /**
+     * @param {string} containerId - ID of the container element
+     * @param {Object} options - { onSelect } called with a trade whose row is clicked
+     */
+    constructor(containerId = 'trade-data-table', options = {}) {
+        this.container = document.getElementById(containerId);
+        this.onSelect = options.onSelect || null;
         this.sortColumn = null;
         this.sortDirection = 'asc';
     }
@@ -45,6 +51,10 @@ class RawDataTable {
         // Create header
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
+
+        const toggleHeader = document.createElement('th');
+        toggleHeader.setAttribute('aria-label', 'Fills');
+        headerRow.appendChild(toggleHeader);
         
         columns.forEach(column => {
             const th = document.createElement('th');
@@ -69,6 +79,15 @@ class RawDataTable {
         
         trades.forEach(trade => {
             const row = document.createElement('tr');
+            row.appendChild(this.createToggleCell(trade, row, columns.length + 1));
+
+            if (this.onSelect) {
+                row.classList.add('selectable-row');
+                row.title = 'Show payoff diagram';
+                row.addEventListener('click', (e) => {
+                    if (!e.target.closest('.trade-legs-toggle')) this.onSelect(trade);
+                });
+            }
             
             columns.forEach(column => {
                 const td = document.createElement('td');
@@ -90,6 +109,139 @@ class RawDataTable {
         this.container.appendChild(table);
     }
 
+    /**
+     * Cell that expands a trade to its fills
+     * @param {Object} trade - Trade object
+     * @param {HTMLElement} row - The trade's table row
+     * @param {number} colspan - Columns the expanded row spans
+     * @returns {HTMLElement} - Table cell
+     */
+    createToggleCell(trade, row, colspan) {
+        const td = document.createElement('td');
+        const legs = (trade._metadata && trade._metadata.legs) || [];
+        if (legs.length === 0) return td;
+
+        td.className = 'trade-legs-toggle';
+        td.textContent = '▸';
+        td.setAttribute('role', 'button');
+        td.setAttribute('tabindex', '0');
+        td.setAttribute('aria-expanded', 'false');
+        td.title = `${legs.length} fill${legs.length !== 1 ? 's' : ''}`;
+
+        let detailRow = null;
+        const toggle = () => {
+            if (detailRow) {
+                detailRow.remove();
+                detailRow = null;
+            } else {
+                detailRow = document.createElement('tr');
+                detailRow.className = 'trade-legs-row';
+                const cell = document.createElement('td');
+                cell.colSpan = colspan;
+                cell.appendChild(this.buildLegsTable(trade));
+                detailRow.appendChild(cell);
+                row.after(detailRow);
+            }
+            td.textContent = detailRow ? '▾' : '▸';
+            td.setAttribute('aria-expanded', String(Boolean(detailRow)));
+        };
+
+        td.addEventListener('click', toggle);
+        td.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                toggle();
+            }
+        });
+        return td;
+    }
+
+    /**
+     * Table of the fills behind a trade, captioned with its classification
+     * Line numbers link to the raw file view when the trade came from the file
+     * it is showing; trades from earlier uploads list the number only.
+     * @param {Object} trade - Trade object with _metadata.legs
+     * @returns {HTMLElement} - Table element
+     */
+    buildLegsTable(trade) {
+        const metadata = trade._metadata || {};
+        const viewer = typeof window !== 'undefined' ? window.csvDataViewer : null;
+        const sourceFile = metadata.source && metadata.source.file;
+        const linkable = Boolean(viewer && viewer.fileName && viewer.fileName === sourceFile);
+
+        const fields = [
+            ['Line', leg => leg.sourceRow],
+            ['Date', leg => this.formatLegDate(leg.date)],
+            ['Action', leg => leg.action],
+            ['Symbol', leg => leg.symbol],
+            ['Qty', leg => leg.quantity],
+            ['Price', leg => leg.price],
+            ['Value', leg => leg.value.toFixed(2)],
+            ['Commissions', leg => leg.commissions.toFixed(2)],
+            ['Fees', leg => leg.fees.toFixed(2)]
+        ];
+
+        const table = document.createElement('table');
+        table.className = 'data-table trade-legs-table';
+
+        const notes = [];
+        if (typeof metadata.strategyConfidence === 'number') {
+            notes.push(`Classified as ${trade.Strategy} from its opening legs, ` +
+                `confidence ${Math.round(metadata.strategyConfidence * 100)}%.`);
+        }
+        if (metadata.settlement) {
+            const { action, side, shares, price } = metadata.settlement;
+            notes.push(`${action === 'OEXCS' ? 'Exercised' : 'Assigned'}: ` +
+                `${side === 'BUY' ? 'bought' : 'sold'} ${shares} shares at ${price}.`);
+        }
+        (metadata.linkedOptions || []).forEach(link => {
+            notes.push(`Shares from the ${link.action === 'OEXCS' ? 'exercise' : 'assignment'} of ${link.contract}.`);
+        });
+        if (notes.length > 0) {
+            const caption = document.createElement('caption');
+            caption.className = 'text-left text-text-secondary text-xs py-2';
+            caption.textContent = notes.join(' ');
+            table.appendChild(caption);
+        }
+
+        const headerRow = document.createElement('tr');
+        fields.forEach(([label]) => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        (metadata.legs || []).forEach(leg => {
+            const tr = document.createElement('tr');
+            fields.forEach(([label, read]) => {
+                const td = document.createElement('td');
+                const value = read(leg);
+                if (label === 'Line' && linkable && value !== null) {
+                    const link = document.createElement('a');
+                    link.className = 'source-line-link';
+                    link.textContent = value;
+                    link.href = '#csv-data-viewer';
+                    link.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        viewer.highlightLines([value]);
+                    });
+                    td.appendChild(link);
+                } else {
+                    td.textContent = this.formatValue(value);
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+
+        return table;
+    }
+
     /**
      * Get all unique column names from trades
      * @param {Array} trades - Array of trade objects
@@ -124,6 +276,23 @@ class RawDataTable {
         return String(value);
     }
 
+    /**
+     * Fill time in the viewer's local time zone
+     * Date-only fills (Robinhood, Schwab) are stored at local midnight and show
+     * as the date alone; a UTC slice would put them on the previous day.
+     * @param {string} value - Stored leg date
+     * @returns {string} - "YYYY-MM-DD" or "YYYY-MM-DD HH:MM:SS"
+     */
+    formatLegDate(value) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return '';
+
+        const pad = n => String(n).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) return day;
+        return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
     /**
      * Handle sorting when header is clicked
      * @param {string} column - Column name to sort by
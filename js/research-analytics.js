@@ -3,7 +3,9 @@
  * Pure, deterministic statistics over enriched trade records for the Research
  * tab. Every function takes an already-filtered trade array plus explicit
  * parameters and returns the same result for the same input: no DOM access, no
- * randomness, no wall-clock reads, no network calls, no mutation of inputs.
+ * unseeded randomness, no wall-clock reads, no network calls, no mutation of
+ * inputs. The bootstrap draws from a generator seeded with a constant, so the
+ * same trades always resample the same way.
  *
  * Ported from the externally developed analysis.py. Where the Python operated
  * on a `cash` column net of commissions and fees, this reads ProfitLoss, which
@@ -11,28 +13,38 @@
  */
 
 const ResearchAnalytics = (function () {
-  const STRUCTURES = {
-    IRON_CONDOR: 'iron_condor',
-    PUT_CREDIT_SPREAD: 'put_credit_spread',
-    CALL_CREDIT_SPREAD: 'call_credit_spread'
-  };
+  // The structures this tab can cut by, in the order the filter lists them,
+  // each with the dashboard's display labels that trade as it. Strategy
+  // detection, TastyTrade inference and the Robinhood adapter name the same
+  // structures differently, and a bull put spread is a put credit spread.
+  // Adding a structure is an entry here; the filter and captions follow.
+  const STRUCTURE_DEFINITIONS = [
+    { id: 'iron_condor', label: 'Iron Condor', strategies: ['Iron Condor'] },
+    { id: 'put_credit_spread', label: 'Put Credit Spread', strategies: ['Bull Put Spread', 'Put Credit Spread'] },
+    { id: 'call_credit_spread', label: 'Call Credit Spread', strategies: ['Bear Call Spread', 'Call Credit Spread'] },
+    { id: 'strangle', label: 'Strangle / Straddle', strategies: ['Strangle', 'Short Strangle', 'Straddle', 'Short Straddle'] },
+    { id: 'short_put', label: 'Short Put', strategies: ['Short Put', 'Cash Secured Put'] },
+    { id: 'butterfly', label: 'Butterfly', strategies: ['Butterfly', 'Broken Wing Butterfly', 'Iron Butterfly'] },
+    { id: 'calendar', label: 'Calendar / Diagonal', strategies: ['Calendar Spread', 'Diagonal Spread'] },
+    {
+      id: 'debit_spread',
+      label: 'Debit Spread',
+      strategies: ['Bull Call Spread', 'Bear Put Spread', 'Call Debit Spread', 'Put Debit Spread']
+    }
+  ];
 
-  // The dashboard's display labels for the three structures this tab analyzes.
-  // TastyTrade inference and the Robinhood adapter name the same structures
-  // differently, and a bull put spread is a put credit spread.
-  const STRUCTURE_BY_LABEL = {
-    'Iron Condor': STRUCTURES.IRON_CONDOR,
-    'Bull Put Spread': STRUCTURES.PUT_CREDIT_SPREAD,
-    'Put Credit Spread': STRUCTURES.PUT_CREDIT_SPREAD,
-    'Bear Call Spread': STRUCTURES.CALL_CREDIT_SPREAD,
-    'Call Credit Spread': STRUCTURES.CALL_CREDIT_SPREAD
-  };
+  // Canonical identifiers by constant name, e.g. STRUCTURES.IRON_CONDOR
+  const STRUCTURES = {};
+  const STRUCTURE_BY_LABEL = {};
+  const STRUCTURE_LABELS = {};
+  STRUCTURE_DEFINITIONS.forEach(definition => {
+    STRUCTURES[definition.id.toUpperCase()] = definition.id;
+    STRUCTURE_LABELS[definition.id] = definition.label;
+    definition.strategies.forEach(strategy => { STRUCTURE_BY_LABEL[strategy] = definition.id; });
+  });
 
-  const STRUCTURE_LABELS = {
-    [STRUCTURES.IRON_CONDOR]: 'Iron Condor',
-    [STRUCTURES.PUT_CREDIT_SPREAD]: 'Put Credit Spread',
-    [STRUCTURES.CALL_CREDIT_SPREAD]: 'Call Credit Spread'
-  };
+  // A preset underlying meaning the one with the most closed trades
+  const BUSIEST_UNDERLYING = '*';
 
   const DTE_CUT_LABELS = {
     all: 'All DTE',
@@ -54,6 +66,24 @@ const ResearchAnalytics = (function () {
     { id: '>7DTE', test: dte => dte > 7 }
   ];
 
+  // Absolute delta of the defining leg at entry. Upper bounds are inclusive,
+  // after rounding to two places: a 0.104 delta is a ≤0.10 trade.
+  const DELTA_BUCKETS = [
+    { id: '≤0.10', test: delta => delta <= 0.10 },
+    { id: '0.11-0.20', test: delta => delta > 0.10 && delta <= 0.20 },
+    { id: '0.21-0.30', test: delta => delta > 0.20 && delta <= 0.30 },
+    { id: '>0.30', test: delta => delta > 0.30 }
+  ];
+
+  // IV rank of the underlying at entry, in quartiles of its trailing range.
+  // Lower bounds are inclusive, so a rank of exactly 50 is a 50-75 trade.
+  const IV_RANK_BUCKETS = [
+    { id: '0-25', test: rank => rank < 25 },
+    { id: '25-50', test: rank => rank >= 25 && rank < 50 },
+    { id: '50-75', test: rank => rank >= 50 && rank < 75 },
+    { id: '75-100', test: rank => rank >= 75 }
+  ];
+
   // The three widths worth comparing, with everything else pooled. Ordered, and
   // the catch-all must stay last: a width lands in the first bucket it matches.
   const WIDTH_BUCKETS = [
@@ -63,6 +93,13 @@ const ResearchAnalytics = (function () {
     { id: 'Other', test: () => true }
   ];
 
+  // Confidence intervals reported with every win/loss summary. The seed is
+  // fixed so an interval only moves when the trades behind it do.
+  const CONFIDENCE_LEVEL = 95;
+  const CONFIDENCE_Z = 1.959964;
+  const BOOTSTRAP_RESAMPLES = 1000;
+  const BOOTSTRAP_SEED = 20260101;
+
   // ===== numeric helpers =====
 
   function round(value, places) {
@@ -95,6 +132,33 @@ const ResearchAnalytics = (function () {
     return sign * (1 - poly * Math.exp(-ax * ax));
   }
 
+  /**
+   * Mulberry32: a small, fast 32-bit generator, good enough for resampling
+   * and identical on every engine
+   * @param {number} seed - 32-bit seed
+   * @returns {Function} - Returns the next draw in [0, 1)
+   */
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Linearly interpolated quantile of an ascending array
+   */
+  function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
   /**
    * Local calendar date as YYYY-MM-DD. Uses local components rather than
    * toISOString so a trade never lands on the previous day in negative offsets.
@@ -137,17 +201,61 @@ const ResearchAnalytics = (function () {
     return STRUCTURE_LABELS[structure] || structure;
   }
 
+  /**
+   * The structures a set of trades contains
+   * @param {Array} trades - Enriched trade records
+   * @returns {Array} - Canonical identifiers of the closed trades' structures,
+   *   in STRUCTURE_DEFINITIONS order
+   */
+  function presentStructures(trades) {
+    const present = new Set(trades
+      .filter(trade => trade.Exit)
+      .map(trade => canonicalStructure(trade.Strategy))
+      .filter(Boolean));
+    return STRUCTURE_DEFINITIONS.map(definition => definition.id).filter(id => present.has(id));
+  }
+
+  // ===== presets =====
+
+  /**
+   * Resolve a preset's filter against the underlyings in the loaded data
+   * A preset's underlying is a symbol ('SPX'), a list of symbols (the
+   * busiest of them is taken), BUSIEST_UNDERLYING (the busiest of all), or
+   * null for every underlying.
+   * @param {Object} filter - Preset filter { underlying, dteCut, structures }
+   * @param {Array} underlyings - { symbol, count } of closed trades, busiest first
+   * @returns {Object|null} - Filter naming one symbol, or null when none of
+   *   the preset's symbols has closed trades
+   */
+  function resolvePresetFilter(filter, underlyings) {
+    const spec = filter.underlying || null;
+    const candidates = spec === BUSIEST_UNDERLYING
+      ? underlyings
+      : underlyings.filter(entry => [].concat(spec).includes(entry.symbol));
+    if (spec && !candidates.length) return null;
+
+    return {
+      underlying: spec ? candidates[0].symbol : null,
+      dteCut: filter.dteCut || 'all',
+      structures: filter.structures ? filter.structures.slice() : null
+    };
+  }
+
   // ===== provenance =====
 
   /**
    * Plain-language description of a filter state
    * Every output's caption is derived from this, so no output can carry
    * hardcoded text that goes stale when the filter changes.
-   * @param {Object} filter - { underlying, dteCut, structures }
+   * @param {Object} filter - { underlying, dteCut, structures }; underlying
+   *   may also be a preset's list of symbols or BUSIEST_UNDERLYING
+   * @param {Object} [scope] - The dashboard filters the trades arrived under:
+   *   { period, account }, e.g. { period: 'Last 30 days', account: null }
    * @returns {string} - Description, e.g. "SPX · Iron Condor only · 0DTE only"
    */
-  function describeFilter(filter) {
+  function describeFilter(filter, scope) {
     const options = filter || {};
+    const dashboard = scope || {};
     const structures = options.structures && options.structures.length
       ? options.structures
       : null;
@@ -158,24 +266,31 @@ const ResearchAnalytics = (function () {
         : structures.map(structureLabel).sort().join(', '))
       : 'All strategies';
 
+    let underlyingText = options.underlying || 'All underlyings';
+    if (underlyingText === BUSIEST_UNDERLYING) underlyingText = 'Busiest underlying';
+    if (Array.isArray(underlyingText)) underlyingText = underlyingText.join(' or ');
+
     return [
-      options.underlying || 'All underlyings',
+      underlyingText,
       structureText,
-      DTE_CUT_LABELS[options.dteCut || 'all'] || DTE_CUT_LABELS.all
-    ].join(' · ');
+      DTE_CUT_LABELS[options.dteCut || 'all'] || DTE_CUT_LABELS.all,
+      dashboard.period,
+      dashboard.account
+    ].filter(Boolean).join(' · ');
   }
 
   /**
    * Caption for a single output: what cut it shows, how many trades back it,
    * and what those numbers leave out
    * @param {Object} filter - Active filter state
-   * @param {Object} info - { n, excluded, extra }
+   * @param {Object} info - { n, excluded, extra, scope }
    *   excluded: reason key to count, or { reason, count } pairs
+   *   scope: dashboard filters, as for describeFilter
    * @returns {string} - Caption line
    */
   function buildCaption(filter, info) {
     const details = info || {};
-    const parts = [describeFilter(filter)];
+    const parts = [describeFilter(filter, details.scope)];
 
     if (typeof details.n === 'number') {
       parts.push(`${details.n} closed trade${details.n === 1 ? '' : 's'}`);
@@ -263,14 +378,101 @@ const ResearchAnalytics = (function () {
     return { trades: kept, excluded: excluded };
   }
 
+  // ===== confidence intervals =====
+
+  /**
+   * Wilson score interval for a win rate
+   * Unlike the normal approximation it stays inside 0-100% and does not
+   * collapse to a point at 0 or 100%, which is where small samples sit.
+   * @param {number} wins - Winning trades
+   * @param {number} n - All trades
+   * @returns {Object|null} - { low, high } in percent, or null for no trades
+   */
+  function wilsonInterval(wins, n) {
+    if (!n) return null;
+
+    const p = wins / n;
+    const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+    const denominator = 1 + z2 / n;
+    const centre = (p + z2 / (2 * n)) / denominator;
+    const half = CONFIDENCE_Z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / denominator;
+
+    return {
+      low: round(Math.max(0, centre - half) * 100, 1),
+      high: round(Math.min(1, centre + half) * 100, 1)
+    };
+  }
+
+  /**
+   * Percentile bootstrap intervals for a set of P/L values
+   * Resamples the trades with replacement BOOTSTRAP_RESAMPLES times from a
+   * fixed seed. Average win and average loss come from the resamples that
+   * drew at least one win or loss respectively.
+   * @param {Array} values - P/L per trade
+   * @returns {Object} - { winRate, expectancy, avgWin, avgLoss }, each
+   *   { low, high } or null where fewer than two trades leave nothing to
+   *   resample or the set has no wins or no losses
+   */
+  function bootstrapIntervals(values) {
+    const n = values.length;
+    const result = { winRate: null, expectancy: null, avgWin: null, avgLoss: null };
+    if (n < 2) return result;
+
+    const random = seededRandom(BOOTSTRAP_SEED);
+    const draws = { winRate: [], expectancy: [], avgWin: [], avgLoss: [] };
+
+    for (let resample = 0; resample < BOOTSTRAP_RESAMPLES; resample++) {
+      let total = 0;
+      let winCount = 0;
+      let winTotal = 0;
+      let lossTotal = 0;
+
+      for (let i = 0; i < n; i++) {
+        const value = values[Math.floor(random() * n)];
+        total += value;
+        if (value > 0) {
+          winCount++;
+          winTotal += value;
+        } else {
+          lossTotal += value;
+        }
+      }
+
+      draws.winRate.push(winCount / n * 100);
+      draws.expectancy.push(total / n);
+      if (winCount) draws.avgWin.push(winTotal / winCount);
+      if (winCount < n) draws.avgLoss.push(lossTotal / (n - winCount));
+    }
+
+    const tail = (1 - CONFIDENCE_LEVEL / 100) / 2;
+    const hasWins = values.some(value => value > 0);
+    const hasLosses = values.some(value => value <= 0);
+
+    Object.keys(draws).forEach(key => {
+      if ((key === 'avgWin' && !hasWins) || (key === 'avgLoss' && !hasLosses)) return;
+      const sorted = draws[key].sort((a, b) => a - b);
+      result[key] = {
+        low: round(quantile(sorted, tail), key === 'winRate' ? 1 : 2),
+        high: round(quantile(sorted, 1 - tail), key === 'winRate' ? 1 : 2)
+      };
+    });
+
+    return result;
+  }
+
   // ===== core statistics =====
 
   /**
    * Win/loss summary for a set of trades
    * A trade at exactly zero counts as a loss: a scratch is not a win, and this
    * matches how the dashboard's own Result field classifies it.
+   *
+   * Alongside the point estimates, intervals says how far to trust them: a
+   * Wilson interval for the win rate and bootstrap intervals for the win
+   * rate, expectancy (the average P/L per trade), average win and average
+   * loss. See wilsonInterval and bootstrapIntervals.
    * @param {Array} trades - Closed trades
-   * @returns {Object} - Summary statistics
+   * @returns {Object} - Summary statistics, with intervals null for no trades
    */
   function winLossStats(trades) {
     if (!trades.length) {
@@ -282,7 +484,8 @@ const ResearchAnalytics = (function () {
         breakevenWinRate: null,
         net: 0,
         worst: null,
-        expectancy: null
+        expectancy: null,
+        intervals: null
       };
     }
 
@@ -304,7 +507,13 @@ const ResearchAnalytics = (function () {
         : null,
       net: round(sum(values), 2),
       worst: round(Math.min.apply(null, values), 2),
-      expectancy: round(mean(values), 2)
+      expectancy: round(mean(values), 2),
+      intervals: {
+        confidence: CONFIDENCE_LEVEL,
+        resamples: BOOTSTRAP_RESAMPLES,
+        winRateWilson: wilsonInterval(wins.length, values.length),
+        ...bootstrapIntervals(values)
+      }
     };
   }
 
@@ -331,6 +540,77 @@ const ResearchAnalytics = (function () {
     return result;
   }
 
+  /**
+   * Win/loss summary split by entry delta
+   * Uses the Delta of the defining leg, from the export or back-filled from
+   * the underlying price (AnalyticsEngine.backfillEntryGreeks). Zero or
+   * blank means no delta is known, and those trades are left out. Empty
+   * buckets are omitted.
+   * @param {Array} trades - Closed trades
+   * @returns {Object} - Bucket id to summary statistics, nearest the money last
+   */
+  function deltaBucketStats(trades) {
+    const withDelta = trades.filter(trade => Math.abs(parseFloat(trade.Delta)) > 0);
+
+    const result = {};
+
+    DELTA_BUCKETS.forEach(bucket => {
+      const group = withDelta.filter(trade => bucket.test(round(Math.abs(parseFloat(trade.Delta)), 2)));
+      if (group.length) {
+        result[bucket.id] = winLossStats(group);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Win/loss summary split by IV rank at entry
+   * Uses IVRank, attached from an imported IV history
+   * (AnalyticsEngine.enrichTrade). Trades with no rank are left out, and
+   * empty buckets are omitted.
+   * @param {Array} trades - Closed trades
+   * @returns {Object} - Bucket id to summary statistics, lowest rank first
+   */
+  function ivRankStats(trades) {
+    const ranked = trades.filter(trade => Number.isFinite(trade.IVRank));
+
+    const result = {};
+
+    IV_RANK_BUCKETS.forEach(bucket => {
+      const group = ranked.filter(trade => bucket.test(trade.IVRank));
+      if (group.length) {
+        result[bucket.id] = winLossStats(group);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Win/loss summary split by whether the underlying breached a short strike
+   * Reads PriceContext, attached where daily price history was imported
+   * (AnalyticsEngine.attachPriceContext). A loss with every short strike
+   * held was not the move's doing: it came from when or how the trade was
+   * managed. Trades without price history or without a short strike are
+   * left out, and empty groups are omitted.
+   * @param {Array} trades - Closed trades
+   * @returns {Object} - 'breached' and 'held' to summary statistics
+   */
+  function breachStats(trades) {
+    const covered = trades.filter(trade =>
+      trade.PriceContext && trade.PriceContext.complete && trade.PriceContext.shortStrikes.length > 0
+    );
+
+    const result = {};
+    const breached = covered.filter(trade => trade.PriceContext.breached);
+    const held = covered.filter(trade => !trade.PriceContext.breached);
+    if (breached.length) result.breached = winLossStats(breached);
+    if (held.length) result.held = winLossStats(held);
+
+    return result;
+  }
+
   /**
    * Win/loss summary split by structure
    * All three groups are always present: a structure with no trades is a
@@ -551,7 +831,7 @@ const ResearchAnalytics = (function () {
   /**
    * One row per trade for the bar view, plus the summary figures above it
    * Same filtering as calendarSeries but uncollapsed, so same-day trades read
-   * as separate bars.
+   * as separate bars. Each row keeps its trade, for drilling into it.
    * @param {Array} trades - Closed trades
    * @returns {Object} - { trades, net, avgPerTrade, n }
    */
@@ -566,7 +846,8 @@ const ResearchAnalytics = (function () {
         strategy: trade.Strategy,
         dte: trade.DaysToExpireAtEntry,
         width: Number.isFinite(Number(trade.Width)) ? Number(trade.Width) : null,
-        symbol: trade.Symbol
+        symbol: trade.Symbol,
+        trade
       })),
       net: round(sum(values), 2),
       avgPerTrade: ordered.length ? round(mean(values), 2) : null,
@@ -576,16 +857,26 @@ const ResearchAnalytics = (function () {
 
   return {
     STRUCTURES,
+    STRUCTURE_DEFINITIONS,
     STRUCTURE_LABELS,
+    BUSIEST_UNDERLYING,
     DTE_CUT_LABELS,
     EXCLUSION_LABELS,
+    CONFIDENCE_LEVEL,
     canonicalStructure,
     structureLabel,
+    presentStructures,
+    resolvePresetFilter,
     describeFilter,
     buildCaption,
     applyFilter,
+    wilsonInterval,
+    bootstrapIntervals,
     winLossStats,
     dteBucketStats,
+    deltaBucketStats,
+    ivRankStats,
+    breachStats,
     condorVsSingleSide,
     widthBreakdown,
     widthCounterfactual,
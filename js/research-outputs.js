@@ -17,16 +17,18 @@ const ResearchOutputs = (function () {
     Mixed: 'MIX'
   };
 
-  // Column order shared by every win/loss table
+  // Column order shared by every win/loss table. A column naming an interval
+  // draws it from the row's stats.intervals as an error bar under the figure;
+  // the win rate's bar is the Wilson interval.
   const STAT_COLUMNS = [
     { key: 'n', label: 'Trades', format: 'int' },
-    { key: 'winRate', label: 'Win rate', format: 'percent' },
-    { key: 'avgWin', label: 'Avg win', format: 'currency' },
-    { key: 'avgLoss', label: 'Avg loss', format: 'currency' },
+    { key: 'winRate', label: 'Win rate', format: 'percent', interval: 'winRateWilson' },
+    { key: 'avgWin', label: 'Avg win', format: 'currency', interval: 'avgWin' },
+    { key: 'avgLoss', label: 'Avg loss', format: 'currency', interval: 'avgLoss' },
     { key: 'breakevenWinRate', label: 'Breakeven win rate', format: 'percent' },
     { key: 'net', label: 'Net P/L', format: 'currency' },
     { key: 'worst', label: 'Worst', format: 'currency' },
-    { key: 'expectancy', label: 'Expectancy', format: 'currency' }
+    { key: 'expectancy', label: 'Expectancy', format: 'currency', interval: 'expectancy' }
   ];
 
   // ===== formatting =====
@@ -59,6 +61,62 @@ const ResearchOutputs = (function () {
     return value > 0 ? 'research-positive' : 'research-negative';
   }
 
+  /**
+   * The range an interval column's error bars are drawn against: 0-100% for
+   * a rate, else the span of every row's interval and figure, so bars down a
+   * column compare directly
+   * @param {Array} rows - Table rows
+   * @param {Object} column - Column with an interval key
+   * @returns {Object|null} - { min, max }, or null when no row has the interval
+   */
+  function intervalDomain(rows, column) {
+    const ends = [];
+    rows.forEach(row => {
+      const interval = row.stats.intervals && row.stats.intervals[column.interval];
+      if (interval) ends.push(interval.low, interval.high, row.stats[column.key]);
+    });
+
+    if (!ends.length) return null;
+    if (column.format === 'percent') return { min: 0, max: 100 };
+    return { min: Math.min.apply(null, ends), max: Math.max.apply(null, ends) };
+  }
+
+  /**
+   * An error bar: the interval as a band, the figure as a tick within it
+   * @param {number} value - Point estimate
+   * @param {Object} interval - { low, high }
+   * @param {Object} domain - { min, max } the bar spans
+   * @param {string} label - What the interval is and its bounds, for the tooltip
+   * @returns {string} - Markup
+   */
+  function errorBar(value, interval, domain, label) {
+    const span = domain.max - domain.min;
+    const position = number => (span > 0 ? (number - domain.min) / span * 100 : 50).toFixed(1);
+
+    return `
+      <span class="research-interval" role="img" aria-label="${label}" title="${label}">
+        <span class="research-interval-band"
+              style="left: ${position(interval.low)}%; width: ${(position(interval.high) - position(interval.low)).toFixed(1)}%"></span>
+        <span class="research-interval-point" style="left: ${position(value)}%"></span>
+      </span>
+    `;
+  }
+
+  /**
+   * Tooltip text for one cell's interval. The win rate also quotes its
+   * bootstrap interval, which the bar does not draw.
+   */
+  function describeInterval(column, intervals) {
+    const bounds = interval => `${format(interval.low, column.format)} to ${format(interval.high, column.format)}`;
+    const interval = intervals[column.interval];
+
+    if (column.interval === 'winRateWilson') {
+      const bootstrap = intervals.winRate ? ` (bootstrap: ${bounds(intervals.winRate)})` : '';
+      return `${intervals.confidence}% Wilson interval: ${bounds(interval)}${bootstrap}`;
+    }
+    return `${intervals.confidence}% bootstrap interval: ${bounds(interval)}`;
+  }
+
   function structureCode(label) {
     if (!label) return null;
     return STRUCTURE_CODES[label] || label.slice(0, 3).toUpperCase();
@@ -87,12 +145,19 @@ const ResearchOutputs = (function () {
 
   /**
    * Rows-by-metrics table
+   * Columns that name an interval carry an error bar under each figure
+   * whose stats report one, and the table is followed by a note on how the
+   * intervals were drawn.
    * @param {HTMLElement} container - Target element
    * @param {Object} options - { rowLabel, rows, columns }
    *   rows: [{ label, stats }]
    */
   function renderStatTable(container, options) {
     const columns = options.columns || STAT_COLUMNS;
+    const domains = {};
+    columns.forEach(column => {
+      if (column.interval) domains[column.key] = intervalDomain(options.rows, column);
+    });
 
     const head = `
       <tr>
@@ -107,7 +172,12 @@ const ResearchOutputs = (function () {
         ${columns.map(column => {
           const value = row.stats[column.key];
           const emphasise = column.key === 'net' || column.key === 'expectancy';
-          return `<td class="${emphasise ? plClass(value) : ''}">${format(value, column.format)}</td>`;
+          const intervals = row.stats.intervals;
+          const interval = column.interval && intervals && intervals[column.interval];
+          const bar = interval
+            ? errorBar(value, interval, domains[column.key], describeInterval(column, intervals))
+            : '';
+          return `<td class="${emphasise ? plClass(value) : ''}">${format(value, column.format)}${bar}</td>`;
         }).join('')}
       </tr>
     `).join('');
@@ -121,6 +191,15 @@ const ResearchOutputs = (function () {
       </table>
     `;
     container.appendChild(wrapper);
+
+    const sample = options.rows.find(row => row.stats.intervals);
+    if (sample && Object.values(domains).some(Boolean)) {
+      const { confidence, resamples } = sample.stats.intervals;
+      appendNote(container,
+        `Bars under a figure span its ${confidence}% confidence interval: Wilson for the win rate, and a ` +
+        `bootstrap of ${resamples.toLocaleString('en-US')} resamples from a fixed seed for the dollar figures. ` +
+        'A wide bar is a figure the sample cannot pin down; a single trade has no dollar interval.');
+    }
   }
 
   /**
@@ -209,7 +288,7 @@ const ResearchOutputs = (function () {
     host.id = 'research-bar-chart';
     container.appendChild(host);
 
-    state.bar = new ResearchBarChart('research-bar-chart', series);
+    state.bar = new ResearchBarChart('research-bar-chart', series, { onSelect: context.onTradeSelect });
 
     if (series.n > 150) {
       appendNote(container,
@@ -232,6 +311,75 @@ const ResearchOutputs = (function () {
     });
   }
 
+  function renderDeltaBuckets(container, context) {
+    const buckets = ResearchAnalytics.deltaBucketStats(context.trades);
+    const ids = Object.keys(buckets);
+
+    if (!ids.length) {
+      appendEmpty(container,
+        'No trades in this cut carry an entry delta. Deltas come from the export, or are ' +
+        'worked out from the underlying price at entry where the import supplies one.');
+      return;
+    }
+
+    renderStatTable(container, {
+      rowLabel: 'Entry delta',
+      rows: ids.map(id => ({ label: id, stats: buckets[id] }))
+    });
+
+    const known = context.trades.filter(trade => Math.abs(parseFloat(trade.Delta)) > 0).length;
+    if (known < context.trades.length) {
+      appendNote(container,
+        `${context.trades.length - known} of ${context.trades.length} trades carry no entry delta and are left out.`);
+    }
+  }
+
+  function renderIVRank(container, context) {
+    const buckets = ResearchAnalytics.ivRankStats(context.trades);
+    const ids = Object.keys(buckets);
+
+    if (!ids.length) {
+      appendEmpty(container,
+        'No trades in this cut have an IV rank at entry. Import the underlying\'s implied ' +
+        'volatility history on the Data tab.');
+      return;
+    }
+
+    renderStatTable(container, {
+      rowLabel: 'IV rank',
+      rows: ids.map(id => ({ label: id, stats: buckets[id] }))
+    });
+
+    const ranked = ids.reduce((total, id) => total + buckets[id].n, 0);
+    appendNote(container,
+      'IV rank places the underlying\'s implied volatility on the day of entry within its range over the year before.' +
+      (ranked < context.trades.length ? ` ${context.trades.length - ranked} of ${context.trades.length} trades have no rank and are left out.` : ''));
+  }
+
+  function renderStrikeBreach(container, context) {
+    const split = ResearchAnalytics.breachStats(context.trades);
+    const labels = { breached: 'Short strike breached', held: 'Short strikes held' };
+    const ids = Object.keys(split);
+
+    if (!ids.length) {
+      appendEmpty(container,
+        'No trades in this cut have a short strike and daily prices covering the hold. ' +
+        'Import the underlying\'s price history on the Data tab.');
+      return;
+    }
+
+    renderStatTable(container, {
+      rowLabel: 'During the hold',
+      rows: ids.map(id => ({ label: labels[id], stats: split[id] }))
+    });
+
+    const covered = ids.reduce((total, id) => total + split[id].n, 0);
+    appendNote(container,
+      'Losses with the strikes held came from management (the exit, or the premium paid), not the move. ' +
+      'Breaches are read from daily highs and lows.' +
+      (covered < context.trades.length ? ` ${context.trades.length - covered} trades without a short strike or prices are left out.` : ''));
+  }
+
   function renderStructureSplit(container, context) {
     const split = ResearchAnalytics.condorVsSingleSide(context.trades);
 
@@ -374,6 +522,9 @@ const ResearchOutputs = (function () {
     });
 
     panel.registerRenderer('dte-buckets', renderDteBuckets);
+    panel.registerRenderer('delta-buckets', renderDeltaBuckets);
+    panel.registerRenderer('iv-rank', renderIVRank);
+    panel.registerRenderer('strike-breach', renderStrikeBreach);
     panel.registerRenderer('structure-split', renderStructureSplit);
     panel.registerRenderer('width-breakdown', renderWidthBreakdown);
     panel.registerRenderer('width-counterfactual', renderWidthCounterfactual);
@@ -7,23 +7,35 @@
  * Output components register themselves through registerRenderer(). A section
  * with no registered renderer shows its caption and trade count only, so the
  * provenance line is verifiable before the charts exist.
+ *
+ * Presets saved here sit alongside the seeded ones, kept in localStorage and
+ * shared as JSON files (see ResearchPresets).
  */
 class ResearchPanel {
   /**
    * @param {string} containerId - DOM element id to render into
-   * @param {Object} options - { storageKey }
+   * @param {Object} options - { storageKey, presetsKey (where saved presets
+   *   are kept), onTradeSelect (called with a trade picked in an output, e.g.
+   *   a bar of the bar chart) }
    */
   constructor(containerId, options = {}) {
     this.containerId = containerId;
     this.container = document.getElementById(containerId);
     this.storageKey = options.storageKey || 'research_filter_state';
+    this.presetsKey = options.presetsKey || 'research_user_presets';
+    this.onTradeSelect = options.onTradeSelect || null;
 
     this.trades = [];
+    this.scope = {};
     this.underlyings = [];
     this.renderers = {};
     this.sections = {};
     this.renderedSections = {};
     this.activePresetId = null;
+    this.userPresets = [];
+
+    // Saved preset being edited through the preset form, or null for a new one
+    this.editingPresetId = null;
 
     // Whether the underlying was chosen deliberately (by the user, a preset, or
     // restored state) rather than defaulted. An underlying that was never chosen
@@ -56,6 +68,23 @@ class ResearchPanel {
       <section class="bg-surface border border-border rounded-lg p-4 mb-6" role="region" aria-label="Scenario presets">
         <div class="research-presets-label">Presets</div>
         <div class="research-presets" role="group" aria-label="Scenario preset chips"></div>
+        <div class="research-presets-label research-user-presets-label">Your presets</div>
+        <div class="research-presets research-user-presets" role="group" aria-label="Saved preset chips"></div>
+        <div class="research-preset-actions">
+          <button type="button" class="filter-btn" data-research-preset-save>Save current filters</button>
+          <button type="button" class="filter-btn" data-research-preset-export>Export</button>
+          <label class="filter-btn">
+            Import
+            <input type="file" accept=".json,application/json" data-research-preset-import hidden>
+          </label>
+        </div>
+        <form class="research-preset-form" hidden>
+          <input type="text" class="research-preset-name" maxlength="80" placeholder="Preset name"
+                 aria-label="Preset name" required>
+          <button type="submit" class="filter-btn">Save</button>
+          <button type="button" class="filter-btn" data-research-preset-cancel>Cancel</button>
+        </form>
+        <p class="research-preset-status" role="status"></p>
       </section>
 
       <section class="bg-surface border border-border rounded-lg p-4 mb-6" role="region" aria-label="Research filters">
@@ -91,6 +120,10 @@ class ResearchPanel {
 
     this.elements = {
       presets: this.container.querySelector('.research-presets'),
+      userPresets: this.container.querySelector('.research-user-presets'),
+      presetForm: this.container.querySelector('.research-preset-form'),
+      presetName: this.container.querySelector('.research-preset-name'),
+      presetStatus: this.container.querySelector('.research-preset-status'),
       select: this.container.querySelector('.research-select'),
       dteButtons: [...this.container.querySelectorAll('[data-research-dte]')],
       structureGroup: this.container.querySelector('[aria-label="Structure selection"]'),
@@ -99,10 +132,13 @@ class ResearchPanel {
     };
 
     this.loadFilterState();
+    this.loadUserPresets();
     this.buildStructureButtons();
     this.buildPresetChips();
+    this.buildUserPresetChips();
     this.buildSections();
     this.bindFilterEvents();
+    this.bindPresetEvents();
   }
 
   /**
@@ -117,11 +153,16 @@ class ResearchPanel {
 
   /**
    * Supply the current trade set and re-render
-   * @param {Array} enrichedTrades - Enriched trades from the dashboard
+   * @param {Array} enrichedTrades - Enriched trades from the dashboard, already
+   *   narrowed by its date range, status and account filters
+   * @param {Object} [scope] - Those filters as captions state them:
+   *   { period, account }
    */
-  update(enrichedTrades) {
+  update(enrichedTrades, scope = {}) {
     this.trades = enrichedTrades || [];
+    this.scope = scope;
     this.refreshUnderlyings();
+    this.buildStructureButtons();
     this.syncControls();
     this.renderOutputs();
   }
@@ -142,17 +183,17 @@ class ResearchPanel {
    * @param {string} presetId - Preset id
    */
   applyPreset(presetId) {
-    const preset = RESEARCH_PRESETS.find(entry => entry.id === presetId);
+    const preset = this.allPresets().find(entry => entry.id === presetId);
     if (!preset) return;
 
-    this.filter = {
-      underlying: preset.filter.underlying,
-      dteCut: preset.filter.dteCut || 'all',
-      structures: preset.filter.structures ? preset.filter.structures.slice() : null
-    };
+    const filter = ResearchAnalytics.resolvePresetFilter(preset.filter, this.underlyings);
+    if (!filter) return;
+
+    this.filter = filter;
     this.params = { ...RESEARCH_SCENARIO_DEFAULTS, ...(preset.params || {}) };
     this.activePresetId = presetId;
-    this.underlyingExplicit = true;
+    // A busiest-underlying preset keeps tracking the busiest as data arrives
+    this.underlyingExplicit = preset.filter.underlying !== ResearchAnalytics.BUSIEST_UNDERLYING;
 
     this.saveFilterState();
     this.syncControls();
@@ -160,6 +201,13 @@ class ResearchPanel {
     this.focusSection(preset.focus);
   }
 
+  /**
+   * @returns {Array} - The seeded presets, then those saved here
+   */
+  allPresets() {
+    return RESEARCH_PRESETS.concat(this.userPresets);
+  }
+
   destroy() {
     Object.values(this.sections).forEach(section => {
       if (section.collapsible && section.collapsible.destroy) {
@@ -172,12 +220,21 @@ class ResearchPanel {
 
   // ===== control construction =====
 
+  /**
+   * One button per structure the closed trades contain, plus any selected.
+   * Before data arrives, the three credit structures the tab defaults to.
+   */
   buildStructureButtons() {
-    const structures = [
-      ResearchAnalytics.STRUCTURES.IRON_CONDOR,
-      ResearchAnalytics.STRUCTURES.PUT_CREDIT_SPREAD,
-      ResearchAnalytics.STRUCTURES.CALL_CREDIT_SPREAD
-    ];
+    const shown = new Set(this.trades.length
+      ? ResearchAnalytics.presentStructures(this.trades).concat(this.filter.structures || [])
+      : [
+        ResearchAnalytics.STRUCTURES.IRON_CONDOR,
+        ResearchAnalytics.STRUCTURES.PUT_CREDIT_SPREAD,
+        ResearchAnalytics.STRUCTURES.CALL_CREDIT_SPREAD
+      ]);
+    const structures = ResearchAnalytics.STRUCTURE_DEFINITIONS
+      .map(definition => definition.id)
+      .filter(id => shown.has(id));
 
     this.elements.structureGroup.innerHTML = structures.map(structure => `
       <button class="filter-btn" data-research-structure="${structure}"
@@ -205,6 +262,50 @@ class ResearchPanel {
     });
   }
 
+  /**
+   * One chip per saved preset, each with edit and delete buttons. Built
+   * with textContent: titles come from whoever wrote the imported file.
+   */
+  buildUserPresetChips() {
+    const group = this.elements.userPresets;
+    group.innerHTML = '';
+
+    if (!this.userPresets.length) {
+      const empty = document.createElement('span');
+      empty.className = 'research-user-presets-empty';
+      empty.textContent = 'None yet: set the filters below, then save them.';
+      group.appendChild(empty);
+      return;
+    }
+
+    this.userPresets.forEach(preset => {
+      const item = document.createElement('span');
+      item.className = 'research-user-preset';
+
+      const chip = document.createElement('button');
+      chip.className = 'research-chip';
+      chip.dataset.researchPreset = preset.id;
+      chip.textContent = preset.title;
+
+      const edit = document.createElement('button');
+      edit.className = 'research-chip-action';
+      edit.dataset.researchPresetEdit = preset.id;
+      edit.setAttribute('aria-label', `Edit ${preset.title}`);
+      edit.title = 'Edit';
+      edit.textContent = '✎';
+
+      const remove = document.createElement('button');
+      remove.className = 'research-chip-action';
+      remove.dataset.researchPresetDelete = preset.id;
+      remove.setAttribute('aria-label', `Delete ${preset.title}`);
+      remove.title = 'Delete';
+      remove.textContent = '×';
+
+      item.append(chip, edit, remove);
+      group.appendChild(item);
+    });
+  }
+
   buildSections() {
     this.elements.sections.innerHTML = RESEARCH_SECTIONS.map(section => `
       <div class="research-section" data-research-section="${section.id}">
@@ -256,15 +357,56 @@ class ResearchPanel {
       });
     });
 
-    this.elements.structureButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        const structure = button.dataset.researchStructure;
-        const active = this.filter.structures || [];
-        this.filter.structures = active.indexOf(structure) === -1
-          ? active.concat([structure])
-          : active.filter(entry => entry !== structure);
-        this.onManualFilterChange();
-      });
+    // Delegated: the buttons are rebuilt as the structures in the data change
+    this.elements.structureGroup.addEventListener('click', event => {
+      const button = event.target.closest('[data-research-structure]');
+      if (!button) return;
+
+      const structure = button.dataset.researchStructure;
+      const active = this.filter.structures || [];
+      this.filter.structures = active.indexOf(structure) === -1
+        ? active.concat([structure])
+        : active.filter(entry => entry !== structure);
+      this.onManualFilterChange();
+    });
+  }
+
+  bindPresetEvents() {
+    this.elements.userPresets.addEventListener('click', event => {
+      const chip = event.target.closest('[data-research-preset]');
+      const edit = event.target.closest('[data-research-preset-edit]');
+      const remove = event.target.closest('[data-research-preset-delete]');
+
+      if (chip && !chip.disabled) this.applyPreset(chip.dataset.researchPreset);
+      if (edit) this.editUserPreset(edit.dataset.researchPresetEdit);
+      if (remove) this.deleteUserPreset(remove.dataset.researchPresetDelete);
+    });
+
+    this.container.querySelector('[data-research-preset-save]').addEventListener('click', () => {
+      this.openPresetForm(null);
+    });
+
+    this.container.querySelector('[data-research-preset-cancel]').addEventListener('click', () => {
+      this.closePresetForm();
+    });
+
+    this.elements.presetForm.addEventListener('submit', event => {
+      event.preventDefault();
+      this.saveCurrentAsPreset(this.elements.presetName.value);
+    });
+
+    this.container.querySelector('[data-research-preset-export]').addEventListener('click', () => {
+      this.exportUserPresets();
+    });
+
+    const upload = this.container.querySelector('[data-research-preset-import]');
+    upload.addEventListener('change', () => {
+      const file = upload.files && upload.files[0];
+      if (!file) return;
+      file.text()
+        .then(text => this.importUserPresets(text))
+        .catch(error => this.showPresetStatus(`Could not read ${file.name}: ${error.message}`));
+      upload.value = '';
     });
   }
 
@@ -278,6 +420,153 @@ class ResearchPanel {
     this.renderOutputs();
   }
 
+  // ===== saved presets =====
+
+  /**
+   * Open the preset form, to save the current filters as a new preset or
+   * over the one being edited
+   * @param {string|null} presetId - Saved preset being edited
+   */
+  openPresetForm(presetId) {
+    const preset = this.userPresets.find(entry => entry.id === presetId);
+    this.editingPresetId = preset ? preset.id : null;
+    this.elements.presetName.value = preset ? preset.title : '';
+    this.elements.presetForm.hidden = false;
+    this.elements.presetName.focus();
+    this.showPresetStatus(preset
+      ? `Adjust the filters, then save to update "${preset.title}".`
+      : `Saves ${ResearchAnalytics.describeFilter(this.getFilterState())}.`);
+  }
+
+  closePresetForm() {
+    this.editingPresetId = null;
+    this.elements.presetForm.hidden = true;
+    this.showPresetStatus('');
+  }
+
+  /**
+   * Apply a saved preset and open it for editing
+   * @param {string} presetId - Saved preset id
+   */
+  editUserPreset(presetId) {
+    this.applyPreset(presetId);
+    this.openPresetForm(presetId);
+  }
+
+  /**
+   * Save the current filters and params under a name
+   * @param {string} title - Preset name
+   */
+  saveCurrentAsPreset(title) {
+    const editing = this.userPresets.find(entry => entry.id === this.editingPresetId);
+    const active = this.allPresets().find(entry => entry.id === this.activePresetId);
+    const presets = ResearchPresets.savePreset(this.userPresets, {
+      id: this.editingPresetId,
+      title,
+      filter: this.getFilterState(),
+      params: this.params,
+      focus: (editing || active || {}).focus
+    });
+    if (!presets) {
+      this.showPresetStatus('Give the preset a name.');
+      return;
+    }
+
+    const saved = editing
+      ? presets.find(entry => entry.id === editing.id)
+      : presets[presets.length - 1];
+    this.userPresets = presets;
+    this.activePresetId = saved.id;
+    this.saveUserPresets();
+    this.saveFilterState();
+    this.buildUserPresetChips();
+    this.syncControls();
+    this.closePresetForm();
+    this.showPresetStatus(`Saved "${saved.title}".`);
+  }
+
+  /**
+   * @param {string} presetId - Saved preset id
+   */
+  deleteUserPreset(presetId) {
+    const preset = this.userPresets.find(entry => entry.id === presetId);
+    if (!preset || !confirm(`Delete the preset "${preset.title}"?`)) return;
+
+    this.userPresets = this.userPresets.filter(entry => entry.id !== presetId);
+    if (this.activePresetId === presetId) this.activePresetId = null;
+    if (this.editingPresetId === presetId) this.closePresetForm();
+    this.saveUserPresets();
+    this.saveFilterState();
+    this.buildUserPresetChips();
+    this.syncControls();
+  }
+
+  /**
+   * Download the saved presets as a JSON file
+   */
+  exportUserPresets() {
+    if (!this.userPresets.length) {
+      this.showPresetStatus('No saved presets to export.');
+      return;
+    }
+
+    const blob = new Blob([ResearchPresets.exportPresets(this.userPresets)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'research-presets.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Add the presets in a shared file to those saved
+   * @param {string} text - File contents
+   */
+  importUserPresets(text) {
+    try {
+      const result = ResearchPresets.importPresets(text, this.userPresets);
+      this.userPresets = result.presets;
+      this.saveUserPresets();
+      this.buildUserPresetChips();
+      this.syncControls();
+
+      const parts = [`Imported ${result.added} preset${result.added === 1 ? '' : 's'}`];
+      if (result.unchanged) parts.push(`${result.unchanged} already saved`);
+      if (result.skipped) parts.push(`skipped ${result.skipped} that could not be read`);
+      this.showPresetStatus(`${parts.join(', ')}.`);
+    } catch (error) {
+      this.showPresetStatus(error.message);
+    }
+  }
+
+  showPresetStatus(message) {
+    this.elements.presetStatus.textContent = message;
+  }
+
+  loadUserPresets() {
+    try {
+      const stored = localStorage.getItem(this.presetsKey);
+      const parsed = stored ? JSON.parse(stored) : [];
+      this.userPresets = (Array.isArray(parsed) ? parsed : [])
+        .map(ResearchPresets.normalizePreset)
+        .filter(Boolean);
+    } catch (error) {
+      console.warn('Could not restore saved research presets:', error);
+    }
+  }
+
+  saveUserPresets() {
+    try {
+      localStorage.setItem(this.presetsKey, JSON.stringify(this.userPresets));
+    } catch (error) {
+      console.warn('Could not persist saved research presets:', error);
+      this.showPresetStatus('Could not save presets in this browser; export them to keep them.');
+    }
+  }
+
   // ===== state =====
 
   refreshUnderlyings() {
@@ -316,7 +605,9 @@ class ResearchPanel {
       if (parsed.structures !== undefined) {
         this.filter.structures = parsed.structures ? parsed.structures.slice() : null;
       }
-      if (parsed.activePresetId) this.activePresetId = parsed.activePresetId;
+      if (parsed.activePresetId) {
+        this.activePresetId = RESEARCH_PRESET_RENAMES[parsed.activePresetId] || parsed.activePresetId;
+      }
     } catch (error) {
       console.warn('Could not restore research filter state:', error);
     }
@@ -362,20 +653,30 @@ class ResearchPanel {
       button.setAttribute('aria-checked', String(active));
     });
 
-    const available = new Set(this.underlyings.map(entry => entry.symbol));
-    this.elements.presets.querySelectorAll('[data-research-preset]').forEach(chip => {
-      const preset = RESEARCH_PRESETS.find(entry => entry.id === chip.dataset.researchPreset);
-      const reachable = !preset.filter.underlying || available.has(preset.filter.underlying);
+    this.container.querySelectorAll('[data-research-preset]').forEach(chip => {
+      const preset = this.allPresets().find(entry => entry.id === chip.dataset.researchPreset);
+      const resolved = ResearchAnalytics.resolvePresetFilter(preset.filter, this.underlyings);
+      const reachable = resolved !== null;
 
       chip.disabled = !reachable;
       chip.classList.toggle('disabled', !reachable);
       chip.classList.toggle('active', reachable && preset.id === this.activePresetId);
       chip.title = reachable
-        ? `Apply: ${ResearchAnalytics.describeFilter(preset.filter)}`
-        : `${preset.filter.underlying} has no closed trades in this dataset`;
+        ? `Apply: ${ResearchAnalytics.describeFilter(resolved)}`
+        : `${this.describeUnderlyingSpec(preset.filter.underlying)} has no closed trades in this dataset`;
     });
   }
 
+  /**
+   * A preset's underlying as a chip tooltip names it
+   * @param {string|Array} spec - Symbol, list of symbols or BUSIEST_UNDERLYING
+   * @returns {string}
+   */
+  describeUnderlyingSpec(spec) {
+    if (spec === ResearchAnalytics.BUSIEST_UNDERLYING) return 'No underlying';
+    return [].concat(spec).join(' or ');
+  }
+
   // ===== rendering =====
 
   renderOutputs() {
@@ -403,6 +704,7 @@ class ResearchPanel {
 
     const filter = this.getFilterState();
     const caption = ResearchAnalytics.buildCaption(filter, {
+      scope: this.scope,
       n: this.filtered.length,
       excluded: {
         unmappedStructure: this.excluded.unmappedStructure,
@@ -416,7 +718,7 @@ class ResearchPanel {
     if (!this.filtered.length) {
       section.body.innerHTML = `
         <p class="research-empty">
-          No closed trades match ${ResearchAnalytics.describeFilter(filter)}.
+          No closed trades match ${ResearchAnalytics.describeFilter(filter, this.scope)}.
         </p>
       `;
       section.collapsible.updateSummary('no matching trades');
@@ -440,7 +742,8 @@ class ResearchPanel {
           trades: this.filtered,
           filter: filter,
           params: this.params,
-          excluded: this.excluded
+          excluded: this.excluded,
+          onTradeSelect: this.onTradeSelect
         });
       } catch (error) {
         console.error(`Research section "${sectionId}" failed to render:`, error);
@@ -0,0 +1,214 @@
+/**
+ * Research Presets
+ * Presets saved from the Research tab, alongside the seeded RESEARCH_PRESETS:
+ * checking them, naming them, and the JSON file they are shared as. Pure, like
+ * ResearchAnalytics: ResearchPanel owns the UI and where they are stored.
+ *
+ * A saved preset has the same shape as a seeded one (id, title, filter, focus,
+ * params). Anything read back from storage or a file passes through
+ * normalizePreset first, so a hand-edited or older file cannot put a filter the
+ * tab does not understand into effect.
+ */
+
+const ResearchPresets = (function () {
+  const FILE_FORMAT = 'options-journal-research-presets';
+  const FILE_VERSION = 1;
+  const MAX_TITLE_LENGTH = 80;
+
+  // ===== checking =====
+
+  /**
+   * A preset's underlying as stored: a symbol, a list of symbols, the
+   * busiest-underlying marker, or null for every underlying
+   * @param {*} value - Underlying as read
+   * @returns {string|Array|null|undefined} - Normalized underlying, or
+   *   undefined when unusable
+   */
+  function normalizeUnderlying(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value === ResearchAnalytics.BUSIEST_UNDERLYING) return value;
+
+    const symbols = [].concat(value)
+      .filter(symbol => typeof symbol === 'string' && symbol.trim())
+      .map(symbol => symbol.trim().toUpperCase());
+    if (!symbols.length) return undefined;
+    return Array.isArray(value) ? [...new Set(symbols)] : symbols[0];
+  }
+
+  /**
+   * Per-output parameters, keeping only those the panel has defaults for,
+   * each a list of positive numbers
+   * @param {*} params - Params as read
+   * @returns {Object}
+   */
+  function normalizeParams(params) {
+    const result = {};
+    if (!params || typeof params !== 'object') return result;
+
+    Object.keys(RESEARCH_SCENARIO_DEFAULTS).forEach(key => {
+      if (!Array.isArray(params[key])) return;
+      const values = params[key].map(Number).filter(value => Number.isFinite(value) && value > 0);
+      if (values.length) result[key] = values;
+    });
+    return result;
+  }
+
+  /**
+   * Check a preset read from storage or a file
+   * Unknown structures are dropped; an unknown DTE cut or focus falls back to
+   * the default. Only a missing title or an unusable underlying rejects it.
+   * @param {Object} raw - Preset as read
+   * @returns {Object|null} - { id, title, filter, focus, params }, or null
+   */
+  function normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const title = typeof raw.title === 'string' ? raw.title.trim().slice(0, MAX_TITLE_LENGTH) : '';
+    const filter = raw.filter && typeof raw.filter === 'object' ? raw.filter : {};
+    const underlying = normalizeUnderlying(filter.underlying);
+    if (!title || underlying === undefined) return null;
+
+    const known = Object.values(ResearchAnalytics.STRUCTURES);
+    const structures = Array.isArray(filter.structures)
+      ? filter.structures.filter(structure => known.includes(structure))
+      : null;
+    const sections = RESEARCH_SECTIONS.map(section => section.id);
+
+    return {
+      id: /^user_[a-z0-9_]+$/.test(raw.id) ? raw.id : presetId(title, []),
+      title,
+      filter: {
+        underlying,
+        dteCut: ResearchAnalytics.DTE_CUT_LABELS[filter.dteCut] ? filter.dteCut : 'all',
+        structures: structures && structures.length ? structures : null
+      },
+      focus: sections.includes(raw.focus) ? raw.focus : sections[0],
+      params: normalizeParams(raw.params)
+    };
+  }
+
+  // ===== naming =====
+
+  /**
+   * An id for a new preset, unique among those given
+   * Saved presets are prefixed so they can never take a seeded preset's id.
+   * @param {string} title - Preset title
+   * @param {Array} presets - Presets whose ids are taken
+   * @returns {string}
+   */
+  function presetId(title, presets) {
+    const base = `user_${String(title).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'preset'}`;
+    const taken = new Set(presets.map(preset => preset.id));
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+    return id;
+  }
+
+  /**
+   * Save a filter state as a preset, or replace one already saved
+   * @param {Array} presets - Saved presets
+   * @param {Object} entry - { id (of the preset to replace; omit for a new
+   *   one), title, filter, params, focus }
+   * @returns {Array|null} - Saved presets after the change, or null when the
+   *   entry is not a usable preset
+   */
+  function savePreset(presets, entry) {
+    const replacing = presets.find(preset => preset.id === entry.id);
+    const preset = normalizePreset({
+      ...entry,
+      id: replacing ? replacing.id : presetId(entry.title || '', presets)
+    });
+    if (!preset) return null;
+
+    return replacing
+      ? presets.map(existing => (existing.id === preset.id ? preset : existing))
+      : presets.concat([preset]);
+  }
+
+  // ===== sharing =====
+
+  /**
+   * Whether two checked presets would run the same cut under the same name
+   * @param {Object} a - Preset
+   * @param {Object} b - Preset
+   * @returns {boolean}
+   * @private
+   */
+  function sameContents(a, b) {
+    return JSON.stringify({ ...a, id: null }) === JSON.stringify({ ...b, id: null });
+  }
+
+  /**
+   * The JSON file saved presets are shared as
+   * @param {Array} presets - Saved presets
+   * @returns {string}
+   */
+  function exportPresets(presets) {
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Read a shared presets file into the saved presets
+   * A preset with the same contents as one already saved, under any id, is
+   * left alone, so importing the same file twice changes nothing. The rest are
+   * added, under a new id when theirs is taken: a teammate's "Condors" never
+   * overwrites the user's own.
+   * @param {string} text - File contents
+   * @param {Array} presets - Saved presets
+   * @returns {Object} - { presets (after the import), added, unchanged
+   *   (already saved), skipped (entries that were not usable presets) }
+   * @throws {Error} - If the file is not a presets file
+   */
+  function importPresets(text, presets) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This is not a presets file: it is not valid JSON.');
+    }
+
+    const entries = Array.isArray(data) ? data : (data && data.presets);
+    if (!Array.isArray(entries) || (!Array.isArray(data) && data.format !== FILE_FORMAT)) {
+      throw new Error('This is not a presets file exported from the Research tab.');
+    }
+
+    let result = presets.slice();
+    let added = 0;
+    let unchanged = 0;
+    let skipped = 0;
+
+    entries.forEach(entry => {
+      const preset = normalizePreset(entry);
+      if (!preset) {
+        skipped++;
+        return;
+      }
+      if (result.some(saved => sameContents(saved, preset))) {
+        unchanged++;
+        return;
+      }
+      if (result.some(saved => saved.id === preset.id)) preset.id = presetId(preset.title, result);
+      result.push(preset);
+      added++;
+    });
+
+    return { presets: result, added, unchanged, skipped };
+  }
+
+  return {
+    FILE_FORMAT,
+    normalizePreset,
+    presetId,
+    savePreset,
+    exportPresets,
+    importPresets
+  };
+})();
+
+if (typeof window !== 'undefined') {
+  window.ResearchPresets = ResearchPresets;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResearchPresets;
+}
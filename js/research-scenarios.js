@@ -3,14 +3,18 @@
  * The fixed cuts worth reviewing every time, as data. Adding one is an edit to
  * this array; nothing in the rendering path needs to change.
  *
- * These are inherited verbatim from the external build spec and are SPX-
- * specific. A preset naming an underlying the loaded dataset does not contain
- * renders disabled rather than silently showing an empty result.
+ * Most presets are not tied to one symbol: '*' picks the underlying with the
+ * most closed trades, and a list of symbols picks the busiest of those. The
+ * width presets stay on SPX: the width buckets and counterfactual widths are
+ * SPX-scale and mean nothing on a $1-5-wide equity book. A preset naming only
+ * underlyings the loaded dataset does not contain renders disabled rather
+ * than silently showing an empty result.
  *
  * Each entry carries:
  *   id        stable identifier, also the localStorage value for the active chip
  *   title     chip label
- *   filter    { underlying, dteCut, structures } applied on click
+ *   filter    { underlying, dteCut, structures } applied on click; underlying
+ *             is a symbol, a list of symbols, '*' or null for all of them
  *   focus     id of the output section scrolled into view
  *   params    optional per-output parameters, merged over the panel defaults
  */
@@ -20,40 +24,43 @@ const RESEARCH_SCENARIO_DEFAULTS = {
   concentrationTopN: [3, 5]
 };
 
+// Roots SPX trades are booked under; most adapters already fold SPXW into SPX
+const SPX_ROOTS = ['SPX', 'SPXW'];
+
 const RESEARCH_PRESETS = [
   {
-    id: 'spx_0dte_all_structures',
-    title: 'SPX 0DTE — condors vs single-sided',
+    id: '0dte_all_structures',
+    title: '0DTE — condors vs single-sided',
     filter: {
-      underlying: 'SPX',
+      underlying: '*',
       dteCut: 'zero',
       structures: ['iron_condor', 'put_credit_spread', 'call_credit_spread']
     },
     focus: 'calendar'
   },
   {
-    id: 'spx_0dte_condor_only',
-    title: 'SPX 0DTE iron condors only',
-    filter: { underlying: 'SPX', dteCut: 'zero', structures: ['iron_condor'] },
+    id: '0dte_condor_only',
+    title: '0DTE iron condors only',
+    filter: { underlying: '*', dteCut: 'zero', structures: ['iron_condor'] },
     focus: 'bar'
   },
   {
-    id: 'spx_condor_nonzero_dte',
-    title: 'SPX iron condors, excluding 0DTE',
-    filter: { underlying: 'SPX', dteCut: 'nonzero', structures: ['iron_condor'] },
+    id: 'condor_nonzero_dte',
+    title: 'Iron condors, excluding 0DTE',
+    filter: { underlying: '*', dteCut: 'nonzero', structures: ['iron_condor'] },
     focus: 'bar'
   },
   {
-    id: 'spx_dte_buckets',
-    title: 'SPX by days to expiration',
-    filter: { underlying: 'SPX', dteCut: 'all', structures: null },
+    id: 'dte_buckets',
+    title: 'By days to expiration',
+    filter: { underlying: '*', dteCut: 'all', structures: null },
     focus: 'dte-buckets'
   },
   {
-    id: 'spx_condor_vs_single_side',
-    title: 'SPX condor vs single-sided, all DTE',
+    id: 'condor_vs_single_side',
+    title: 'Condor vs single-sided, all DTE',
     filter: {
-      underlying: 'SPX',
+      underlying: '*',
       dteCut: 'all',
       structures: ['iron_condor', 'put_credit_spread', 'call_credit_spread']
     },
@@ -62,31 +69,45 @@ const RESEARCH_PRESETS = [
   {
     id: 'spx_put_spread_width_breakdown',
     title: 'SPX put credit spread by width bucket',
-    filter: { underlying: 'SPX', dteCut: 'all', structures: ['put_credit_spread'] },
+    filter: { underlying: SPX_ROOTS, dteCut: 'all', structures: ['put_credit_spread'] },
     focus: 'width-breakdown'
   },
   {
     id: 'spx_put_spread_width_counterfactual',
     title: 'SPX put credit spread — uniform width',
-    filter: { underlying: 'SPX', dteCut: 'all', structures: ['put_credit_spread'] },
+    filter: { underlying: SPX_ROOTS, dteCut: 'all', structures: ['put_credit_spread'] },
     focus: 'width-counterfactual',
     params: { counterfactualWidths: [10, 15, 20, 25] }
   },
   {
-    id: 'spx_runs_test',
-    title: 'SPX streak check',
-    filter: { underlying: 'SPX', dteCut: 'all', structures: null },
+    id: 'runs_test',
+    title: 'Streak check',
+    filter: { underlying: '*', dteCut: 'all', structures: null },
     focus: 'runs-test'
   },
   {
-    id: 'spx_loss_concentration',
-    title: 'SPX loss concentration',
-    filter: { underlying: 'SPX', dteCut: 'all', structures: null },
+    id: 'loss_concentration',
+    title: 'Loss concentration',
+    filter: { underlying: '*', dteCut: 'all', structures: null },
     focus: 'loss-concentration',
     params: { concentrationTopN: [3, 5] }
   }
 ];
 
+/**
+ * Ids the seeded presets had while they were all SPX-only, to the preset that
+ * replaced each, so an active preset stored under the old id is still found
+ */
+const RESEARCH_PRESET_RENAMES = {
+  spx_0dte_all_structures: '0dte_all_structures',
+  spx_0dte_condor_only: '0dte_condor_only',
+  spx_condor_nonzero_dte: 'condor_nonzero_dte',
+  spx_dte_buckets: 'dte_buckets',
+  spx_condor_vs_single_side: 'condor_vs_single_side',
+  spx_runs_test: 'runs_test',
+  spx_loss_concentration: 'loss_concentration'
+};
+
 /**
  * The output sections, in render order. The trade-by-trade and calendar views
  * carry the headline picture and open by default; the tables and statistics are
@@ -96,6 +117,9 @@ const RESEARCH_SECTIONS = [
   { id: 'bar', title: 'Trade by trade', defaultExpanded: true },
   { id: 'calendar', title: 'Calendar', defaultExpanded: true },
   { id: 'dte-buckets', title: 'By days to expiration', defaultExpanded: false },
+  { id: 'delta-buckets', title: 'By entry delta', defaultExpanded: false },
+  { id: 'iv-rank', title: 'By IV rank at entry', defaultExpanded: false },
+  { id: 'strike-breach', title: 'Move vs management', defaultExpanded: false },
   { id: 'structure-split', title: 'Condor vs single-sided', defaultExpanded: false },
   { id: 'width-breakdown', title: 'By spread width', defaultExpanded: false },
   { id: 'width-counterfactual', title: 'Uniform-width counterfactual', defaultExpanded: false },
@@ -105,10 +129,11 @@ const RESEARCH_SECTIONS = [
 
 if (typeof window !== 'undefined') {
   window.RESEARCH_PRESETS = RESEARCH_PRESETS;
+  window.RESEARCH_PRESET_RENAMES = RESEARCH_PRESET_RENAMES;
   window.RESEARCH_SECTIONS = RESEARCH_SECTIONS;
   window.RESEARCH_SCENARIO_DEFAULTS = RESEARCH_SCENARIO_DEFAULTS;
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { RESEARCH_PRESETS, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS };
+  module.exports = { RESEARCH_PRESETS, RESEARCH_PRESET_RENAMES, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS };
 }
@@ -1,30 +1,46 @@
 /**
  * Strategy Detector Component
- * 
+ *
  * Responsible for classifying option strategies from trade data.
- * 
- * Current Implementation:
- * - Returns the manually entered Strategy field from the CSV (pass-through)
- * 
- * Future Enhancement Points:
- * - Implement leg-based strategy detection by analyzing option positions
- * - Register custom detection rules using registerDetector()
- * - Support multi-leg strategy classification (Iron Condor, Butterfly, etc.)
- * - Add confidence scoring for detected strategies
- * 
- * Example Future Usage:
+ *
+ * Classification works on the opening legs of a position: each leg's type
+ * (call, put or stock), side, strike, expiry and quantity. Every adapter
+ * reduces its own rows to that shape, so TastyTrade, Robinhood and the brokers
+ * rewritten into the TastyTrade ledger share one implementation through
+ * StrategyDetector.classifyLegs().
+ *
+ * Recognized structures:
+ * - Single legs: Long/Short Call, Long/Short Put
+ * - Verticals: Bull/Bear Call Spread, Bull/Bear Put Spread
+ * - Call/Put Ratio Spread, Calendar Spread, Diagonal Spread
+ * - Straddle, Strangle
+ * - Butterfly, Broken Wing Butterfly, Jade Lizard
+ * - Iron Condor, Iron Butterfly
+ * - Covered Call (short call against long shares in the same order, or
+ *   against shares held in the book when it is passed to classify())
+ * - Cash Secured Put (a lone short put in an account that takes shares of
+ *   the underlying, read from the book passed to classify())
+ *
+ * No supported export records an account's cash, so a cash-secured put is
+ * read from share activity instead: the account holds shares of the symbol
+ * when the put is sold, or buys them later, as a put seller ready to be
+ * assigned does. Without that a lone short put stays a Short Put. A Cash
+ * Secured Put named in the Strategy column of a generic CSV is kept.
+ *
+ * Custom detection rules registered with registerDetector() run first.
+ *
+ * Usage:
  * ```javascript
  * const detector = new StrategyDetector();
- * 
- * // Register a custom detector for Iron Condor
+ *
+ * // Register a custom detector, returning a name or { strategy, confidence }
  * detector.registerDetector((trade) => {
- *   const legs = parseLegs(trade);
- *   if (isIronCondor(legs)) {
- *     return { strategy: "Iron Condor", confidence: 0.95 };
+ *   if (trade.Symbol === 'SPX' && trade.Strategy === 'Iron Condor') {
+ *     return { strategy: "SPX Condor", confidence: 1 };
  *   }
  *   return null;
  * });
- * 
+ *
  * const strategy = detector.detect(trade);
  * ```
  */
@@ -32,7 +48,8 @@ class StrategyDetector {
   constructor() {
     /**
      * Array of custom detection functions
-     * Each detector should return a strategy name or null
+     * Each detector should return a strategy name, { strategy, confidence },
+     * or null
      * @type {Function[]}
      * @private
      */
@@ -41,89 +58,370 @@ class StrategyDetector {
 
   /**
    * Detect strategy from trade data
-   * 
-   * Current implementation returns the manually entered Strategy field.
-   * Future implementations will analyze trade legs to automatically classify strategies.
-   * 
+   *
    * @param {Object} trade - Trade record with strategy information
-   * @param {string} trade.Strategy - Manually entered strategy name
-   * @param {string} [trade.Type] - Option type (Call/Put)
-   * @param {number} [trade.Strike] - Strike price
-   * @param {Date} [trade.Expiry] - Expiration date
-   * @param {number} [trade.Volume] - Number of contracts
+   * @param {string} trade.Strategy - Strategy named by the adapter or the CSV
+   * @param {Object} [trade._metadata] - Leg detail recorded by the adapter
+   * @param {Array} [book] - Every trade in the import, used to find shares
+   *   covering a short call
    * @returns {string} Strategy classification
-   * 
+   *
    * @example
    * const detector = new StrategyDetector();
    * const strategy = detector.detect({ Strategy: "Long Call", Type: "Call", Strike: 150 });
    * // Returns: "Long Call"
    */
-  detect(trade) {
-    // Future enhancement: Run custom detectors first
-    // for (const detector of this.customDetectors) {
-    //   const result = detector(trade);
-    //   if (result) {
-    //     return result;
-    //   }
-    // }
-
-    // Current implementation: Pass-through manually entered strategy
-    return trade.Strategy || "Unknown";
+  detect(trade, book) {
+    return this.classify(trade, book).strategy;
+  }
+
+  /**
+   * Classify a trade, with a confidence score
+   *
+   * Order of precedence:
+   * 1. Registered custom detectors
+   * 2. The adapter's classification, when it already ran classifyLegs()
+   *    (it records _metadata.strategyConfidence)
+   * 3. The opening legs in _metadata.legs
+   * 4. The Strategy column as entered, confidence null
+   *
+   * A Short Call becomes a Covered Call when the book holds enough shares of
+   * the underlying, opened on or before the call and still held at its entry.
+   * A Short Put becomes a Cash Secured Put when the same account holds or
+   * later buys shares of the underlying.
+   *
+   * @param {Object} trade - Trade record
+   * @param {Array} [book] - Every trade in the import
+   * @returns {Object} { strategy, confidence } - confidence runs 0 to 1
+   */
+  classify(trade, book) {
+    for (const detector of this.customDetectors) {
+      const result = detector(trade);
+      if (typeof result === 'string' && result) {
+        return { strategy: result, confidence: 1 };
+      }
+      if (result && result.strategy) {
+        return { strategy: result.strategy, confidence: result.confidence ?? 1 };
+      }
+    }
+
+    const metadata = trade._metadata || {};
+    let result;
+
+    if (typeof metadata.strategyConfidence === 'number') {
+      result = { strategy: trade.Strategy, confidence: metadata.strategyConfidence };
+    } else {
+      const opening = StrategyDetector.openingLegs(metadata.legs || []);
+      const fromLegs = opening.length > 0 ? StrategyDetector.classifyLegs(opening) : null;
+      result = fromLegs && fromLegs.strategy !== 'Custom'
+        ? fromLegs
+        : { strategy: trade.Strategy || "Unknown", confidence: fromLegs ? fromLegs.confidence : null };
+    }
+
+    if (result.strategy === 'Short Call' && Array.isArray(book) && this._isCovered(trade, book)) {
+      return { strategy: 'Covered Call', confidence: 0.9 };
+    }
+    if (result.strategy === 'Short Put' && Array.isArray(book) && this._takesShares(trade, book)) {
+      return { strategy: 'Cash Secured Put', confidence: 0.7 };
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether the put's account holds shares of the underlying when the put is
+   * sold, or buys them afterwards
+   * @param {Object} trade - Short put trade
+   * @param {Array} book - Every trade in the import
+   * @returns {boolean}
+   * @private
+   */
+  _takesShares(trade, book) {
+    const entry = trade.Entry ? new Date(trade.Entry).getTime() : null;
+    if (entry === null) return false;
+
+    return book.some(lot => lot !== trade &&
+      lot.Symbol === trade.Symbol &&
+      (lot.Account || '') === (trade.Account || '') &&
+      lot.Strategy === 'Long Stock' &&
+      (!lot.Exit || new Date(lot.Exit).getTime() >= entry));
+  }
+
+  /**
+   * Whether shares held in the book cover a short call
+   * @param {Object} trade - Short call trade
+   * @param {Array} book - Every trade in the import
+   * @returns {boolean}
+   * @private
+   */
+  _isCovered(trade, book) {
+    const entry = trade.Entry ? new Date(trade.Entry).getTime() : null;
+    if (entry === null) return false;
+
+    const shares = book
+      .filter(other => other !== trade && other.Symbol === trade.Symbol && other.Strategy === 'Long Stock')
+      .filter(lot => {
+        const opened = lot.Entry ? new Date(lot.Entry).getTime() : -Infinity;
+        const closed = lot.Exit ? new Date(lot.Exit).getTime() : Infinity;
+        return opened <= entry && closed >= entry;
+      })
+      .reduce((sum, lot) => sum + (Number(lot.Volume) || 0), 0);
+
+    return shares >= (Number(trade.Volume) || 1) * 100;
+  }
+
+  /**
+   * Opening legs from recorded leg detail, in classifyLegs() form
+   * Accepts the actions of the TastyTrade ledger (BUY_TO_OPEN) and of
+   * Robinhood (BTO/STO).
+   * @param {Array} legs - Leg detail from trade._metadata.legs
+   * @returns {Array} - Legs for classifyLegs()
+   */
+  static openingLegs(legs) {
+    return legs
+      .filter(leg => /^(BUY_TO_OPEN|SELL_TO_OPEN|BTO|STO)$/.test(leg.action))
+      .map(leg => ({
+        type: leg.type,
+        side: /^(BUY|BTO)/.test(leg.action) ? 'BUY' : 'SELL',
+        strike: leg.strike,
+        expiry: leg.expiry,
+        quantity: leg.quantity
+      }));
+  }
+
+  /**
+   * Classify a set of opening legs
+   *
+   * Legs on the same contract and side are combined first, so a butterfly
+   * body sold as two one-lot rows reads the same as one two-lot row.
+   *
+   * Confidence is 1 when every leg fits the pattern exactly. It drops when a
+   * strike or expiry is missing and the pattern is read from the rest, or when
+   * quantities are off the pattern's ratio; Custom scores 0.
+   *
+   * @param {Array} legs - Opening legs
+   * @param {string} legs[].type - 'CALL', 'PUT' or 'STOCK'
+   * @param {string} legs[].side - 'BUY' or 'SELL'
+   * @param {number} [legs[].strike] - Strike price
+   * @param {Date|string} [legs[].expiry] - Expiration date
+   * @param {number} [legs[].quantity] - Contracts (or shares), default 1
+   * @returns {Object} { strategy, confidence }
+   *
+   * @example
+   * StrategyDetector.classifyLegs([
+   *   { type: 'PUT', side: 'SELL', strike: 495, expiry: '2024-03-15', quantity: 1 },
+   *   { type: 'PUT', side: 'BUY', strike: 490, expiry: '2024-03-15', quantity: 1 }
+   * ]);
+   * // Returns: { strategy: 'Bull Put Spread', confidence: 1 }
+   */
+  static classifyLegs(legs) {
+    const combined = StrategyDetector._combineLegs(legs || []);
+    const options = combined.filter(leg => leg.type === 'CALL' || leg.type === 'PUT');
+    const stock = combined.filter(leg => leg.type === 'STOCK');
+    const custom = { strategy: 'Custom', confidence: 0 };
+
+    if (options.length === 0) {
+      if (stock.length === 1) {
+        return { strategy: stock[0].side === 'BUY' ? 'Long Stock' : 'Short Stock', confidence: 1 };
+      }
+      return custom;
+    }
+
+    if (stock.length > 0) {
+      const [call] = options;
+      if (options.length === 1 && stock.length === 1 && stock[0].side === 'BUY' &&
+          call.type === 'CALL' && call.side === 'SELL') {
+        return { strategy: 'Covered Call', confidence: stock[0].quantity >= call.quantity * 100 ? 1 : 0.6 };
+      }
+      return custom;
+    }
+
+    // Penalties: a missing strike or expiry, and quantities off the pattern
+    const strikesKnown = options.every(leg => leg.strike !== null);
+    const expiries = new Set(options.filter(leg => leg.expiry !== null).map(leg => leg.expiry));
+    const expiriesKnown = options.every(leg => leg.expiry !== null);
+    const oneExpiry = expiries.size <= 1;
+    const score = (...checks) => checks.reduce((confidence, ok) => confidence * (ok ? 1 : 0.8), 1);
+    const equalQuantity = list => list.every(leg => leg.quantity === list[0].quantity);
+
+    const calls = options.filter(leg => leg.type === 'CALL');
+    const puts = options.filter(leg => leg.type === 'PUT');
+    const find = (list, side) => list.find(leg => leg.side === side);
+
+    if (options.length === 1) {
+      const [leg] = options;
+      const name = leg.type === 'CALL' ? 'Call' : 'Put';
+      return { strategy: `${leg.side === 'BUY' ? 'Long' : 'Short'} ${name}`, confidence: 1 };
+    }
+
+    if (options.length === 2) {
+      const [a, b] = options;
+
+      if (a.type === b.type) {
+        const long = find(options, 'BUY');
+        const short = find(options, 'SELL');
+        if (!long || !short) return custom;
+        const name = a.type === 'CALL' ? 'Call' : 'Put';
+
+        if (!oneExpiry) {
+          const sameStrike = strikesKnown && long.strike === short.strike;
+          return {
+            strategy: sameStrike ? 'Calendar Spread' : 'Diagonal Spread',
+            confidence: score(strikesKnown, equalQuantity(options))
+          };
+        }
+
+        if (!strikesKnown || long.strike === short.strike) return custom;
+
+        if (!equalQuantity(options)) {
+          return { strategy: `${name} Ratio Spread`, confidence: score(expiriesKnown) };
+        }
+
+        // Owning the lower strike profits from a rise, for calls and puts alike
+        const bullish = long.strike < short.strike;
+        return {
+          strategy: `${bullish ? 'Bull' : 'Bear'} ${name} Spread`,
+          confidence: score(expiriesKnown)
+        };
+      }
+
+      // One call, one put
+      if (a.side !== b.side) return custom;
+      const sameStrike = strikesKnown && a.strike === b.strike;
+      return {
+        strategy: sameStrike ? 'Straddle' : 'Strangle',
+        confidence: score(strikesKnown, expiriesKnown && oneExpiry, equalQuantity(options))
+      };
+    }
+
+    if (!oneExpiry) return custom;
+
+    if (options.length === 3 && (calls.length === 3 || puts.length === 3)) {
+      if (!strikesKnown) return custom;
+      const [low, body, high] = options.slice().sort((x, y) => x.strike - y.strike);
+      const distinct = low.strike < body.strike && body.strike < high.strike;
+      const shaped = low.side === high.side && body.side !== low.side;
+      if (!distinct || !shaped) return custom;
+
+      const balanced = low.quantity === high.quantity && body.quantity === low.quantity + high.quantity;
+      const even = Math.abs((body.strike - low.strike) - (high.strike - body.strike)) < 1e-9;
+      return {
+        strategy: even ? 'Butterfly' : 'Broken Wing Butterfly',
+        confidence: score(expiriesKnown, balanced)
+      };
+    }
+
+    if (options.length === 3 && puts.length === 1 && calls.length === 2) {
+      const shortPut = find(puts, 'SELL');
+      const shortCall = find(calls, 'SELL');
+      const longCall = find(calls, 'BUY');
+      if (shortPut && shortCall && longCall && strikesKnown &&
+          longCall.strike > shortCall.strike && shortPut.strike < shortCall.strike) {
+        return { strategy: 'Jade Lizard', confidence: score(expiriesKnown, equalQuantity(options)) };
+      }
+      return custom;
+    }
+
+    if (options.length === 4 && calls.length === 2 && puts.length === 2) {
+      const shortPut = find(puts, 'SELL');
+      const longPut = find(puts, 'BUY');
+      const shortCall = find(calls, 'SELL');
+      const longCall = find(calls, 'BUY');
+      if (!shortPut || !longPut || !shortCall || !longCall) return custom;
+
+      const quantities = score(expiriesKnown, equalQuantity(options));
+      if (!strikesKnown) return { strategy: 'Iron Condor', confidence: quantities * 0.8 };
+
+      const wingsOutside = longPut.strike < shortPut.strike && longCall.strike > shortCall.strike;
+      if (wingsOutside && shortPut.strike === shortCall.strike) {
+        return { strategy: 'Iron Butterfly', confidence: quantities };
+      }
+      // Off-pattern strikes (inverted or overlapping bodies) still trade as a
+      // four-legged defined-risk position; say so with less confidence
+      const canonical = wingsOutside && shortPut.strike < shortCall.strike;
+      return { strategy: 'Iron Condor', confidence: canonical ? quantities : quantities * 0.6 };
+    }
+
+    return custom;
+  }
+
+  /**
+   * Normalize legs and combine those on the same contract and side
+   * @param {Array} legs - Opening legs
+   * @returns {Array} - Combined legs with numeric strike (or null), expiry as
+   *   YYYY-MM-DD (or null) and quantity
+   * @private
+   */
+  static _combineLegs(legs) {
+    const combined = new Map();
+
+    legs.forEach(leg => {
+      const type = String(leg.type || '').toUpperCase();
+      const side = String(leg.side || '').toUpperCase() === 'BUY' ? 'BUY' : 'SELL';
+      const strike = Number(leg.strike) > 0 ? Number(leg.strike) : null;
+      const expiry = StrategyDetector._expiryKey(leg.expiry);
+      const quantity = Math.abs(Number(leg.quantity)) || 1;
+      const key = [type, side, strike, expiry].join('|');
+
+      const existing = combined.get(key);
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        combined.set(key, { type, side, strike, expiry, quantity });
+      }
+    });
+
+    return [...combined.values()];
+  }
+
+  /**
+   * Expiry as YYYY-MM-DD, from a Date or a date string
+   * @param {Date|string} expiry
+   * @returns {string|null}
+   * @private
+   */
+  static _expiryKey(expiry) {
+    if (!expiry) return null;
+    if (typeof expiry === 'string' && /^\d{4}-\d{2}-\d{2}/.test(expiry)) return expiry.slice(0, 10);
+
+    const date = expiry instanceof Date ? expiry : new Date(expiry);
+    if (isNaN(date.getTime())) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
   }
 
   /**
    * Register a custom strategy detection rule
-   * 
+   *
    * This method allows extending the strategy detection logic without modifying
    * the core StrategyDetector class. Custom detectors are called in registration
-   * order before falling back to the manual Strategy field.
-   * 
-   * Extension Point for Future Development:
-   * - Implement leg-based pattern matching
-   * - Add machine learning classification
-   * - Support platform-specific strategy naming conventions
-   * 
+   * order before the leg-based classification.
+   *
    * @param {Function} detector - Custom detection function
-   *   Function signature: (trade: Object) => string | null
+   *   Function signature: (trade: Object) => string | { strategy, confidence } | null
    *   Should return strategy name if detected, null otherwise
-   * 
+   *
    * @example
    * detector.registerDetector((trade) => {
-   *   // Example: Detect credit spread pattern
-   *   if (trade.Credit > trade.Debit && trade.Type === "Put") {
-   *     return "Credit Spread";
+   *   // Example: Name 0DTE condors separately
+   *   if (trade.Strategy === "Iron Condor" && trade.DaysToExpire === 0) {
+   *     return { strategy: "0DTE Iron Condor", confidence: 1 };
    *   }
    *   return null;
    * });
-   * 
-   * @example
-   * // Advanced: Multi-leg detection
-   * detector.registerDetector((trade) => {
-   *   const legs = parseTradeLegs(trade);
-   *   
-   *   if (legs.length === 4 && isIronCondorPattern(legs)) {
-   *     return "Iron Condor";
-   *   }
-   *   
-   *   if (legs.length === 2 && isVerticalSpread(legs)) {
-   *     return legs[0].Credit > 0 ? "Credit Spread" : "Debit Spread";
-   *   }
-   *   
-   *   return null;
-   * });
    */
   registerDetector(detector) {
     if (typeof detector !== 'function') {
       throw new TypeError('Detector must be a function');
     }
-    
+
     this.customDetectors.push(detector);
   }
 
   /**
    * Clear all registered custom detectors
    * Useful for testing or resetting detection logic
-   * 
+   *
    * @example
    * detector.clearDetectors();
    */
@@ -133,7 +431,7 @@ class StrategyDetector {
 
   /**
    * Get the number of registered custom detectors
-   * 
+   *
    * @returns {number} Number of registered detectors
    */
   getDetectorCount() {
@@ -90,73 +90,50 @@ function getSignedQuantity(trade) {
   return String(trade.Action || '').startsWith('SELL') ? -qty : qty;
 }
 
-function classifyStrategy(orderGroup) {
-  const legs = orderGroup.length;
-  
-  const calls = orderGroup.filter(t => extractOptionType(t.Symbol, t) === 'CALL');
-  const puts = orderGroup.filter(t => extractOptionType(t.Symbol, t) === 'PUT');
-  const buys = orderGroup.filter(t => t.Action === 'BUY_TO_OPEN');
-  const sells = orderGroup.filter(t => t.Action === 'SELL_TO_OPEN');
-  
-  if (legs === 1) {
-    const trade = orderGroup[0];
-    const optionType = extractOptionType(trade.Symbol, trade);
-    
-    if (optionType === 'CALL') {
-      return trade.Action === 'BUY_TO_OPEN' ? 'Long Call' : 'Short Call';
-    } else if (optionType === 'PUT') {
-      return trade.Action === 'BUY_TO_OPEN' ? 'Long Put' : 'Short Put';
-    }
-  }
-  
-  if (legs === 2) {
-    const strikes = orderGroup.map(t => extractStrike(t.Symbol)).sort((a, b) => a - b);
-    const sameStrike = strikes[0] === strikes[1];
-    
-    if (calls.length === 2) {
-      const longCall = buys.find(t => extractOptionType(t.Symbol, t) === 'CALL');
-      const shortCall = sells.find(t => extractOptionType(t.Symbol, t) === 'CALL');
-      
-      if (longCall && shortCall) {
-        const longStrike = extractStrike(longCall.Symbol);
-        const shortStrike = extractStrike(shortCall.Symbol);
-        return longStrike < shortStrike ? 'Bull Call Spread' : 'Bear Call Spread';
-      }
-    }
-    
-    if (puts.length === 2) {
-      const longPut = buys.find(t => extractOptionType(t.Symbol, t) === 'PUT');
-      const shortPut = sells.find(t => extractOptionType(t.Symbol, t) === 'PUT');
-      
-      if (longPut && shortPut) {
-        const longStrike = extractStrike(longPut.Symbol);
-        const shortStrike = extractStrike(shortPut.Symbol);
-        return longStrike > shortStrike ? 'Bear Put Spread' : 'Bull Put Spread';
-      }
-    }
-    
-    if (calls.length === 1 && puts.length === 1) {
-      return sameStrike ? 'Straddle' : 'Strangle';
-    }
-  }
-  
-  if (legs === 4 && calls.length === 2 && puts.length === 2) {
-    const callBuys = calls.filter(t => t.Action === 'BUY_TO_OPEN').length;
-    const callSells = calls.filter(t => t.Action === 'SELL_TO_OPEN').length;
-    const putBuys = puts.filter(t => t.Action === 'BUY_TO_OPEN').length;
-    const putSells = puts.filter(t => t.Action === 'SELL_TO_OPEN').length;
-    
-    if (callBuys === 1 && callSells === 1 && putBuys === 1 && putSells === 1) {
-      return 'Iron Condor';
-    }
+/**
+ * Contract terms of one ledger row
+ * The ledger's own columns win; the OCC symbol fills any gap.
+ * @param {Object} trade - Raw CSV row
+ * @returns {Object} - { type: 'CALL'|'PUT'|'STOCK'|null, strike, expiry (YYYY-MM-DD) }
+ */
+function legContract(trade) {
+  if (trade['Instrument Type'] && trade['Instrument Type'] !== 'Equity Option') {
+    return { type: 'STOCK', strike: null, expiry: null };
   }
-  
-  // Three legs of one type is a butterfly or a broken-wing variant of one
-  if (legs === 3 && (puts.length === 3 || calls.length === 3)) {
-    return 'Butterfly';
+
+  const pad = n => String(n).padStart(2, '0');
+  const listed = parseDate(trade['Expiration Date']);
+  const occ = String(trade.Symbol || '').match(/(\d{2})(\d{2})(\d{2})[CP]\d{8}$/);
+  let expiry = null;
+  if (listed) {
+    expiry = `${listed.getFullYear()}-${pad(listed.getMonth() + 1)}-${pad(listed.getDate())}`;
+  } else if (occ) {
+    expiry = `20${occ[1]}-${occ[2]}-${occ[3]}`;
   }
 
-  return 'Custom';
+  return {
+    type: extractOptionType(trade.Symbol, trade),
+    strike: parseFloat(trade['Strike Price']) || extractStrike(String(trade.Symbol || '')) || null,
+    expiry
+  };
+}
+
+/**
+ * Classify an opening order from the legs it opened
+ * Shares StrategyDetector.classifyLegs with every other adapter.
+ * @param {Array} orderGroup - Opening rows of one order
+ * @returns {Object} - { strategy, confidence }
+ */
+function classifyOrderGroup(orderGroup) {
+  return StrategyDetector.classifyLegs(orderGroup.map(trade => ({
+    ...legContract(trade),
+    side: String(trade.Action || '').startsWith('BUY') ? 'BUY' : 'SELL',
+    quantity: Math.abs(parseFloat(trade.Quantity)) || 1
+  })));
+}
+
+function classifyStrategy(orderGroup) {
+  return classifyOrderGroup(orderGroup).strategy;
 }
 
 function isOptionTrade(trade) {
@@ -239,8 +216,10 @@ function processOptionTrades(trades) {
   const legNumbers = new Map();
 
   Object.entries(orderGroups).forEach(([orderId, group]) => {
+    const classification = classifyOrderGroup(group);
     strategyInfo[orderId] = {
-      strategy: classifyStrategy(group),
+      strategy: classification.strategy,
+      confidence: classification.confidence,
       totalLegs: group.length,
       underlyingSymbol: group[0]['Underlying Symbol']
     };
@@ -257,6 +236,7 @@ function processOptionTrades(trades) {
       ...(quantity === undefined ? {} : { Quantity: quantity }),
       Action: action,
       Strategy: info ? info.strategy : 'Opened before this export',
+      'Strategy Confidence': info ? info.confidence : 0,
       'Strategy Group ID': orderId,
       'Leg Number': legNumbers.get(`${orderId}|${trade.Symbol}`) || 1,
       'Total Legs': info ? info.totalLegs : 1
@@ -415,11 +395,13 @@ function processEquityTrades(trades) {
     credit: 0,
     debit: 0,
     commissions: 0,
-    fees: 0
+    fees: 0,
+    legs: []
   });
 
   const applyMoney = (lot, trade, quantity, totalQuantity) => {
     const amounts = proratedAmounts(trade, quantity, totalQuantity);
+    lot.legs.push(legDetail({ ...trade, ...amounts, Quantity: quantity }));
     if (amounts.Value > 0) {
       lot.credit += amounts.Value;
     } else {
@@ -505,7 +487,10 @@ function processEquityTrades(trades) {
       legCount: 1,
       feesAvailable: true,
       multipleExpirations: false,
-      instrument: 'Equity'
+      instrument: 'Equity',
+      strategyConfidence: 1,
+      legs: lot.legs,
+      sourceRows: sourceRowsOf(lot.legs)
     }
   }));
 }
@@ -823,6 +808,9 @@ function aggregateStrategyLegs(legs) {
 
   // Get volume (use first leg's quantity as representative)
   const volume = Math.abs(parseInt(firstLeg.Quantity) || 1);
+
+  // Every fill behind the trade, so its classification can be audited
+  const legDetails = legs.map(legDetail);
   
   return {
     Symbol: underlyingSymbol,
@@ -848,11 +836,68 @@ function aggregateStrategyLegs(legs) {
       strikes: strikes,
       legCount: legs.length,
       feesAvailable: feesAvailable,
-      multipleExpirations: multipleExpirations
+      multipleExpirations: multipleExpirations,
+      strategyConfidence: Number(firstLeg['Strategy Confidence']) || 0,
+      legs: legDetails,
+      sourceRows: sourceRowsOf(legDetails)
     }
   };
 }
 
+/**
+ * One fill as kept on a trade, so the trade can be audited back to the export
+ * Value keeps the ledger's sign; commissions and fees are positive costs, as
+ * on trades. sourceRow is the fill's line in the uploaded file, when known.
+ * @param {Object} row - Ledger row, carrying its effective action
+ * @returns {Object} - { symbol, type, strike, expiry, action, quantity, price,
+ *   date, value, commissions, fees, description, sourceRow }
+ */
+function legDetail(row) {
+  const quantity = Math.abs(parseFloat(row.Quantity) || 0);
+  const value = parseAmount(row.Value !== undefined && row.Value !== '' ? row.Value : row.Total);
+  const multiplier = parseFloat(row.Multiplier)
+    || (row['Instrument Type'] === 'Equity Option' ? 100 : 1);
+  const date = parseDate(row.Date);
+  const sourceRow = parseInt(row['Source Row'], 10);
+  const cents = amount => Math.round(amount * 100) / 100 || 0;
+
+  return {
+    symbol: row.Symbol,
+    ...legContract(row),
+    action: row.Action || row['Sub Type'] || row.Type || '',
+    quantity,
+    price: quantity > 0 ? Math.round(Math.abs(value) / quantity / multiplier * 10000) / 10000 : 0,
+    date: date ? localTimestamp(date) : null,
+    value: cents(value),
+    commissions: cents(-parseAmount(row.Commissions)),
+    fees: cents(-parseAmount(row.Fees)),
+    description: row.Description || '',
+    sourceRow: Number.isFinite(sourceRow) ? sourceRow : null
+  };
+}
+
+/**
+ * Local date and time without a zone suffix, which Date parses back as local
+ * time. toISOString would move a date-only fill to the previous day west of UTC.
+ * @param {Date} date - Fill time
+ * @returns {string} - "YYYY-MM-DDTHH:MM:SS"
+ */
+function localTimestamp(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Distinct source lines behind a set of legs, in file order
+ * @param {Array} legs - Leg details
+ * @returns {Array} - Line numbers
+ */
+function sourceRowsOf(legs) {
+  return [...new Set(legs.map(leg => leg.sourceRow).filter(row => row !== null))]
+    .sort((a, b) => a - b);
+}
+
 /**
  * Derive spread width from the opening legs of a strategy
  * Two same-type legs use the strike difference; a four-leg condor or butterfly
@@ -0,0 +1,598 @@
+/**
+ * Equity Curve Chart Component
+ * Renders daily cumulative realized P/L with an underwater (drawdown) pane
+ * beneath it, shades the worst drawdown, and zooms to a brushed date range
+ */
+class EquityCurveChart {
+  /**
+   * Create Equity Curve Chart
+   * @param {string} containerId - DOM element ID for the chart container
+   * @param {Array} data - Points from AnalyticsEngine.calculateEquityCurve
+   * @param {Object} options - Chart configuration options
+   */
+  constructor(containerId, data = [], options = {}) {
+    this.containerId = containerId;
+    this.container = document.getElementById(containerId);
+
+    if (!this.container) {
+      console.error(`Container with id "${containerId}" not found`);
+      return;
+    }
+
+    // Chart configuration
+    this.margin = { top: 20, right: 30, bottom: 40, left: 80 };
+    this.options = {
+      showGrid: true,
+      paneGap: 28,
+      underwaterShare: 0.32,
+      ...options
+    };
+
+    // Date range brushed into view; null shows the whole curve
+    this.zoomDomain = null;
+
+    this._initChart();
+    this._setupResizeObserver();
+
+    if (data && data.length > 0) {
+      this.update(data);
+    }
+  }
+
+  /**
+   * Initialize SVG and chart elements
+   * @private
+   */
+  _initChart() {
+    this.container.innerHTML = '';
+
+    this.svg = d3.select(`#${this.containerId}`)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', '100%')
+      .attr('class', 'equity-curve-svg')
+      .on('dblclick', () => this.resetZoom());
+
+    // Lines are clipped to the plot area while zoomed
+    this.clipId = `${this.containerId}-clip`;
+    this.clipRect = this.svg.append('defs')
+      .append('clipPath')
+      .attr('id', this.clipId)
+      .append('rect');
+
+    this.chartGroup = this.svg.append('g')
+      .attr('class', 'chart-content')
+      .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+    this.equityPane = this.chartGroup.append('g').attr('class', 'equity-pane');
+    this.underwaterPane = this.chartGroup.append('g').attr('class', 'underwater-pane');
+
+    [this.equityPane, this.underwaterPane].forEach(pane => {
+      pane.append('g').attr('class', 'grid');
+      pane.append('g').attr('class', 'highlight');
+      pane.append('g').attr('class', 'series').attr('clip-path', `url(#${this.clipId})`);
+      pane.append('g').attr('class', 'x-axis');
+      pane.append('g').attr('class', 'y-axis');
+      pane.append('line').attr('class', 'hover-line')
+        .attr('stroke', '#9ca3af')
+        .attr('stroke-dasharray', '3,3')
+        .style('visibility', 'hidden');
+    });
+
+    // Brush over the equity pane; it also carries hover for the tooltip
+    this.brushGroup = this.equityPane.append('g').attr('class', 'brush');
+
+    this.tooltip = d3.select('body')
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('position', 'absolute')
+      .style('visibility', 'hidden')
+      .style('background-color', '#141b2d')
+      .style('border', '1px solid #1f2937')
+      .style('border-radius', '4px')
+      .style('padding', '8px 12px')
+      .style('font-size', '12px')
+      .style('pointer-events', 'none')
+      .style('z-index', '1000')
+      .style('box-shadow', '0 4px 6px rgba(0, 0, 0, 0.3)');
+
+    this.xScale = d3.scaleTime();
+    this.equityScale = d3.scaleLinear();
+    this.underwaterScale = d3.scaleLinear();
+  }
+
+  /**
+   * Set up ResizeObserver for responsive behavior
+   * @private
+   */
+  _setupResizeObserver() {
+    this.resizeObserver = new ResizeObserver(() => {
+      this.resize();
+    });
+    this.resizeObserver.observe(this.container);
+  }
+
+  /**
+   * Update chart with new data
+   * @param {Array} data - Array of {date, pl, tradeCount, equity, peak, drawdown}
+   * @param {Object} [maxDrawdown] - Worst drawdown from
+   *   AnalyticsEngine.calculateMaxDrawdown, shaded from its peak to its end
+   */
+  update(data, maxDrawdown = null) {
+    this.zoomDomain = null;
+
+    if (!data || data.length === 0) {
+      this.data = [];
+      this._showEmptyState();
+      return;
+    }
+
+    this.chartGroup.selectAll('.empty-state-text').remove();
+
+    this.data = data;
+    this.maxDrawdown = maxDrawdown && maxDrawdown.amount > 0 ? maxDrawdown : null;
+    this._render();
+  }
+
+  /**
+   * Show the whole curve again after a brushed zoom
+   */
+  resetZoom() {
+    if (!this.zoomDomain) return;
+    this.zoomDomain = null;
+    this._render();
+  }
+
+  /**
+   * Render the chart
+   * @private
+   */
+  _render() {
+    const containerRect = this.container.getBoundingClientRect();
+    this.width = containerRect.width - this.margin.left - this.margin.right;
+    const height = containerRect.height - this.margin.top - this.margin.bottom;
+
+    this.underwaterHeight = Math.max(60, (height - this.options.paneGap) * this.options.underwaterShare);
+    this.equityHeight = height - this.options.paneGap - this.underwaterHeight;
+    this.underwaterPane.attr('transform', `translate(0,${this.equityHeight + this.options.paneGap})`);
+    this.clipRect.attr('width', this.width).attr('height', height);
+
+    // A single day still gets a visible span
+    const [first, last] = d3.extent(this.data, d => d.date);
+    const fullDomain = first.getTime() === last.getTime()
+      ? [d3.timeDay.offset(first, -1), d3.timeDay.offset(last, 1)]
+      : [first, last];
+
+    this.xScale
+      .domain(this.zoomDomain || fullDomain)
+      .range([0, this.width]);
+
+    // Y domains follow the points in view
+    const [start, end] = this.xScale.domain();
+    const visible = this.data.filter(d => d.date >= start && d.date <= end);
+    const points = visible.length > 0 ? visible : this.data;
+
+    const equityValues = points.map(d => d.equity);
+    const minEquity = Math.min(0, ...equityValues);
+    const maxEquity = Math.max(0, ...equityValues);
+    const padding = Math.abs(maxEquity - minEquity) * 0.1 || 100;
+    this.equityScale
+      .domain([minEquity - padding, maxEquity + padding])
+      .range([this.equityHeight, 0])
+      .nice();
+
+    const deepest = Math.min(...points.map(d => d.drawdown));
+    this.underwaterScale
+      .domain([deepest < 0 ? deepest * 1.1 : -100, 0])
+      .range([this.underwaterHeight, 0])
+      .nice();
+
+    if (this.options.showGrid) {
+      this._renderGrid(this.equityPane, this.equityScale, 5);
+      this._renderGrid(this.underwaterPane, this.underwaterScale, 3);
+    }
+
+    this._renderAxes();
+    this._renderHighlight();
+    this._renderEquity();
+    this._renderUnderwater();
+    this._renderBrush();
+  }
+
+  /**
+   * Render horizontal grid lines and a zero line for one pane
+   * @param {Object} pane - D3 selection of the pane group
+   * @param {Function} scale - The pane's y scale
+   * @param {number} tickCount - Number of grid lines
+   * @private
+   */
+  _renderGrid(pane, scale, tickCount) {
+    const grid = pane.select('.grid');
+
+    const gridLines = grid.selectAll('.grid-line').data(scale.ticks(tickCount));
+
+    gridLines.enter()
+      .append('line')
+      .attr('class', 'grid-line')
+      .merge(gridLines)
+      .attr('x1', 0)
+      .attr('x2', this.width)
+      .attr('y1', d => scale(d))
+      .attr('y2', d => scale(d))
+      .attr('stroke', '#1f2937')
+      .attr('stroke-width', 1)
+      .attr('stroke-dasharray', '2,2');
+
+    gridLines.exit().remove();
+
+    const zeroLine = grid.selectAll('.zero-line').data([0]);
+
+    zeroLine.enter()
+      .append('line')
+      .attr('class', 'zero-line')
+      .merge(zeroLine)
+      .attr('x1', 0)
+      .attr('x2', this.width)
+      .attr('y1', scale(0))
+      .attr('y2', scale(0))
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 1.5);
+  }
+
+  /**
+   * Render axes and pane labels
+   * @private
+   */
+  _renderAxes() {
+    const styleAxis = group => {
+      group.select('.domain').attr('stroke', '#1f2937');
+      group.selectAll('text')
+        .attr('fill', '#9ca3af')
+        .attr('font-size', '12px');
+    };
+
+    // Dates are labelled once, under the underwater pane
+    this.equityPane.select('.x-axis')
+      .attr('transform', `translate(0,${this.equityHeight})`)
+      .call(d3.axisBottom(this.xScale).ticks(6).tickSize(0).tickFormat(''))
+      .call(styleAxis);
+
+    this.underwaterPane.select('.x-axis')
+      .attr('transform', `translate(0,${this.underwaterHeight})`)
+      .call(d3.axisBottom(this.xScale).ticks(6).tickSize(0).tickPadding(10))
+      .call(styleAxis);
+
+    this.equityPane.select('.y-axis')
+      .call(d3.axisLeft(this.equityScale).ticks(5).tickSize(0).tickPadding(10)
+        .tickFormat(d => this._formatCurrency(d)))
+      .call(styleAxis);
+
+    this.underwaterPane.select('.y-axis')
+      .call(d3.axisLeft(this.underwaterScale).ticks(3).tickSize(0).tickPadding(10)
+        .tickFormat(d => this._formatCurrency(d)))
+      .call(styleAxis);
+
+    this.chartGroup.selectAll('.axis-label').remove();
+    [
+      { pane: this.equityPane, height: this.equityHeight, text: 'Equity' },
+      { pane: this.underwaterPane, height: this.underwaterHeight, text: 'Drawdown' }
+    ].forEach(({ pane, height, text }) => {
+      pane.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -60)
+        .attr('text-anchor', 'middle')
+        .attr('fill', '#e5e7eb')
+        .attr('font-size', '14px')
+        .attr('font-weight', '600')
+        .text(text);
+    });
+  }
+
+  /**
+   * Shade the worst drawdown, from its peak to the day it was regained (or
+   * the latest close), across both panes
+   * @private
+   */
+  _renderHighlight() {
+    const drawdown = this.maxDrawdown;
+    const [start, end] = this.xScale.domain();
+    const inView = drawdown && drawdown.peakDate <= end && drawdown.endDate >= start;
+
+    [
+      { pane: this.equityPane, height: this.equityHeight },
+      { pane: this.underwaterPane, height: this.underwaterHeight }
+    ].forEach(({ pane, height }) => {
+      const group = pane.select('.highlight');
+      group.selectAll('*').remove();
+      if (!inView) return;
+
+      const x1 = Math.max(0, this.xScale(drawdown.peakDate));
+      const x2 = Math.min(this.width, this.xScale(drawdown.endDate));
+
+      group.append('rect')
+        .attr('class', 'max-drawdown-band')
+        .attr('x', x1)
+        .attr('y', 0)
+        .attr('width', Math.max(1, x2 - x1))
+        .attr('height', height)
+        .attr('fill', '#ef4444')
+        .attr('fill-opacity', 0.08);
+    });
+
+    if (!inView) return;
+
+    const percent = drawdown.percent !== null ? ` (${drawdown.percent.toFixed(1)}%)` : '';
+    const duration = `${drawdown.durationDays} day${drawdown.durationDays === 1 ? '' : 's'}${drawdown.recovered ? '' : ', not recovered'}`;
+
+    this.equityPane.select('.highlight')
+      .append('text')
+      .attr('class', 'max-drawdown-label')
+      .attr('x', Math.max(0, this.xScale(drawdown.peakDate)) + 6)
+      .attr('y', 14)
+      .attr('fill', '#ef4444')
+      .attr('font-size', '11px')
+      .text(`Max drawdown ${this._formatCurrency(-drawdown.amount)}${percent} • ${duration}`);
+  }
+
+  /**
+   * Render the equity line and its running peak
+   * @private
+   */
+  _renderEquity() {
+    const series = this.equityPane.select('.series');
+    series.selectAll('*').remove();
+
+    const finalEquity = this.data[this.data.length - 1].equity;
+
+    series.append('path')
+      .datum(this.data)
+      .attr('class', 'equity-peak-line')
+      .attr('fill', 'none')
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 1)
+      .attr('stroke-dasharray', '4,4')
+      .attr('d', d3.line()
+        .x(d => this.xScale(d.date))
+        .y(d => this.equityScale(d.peak))
+        .curve(d3.curveStepAfter));
+
+    series.append('path')
+      .datum(this.data)
+      .attr('class', 'equity-line')
+      .attr('fill', 'none')
+      .attr('stroke', finalEquity >= 0 ? '#10b981' : '#ef4444')
+      .attr('stroke-width', 2)
+      .attr('d', d3.line()
+        .x(d => this.xScale(d.date))
+        .y(d => this.equityScale(d.equity)));
+  }
+
+  /**
+   * Render the underwater area: distance below the running peak
+   * @private
+   */
+  _renderUnderwater() {
+    const series = this.underwaterPane.select('.series');
+    series.selectAll('*').remove();
+
+    series.append('path')
+      .datum(this.data)
+      .attr('class', 'underwater-area')
+      .attr('fill', '#ef4444')
+      .attr('fill-opacity', 0.35)
+      .attr('stroke', '#ef4444')
+      .attr('stroke-width', 1)
+      .attr('d', d3.area()
+        .x(d => this.xScale(d.date))
+        .y0(this.underwaterScale(0))
+        .y1(d => this.underwaterScale(d.drawdown))
+        .curve(d3.curveStepAfter));
+  }
+
+  /**
+   * Set up the zoom brush and the hover readout that shares its overlay
+   * @private
+   */
+  _renderBrush() {
+    this.brush = d3.brushX()
+      .extent([[0, 0], [this.width, this.equityHeight]])
+      .on('end', event => this._onBrushEnd(event));
+
+    this.brushGroup
+      .call(this.brush)
+      .on('mousemove', event => this._onHover(event))
+      .on('mouseleave', () => this._hideTooltip());
+  }
+
+  /**
+   * Zoom to the brushed range and clear the brush
+   * @param {Object} event - D3 brush event
+   * @private
+   */
+  _onBrushEnd(event) {
+    if (!event.selection || !event.sourceEvent) return;
+
+    const [x0, x1] = event.selection;
+    this.brushGroup.call(this.brush.move, null);
+
+    // Ignore accidental clicks that brush only a few pixels
+    if (x1 - x0 < 5) return;
+
+    this.zoomDomain = [this.xScale.invert(x0), this.xScale.invert(x1)];
+    this._hideTooltip();
+    this._render();
+  }
+
+  /**
+   * Show the nearest day under the cursor
+   * @param {Event} event - Mouse event
+   * @private
+   */
+  _onHover(event) {
+    const [x] = d3.pointer(event, this.equityPane.node());
+    const date = this.xScale.invert(x);
+    const index = d3.bisector(d => d.date).center(this.data, date);
+    const point = this.data[index];
+    if (!point) return;
+
+    const px = this.xScale(point.date);
+    [
+      { pane: this.equityPane, height: this.equityHeight },
+      { pane: this.underwaterPane, height: this.underwaterHeight }
+    ].forEach(({ pane, height }) => {
+      pane.select('.hover-line')
+        .attr('x1', px).attr('x2', px)
+        .attr('y1', 0).attr('y2', height)
+        .style('visibility', px >= 0 && px <= this.width ? 'visible' : 'hidden');
+    });
+
+    this._showTooltip(event, point);
+  }
+
+  /**
+   * Show tooltip for a day
+   * @param {Event} event - Mouse event
+   * @param {Object} data - Equity curve point
+   * @private
+   */
+  _showTooltip(event, data) {
+    const equityColor = data.equity >= 0 ? '#10b981' : '#ef4444';
+    const dayColor = data.pl >= 0 ? '#10b981' : '#ef4444';
+    const drawdownPct = data.peak > 0 && data.drawdown < 0
+      ? ` (${((data.drawdown / data.peak) * 100).toFixed(1)}%)`
+      : '';
+
+    this.tooltip
+      .style('visibility', 'visible')
+      .html(`
+        <div style="color: #e5e7eb; font-weight: 600; margin-bottom: 4px;">
+          ${d3.timeFormat('%b %d, %Y')(data.date)}
+        </div>
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
+          Day P/L: <span style="color: ${dayColor}; font-weight: 600;">${this._formatCurrency(data.pl)}</span>
+          (${data.tradeCount} trade${data.tradeCount === 1 ? '' : 's'})
+        </div>
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
+          Equity: <span style="color: ${equityColor}; font-weight: 600;">${this._formatCurrency(data.equity)}</span>
+        </div>
+        <div style="color: #9ca3af; font-size: 11px;">
+          Drawdown: <span style="color: ${data.drawdown < 0 ? '#ef4444' : '#9ca3af'}; font-weight: 600;">${this._formatCurrency(data.drawdown)}${drawdownPct}</span>
+        </div>
+      `);
+
+    this._positionTooltip(event);
+  }
+
+  /**
+   * Position tooltip near cursor
+   * @param {Event} event - Mouse event
+   * @private
+   */
+  _positionTooltip(event) {
+    const tooltipRect = this.tooltip.node().getBoundingClientRect();
+    const offset = 15;
+
+    let left = event.pageX + offset;
+    let top = event.pageY + offset;
+
+    if (left + tooltipRect.width > window.innerWidth) {
+      left = event.pageX - tooltipRect.width - offset;
+    }
+
+    if (top + tooltipRect.height > window.innerHeight) {
+      top = event.pageY - tooltipRect.height - offset;
+    }
+
+    this.tooltip
+      .style('left', `${left}px`)
+      .style('top', `${top}px`);
+  }
+
+  /**
+   * Hide tooltip and hover lines
+   * @private
+   */
+  _hideTooltip() {
+    this.tooltip.style('visibility', 'hidden');
+    this.chartGroup.selectAll('.hover-line').style('visibility', 'hidden');
+  }
+
+  /**
+   * Format currency values
+   * @param {number} value - Numeric value
+   * @returns {string} - Formatted currency string
+   * @private
+   */
+  _formatCurrency(value) {
+    const sign = value >= 0 ? '+' : '-';
+    return sign + '$' + Math.abs(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  }
+
+  /**
+   * Show empty state when no data
+   * @private
+   */
+  _showEmptyState() {
+    [this.equityPane, this.underwaterPane].forEach(pane => {
+      pane.selectAll('.grid, .highlight, .series, .x-axis, .y-axis').selectAll('*').remove();
+    });
+    this.brushGroup.selectAll('*').remove();
+    this.chartGroup.selectAll('.empty-state-text, .axis-label').remove();
+    this._hideTooltip();
+
+    const containerRect = this.container.getBoundingClientRect();
+    const width = containerRect.width - this.margin.left - this.margin.right;
+    const height = containerRect.height - this.margin.top - this.margin.bottom;
+
+    this.chartGroup.append('text')
+      .attr('class', 'empty-state-text')
+      .attr('x', width / 2)
+      .attr('y', height / 2 - 10)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#9ca3af')
+      .attr('font-size', '16px')
+      .text('No closed trades to chart');
+
+    this.chartGroup.append('text')
+      .attr('class', 'empty-state-text')
+      .attr('x', width / 2)
+      .attr('y', height / 2 + 15)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#9ca3af')
+      .attr('font-size', '12px')
+      .text('Equity builds from realized P/L as trades close');
+  }
+
+  /**
+   * Resize chart to fit container
+   */
+  resize() {
+    if (this.data && this.data.length > 0) {
+      this._render();
+    }
+  }
+
+  /**
+   * Destroy chart and clean up resources
+   */
+  destroy() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+
+    if (this.tooltip) {
+      this.tooltip.remove();
+    }
+
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EquityCurveChart;
+}
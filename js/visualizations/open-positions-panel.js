@@ -0,0 +1,374 @@
+/**
+ * Open Positions Panel Component
+ * Every open position with days to expiration, premium, max loss and
+ * breakevens, an expiration ladder by week, and alerts for positions close to
+ * expiring. Built from the imported trades, and valued at whatever marks the
+ * user has pasted, uploaded or typed in.
+ */
+class OpenPositionsPanel {
+  /**
+   * Create open positions panel
+   * @param {string} containerId - DOM element ID
+   * @param {Object} options - { alertDays } default alert window in days
+   */
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      console.error(`Container with id "${containerId}" not found`);
+      return;
+    }
+
+    this.positions = [];
+    this.ladder = [];
+    this.markToMarket = null;
+    this.alertDays = this._loadAlertDays(options.alertDays !== undefined ? options.alertDays : 7);
+
+    // Delegated, because render replaces the input
+    this.container.addEventListener('change', event => {
+      if (!event.target.matches('[data-alert-days]')) return;
+      const days = parseInt(event.target.value, 10);
+      if (!Number.isFinite(days) || days < 0) return;
+
+      this.alertDays = days;
+      try {
+        localStorage.setItem('expiry_alert_days', String(days));
+      } catch (error) {
+        console.warn('Could not persist expiry alert window:', error);
+      }
+      this.render();
+    });
+
+    this.render();
+  }
+
+  /**
+   * Read the stored alert window
+   * @param {number} fallback - Days when nothing is stored
+   * @returns {number} - Days
+   * @private
+   */
+  _loadAlertDays(fallback) {
+    try {
+      const stored = parseInt(localStorage.getItem('expiry_alert_days'), 10);
+      if (Number.isFinite(stored) && stored >= 0) return stored;
+    } catch (error) {
+      console.warn('Could not read expiry alert window:', error);
+    }
+    return fallback;
+  }
+
+  /**
+   * Format currency value with dollar sign and 2 decimal places
+   * @param {number} value - Currency value
+   * @returns {string} Formatted currency string, or an em dash when unknown
+   */
+  formatCurrency(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return '—';
+    }
+    const sign = value >= 0 ? '' : '-';
+    const absValue = Math.abs(value);
+    return `${sign}$${absValue.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD
+   * @param {Date|string} value - Date
+   * @returns {string} Formatted date, or an em dash when missing
+   */
+  formatDate(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return '—';
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Describe days to expiration
+   * @param {number|null} dte - Days to expiration
+   * @returns {string} - e.g. "3d", "Today", "Past"
+   */
+  formatDTE(dte) {
+    if (dte === null) return '—';
+    if (dte < 0) return 'Past';
+    if (dte === 0) return 'Today';
+    return `${dte}d`;
+  }
+
+  /**
+   * Premium as received or paid
+   * @param {number|null} credit - Net opening premium; negative for a debit
+   * @returns {string} - e.g. "$120.00 cr" or "$85.00 db"
+   */
+  formatPremium(credit) {
+    if (credit === null || credit === undefined) return '—';
+    return `${this.formatCurrency(Math.abs(credit))} ${credit >= 0 ? 'cr' : 'db'}`;
+  }
+
+  /**
+   * Format percentage value with 1 decimal place
+   * @param {number|null} value - Percentage value
+   * @returns {string} Formatted percentage, or an em dash when unknown
+   */
+  formatPercentage(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return '—';
+    }
+    return `${value.toFixed(1)}%`;
+  }
+
+  /**
+   * Color class for a P/L figure
+   * @param {number|null} value - P/L
+   * @returns {string} - Class name
+   */
+  getPLColorClass(value) {
+    if (value > 0) return 'text-profit';
+    if (value < 0) return 'text-loss';
+    return '';
+  }
+
+  /**
+   * Render the panel
+  render() {
+    if (this.positions.length === 0) {
+      this.container.innerHTML = `
+        <p class="text-text-secondary text-sm py-4">
+          No open positions in the imported trades for the selected account.
+        </p>
+      `;
+      return;
+    }
+
+    const withRisk = this.positions.filter(position => position.maxLoss);
+    const credit = this.positions.reduce((total, position) => total + (position.credit || 0), 0);
+    const maxLoss = withRisk.reduce((total, position) => total + position.maxLoss, 0);
+    const undefinedRisk = this.positions.filter(position => position.Expiry && !position.maxLoss).length;
+
+    this.container.innerHTML = `
+      <div class="open-positions-summary">
+        <span><strong>${this.positions.length}</strong> open position${this.positions.length === 1 ? '' : 's'}</span>
+        <span>Net premium <strong>${this.formatPremium(credit)}</strong></span>
+        <span>Max loss <strong>${this.formatCurrency(maxLoss)}</strong>${undefinedRisk ? ` + ${undefinedRisk} undefined` : ''}</span>
+        ${this._renderMarkTotals()}
+        <label class="open-positions-alert-setting">
+          Alert within
+          <input type="number" min="0" max="365" class="date-range-input" data-alert-days value="${this.alertDays}" aria-label="Alert window in days">
+          days
+        </label>
+      </div>
+      ${this._renderAlerts()}
+      <h3 class="text-sm font-semibold mb-2">Expiration Ladder</h3>
+      ${this._renderLadder()}
+      <h3 class="text-sm font-semibold mt-6 mb-2">Positions</h3>
+      ${this._renderMarkEntry()}
+      ${this._renderTable()}
+    `;
+  }
+
+  /**
+   * Unrealized and total P/L of the marked positions, for the summary line
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderMarkTotals() {
+    const valuation = this.markToMarket;
+    if (!valuation || valuation.marked === 0) {
+      return '<span class="text-text-secondary">Not marked to market</span>';
+    }
+
+    return `
+      <span>Unrealized <strong class="${this.getPLColorClass(valuation.unrealizedPL)}">${this.formatCurrency(valuation.unrealizedPL)}</strong></span>
+      <span>Total <strong class="${this.getPLColorClass(valuation.totalPL)}">${this.formatCurrency(valuation.totalPL)}</strong></span>
+      <span class="text-text-secondary">${valuation.marked} of ${valuation.marked + valuation.unmarked} marked, as of ${this.formatDate(valuation.asOf)}</span>
+    `;
+  }
+
+  /**
+   * Paste or upload a quotes list; marks per position are typed in the table
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderMarkEntry() {
+    return `
+      <details class="mark-entry mb-4">
+        <summary class="text-sm cursor-pointer">Enter marks</summary>
+        <p class="text-text-secondary text-xs mt-2">
+          One quote per line: a share symbol or OCC option symbol, then its mark
+          (e.g. <span class="font-mono">SPY   260417P00480000, 3.15</span>). Or type the
+          per-share price to close a whole position in its Mark column.
+        </p>
+        <textarea class="mark-entry-quotes" data-quotes-input rows="4" aria-label="Quotes, one symbol and mark per line"></textarea>
+        <div class="mark-entry-actions">
+          <button type="button" class="filter-btn" data-apply-quotes>Apply quotes</button>
+          <label class="filter-btn">
+            Upload CSV
+            <input type="file" accept=".csv,.txt,text/csv" data-quotes-file hidden>
+          </label>
+          <button type="button" class="filter-btn" data-clear-marks>Clear all marks</button>
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Alerts for positions expiring within the alert window, and for positions
+   * still open past their expiration
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderAlerts() {
+    const expiring = this.positions.filter(position =>
+      position.dte !== null && position.dte >= 0 && position.dte <= this.alertDays);
+    const past = this.positions.filter(position => position.dte !== null && position.dte < 0);
+    if (expiring.length === 0 && past.length === 0) return '';
+
+    const describe = position =>
+      `${position.Symbol} ${position.Strategy} (${this.formatDate(position.Expiry)}, ${this.formatDTE(position.dte)})`;
+
+    return `
+      <div class="position-alerts" role="alert">
+        ${expiring.length > 0 ? `
+          <p><strong>${expiring.length} expiring within ${this.alertDays} day${this.alertDays === 1 ? '' : 's'}:</strong>
+            ${expiring.map(describe).join(', ')}</p>` : ''}
+        ${past.length > 0 ? `
+          <p><strong>${past.length} past expiration but still open:</strong>
+            ${past.map(describe).join(', ')}. The export may end before they expired or were assigned.</p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * One column per expiration week
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderLadder() {
+    const weeks = this.ladder.map(week => {
+      const chips = week.positions.map(position => {
+        const alert = position.dte !== null && position.dte <= this.alertDays ? ' alert' : '';
+        return `
+          <li class="expiry-chip${alert}">
+            <span class="font-mono">${position.Symbol}</span>
+            <span>${position.Strategy}</span>
+            <span class="text-text-secondary">${this.formatDTE(position.dte)}</span>
+          </li>
+        `;
+      }).join('');
+
+      return `
+        <div class="expiry-week">
+          <div class="expiry-week-label">${week.label}</div>
+          <div class="expiry-week-totals">
+            ${this.formatPremium(week.credit)} • max loss ${this.formatCurrency(week.maxLoss)}${week.undefinedRisk ? ` + ${week.undefinedRisk} undefined` : ''}
+          </div>
+          <ul>${chips}</ul>
+        </div>
+      `;
+    }).join('');
+
+    return `<div class="expiry-ladder">${weeks}</div>`;
+  }
+
+  /**
+   * Table of open positions
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderTable() {
+    const rows = this.positions.map(position => {
+      const alert = position.dte !== null && position.dte <= this.alertDays ? 'text-loss' : '';
+      const strikes = position.strikes.length > 0 ? position.strikes.join(' / ') : '—';
+      const breakevens = position.breakevens.length > 0
+        ? position.breakevens.map(value => this.formatCurrency(value)).join(' / ')
+        : '—';
+      const maxLoss = position.maxLoss
+        ? this.formatCurrency(position.maxLoss)
+        : (position.Expiry ? 'Undefined' : '—');
+      const valuation = position.valuation || {};
+      const typed = valuation.positionMark === null || valuation.positionMark === undefined ? '' : valuation.positionMark;
+      const markTitle = valuation.marked
+        ? `Marked ${this.formatDate(valuation.markedAt)}${valuation.source === 'quotes' ? ' from quotes' : ''}`
+        : (valuation.missing && valuation.missing.length > 0 ? `No quote for ${valuation.missing.join(', ')}` : 'Not marked');
+      const markInput = position.markKey
+        ? `<input type="number" min="0" step="0.01" class="mark-input" data-position-mark="${position.markKey}"
+            value="${typed}" placeholder="${valuation.source === 'quotes' ? 'quoted' : 'mark'}" title="${markTitle}" aria-label="Mark for ${position.Symbol} ${position.Strategy}">`
+        : '—';
+
+      return `
+        <tr>
+          <td>${position.Symbol}</td>
+          <td>${position.Strategy}</td>
+          <td>${position.Account || '—'}</td>
+          <td class="font-mono">${position.Volume || '—'}</td>
+          <td>${this.formatDate(position.Entry)}</td>
+          <td>${this.formatDate(position.Expiry)}</td>
+          <td class="font-mono ${alert}">${this.formatDTE(position.dte)}</td>
+          <td class="font-mono">${strikes}</td>
+          <td class="font-mono">${this.formatPremium(position.credit)}</td>
+          <td class="font-mono">${maxLoss}</td>
+          <td class="font-mono">${breakevens}</td>
+          <td>${markInput}</td>
+          <td class="font-mono ${this.getPLColorClass(valuation.unrealizedPL)}">${this.formatCurrency(valuation.unrealizedPL)}</td>
+          <td class="font-mono ${this.getPLColorClass(valuation.totalPL)}">${this.formatCurrency(valuation.totalPL)}</td>
+          <td class="font-mono">${this.formatPercentage(valuation.maxProfitCapturedPct)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="overflow-x-auto">
+        <table class="data-table" role="table">
+          <thead>
+            <tr>
+              <th role="columnheader">Symbol</th>
+              <th role="columnheader">Strategy</th>
+              <th role="columnheader">Account</th>
+              <th role="columnheader">Qty</th>
+              <th role="columnheader">Opened</th>
+              <th role="columnheader">Expires</th>
+              <th role="columnheader">DTE</th>
+              <th role="columnheader">Strikes</th>
+              <th role="columnheader">Premium</th>
+              <th role="columnheader">Max Loss</th>
+              <th role="columnheader">Breakevens</th>
+              <th role="columnheader">Mark</th>
+              <th role="columnheader">Unrealized</th>
+              <th role="columnheader">Total P/L</th>
+              <th role="columnheader">% Max Profit</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Update panel with new positions
+   * @param {Array} positions - From AnalyticsEngine.calculateOpenPositions,
+   *   valued by calculateMarkToMarket
+   * @param {Array} ladder - From AnalyticsEngine.buildExpirationLadder
+   * @param {Object} [markToMarket] - Totals from calculateMarkToMarket
+   */
+  update(positions, ladder, markToMarket = null) {
+    this.positions = positions;
+    this.ladder = ladder;
+    this.markToMarket = markToMarket;
+    this.render();
+  }
+
+  /**
+   * Destroy the panel and clean up
+   */
+  destroy() {
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpenPositionsPanel;
+}
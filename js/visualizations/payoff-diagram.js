@@ -0,0 +1,453 @@
+/**
+ * Payoff Diagram Component
+ * Renders a trade's profit or loss at expiration across underlying prices,
+ * shaded green where it profits and red where it loses, with its strikes,
+ * breakevens and the underlying's price at entry and exit marked
+ */
+class PayoffDiagram {
+  /**
+   * Create Payoff Diagram
+   * @param {string} containerId - DOM element ID for the chart container
+   * @param {Object} payoff - From AnalyticsEngine.calculatePayoff
+   * @param {Object} options - Chart configuration options
+   */
+  constructor(containerId, payoff = null, options = {}) {
+    this.containerId = containerId;
+    this.container = document.getElementById(containerId);
+
+    if (!this.container) {
+      console.error(`Container with id "${containerId}" not found`);
+      return;
+    }
+
+    // Chart configuration
+    this.margin = { top: 28, right: 30, bottom: 44, left: 80 };
+    this.options = {
+      showGrid: true,
+      ...options
+    };
+
+    this._initChart();
+    this._setupResizeObserver();
+
+    if (payoff) {
+      this.update(payoff);
+    }
+  }
+
+  /**
+   * Initialize SVG and chart elements
+   * @private
+   */
+  _initChart() {
+    this.container.innerHTML = '';
+
+    this.svg = d3.select(`#${this.containerId}`)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', '100%')
+      .attr('class', 'payoff-diagram-svg');
+
+    // Profit and loss shading share one area, clipped above and below zero
+    const defs = this.svg.append('defs');
+    this.profitClipId = `${this.containerId}-profit-clip`;
+    this.lossClipId = `${this.containerId}-loss-clip`;
+    this.profitClip = defs.append('clipPath').attr('id', this.profitClipId).append('rect');
+    this.lossClip = defs.append('clipPath').attr('id', this.lossClipId).append('rect');
+
+    this.chartGroup = this.svg.append('g')
+      .attr('class', 'chart-content')
+      .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+    this.chartGroup.append('g').attr('class', 'grid');
+    this.chartGroup.append('g').attr('class', 'series');
+    this.chartGroup.append('g').attr('class', 'markers');
+    this.chartGroup.append('g').attr('class', 'x-axis');
+    this.chartGroup.append('g').attr('class', 'y-axis');
+    this.hoverLine = this.chartGroup.append('line')
+      .attr('class', 'hover-line')
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-dasharray', '3,3')
+      .style('visibility', 'hidden');
+    this.overlay = this.chartGroup.append('rect')
+      .attr('class', 'hover-overlay')
+      .attr('fill', 'transparent')
+      .on('mousemove', event => this._onHover(event))
+      .on('mouseleave', () => this._hideTooltip());
+
+    this.tooltip = d3.select('body')
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('position', 'absolute')
+      .style('visibility', 'hidden')
+      .style('background-color', '#141b2d')
+      .style('border', '1px solid #1f2937')
+      .style('border-radius', '4px')
+      .style('padding', '8px 12px')
+      .style('font-size', '12px')
+      .style('pointer-events', 'none')
+      .style('z-index', '1000')
+      .style('box-shadow', '0 4px 6px rgba(0, 0, 0, 0.3)');
+
+    this.xScale = d3.scaleLinear();
+    this.yScale = d3.scaleLinear();
+  }
+
+  /**
+   * Set up ResizeObserver for responsive behavior
+   * @private
+   */
+  _setupResizeObserver() {
+    this.resizeObserver = new ResizeObserver(() => {
+      if (this.payoff) this._render();
+    });
+    this.resizeObserver.observe(this.container);
+  }
+
+  /**
+   * Update chart with a new payoff
+   * @param {Object|null} payoff - From AnalyticsEngine.calculatePayoff
+   */
+  update(payoff) {
+    if (!payoff || !payoff.points || payoff.points.length < 2) {
+      this.payoff = null;
+      this._showEmptyState();
+      return;
+    }
+
+    this.chartGroup.selectAll('.empty-state-text').remove();
+    this.payoff = payoff;
+    this._render();
+  }
+
+  /**
+   * Render the chart
+   * @private
+   */
+  _render() {
+    const containerRect = this.container.getBoundingClientRect();
+    this.width = containerRect.width - this.margin.left - this.margin.right;
+    this.height = containerRect.height - this.margin.top - this.margin.bottom;
+
+    const points = this.payoff.points;
+    this.xScale
+      .domain(d3.extent(points, d => d.price))
+      .range([0, this.width]);
+
+    const values = points.map(d => d.pl);
+    const min = Math.min(0, ...values);
+    const max = Math.max(0, ...values);
+    const padding = Math.abs(max - min) * 0.1 || 100;
+    this.yScale
+      .domain([min - padding, max + padding])
+      .range([this.height, 0])
+      .nice();
+
+    const zero = this.yScale(0);
+    this.profitClip.attr('width', this.width).attr('height', Math.max(0, zero));
+    this.lossClip.attr('y', zero).attr('width', this.width).attr('height', Math.max(0, this.height - zero));
+    this.overlay.attr('width', this.width).attr('height', this.height);
+
+    if (this.options.showGrid) this._renderGrid();
+    this._renderAxes();
+    this._renderPayoff();
+    this._renderMarkers();
+  }
+
+  /**
+   * Render horizontal grid lines and the zero line
+   * @private
+   */
+  _renderGrid() {
+    const grid = this.chartGroup.select('.grid');
+    grid.selectAll('*').remove();
+
+    this.yScale.ticks(5).forEach(tick => {
+      grid.append('line')
+        .attr('class', 'grid-line')
+        .attr('x1', 0)
+        .attr('x2', this.width)
+        .attr('y1', this.yScale(tick))
+        .attr('y2', this.yScale(tick))
+        .attr('stroke', '#1f2937')
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '2,2');
+    });
+
+    grid.append('line')
+      .attr('class', 'zero-line')
+      .attr('x1', 0)
+      .attr('x2', this.width)
+      .attr('y1', this.yScale(0))
+      .attr('y2', this.yScale(0))
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 1.5);
+  }
+
+  /**
+   * Render axes and their labels
+   * @private
+   */
+  _renderAxes() {
+    const styleAxis = group => {
+      group.select('.domain').attr('stroke', '#1f2937');
+      group.selectAll('text')
+        .attr('fill', '#9ca3af')
+        .attr('font-size', '12px');
+    };
+
+    this.chartGroup.select('.x-axis')
+      .attr('transform', `translate(0,${this.height})`)
+      .call(d3.axisBottom(this.xScale).ticks(8).tickSize(0).tickPadding(10)
+        .tickFormat(d => `$${d}`))
+      .call(styleAxis);
+
+    this.chartGroup.select('.y-axis')
+      .call(d3.axisLeft(this.yScale).ticks(5).tickSize(0).tickPadding(10)
+        .tickFormat(d => this._formatCurrency(d)))
+      .call(styleAxis);
+
+    this.chartGroup.selectAll('.axis-label').remove();
+    this.chartGroup.append('text')
+      .attr('class', 'axis-label')
+      .attr('x', this.width / 2)
+      .attr('y', this.height + 38)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#9ca3af')
+      .attr('font-size', '12px')
+      .text('Underlying price at expiration');
+    this.chartGroup.append('text')
+      .attr('class', 'axis-label')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -this.height / 2)
+      .attr('y', -60)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#e5e7eb')
+      .attr('font-size', '14px')
+      .attr('font-weight', '600')
+      .text('P/L');
+  }
+
+  /**
+   * Render the payoff line over its profit and loss shading
+   * @private
+   */
+  _renderPayoff() {
+    const series = this.chartGroup.select('.series');
+    series.selectAll('*').remove();
+
+    const area = d3.area()
+      .x(d => this.xScale(d.price))
+      .y0(this.yScale(0))
+      .y1(d => this.yScale(d.pl));
+
+    [
+      { clip: this.profitClipId, color: '#10b981' },
+      { clip: this.lossClipId, color: '#ef4444' }
+    ].forEach(({ clip, color }) => {
+      series.append('path')
+        .datum(this.payoff.points)
+        .attr('class', 'payoff-area')
+        .attr('clip-path', `url(#${clip})`)
+        .attr('fill', color)
+        .attr('fill-opacity', 0.18)
+        .attr('d', area);
+    });
+
+    series.append('path')
+      .datum(this.payoff.points)
+      .attr('class', 'payoff-line')
+      .attr('fill', 'none')
+      .attr('stroke', '#e5e7eb')
+      .attr('stroke-width', 2)
+      .attr('d', d3.line()
+        .x(d => this.xScale(d.price))
+        .y(d => this.yScale(d.pl)));
+  }
+
+  /**
+   * Mark the strikes, the breakevens, and the underlying at entry and exit
+   * @private
+   */
+  _renderMarkers() {
+    const markers = this.chartGroup.select('.markers');
+    markers.selectAll('*').remove();
+
+    const [low, high] = this.xScale.domain();
+    const inView = price => price !== null && price >= low && price <= high;
+
+    const strikes = [...new Set(this.payoff.legs.filter(leg => leg.strike).map(leg => leg.strike))];
+    strikes.filter(inView).forEach(strike => {
+      markers.append('line')
+        .attr('class', 'strike-line')
+        .attr('x1', this.xScale(strike))
+        .attr('x2', this.xScale(strike))
+        .attr('y1', 0)
+        .attr('y2', this.height)
+        .attr('stroke', '#374151')
+        .attr('stroke-width', 1);
+    });
+
+    [
+      { price: this.payoff.entryPrice, label: 'Entry', color: '#60a5fa' },
+      { price: this.payoff.exitPrice, label: 'Exit', color: '#f59e0b' }
+    ].filter(marker => inView(marker.price)).forEach(({ price, label, color }, index) => {
+      const x = this.xScale(price);
+      markers.append('line')
+        .attr('class', 'price-line')
+        .attr('x1', x)
+        .attr('x2', x)
+        .attr('y1', 0)
+        .attr('y2', this.height)
+        .attr('stroke', color)
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '5,3');
+      markers.append('text')
+        .attr('class', 'price-label')
+        .attr('x', x + 4)
+        .attr('y', -10 + index * 12)
+        .attr('fill', color)
+        .attr('font-size', '11px')
+        .text(`${label} $${price.toFixed(2)}`);
+    });
+
+    this.payoff.breakevens.filter(inView).forEach(price => {
+      markers.append('circle')
+        .attr('class', 'breakeven-point')
+        .attr('cx', this.xScale(price))
+        .attr('cy', this.yScale(0))
+        .attr('r', 4)
+        .attr('fill', '#141b2d')
+        .attr('stroke', '#e5e7eb')
+        .attr('stroke-width', 1.5);
+      markers.append('text')
+        .attr('class', 'breakeven-label')
+        .attr('x', this.xScale(price))
+        .attr('y', this.yScale(0) + 18)
+        .attr('text-anchor', 'middle')
+        .attr('fill', '#9ca3af')
+        .attr('font-size', '11px')
+        .text(`$${price.toFixed(2)}`);
+    });
+  }
+
+  /**
+   * Show the payoff at the price under the cursor
+   * The payoff is straight between its points, so it is interpolated
+   * @param {Event} event - Mouse event
+   * @private
+   */
+  _onHover(event) {
+    const [x] = d3.pointer(event, this.chartGroup.node());
+    const price = this.xScale.invert(x);
+    const points = this.payoff.points;
+    const index = Math.min(Math.max(1, d3.bisector(d => d.price).left(points, price)), points.length - 1);
+    const [a, b] = [points[index - 1], points[index]];
+    const pl = b.price === a.price ? a.pl : a.pl + (b.pl - a.pl) * (price - a.price) / (b.price - a.price);
+
+    this.hoverLine
+      .attr('x1', x).attr('x2', x)
+      .attr('y1', 0).attr('y2', this.height)
+      .style('visibility', 'visible');
+
+    const color = pl >= 0 ? '#10b981' : '#ef4444';
+    this.tooltip
+      .style('visibility', 'visible')
+      .html(`
+        <div style="color: #e5e7eb; font-weight: 600; margin-bottom: 4px;">Underlying $${price.toFixed(2)}</div>
+        <div style="color: #9ca3af; font-size: 11px;">
+          P/L at expiration: <span style="color: ${color}; font-weight: 600;">${this._formatCurrency(pl)}</span>
+        </div>
+      `);
+
+    this._positionTooltip(event);
+  }
+
+  /**
+   * Position tooltip near cursor
+   * @param {Event} event - Mouse event
+   * @private
+   */
+  _positionTooltip(event) {
+    const tooltipRect = this.tooltip.node().getBoundingClientRect();
+    const offset = 15;
+
+    let left = event.pageX + offset;
+    let top = event.pageY + offset;
+
+    if (left + tooltipRect.width > window.innerWidth) {
+      left = event.pageX - tooltipRect.width - offset;
+    }
+
+    if (top + tooltipRect.height > window.innerHeight) {
+      top = event.pageY - tooltipRect.height - offset;
+    }
+
+    this.tooltip
+      .style('left', `${left}px`)
+      .style('top', `${top}px`);
+  }
+
+  /**
+   * Hide tooltip and hover line
+   * @private
+   */
+  _hideTooltip() {
+    this.tooltip.style('visibility', 'hidden');
+    this.hoverLine.style('visibility', 'hidden');
+  }
+
+  /**
+   * Format currency values
+   * @param {number} value - Numeric value
+   * @returns {string} - Formatted currency string
+   * @private
+   */
+  _formatCurrency(value) {
+    const sign = value >= 0 ? '+' : '-';
+    return sign + '$' + Math.abs(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  }
+
+  /**
+   * Show empty state when the trade's legs are unknown
+   * @private
+   */
+  _showEmptyState() {
+    this.chartGroup.selectAll('.grid, .series, .markers, .x-axis, .y-axis').selectAll('*').remove();
+    this.chartGroup.selectAll('.empty-state-text, .axis-label').remove();
+    this._hideTooltip();
+
+    const containerRect = this.container.getBoundingClientRect();
+    const width = containerRect.width - this.margin.left - this.margin.right;
+    const height = containerRect.height - this.margin.top - this.margin.bottom;
+
+    this.chartGroup.append('text')
+      .attr('class', 'empty-state-text')
+      .attr('x', width / 2)
+      .attr('y', height / 2)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#9ca3af')
+      .attr('font-size', '14px')
+      .text('The legs of this trade are not known, so its payoff cannot be drawn');
+  }
+
+  /**
+   * Destroy chart and clean up
+   */
+  destroy() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    if (this.tooltip) {
+      this.tooltip.remove();
+    }
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PayoffDiagram;
+}
@@ -25,6 +25,7 @@ class PLBreakdownChart {
       animationDuration: 750,
       maxBars: 15, // Limit number of bars for readability
       dimension: 'Symbol', // Default dimension for grouping
+      measure: 'pl', // A key of PLBreakdownChart.MEASURES
       ...options
     };
 
@@ -102,23 +103,38 @@ class PLBreakdownChart {
    * @param {Object} options - Optional configuration updates
    */
   update(data, options = {}) {
+    this.sourceData = data;
+
+    // Update options if provided
+    if (options.dimension) {
+      this.options.dimension = options.dimension;
+    }
+
     if (!data || data.length === 0) {
+      this.data = [];
       this._showEmptyState();
       return;
     }
 
+    // Groups with nothing to show for the measure (no defined-risk trades)
+    // are left out
+    const measured = data
+      .map(d => ({ ...d, value: this._measureValue(d) }))
+      .filter(d => d.value !== null);
+
+    if (measured.length === 0) {
+      this.data = [];
+      this._showEmptyState('No trades with a defined risk', 'Return on capital needs spreads, cash-secured puts or long premium');
+      return;
+    }
+
     // Remove empty state if it exists
     if (this.chartGroup) {
       this.chartGroup.selectAll('.empty-state-text').remove();
     }
 
-    // Update options if provided
-    if (options.dimension) {
-      this.options.dimension = options.dimension;
-    }
-
-    // Sort data by P/L in descending order (Requirement 7.4)
-    let sortedData = [...data].sort((a, b) => b.pl - a.pl);
+    // Sort data by the measure in descending order (Requirement 7.4)
+    let sortedData = measured.sort((a, b) => b.value - a.value);
     
     // If we have more than maxBars, show top winners AND top losers
     if (sortedData.length > this.options.maxBars) {
@@ -127,7 +143,7 @@ class PLBreakdownChart {
       const topLosers = sortedData.slice(-halfMax);
       this.data = [...topWinners, ...topLosers];
       // Re-sort for display
-      this.data.sort((a, b) => b.pl - a.pl);
+      this.data.sort((a, b) => b.value - a.value);
     } else {
       this.data = sortedData;
     }
@@ -135,6 +151,30 @@ class PLBreakdownChart {
     this._render();
   }
 
+  /**
+   * Chart a different measure of the same data
+   * @param {string} measure - A key of PLBreakdownChart.MEASURES
+   */
+  setMeasure(measure) {
+    if (!PLBreakdownChart.MEASURES[measure]) return;
+    this.options.measure = measure;
+    if (this.sourceData) {
+      this.update(this.sourceData);
+    }
+  }
+
+  /**
+   * Value of the selected measure for a bar
+   * @param {Object} d - Breakdown row with pl and capital
+   * @returns {number|null} - Value, or null when the measure does not apply
+   * @private
+   */
+  _measureValue(d) {
+    if (this.options.measure === 'pl') return d.pl;
+    const value = d.capital ? d.capital[this.options.measure] : null;
+    return value === undefined ? null : value;
+  }
+
   /**
    * Render the chart
    * @private
@@ -155,7 +195,7 @@ class PLBreakdownChart {
       .padding(0.2);
 
     // Calculate x-axis domain with padding
-    const plValues = this.data.map(d => d.pl);
+    const plValues = this.data.map(d => d.value);
     const minPL = Math.min(0, ...plValues);
     const maxPL = Math.max(0, ...plValues);
     const padding = Math.abs(maxPL - minPL) * 0.1 || 100;
@@ -205,7 +245,7 @@ class PLBreakdownChart {
       .ticks(isMobile ? 3 : 6)
       .tickSize(0)
       .tickPadding(10)
-      .tickFormat(d => this._formatCurrency(d));
+      .tickFormat(d => this._formatMeasure(d));
 
     this.xAxisGroup
       .attr('transform', `translate(0,${this.height})`)
@@ -252,7 +292,7 @@ class PLBreakdownChart {
       .attr('fill', '#e5e7eb')
       .attr('font-size', '14px')
       .attr('font-weight', '600')
-      .text('Profit/Loss ($)');
+      .text(PLBreakdownChart.MEASURES[this.options.measure]);
 
     // Y-axis label
     this.chartGroup.append('text')
@@ -300,11 +340,11 @@ class PLBreakdownChart {
       .attr('y', (d, i) => this.yScale(labels[i]))
       .attr('x', d => {
         // Color coding: green for positive, red for negative (Requirement 7.5)
-        return d.pl >= 0 ? zeroX : this.xScale(d.pl);
+        return d.value >= 0 ? zeroX : this.xScale(d.value);
       })
-      .attr('width', d => Math.max(0, Math.abs(this.xScale(d.pl) - zeroX)))
+      .attr('width', d => Math.max(0, Math.abs(this.xScale(d.value) - zeroX)))
       .attr('height', this.yScale.bandwidth())
-      .attr('fill', d => d.pl >= 0 ? '#10b981' : '#ef4444');
+      .attr('fill', d => d.value >= 0 ? '#10b981' : '#ef4444');
 
     // Exit
     bars.exit()
@@ -324,6 +364,7 @@ class PLBreakdownChart {
   _showTooltip(event, data) {
     const plColor = data.pl >= 0 ? '#10b981' : '#ef4444';
     const label = this._getLabel(data);
+    const capital = data.capital || {};
 
     this.tooltip
       .style('visibility', 'visible')
@@ -334,6 +375,13 @@ class PLBreakdownChart {
         <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
           P/L: <span style="color: ${plColor}; font-weight: 600;">${this._formatCurrency(data.pl)}</span>
         </div>
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
+          Return on risk: <span style="color: #e5e7eb; font-weight: 600;">${this._formatMeasure(capital.returnOnRisk, 'returnOnRisk')}</span>
+          (annualized ${this._formatMeasure(capital.annualizedROC, 'annualizedROC')})
+        </div>
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
+          P/L per day held: <span style="color: #e5e7eb; font-weight: 600;">${this._formatMeasure(capital.plPerDay, 'plPerDay')}</span>
+        </div>
         <div style="color: #9ca3af; font-size: 11px;">
           Trades: <span style="color: #e5e7eb; font-weight: 600;">${data.tradeCount}</span>
         </div>
@@ -388,11 +436,28 @@ class PLBreakdownChart {
     return sign + '$' + value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
   }
 
+  /**
+   * Format a value of a measure
+   * @param {number|null} value - Numeric value
+   * @param {string} [measure] - Measure key, defaults to the selected one
+   * @returns {string} - Currency or percentage string, or an em dash
+   * @private
+   */
+  _formatMeasure(value, measure = this.options.measure) {
+    if (value === null || value === undefined) return '—';
+    if (measure === 'returnOnRisk' || measure === 'annualizedROC') {
+      return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    }
+    return this._formatCurrency(value);
+  }
+
   /**
    * Show empty state when no data
+   * @param {string} [title] - Headline
+   * @param {string} [hint] - Line beneath it
    * @private
    */
-  _showEmptyState() {
+  _showEmptyState(title = 'No P/L breakdown data available', hint = `Upload trades to see P/L by ${this.options.dimension}`) {
     // Clear chart groups but keep SVG structure
     if (this.barsGroup) this.barsGroup.selectAll('*').remove();
     if (this.xAxisGroup) this.xAxisGroup.selectAll('*').remove();
@@ -414,7 +479,7 @@ class PLBreakdownChart {
         .attr('text-anchor', 'middle')
         .attr('fill', '#9ca3af')
         .attr('font-size', '16px')
-        .text('No P/L breakdown data available');
+        .text(title);
       
       this.chartGroup.append('text')
         .attr('class', 'empty-state-text')
@@ -423,7 +488,7 @@ class PLBreakdownChart {
         .attr('text-anchor', 'middle')
         .attr('fill', '#9ca3af')
         .attr('font-size', '12px')
-        .text(`Upload trades to see P/L by ${this.options.dimension}`);
+        .text(hint);
     }
   }
 
@@ -454,6 +519,16 @@ class PLBreakdownChart {
   }
 }
 
+/**
+ * Measures the chart can plot, with their axis labels
+ */
+PLBreakdownChart.MEASURES = {
+  pl: 'Profit/Loss ($)',
+  returnOnRisk: 'Return on Risk (%)',
+  annualizedROC: 'Annualized Return on Capital (%)',
+  plPerDay: 'P/L per Day Held ($)'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = PLBreakdownChart;
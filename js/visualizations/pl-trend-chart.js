@@ -106,9 +106,13 @@ class PLTrendChart {
   /**
    * Update chart with new data
    * @param {Array} data - Array of monthly P/L objects
+   * @param {Object} [comparison] - { label, data } for a comparison period,
+   *   drawn as a dashed line; data entries carry alignedMonth and alignedLabel
+   *   from AnalyticsEngine.alignMonthlyPL
    */
-  update(data) {
+  update(data, comparison = null) {
     if (!data || data.length === 0) {
+      this.comparison = null;
       this._showEmptyState();
       return;
     }
@@ -119,6 +123,7 @@ class PLTrendChart {
     }
 
     this.data = data;
+    this.comparison = comparison && comparison.data && comparison.data.length > 0 ? comparison : null;
     this._render();
   }
 
@@ -132,14 +137,19 @@ class PLTrendChart {
     this.width = containerRect.width - this.margin.left - this.margin.right;
     this.height = containerRect.height - this.margin.top - this.margin.bottom;
 
-    // Update scales
+    // Update scales; a comparison period can reach months this one has not
+    const months = new Map(this.data.map(d => [d.month, d.monthLabel]));
+    if (this.comparison) {
+      this.comparison.data.forEach(d => months.set(d.alignedMonth, d.alignedLabel));
+    }
     this.xScale
-      .domain(this.data.map(d => d.monthLabel))
+      .domain([...months.keys()].sort().map(month => months.get(month)))
       .range([0, this.width])
       .padding(0.5);
 
     // Calculate y-axis domain with some padding
-    const plValues = this.data.map(d => d.cumulativePL);
+    const plValues = this.data.map(d => d.cumulativePL)
+      .concat(this.comparison ? this.comparison.data.map(d => d.cumulativePL) : []);
     const minPL = Math.min(0, ...plValues);
     const maxPL = Math.max(0, ...plValues);
     const padding = Math.abs(maxPL - minPL) * 0.1 || 100;
@@ -159,6 +169,7 @@ class PLTrendChart {
 
     // Render line (Requirement 4.1)
     this._renderLine();
+    this._renderComparisonLine();
 
     // Render dots with hover interaction
     this._renderDots();
@@ -318,6 +329,79 @@ class PLTrendChart {
     line.exit().remove();
   }
 
+  /**
+   * Render the comparison period as a dashed line under the same months,
+   * with a legend naming both periods
+   * @private
+   */
+  _renderComparisonLine() {
+    const series = this.comparison ? [this.comparison.data] : [];
+
+    const comparisonLine = d3.line()
+      .x(d => this.xScale(d.alignedLabel))
+      .y(d => this.yScale(d.cumulativePL))
+      .curve(d3.curveMonotoneX);
+
+    const line = this.lineGroup
+      .selectAll('.pl-comparison-line')
+      .data(series);
+
+    line.enter()
+      .append('path')
+      .attr('class', 'pl-comparison-line')
+      .attr('fill', 'none')
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', '6,4')
+      .merge(line)
+      .transition()
+      .duration(this.options.animationDuration)
+      .attr('d', comparisonLine);
+
+    line.exit().remove();
+
+    const dots = this.dotsGroup
+      .selectAll('.pl-comparison-dot')
+      .data(this.comparison ? this.comparison.data : []);
+
+    dots.enter()
+      .append('circle')
+      .attr('class', 'pl-comparison-dot')
+      .attr('r', 3.5)
+      .attr('fill', '#9ca3af')
+      .style('cursor', 'pointer')
+      .merge(dots)
+      .on('mouseover', (event, d) => this._showTooltip(event, d, this.comparison.label))
+      .on('mouseout', () => this._hideTooltip())
+      .attr('cx', d => this.xScale(d.alignedLabel))
+      .attr('cy', d => this.yScale(d.cumulativePL));
+
+    dots.exit().remove();
+
+    this.chartGroup.selectAll('.comparison-legend').remove();
+    if (!this.comparison) return;
+
+    const legend = this.chartGroup.append('g')
+      .attr('class', 'comparison-legend')
+      .attr('transform', 'translate(8, 4)');
+    [
+      { label: 'This period', dash: null, color: '#10b981' },
+      { label: this.comparison.label, dash: '6,4', color: '#9ca3af' }
+    ].forEach((entry, index) => {
+      const row = legend.append('g').attr('transform', `translate(0, ${index * 16})`);
+      row.append('line')
+        .attr('x1', 0).attr('x2', 20).attr('y1', 0).attr('y2', 0)
+        .attr('stroke', entry.color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', entry.dash);
+      row.append('text')
+        .attr('x', 26).attr('y', 4)
+        .attr('fill', '#9ca3af')
+        .attr('font-size', '11px')
+        .text(entry.label);
+    });
+  }
+
   /**
    * Render dots for each data point with hover interaction
    * @private
@@ -360,9 +444,10 @@ class PLTrendChart {
    * Show tooltip on hover
    * @param {Event} event - Mouse event
    * @param {Object} data - Data point
+   * @param {string} [period] - Comparison period the point belongs to
    * @private
    */
-  _showTooltip(event, data) {
+  _showTooltip(event, data, period = null) {
     const plColor = data.cumulativePL >= 0 ? '#10b981' : '#ef4444';
     const monthlyPLColor = data.pl >= 0 ? '#10b981' : '#ef4444';
 
@@ -370,7 +455,7 @@ class PLTrendChart {
       .style('visibility', 'visible')
       .html(`
         <div style="color: #e5e7eb; font-weight: 600; margin-bottom: 4px;">
-          ${data.monthLabel}
+          ${data.monthLabel}${period ? ` <span style="color: #9ca3af; font-weight: 400;">(${period})</span>` : ''}
         </div>
         <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
           Monthly P/L: <span style="color: ${monthlyPLColor}; font-weight: 600;">${this._formatCurrency(data.pl)}</span>
@@ -445,6 +530,7 @@ class PLTrendChart {
     if (this.chartGroup) {
       this.chartGroup.selectAll('.empty-state-text').remove();
       this.chartGroup.selectAll('.axis-label').remove();
+      this.chartGroup.selectAll('.comparison-legend').remove();
       
       const containerRect = this.container.getBoundingClientRect();
       const width = containerRect.width - this.margin.left - this.margin.right;
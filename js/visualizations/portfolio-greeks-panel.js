@@ -0,0 +1,225 @@
+/**
+ * Portfolio Greeks Panel Component
+ * Net delta, beta-weighted delta, gamma, theta and vega across the open
+ * positions, by underlying and by expiration. Priced at the quotes entered
+ * on the Open Positions tab; the benchmark and betas are edited in place.
+ */
+class PortfolioGreeksPanel {
+  /**
+   * Create portfolio Greeks panel
+   * @param {string} containerId - DOM element ID
+   */
+  constructor(containerId) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      console.error(`Container with id "${containerId}" not found`);
+      return;
+    }
+
+    this.greeks = null;
+    this.render();
+  }
+
+  /**
+   * Format a Greek with a sign and the given decimal places
+   * @param {number|null} value - Greek
+   * @param {number} [places=1] - Decimal places
+   * @returns {string} - Formatted value, or an em dash when unknown
+   */
+  formatGreek(value, places = 1) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return '—';
+    }
+    const fixed = Math.abs(value).toFixed(places).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    if (Number(fixed.replace(/,/g, '')) === 0) return (0).toFixed(places);
+    return `${value < 0 ? '-' : '+'}${fixed}`;
+  }
+
+  /**
+   * Format currency value with dollar sign and 2 decimal places
+   * @param {number} value - Currency value
+   * @returns {string} Formatted currency string, or an em dash when unknown
+   */
+  formatCurrency(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return '—';
+    }
+    const sign = value >= 0 ? '' : '-';
+    const absValue = Math.abs(value);
+    return `${sign}$${absValue.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+  }
+
+  /**
+   * Render the panel
+   */
+  render() {
+    const greeks = this.greeks;
+    if (!greeks || (greeks.priced === 0 && greeks.missing.length === 0)) {
+      this.container.innerHTML = `
+        <p class="text-text-secondary text-sm py-4">
+          No open option or share positions to take Greeks of.
+        </p>
+      `;
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="open-positions-summary">
+        <span>Delta <strong>${this.formatGreek(greeks.delta)}</strong></span>
+        <span>Beta-weighted <strong>${this.formatGreek(greeks.betaWeightedDelta)}</strong> ${greeks.benchmark}</span>
+        <span>Gamma <strong>${this.formatGreek(greeks.gamma, 2)}</strong></span>
+        <span>Theta <strong>${this.formatCurrency(greeks.theta)}</strong>/day</span>
+        <span>Vega <strong>${this.formatCurrency(greeks.vega)}</strong>/pt</span>
+        <label class="open-positions-alert-setting">
+          Benchmark
+          <input type="text" class="date-range-input greeks-benchmark-input" data-greeks-benchmark
+            value="${greeks.benchmark}" aria-label="Benchmark for beta-weighted delta">
+        </label>
+      </div>
+      ${this._renderNotes()}
+      <h3 class="text-sm font-semibold mb-2">By Underlying</h3>
+      ${this._renderUnderlyings()}
+      <h3 class="text-sm font-semibold mt-6 mb-2">By Expiration</h3>
+      ${this._renderExpirations()}
+    `;
+  }
+
+  /**
+   * What the totals leave out, and what an entry would fix
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderNotes() {
+    const greeks = this.greeks;
+    const notes = [];
+
+    const unquoted = [...new Set(greeks.missing
+      .filter(item => item.reason === 'price')
+      .map(item => item.key.split('|')[0]))];
+    if (unquoted.length > 0) {
+      notes.push(`No quote for ${unquoted.join(', ')}: enter the underlying's price under Enter marks to include its positions.`);
+    }
+
+    const noVolatility = greeks.missing.filter(item => item.reason === 'volatility');
+    if (noVolatility.length > 0) {
+      notes.push(`${noVolatility.length} contract${noVolatility.length === 1 ? '' : 's'} left out with no implied volatility: ` +
+        'quote the contract, or import the underlying\'s price at entry.');
+    }
+
+    if (greeks.betaWeightedDelta === null) {
+      notes.push(`Quote ${greeks.benchmark} to weight deltas by beta.`);
+    } else if (greeks.byUnderlying.some(row => row.betaAssumed)) {
+      notes.push('A beta of 1 is assumed where none is entered.');
+    }
+
+    return notes.length > 0
+      ? `<div class="text-text-secondary text-xs mb-4">${notes.map(note => `<p>${note}</p>`).join('')}</div>`
+      : '';
+  }
+
+  /**
+   * Greeks per underlying, with its beta editable
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderUnderlyings() {
+    const rows = this.greeks.byUnderlying.map(row => {
+      const beta = row.symbol === this.greeks.benchmark
+        ? '1'
+        : `<input type="number" step="0.05" class="mark-input" data-greeks-beta="${row.symbol}"
+            value="${row.betaAssumed ? '' : row.beta}" placeholder="1" aria-label="Beta of ${row.symbol}">`;
+
+      return `
+        <tr>
+          <td>${row.symbol}</td>
+          <td class="font-mono">${this.formatCurrency(row.price)}</td>
+          <td>${beta}</td>
+          <td class="font-mono">${this.formatGreek(row.delta)}</td>
+          <td class="font-mono">${this.formatGreek(row.betaWeightedDelta)}</td>
+          <td class="font-mono">${this.formatGreek(row.gamma, 2)}</td>
+          <td class="font-mono">${this.formatCurrency(row.theta)}</td>
+          <td class="font-mono">${this.formatCurrency(row.vega)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="overflow-x-auto">
+        <table class="data-table" role="table">
+          <thead>
+            <tr>
+              <th role="columnheader">Underlying</th>
+              <th role="columnheader">Price</th>
+              <th role="columnheader">Beta</th>
+              <th role="columnheader">Delta</th>
+              <th role="columnheader">Beta-Wtd Delta</th>
+              <th role="columnheader">Gamma</th>
+              <th role="columnheader">Theta/Day</th>
+              <th role="columnheader">Vega/Pt</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Greeks per expiration date, shares last
+   * @returns {string} - HTML
+   * @private
+   */
+  _renderExpirations() {
+    const rows = this.greeks.byExpiration.map(row => `
+      <tr>
+        <td>${row.expiry || 'Shares'}</td>
+        <td class="font-mono">${row.dte === null ? '—' : `${row.dte}d`}</td>
+        <td class="font-mono">${this.formatGreek(row.delta)}</td>
+        <td class="font-mono">${this.formatGreek(row.gamma, 2)}</td>
+        <td class="font-mono">${this.formatCurrency(row.theta)}</td>
+        <td class="font-mono">${this.formatCurrency(row.vega)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="overflow-x-auto">
+        <table class="data-table" role="table">
+          <thead>
+            <tr>
+              <th role="columnheader">Expires</th>
+              <th role="columnheader">DTE</th>
+              <th role="columnheader">Delta</th>
+              <th role="columnheader">Gamma</th>
+              <th role="columnheader">Theta/Day</th>
+              <th role="columnheader">Vega/Pt</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Update panel with new Greeks
+   * @param {Object} greeks - From AnalyticsEngine.calculatePortfolioGreeks
+   */
+  update(greeks) {
+    this.greeks = greeks;
+    this.render();
+  }
+
+  /**
+   * Destroy the panel and clean up
+   */
+  destroy() {
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PortfolioGreeksPanel;
+}
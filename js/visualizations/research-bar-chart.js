@@ -34,6 +34,8 @@ class ResearchBarChart {
       // Above this many bars a value on every bar is unreadable, so only the
       // extremes stay labelled and the tooltip carries the rest
       labelEveryBarUpTo: 150,
+      // Called with a bar's trade when it is clicked
+      onSelect: null,
       ...options
     };
 
@@ -247,7 +249,11 @@ class ResearchBarChart {
       .on('mouseover', (event, entry) => this._showTooltip(event, entry))
       .on('mousemove', event => this._positionTooltip(event))
       .on('mouseout', () => this.tooltip.style('visibility', 'hidden'))
+      .on('click', (event, entry) => {
+        if (this.options.onSelect && entry.trade) this.options.onSelect(entry.trade);
+      })
       .merge(bars)
+      .style('cursor', this.options.onSelect ? 'pointer' : null)
       .attr('fill', entry => (entry.net >= 0 ? colors.profit : colors.loss))
       .attr('x', entry => x(entry.index))
       .attr('width', x.bandwidth())
@@ -316,6 +322,7 @@ class ResearchBarChart {
         </div>
         <div style="font-size: 11px; color: ${colors.textSecondary};">${entry.strategy || 'Unknown'}</div>
         <div style="font-size: 11px; color: ${colors.textSecondary};">DTE at entry: ${dte} · Width: ${width}</div>
+        ${this.options.onSelect ? `<div style="font-size: 11px; color: ${colors.textSecondary}; margin-top: 4px;">Click for its payoff diagram</div>` : ''}
       `);
 
     this._positionTooltip(event);
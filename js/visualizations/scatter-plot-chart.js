@@ -1,6 +1,8 @@
 /**
  * Scatter Plot Chart Component
  * Renders a scatter plot showing Days Held vs P/L with strategy color coding
+ * Other fields can be plotted on the x axis; with bucketEdges set, the axis
+ * is split into bands, each labelled with its win rate and average P/L.
  * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5, 4.6
  */
 class ScatterPlotChart {
@@ -9,6 +11,11 @@ class ScatterPlotChart {
    * @param {string} containerId - DOM element ID for the chart container
    * @param {Array} data - Array of {symbol, strategy, daysHeld, pl, type} objects
    * @param {Object} options - Chart configuration options
+   * @param {string} [options.xField='daysHeld'] - Field plotted on the x axis
+   * @param {Array} [options.xDomain] - Fixed [min, max] of the x axis
+   * @param {Array} [options.bucketEdges] - X values splitting the axis into
+   *   bands, e.g. [0, 25, 50, 75, 100]; each band's lower edge is inclusive
+   * @param {string} [options.emptyHint] - What to do when nothing can be plotted
    */
   constructor(containerId, data = [], options = {}) {
     this.containerId = containerId;
@@ -26,6 +33,9 @@ class ScatterPlotChart {
       animationDuration: 750,
       xField: 'daysHeld',
       xLabel: 'Days Held',
+      xDomain: null,
+      bucketEdges: null,
+      emptyHint: 'Upload trades with close dates to see holding period analysis',
       ...options
     };
 
@@ -63,6 +73,7 @@ class ScatterPlotChart {
 
     // Create groups for different chart elements
     this.axesGroup = this.chartGroup.append('g').attr('class', 'axes-group');
+    this.bucketsGroup = this.chartGroup.append('g').attr('class', 'buckets-group');
     this.zeroLineGroup = this.chartGroup.append('g').attr('class', 'zero-line-group');
     this.pointsGroup = this.chartGroup.append('g').attr('class', 'points-group');
     this.legendGroup = this.chartGroup.append('g').attr('class', 'legend-group');
@@ -139,6 +150,9 @@ class ScatterPlotChart {
     // Render zero reference line (Requirement 4.6)
     this._renderZeroLine();
 
+    // Render bucket bands with their win rate and average P/L
+    this._renderBuckets();
+
     // Render scatter points (Requirement 4.2)
     this._renderPoints();
 
@@ -172,7 +186,7 @@ class ScatterPlotChart {
     // X-axis: Dynamic Field
     const maxValue = d3.max(this.processedData, d => d[this.options.xField]) || 60;
     this.xScale = d3.scaleLinear()
-      .domain([0, Math.max(maxValue, 10)])
+      .domain(this.options.xDomain || [0, Math.max(maxValue, 10)])
       .range([0, this.width])
       .nice();
 
@@ -273,6 +287,65 @@ class ScatterPlotChart {
     }
   }
 
+  /**
+   * Render a band per bucket, labelled with the win rate and count of its
+   * trades, and a line at their average P/L
+   * @private
+   */
+  _renderBuckets() {
+    this.bucketsGroup.selectAll('*').remove();
+    const edges = this.options.bucketEdges;
+    if (!edges || edges.length < 2) return;
+
+    const field = this.options.xField;
+    d3.pairs(edges).forEach(([from, to], i) => {
+      const last = i === edges.length - 2;
+      const trades = this.processedData.filter(d => d[field] >= from && (d[field] < to || (last && d[field] <= to)));
+      const x0 = this.xScale(from);
+      const x1 = this.xScale(to);
+
+      this.bucketsGroup.append('rect')
+        .attr('class', 'bucket-band')
+        .attr('x', x0)
+        .attr('y', 0)
+        .attr('width', Math.max(0, x1 - x0))
+        .attr('height', this.height)
+        .attr('fill', '#1f2937')
+        .attr('opacity', i % 2 === 0 ? 0.35 : 0.15);
+
+      if (trades.length === 0) return;
+
+      const wins = trades.filter(d => d.pl > 0).length;
+      const avg = d3.mean(trades, d => d.pl);
+
+      this.bucketsGroup.append('line')
+        .attr('class', 'bucket-average')
+        .attr('x1', x0 + 4)
+        .attr('x2', x1 - 4)
+        .attr('y1', this.yScale(avg))
+        .attr('y2', this.yScale(avg))
+        .attr('stroke', avg >= 0 ? '#10b981' : '#ef4444')
+        .attr('stroke-width', 2)
+        .append('title')
+        .text(`Average P/L ${this._formatCurrency(avg)}`);
+
+      const label = this.bucketsGroup.append('text')
+        .attr('class', 'bucket-label')
+        .attr('x', (x0 + x1) / 2)
+        .attr('y', -22)
+        .attr('text-anchor', 'middle')
+        .attr('fill', '#9ca3af')
+        .attr('font-size', '11px');
+      label.append('tspan')
+        .text(`${Math.round(wins / trades.length * 100)}% win · n=${trades.length}`);
+      label.append('tspan')
+        .attr('x', (x0 + x1) / 2)
+        .attr('dy', 13)
+        .attr('fill', avg >= 0 ? '#10b981' : '#ef4444')
+        .text(`avg ${this._formatCurrency(avg)}`);
+    });
+  }
+
   /**
    * Render scatter plot points
    * @private
@@ -447,6 +520,7 @@ class ScatterPlotChart {
     if (this.axesGroup) this.axesGroup.selectAll('*').remove();
     if (this.zeroLineGroup) this.zeroLineGroup.selectAll('*').remove();
     if (this.legendGroup) this.legendGroup.selectAll('*').remove();
+    if (this.bucketsGroup) this.bucketsGroup.selectAll('*').remove();
 
     // Add empty state message to chart group
     if (this.chartGroup) {
@@ -472,7 +546,7 @@ class ScatterPlotChart {
         .attr('text-anchor', 'middle')
         .attr('fill', '#9ca3af')
         .attr('font-size', '12px')
-        .text('Upload trades with close dates to see holding period analysis');
+        .text(this.options.emptyHint);
     }
   }
 
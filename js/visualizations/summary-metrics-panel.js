@@ -11,6 +11,13 @@ class SummaryMetricsPanel {
    * @param {number} metrics.winRate - Win rate percentage (0-100)
    * @param {number} metrics.totalPL - Total profit/loss
    * @param {number} metrics.averageWin - Average win amount
+   * @param {string} [metrics.unit] - 'campaign' when counting roll chains,
+   *   which also carry rolls, creditCollected and averageDaysInTrade
+   * @param {Object} [metrics.comparison] - { label, metrics, deltas } for the
+   *   comparison period, shown under each card as the change since then;
+   *   deltas from AnalyticsEngine.calculateComparisonDeltas
+   * @param {Object} [metrics.markToMarket] - Open positions valued at their
+   *   marks, from AnalyticsEngine.calculateMarkToMarket
    */
   constructor(containerId, metrics = {}) {
     this.container = document.getElementById(containerId);
@@ -70,42 +77,155 @@ class SummaryMetricsPanel {
       totalPL = 0,
       realizedPL = null,
       openPositions = 0,
-      averageWin = 0
+      averageWin = 0,
+      unit = 'trade',
+      rolls = 0,
+      creditCollected = 0,
+      averageDaysInTrade = 0,
+      comparison = null,
+      markToMarket = null
     } = this.metrics;
 
+    // The change since the comparison period, and its figure, under each card
+    const previous = (read, format, formatDelta, key) => {
+      if (!comparison) return '';
+      const delta = comparison.deltas ? comparison.deltas[key] : null;
+      const change = delta === null || delta === undefined
+        ? ''
+        : `<span class="${this.getPLColorClass(delta)} font-mono">${delta > 0 ? '▲' : delta < 0 ? '▼' : '■'} ${formatDelta(delta)}</span> `;
+      return `<div class="text-gray-500 text-xs mt-1">${change}vs ${format(read(comparison.metrics))} in ${comparison.label}</div>`;
+    };
+    const previousPL = metrics => (metrics.realizedPL === null || metrics.realizedPL === undefined
+      ? metrics.totalPL
+      : metrics.realizedPL);
+    const signed = text => (text.startsWith('-') ? text : `+${text}`);
+    const plDelta = delta => {
+      const pct = comparison && comparison.deltas ? comparison.deltas.realizedPLPct : null;
+      return signed(this.formatCurrency(delta)) + (pct === null ? '' : ` (${signed(this.formatPercentage(pct))})`);
+    };
+
+    const byCampaign = unit === 'campaign';
+    const campaignDetail = byCampaign
+      ? `<div class="text-gray-500 text-xs mt-1">${rolls} roll${rolls === 1 ? '' : 's'} • `
+        + `${this.formatCurrency(creditCollected)} credit collected • `
+        + `${averageDaysInTrade.toFixed(0)} days avg</div>`
+      : '';
+
     // Realized P/L is the figure that ties to a broker statement: it counts
     // every retired leg, including legs of positions that are still open.
     // Adapters that cannot tell the two apart pass no realizedPL and fall back.
     const headlinePL = realizedPL === null ? totalPL : realizedPL;
     const plColorClass = this.getPLColorClass(headlinePL);
 
+    // Unrealized P/L of the open positions that have marks, and what the
+    // period's realized P/L comes to with it. Open positions are what is held
+    // now, so their unrealized P/L ignores the date range; the label says so.
+    let markDetail = '';
+    if (markToMarket && markToMarket.marked > 0) {
+      const withUnrealized = headlinePL + markToMarket.unrealizedPL;
+      const count = markToMarket.marked + markToMarket.unmarked;
+      markDetail = `<div class="text-gray-400 text-xs mt-1">`
+        + `Unrealized <span class="${this.getPLColorClass(markToMarket.unrealizedPL)} font-mono">${this.formatCurrency(markToMarket.unrealizedPL)}</span> • `
+        + `<span title="Realized P/L in the selected period plus the unrealized P/L of every marked open position today">`
+        + `Realized + open <span class="${this.getPLColorClass(withUnrealized)} font-mono">${this.formatCurrency(withUnrealized)}</span></span></div>`
+        + `<div class="text-gray-500 text-xs mt-1">${markToMarket.marked} of ${count} open position${count === 1 ? '' : 's'} marked`
+        + `${markToMarket.asOf ? `, as of ${new Date(markToMarket.asOf).toLocaleDateString()}` : ''}</div>`;
+    }
+
     this.container.innerHTML = `
       <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
         <!-- Total Trades Card -->
         <div class="bg-gray-800 rounded-lg p-6 border border-gray-700">
-          <div class="text-gray-400 text-sm font-medium mb-2">Total Trades</div>
+          <div class="text-gray-400 text-sm font-medium mb-2">${byCampaign ? 'Total Campaigns' : 'Total Trades'}</div>
           <div class="text-4xl font-bold font-mono text-gray-100">${totalTrades}</div>
+          ${campaignDetail}
+          ${previous(metrics => metrics.totalTrades, String, delta => signed(String(delta)), 'totalTrades')}
         </div>
 
         <!-- Win Rate Card -->
         <div class="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <div class="text-gray-400 text-sm font-medium mb-2">Win Rate</div>
           <div class="text-4xl font-bold font-mono text-gray-100">${this.formatPercentage(winRate)}</div>
+          ${previous(metrics => metrics.winRate, value => this.formatPercentage(value), delta => `${signed(delta.toFixed(1))} pts`, 'winRate')}
         </div>
 
         <!-- Total P/L Card -->
         <div class="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <div class="text-gray-400 text-sm font-medium mb-2">Realized P/L</div>
           <div class="text-4xl font-bold font-mono ${plColorClass}">${this.formatCurrency(headlinePL)}</div>
-          ${openPositions ? `<div class="text-gray-500 text-xs mt-1">${openPositions} position${openPositions === 1 ? '' : 's'} still open</div>` : ''}
+          ${previous(previousPL, value => this.formatCurrency(value), plDelta, 'realizedPL')}
+          ${openPositions ? `<div class="text-gray-500 text-xs mt-1">${openPositions} ${byCampaign ? 'campaign' : 'position'}${openPositions === 1 ? '' : 's'} still open</div>` : ''}
+          ${markDetail}
         </div>
 
         <!-- Average Win Card -->
         <div class="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <div class="text-gray-400 text-sm font-medium mb-2">Average Win</div>
           <div class="text-4xl font-bold font-mono text-gray-100">${this.formatCurrency(averageWin)}</div>
+          ${previous(metrics => metrics.averageWin, value => this.formatCurrency(value), delta => signed(this.formatCurrency(delta)), 'averageWin')}
         </div>
       </div>
+      ${this.renderRiskMetrics()}
+    `;
+  }
+
+  /**
+   * Format a ratio with 2 decimal places
+   * @param {number|null} value - Ratio, null where undefined
+   * @returns {string} Formatted ratio, or an em dash
+   */
+  formatRatio(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return '—';
+    }
+    return value.toFixed(2);
+  }
+
+  /**
+   * Risk metric tiles, and a drawer explaining how each is calculated
+   * @returns {string} HTML
+   */
+  renderRiskMetrics() {
+    const metrics = this.metrics;
+    if (metrics.averageLoss === undefined) return '';
+
+    const drawdown = metrics.maxDrawdown || {};
+    const drawdownDetail = drawdown.amount > 0
+      ? `${drawdown.percent === null ? '' : `${this.formatPercentage(drawdown.percent)} • `}`
+        + `${drawdown.durationDays} day${drawdown.durationDays === 1 ? '' : 's'}${drawdown.recovered ? '' : ', not yet recovered'}`
+      : '';
+
+    const tiles = [
+      ['Average Loss', this.formatCurrency(metrics.averageLoss)],
+      ['Largest Win', this.formatCurrency(metrics.largestWin)],
+      ['Largest Loss', this.formatCurrency(metrics.largestLoss)],
+      ['Profit Factor', this.formatRatio(metrics.profitFactor)],
+      ['Expectancy', this.formatCurrency(metrics.expectancy)],
+      ['Payoff Ratio', this.formatRatio(metrics.payoffRatio)],
+      ['Max Drawdown', drawdown.amount > 0 ? this.formatCurrency(-drawdown.amount) : this.formatCurrency(0), drawdownDetail],
+      ['Recovery Factor', this.formatRatio(metrics.recoveryFactor)],
+      ['Sharpe', this.formatRatio(metrics.sharpeRatio)],
+      ['Sortino', this.formatRatio(metrics.sortinoRatio)]
+    ];
+
+    const formulas = SummaryMetricsPanel.RISK_FORMULAS
+      .map(([term, definition]) => `<dt class="text-gray-300 font-medium">${term}</dt><dd class="text-gray-500 mb-2">${definition}</dd>`)
+      .join('');
+
+    return `
+      <div class="grid grid-cols-2 sm:grid-cols-5 gap-3 mt-4">
+        ${tiles.map(([label, value, detail]) => `
+          <div class="bg-gray-800 rounded-lg p-3 border border-gray-700">
+            <div class="text-gray-400 text-xs font-medium mb-1">${label}</div>
+            <div class="text-lg font-bold font-mono text-gray-100">${value}</div>
+            ${detail ? `<div class="text-gray-500 text-xs mt-1">${detail}</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      <details class="metrics-formula-drawer mt-3">
+        <summary class="text-gray-400 text-sm cursor-pointer">How these are calculated</summary>
+        <dl class="text-xs mt-3">${formulas}</dl>
+      </details>
     `;
   }
 
@@ -128,6 +248,22 @@ class SummaryMetricsPanel {
   }
 }
 
+/**
+ * Formula for each risk metric, as the drawer states it
+ * Closed trades only; a ratio whose denominator is zero shows as a dash.
+ */
+SummaryMetricsPanel.RISK_FORMULAS = [
+  ['Average Loss', 'Total P/L of losing trades ÷ number of losing trades. A trade that breaks even counts as a loss.'],
+  ['Largest Win / Loss', 'The single best and worst closed trade.'],
+  ['Profit Factor', 'Gross winning P/L ÷ gross losing P/L (as a positive amount). Above 1 means wins outweigh losses.'],
+  ['Expectancy', 'Total P/L ÷ number of closed trades: what an average trade returned.'],
+  ['Payoff Ratio', 'Average win ÷ average loss (as a positive amount). Read it with the win rate: a low payoff ratio needs a high win rate.'],
+  ['Max Drawdown', 'Largest fall in cumulative P/L from a running peak, by day of close. The percent is of the P/L at that peak; the duration runs from the peak to the day it was regained, or to the latest close if it has not been.'],
+  ['Recovery Factor', 'Total P/L ÷ max drawdown: how many times over the worst fall has been earned back.'],
+  ['Sharpe', 'Mean daily P/L ÷ its standard deviation × √252, over the days a trade closed, with no risk-free rate.'],
+  ['Sortino', 'Mean daily P/L ÷ downside deviation × √252. Downside deviation is the root mean square of daily P/L with winning days counted as zero, so only losses count as risk.']
+];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SummaryMetricsPanel;
@@ -24,6 +24,7 @@ class SymbolPLChart {
     this.options = {
       animationDuration: 750,
       maxBars: 50, // Show more symbols (increased from 15)
+      measure: 'pl', // A key of SymbolPLChart.MEASURES
       ...options
     };
 
@@ -100,25 +101,38 @@ class SymbolPLChart {
    * @param {Array} data - Array of symbol P/L objects
    */
   update(data) {
+    this.sourceData = data;
+
     if (!data || data.length === 0) {
+      this.data = [];
       this._showEmptyState();
       return;
     }
 
+    // Transform data to expected format (handle both formats); symbols with
+    // nothing to show for the measure (no defined-risk trades) are left out
+    let transformedData = data.map(d => ({
+      symbol: d.symbol || d.dimensions?.Symbol || 'Unknown',
+      pl: d.pl || 0,
+      tradeCount: d.tradeCount || 0,
+      capital: d.capital || {}
+    }))
+      .map(d => ({ ...d, value: this._measureValue(d) }))
+      .filter(d => d.value !== null);
+
+    if (transformedData.length === 0) {
+      this.data = [];
+      this._showEmptyState('No trades with a defined risk', 'Return on capital needs spreads, cash-secured puts or long premium');
+      return;
+    }
+
     // Remove empty state if it exists
     if (this.chartGroup) {
       this.chartGroup.selectAll('.empty-state-text').remove();
     }
 
-    // Transform data to expected format (handle both formats)
-    let transformedData = data.map(d => ({
-      symbol: d.symbol || d.dimensions?.Symbol || 'Unknown',
-      pl: d.pl || 0,
-      tradeCount: d.tradeCount || 0
-    }));
-
-    // Sort data by P/L in descending order (Requirement 7.5)
-    transformedData.sort((a, b) => b.pl - a.pl);
+    // Sort data by the measure in descending order (Requirement 7.5)
+    transformedData.sort((a, b) => b.value - a.value);
     
     // If we have more than maxBars, show top winners AND top losers
     if (transformedData.length > this.options.maxBars) {
@@ -127,7 +141,7 @@ class SymbolPLChart {
       const topLosers = transformedData.slice(-halfMax);
       this.data = [...topWinners, ...topLosers];
       // Re-sort for display
-      this.data.sort((a, b) => b.pl - a.pl);
+      this.data.sort((a, b) => b.value - a.value);
     } else {
       this.data = transformedData;
     }
@@ -135,6 +149,30 @@ class SymbolPLChart {
     this._render();
   }
 
+  /**
+   * Chart a different measure of the same data
+   * @param {string} measure - A key of SymbolPLChart.MEASURES
+   */
+  setMeasure(measure) {
+    if (!SymbolPLChart.MEASURES[measure]) return;
+    this.options.measure = measure;
+    if (this.sourceData) {
+      this.update(this.sourceData);
+    }
+  }
+
+  /**
+   * Value of the selected measure for a bar
+   * @param {Object} d - Bar data with pl and capital
+   * @returns {number|null} - Value, or null when the measure does not apply
+   * @private
+   */
+  _measureValue(d) {
+    if (this.options.measure === 'pl') return d.pl;
+    const value = d.capital[this.options.measure];
+    return value === undefined ? null : value;
+  }
+
   /**
    * Render the chart
    * @private
@@ -155,7 +193,7 @@ class SymbolPLChart {
       .padding(0.2);
 
     // Calculate x-axis domain with padding
-    const plValues = this.data.map(d => d.pl);
+    const plValues = this.data.map(d => d.value);
     const minPL = Math.min(0, ...plValues);
     const maxPL = Math.max(0, ...plValues);
     const padding = Math.abs(maxPL - minPL) * 0.1 || 100;
@@ -182,7 +220,7 @@ class SymbolPLChart {
       .ticks(6)
       .tickSize(0)
       .tickPadding(10)
-      .tickFormat(d => this._formatCurrency(d));
+      .tickFormat(d => this._formatMeasure(d));
 
     this.xAxisGroup
       .attr('transform', `translate(0,${this.height})`)
@@ -231,7 +269,7 @@ class SymbolPLChart {
       .attr('fill', '#e5e7eb')
       .attr('font-size', '14px')
       .attr('font-weight', '600')
-      .text('Profit/Loss ($)');
+      .text(SymbolPLChart.MEASURES[this.options.measure]);
 
     // Y-axis label
     this.chartGroup.append('text')
@@ -279,11 +317,11 @@ class SymbolPLChart {
       .attr('y', (d, i) => this.yScale(symbols[i]))
       .attr('x', d => {
         // Color coding: green for positive, red for negative (Requirement 7.5)
-        return d.pl >= 0 ? zeroX : this.xScale(d.pl);
+        return d.value >= 0 ? zeroX : this.xScale(d.value);
       })
-      .attr('width', d => Math.max(0, Math.abs(this.xScale(d.pl) - zeroX)))
+      .attr('width', d => Math.max(0, Math.abs(this.xScale(d.value) - zeroX)))
       .attr('height', this.yScale.bandwidth())
-      .attr('fill', d => d.pl >= 0 ? '#10b981' : '#ef4444');
+      .attr('fill', d => d.value >= 0 ? '#10b981' : '#ef4444');
 
     // Exit
     bars.exit()
@@ -312,6 +350,13 @@ class SymbolPLChart {
         <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
           P/L: <span style="color: ${plColor}; font-weight: 600;">${this._formatCurrency(data.pl)}</span>
         </div>
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
+          Return on risk: <span style="color: #e5e7eb; font-weight: 600;">${this._formatMeasure(data.capital.returnOnRisk, 'returnOnRisk')}</span>
+          (annualized ${this._formatMeasure(data.capital.annualizedROC, 'annualizedROC')})
+        </div>
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
+          P/L per day held: <span style="color: #e5e7eb; font-weight: 600;">${this._formatMeasure(data.capital.plPerDay, 'plPerDay')}</span>
+        </div>
         <div style="color: #9ca3af; font-size: 11px;">
           Trades: <span style="color: #e5e7eb; font-weight: 600;">${data.tradeCount}</span>
         </div>
@@ -366,11 +411,28 @@ class SymbolPLChart {
     return sign + '$' + value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
   }
 
+  /**
+   * Format a value of a measure
+   * @param {number|null} value - Numeric value
+   * @param {string} [measure] - Measure key, defaults to the selected one
+   * @returns {string} - Currency or percentage string, or an em dash
+   * @private
+   */
+  _formatMeasure(value, measure = this.options.measure) {
+    if (value === null || value === undefined) return '—';
+    if (measure === 'returnOnRisk' || measure === 'annualizedROC') {
+      return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    }
+    return this._formatCurrency(value);
+  }
+
   /**
    * Show empty state when no data
+   * @param {string} [title] - Headline
+   * @param {string} [hint] - Line beneath it
    * @private
    */
-  _showEmptyState() {
+  _showEmptyState(title = 'No symbol P/L data available', hint = 'Upload trades to see P/L by symbol') {
     // Clear chart groups but keep SVG structure
     if (this.barsGroup) this.barsGroup.selectAll('*').remove();
     if (this.xAxisGroup) this.xAxisGroup.selectAll('*').remove();
@@ -392,7 +454,7 @@ class SymbolPLChart {
         .attr('text-anchor', 'middle')
         .attr('fill', '#9ca3af')
         .attr('font-size', '16px')
-        .text('No symbol P/L data available');
+        .text(title);
       
       this.chartGroup.append('text')
         .attr('class', 'empty-state-text')
@@ -401,7 +463,7 @@ class SymbolPLChart {
         .attr('text-anchor', 'middle')
         .attr('fill', '#9ca3af')
         .attr('font-size', '12px')
-        .text('Upload trades to see P/L by symbol');
+        .text(hint);
     }
   }
 
@@ -432,6 +494,16 @@ class SymbolPLChart {
   }
 }
 
+/**
+ * Measures the chart can plot, with their axis labels
+ */
+SymbolPLChart.MEASURES = {
+  pl: 'Profit/Loss ($)',
+  returnOnRisk: 'Return on Risk (%)',
+  annualizedROC: 'Annualized Return on Capital (%)',
+  plPerDay: 'P/L per Day Held ($)'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SymbolPLChart;
@@ -0,0 +1,428 @@
+/**
+ * Underlying Price Chart Component
+ * Renders the underlying's daily closes around a trade, with the days held
+ * shaded, the daily high-low range behind the close, entry and exit marked,
+ * and the trade's short strikes drawn red where the underlying went through
+ */
+class UnderlyingPriceChart {
+  /**
+   * Create Underlying Price Chart
+   * @param {string} containerId - DOM element ID for the chart container
+   * @param {Object} data - { bars (oldest first), context
+   *   (AnalyticsEngine.calculatePriceContext) }
+   * @param {Object} options - Chart configuration options
+   */
+  constructor(containerId, data = null, options = {}) {
+    this.containerId = containerId;
+    this.container = document.getElementById(containerId);
+
+    if (!this.container) {
+      console.error(`Container with id "${containerId}" not found`);
+      return;
+    }
+
+    // Chart configuration
+    this.margin = { top: 28, right: 30, bottom: 36, left: 70 };
+    this.options = {
+      showGrid: true,
+      ...options
+    };
+
+    this._initChart();
+    this._setupResizeObserver();
+
+    if (data) {
+      this.update(data);
+    }
+  }
+
+  /**
+   * Initialize SVG and chart elements
+   * @private
+   */
+  _initChart() {
+    this.container.innerHTML = '';
+
+    this.svg = d3.select(`#${this.containerId}`)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', '100%')
+      .attr('class', 'underlying-price-chart-svg');
+
+    this.chartGroup = this.svg.append('g')
+      .attr('class', 'chart-content')
+      .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+    this.chartGroup.append('g').attr('class', 'grid');
+    this.chartGroup.append('g').attr('class', 'hold');
+    this.chartGroup.append('g').attr('class', 'series');
+    this.chartGroup.append('g').attr('class', 'markers');
+    this.chartGroup.append('g').attr('class', 'x-axis');
+    this.chartGroup.append('g').attr('class', 'y-axis');
+    this.hoverLine = this.chartGroup.append('line')
+      .attr('class', 'hover-line')
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-dasharray', '3,3')
+      .style('visibility', 'hidden');
+    this.overlay = this.chartGroup.append('rect')
+      .attr('class', 'hover-overlay')
+      .attr('fill', 'transparent')
+      .on('mousemove', event => this._onHover(event))
+      .on('mouseleave', () => this._hideTooltip());
+
+    this.tooltip = d3.select('body')
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('position', 'absolute')
+      .style('visibility', 'hidden')
+      .style('background-color', '#141b2d')
+      .style('border', '1px solid #1f2937')
+      .style('border-radius', '4px')
+      .style('padding', '8px 12px')
+      .style('font-size', '12px')
+      .style('pointer-events', 'none')
+      .style('z-index', '1000')
+      .style('box-shadow', '0 4px 6px rgba(0, 0, 0, 0.3)');
+
+    this.xScale = d3.scaleTime();
+    this.yScale = d3.scaleLinear();
+  }
+
+  /**
+   * Set up ResizeObserver for responsive behavior
+   * @private
+   */
+  _setupResizeObserver() {
+    this.resizeObserver = new ResizeObserver(() => {
+      if (this.data) this._render();
+    });
+    this.resizeObserver.observe(this.container);
+  }
+
+  /**
+   * Update chart with new data
+   * @param {Object|null} data - { bars, context }
+   */
+  update(data) {
+    if (!data || !data.bars || data.bars.length < 2 || !data.context) {
+      this.data = null;
+      this._showEmptyState();
+      return;
+    }
+
+    this.chartGroup.selectAll('.empty-state-text').remove();
+    this.data = {
+      ...data,
+      bars: data.bars.map(bar => ({ ...bar, day: this._day(bar.date) }))
+    };
+    this._render();
+  }
+
+  /**
+   * Render the chart
+   * @private
+   */
+  _render() {
+    const containerRect = this.container.getBoundingClientRect();
+    this.width = containerRect.width - this.margin.left - this.margin.right;
+    this.height = containerRect.height - this.margin.top - this.margin.bottom;
+
+    const { bars, context } = this.data;
+    this.xScale
+      .domain(d3.extent(bars, d => d.day))
+      .range([0, this.width]);
+
+    // The strikes stay in view, so a strike the price never neared still shows how far off it was
+    const prices = [
+      ...bars.map(d => d.low),
+      ...bars.map(d => d.high),
+      ...context.shortStrikes.map(leg => leg.strike)
+    ];
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const padding = (max - min) * 0.08 || max * 0.01;
+    this.yScale
+      .domain([min - padding, max + padding])
+      .range([this.height, 0])
+      .nice();
+
+    this.overlay.attr('width', this.width).attr('height', this.height);
+
+    if (this.options.showGrid) this._renderGrid();
+    this._renderAxes();
+    this._renderHold();
+    this._renderSeries();
+    this._renderMarkers();
+  }
+
+  /**
+   * Render horizontal grid lines
+   * @private
+   */
+  _renderGrid() {
+    const grid = this.chartGroup.select('.grid');
+    grid.selectAll('*').remove();
+
+    this.yScale.ticks(5).forEach(tick => {
+      grid.append('line')
+        .attr('class', 'grid-line')
+        .attr('x1', 0)
+        .attr('x2', this.width)
+        .attr('y1', this.yScale(tick))
+        .attr('y2', this.yScale(tick))
+        .attr('stroke', '#1f2937')
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '2,2');
+    });
+  }
+
+  /**
+   * Render axes
+   * @private
+   */
+  _renderAxes() {
+    const styleAxis = group => {
+      group.select('.domain').attr('stroke', '#1f2937');
+      group.selectAll('text')
+        .attr('fill', '#9ca3af')
+        .attr('font-size', '12px');
+    };
+
+    this.chartGroup.select('.x-axis')
+      .attr('transform', `translate(0,${this.height})`)
+      .call(d3.axisBottom(this.xScale).ticks(6).tickSize(0).tickPadding(10)
+        .tickFormat(d3.timeFormat('%b %d')))
+      .call(styleAxis);
+
+    this.chartGroup.select('.y-axis')
+      .call(d3.axisLeft(this.yScale).ticks(5).tickSize(0).tickPadding(10)
+        .tickFormat(d => `$${d}`))
+      .call(styleAxis);
+  }
+
+  /**
+   * Shade the days the trade was held
+   * @private
+   */
+  _renderHold() {
+    const hold = this.chartGroup.select('.hold');
+    hold.selectAll('*').remove();
+
+    const from = this.xScale(this._day(this.data.context.from));
+    const to = this.xScale(this._day(this.data.context.to));
+    hold.append('rect')
+      .attr('class', 'hold-window')
+      .attr('x', from)
+      .attr('y', 0)
+      .attr('width', Math.max(2, to - from))
+      .attr('height', this.height)
+      .attr('fill', '#60a5fa')
+      .attr('fill-opacity', 0.08);
+  }
+
+  /**
+   * Render the high-low band and the close line
+   * @private
+   */
+  _renderSeries() {
+    const series = this.chartGroup.select('.series');
+    series.selectAll('*').remove();
+
+    series.append('path')
+      .datum(this.data.bars)
+      .attr('class', 'range-area')
+      .attr('fill', '#9ca3af')
+      .attr('fill-opacity', 0.15)
+      .attr('d', d3.area()
+        .x(d => this.xScale(d.day))
+        .y0(d => this.yScale(d.low))
+        .y1(d => this.yScale(d.high)));
+
+    series.append('path')
+      .datum(this.data.bars)
+      .attr('class', 'close-line')
+      .attr('fill', 'none')
+      .attr('stroke', '#e5e7eb')
+      .attr('stroke-width', 1.5)
+      .attr('d', d3.line()
+        .x(d => this.xScale(d.day))
+        .y(d => this.yScale(d.close)));
+  }
+
+  /**
+   * Mark the short strikes, and the underlying at entry and exit
+   * @private
+   */
+  _renderMarkers() {
+    const markers = this.chartGroup.select('.markers');
+    markers.selectAll('*').remove();
+
+    const { context } = this.data;
+    context.shortStrikes.forEach(({ type, strike }) => {
+      const breached = context.breaches.some(breach => breach.type === type && breach.strike === strike);
+      const color = breached ? '#ef4444' : '#9ca3af';
+      const y = this.yScale(strike);
+      markers.append('line')
+        .attr('class', 'strike-line')
+        .attr('x1', 0)
+        .attr('x2', this.width)
+        .attr('y1', y)
+        .attr('y2', y)
+        .attr('stroke', color)
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '5,3');
+      markers.append('text')
+        .attr('class', 'strike-label')
+        .attr('x', this.width - 4)
+        .attr('y', y - 4)
+        .attr('text-anchor', 'end')
+        .attr('fill', color)
+        .attr('font-size', '11px')
+        .text(`Short ${type === 'PUT' ? 'put' : 'call'} $${strike}${breached ? ' (breached)' : ''}`);
+    });
+
+    [
+      { date: context.from, price: context.entryPrice, label: 'Entry', color: '#60a5fa' },
+      { date: context.to, price: context.exitPrice, label: context.open ? 'Latest' : 'Exit', color: '#f59e0b' }
+    ].forEach(({ date, price, label, color }, index) => {
+      const x = this.xScale(this._day(date));
+      const y = this.yScale(price);
+      markers.append('circle')
+        .attr('class', 'trade-point')
+        .attr('cx', x)
+        .attr('cy', y)
+        .attr('r', 5)
+        .attr('fill', color)
+        .attr('stroke', '#141b2d')
+        .attr('stroke-width', 1.5);
+      markers.append('text')
+        .attr('class', 'trade-point-label')
+        .attr('x', x)
+        .attr('y', -10 + index * 12)
+        .attr('text-anchor', 'middle')
+        .attr('fill', color)
+        .attr('font-size', '11px')
+        .text(`${label} $${price.toFixed(2)}`);
+    });
+  }
+
+  /**
+   * Show the day under the cursor
+   * @param {Event} event - Mouse event
+   * @private
+   */
+  _onHover(event) {
+    const [x] = d3.pointer(event, this.chartGroup.node());
+    const bars = this.data.bars;
+    const day = this.xScale.invert(x);
+    const index = Math.min(d3.bisector(d => d.day).center(bars, day), bars.length - 1);
+    const bar = bars[index];
+    const barX = this.xScale(bar.day);
+
+    this.hoverLine
+      .attr('x1', barX).attr('x2', barX)
+      .attr('y1', 0).attr('y2', this.height)
+      .style('visibility', 'visible');
+
+    const money = value => `$${value.toFixed(2)}`;
+    this.tooltip
+      .style('visibility', 'visible')
+      .html(`
+        <div style="color: #e5e7eb; font-weight: 600; margin-bottom: 4px;">${bar.date}</div>
+        <div style="color: #9ca3af; font-size: 11px;">
+          Open ${money(bar.open)} · High ${money(bar.high)}<br>
+          Low ${money(bar.low)} · Close <span style="color: #e5e7eb; font-weight: 600;">${money(bar.close)}</span>
+        </div>
+      `);
+
+    this._positionTooltip(event);
+  }
+
+  /**
+   * Position tooltip near cursor
+   * @param {Event} event - Mouse event
+   * @private
+   */
+  _positionTooltip(event) {
+    const tooltipRect = this.tooltip.node().getBoundingClientRect();
+    const offset = 15;
+
+    let left = event.pageX + offset;
+    let top = event.pageY + offset;
+
+    if (left + tooltipRect.width > window.innerWidth) {
+      left = event.pageX - tooltipRect.width - offset;
+    }
+
+    if (top + tooltipRect.height > window.innerHeight) {
+      top = event.pageY - tooltipRect.height - offset;
+    }
+
+    this.tooltip
+      .style('left', `${left}px`)
+      .style('top', `${top}px`);
+  }
+
+  /**
+   * Hide tooltip and hover line
+   * @private
+   */
+  _hideTooltip() {
+    this.tooltip.style('visibility', 'hidden');
+    this.hoverLine.style('visibility', 'hidden');
+  }
+
+  /**
+   * A YYYY-MM-DD date as local midnight
+   * @param {string} date - Date
+   * @returns {Date}
+   * @private
+   */
+  _day(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Show empty state when no prices cover the trade
+   * @private
+   */
+  _showEmptyState() {
+    this.chartGroup.selectAll('.grid, .hold, .series, .markers, .x-axis, .y-axis').selectAll('*').remove();
+    this.chartGroup.selectAll('.empty-state-text').remove();
+    this._hideTooltip();
+
+    const containerRect = this.container.getBoundingClientRect();
+    const width = containerRect.width - this.margin.left - this.margin.right;
+    const height = containerRect.height - this.margin.top - this.margin.bottom;
+
+    this.chartGroup.append('text')
+      .attr('class', 'empty-state-text')
+      .attr('x', width / 2)
+      .attr('y', height / 2)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#9ca3af')
+      .attr('font-size', '14px')
+      .text('No imported prices cover this trade');
+  }
+
+  /**
+   * Destroy chart and clean up
+   */
+  destroy() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    if (this.tooltip) {
+      this.tooltip.remove();
+    }
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UnderlyingPriceChart;
+}
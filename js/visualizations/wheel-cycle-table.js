@@ -0,0 +1,140 @@
+/**
+ * Wheel Cycle Table Component
+ * One row per wheel cycle: puts sold, assignment, basis adjusted for the
+ * premium collected, calls sold, exit and return
+ */
+class WheelCycleTable {
+  /**
+   * Create wheel cycle table
+   * @param {string} containerId - DOM element ID
+   * @param {Array} cycles - Cycles from AnalyticsEngine.calculateWheelCycles
+   */
+  constructor(containerId, cycles = []) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      console.error(`Container with id "${containerId}" not found`);
+      return;
+    }
+
+    this.cycles = cycles;
+    this.render();
+  }
+
+  /**
+   * Format currency value with dollar sign and 2 decimal places
+   * @param {number} value - Currency value
+   * @returns {string} Formatted currency string, or an em dash when unknown
+   */
+  formatCurrency(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return '—';
+    }
+    const sign = value >= 0 ? '' : '-';
+    const absValue = Math.abs(value);
+    return `${sign}$${absValue.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+  }
+
+  /**
+   * Format percentage value with 1 decimal place
+   * @param {number} value - Percentage value
+   * @returns {string} Formatted percentage string, or an em dash when unknown
+   */
+  formatPercentage(value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return '—';
+    }
+    return `${value.toFixed(1)}%`;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD
+   * @param {Date|string} value - Date
+   * @returns {string} Formatted date, or an em dash when missing
+   */
+  formatDate(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return '—';
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Render the table
+   */
+  render() {
+    if (this.cycles.length === 0) {
+      this.container.innerHTML = `
+        <p class="text-text-secondary text-sm py-4">
+          No wheel cycles in the current filters. A cycle starts with the first short put
+          on an underlying and runs through assignment to the shares being sold.
+        </p>
+      `;
+      return;
+    }
+
+    const rows = this.cycles.map(cycle => {
+      const returnColor = cycle.totalReturn >= 0 ? 'text-profit' : 'text-loss';
+      const exit = cycle.exitPrice !== null
+        ? `${this.formatCurrency(cycle.exitPrice)} on ${this.formatDate(cycle.Exit)}`
+        : cycle.status;
+
+      return `
+        <tr>
+          <td>${cycle.Symbol}</td>
+          <td>${this.formatDate(cycle.Entry)}</td>
+          <td class="font-mono">${cycle.putsSold} • ${this.formatCurrency(cycle.putPremium)}</td>
+          <td class="font-mono">${this.formatCurrency(cycle.assignmentPrice)}</td>
+          <td class="font-mono">${this.formatCurrency(cycle.adjustedBasis)}</td>
+          <td class="font-mono">${cycle.callsSold} • ${this.formatCurrency(cycle.callPremium)}</td>
+          <td>${exit}</td>
+          <td class="font-mono ${returnColor}">${this.formatCurrency(cycle.totalReturn)} (${this.formatPercentage(cycle.returnPct)})</td>
+          <td class="font-mono">${this.formatPercentage(cycle.annualizedPct)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div class="overflow-x-auto">
+        <table class="data-table" role="table">
+          <thead>
+            <tr>
+              <th role="columnheader">Symbol</th>
+              <th role="columnheader">Started</th>
+              <th role="columnheader">Puts Sold</th>
+              <th role="columnheader">Assigned At</th>
+              <th role="columnheader">Adjusted Basis</th>
+              <th role="columnheader">Calls Sold</th>
+              <th role="columnheader">Exit</th>
+              <th role="columnheader">Total Return</th>
+              <th role="columnheader">Annualized</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Update table with new cycles
+   * @param {Array} cycles - New cycles
+   */
+  update(cycles) {
+    this.cycles = cycles;
+    this.render();
+  }
+
+  /**
+   * Destroy the table and clean up
+   */
+  destroy() {
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WheelCycleTable;
+}
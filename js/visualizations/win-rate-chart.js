@@ -252,7 +252,8 @@ class WinRateChart {
         value: d.wins,
         amount: d.totalWinAmount,
         percentage: d.winRate,
-        totalTrades: d.totalTrades
+        totalTrades: d.totalTrades,
+        capital: d.capital
       });
       barsData.push({
         strategy: d.strategy,
@@ -260,7 +261,8 @@ class WinRateChart {
         value: d.losses,
         amount: d.totalLossAmount,
         percentage: 100 - d.winRate,
-        totalTrades: d.totalTrades
+        totalTrades: d.totalTrades,
+        capital: d.capital
       });
     });
 
@@ -358,6 +360,10 @@ class WinRateChart {
   _showTooltip(event, data) {
     const typeLabel = data.type === 'wins' ? 'Wins' : 'Losses';
     const amountColor = data.type === 'wins' ? '#10b981' : '#ef4444';
+    const capital = data.capital || {};
+    const percent = value => (value === null || value === undefined
+      ? '—'
+      : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`);
 
     this.tooltip
       .style('visibility', 'visible')
@@ -371,9 +377,16 @@ class WinRateChart {
         <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
           Percentage: <span style="color: #e5e7eb; font-weight: 600;">${data.percentage.toFixed(1)}%</span>
         </div>
-        <div style="color: #9ca3af; font-size: 11px;">
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 6px;">
           Amount: <span style="color: ${amountColor}; font-weight: 600;">${this._formatCurrency(data.amount)}</span>
         </div>
+        <div style="color: #9ca3af; font-size: 11px; margin-bottom: 2px;">
+          ${data.strategy} return on risk: <span style="color: #e5e7eb; font-weight: 600;">${percent(capital.returnOnRisk)}</span>
+          (annualized ${percent(capital.annualizedROC)})
+        </div>
+        <div style="color: #9ca3af; font-size: 11px;">
+          P/L per day held: <span style="color: #e5e7eb; font-weight: 600;">${capital.plPerDay === null || capital.plPerDay === undefined ? '—' : this._formatCurrency(capital.plPerDay)}</span>
+        </div>
       `);
 
     this._positionTooltip(event);
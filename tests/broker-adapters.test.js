@@ -0,0 +1,455 @@
+/**
+ * Broker adapters
+ * Covers detection and conversion for the brokers whose ledgers are rewritten
+ * into the TastyTrade shape and reuse its strategy inference.
+ *
+ * broker-adapters.js reaches the mapper through the TastyStrategyMapper global
+ * the browser build exposes, so the test supplies the same global.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const adapters = new Function(`
+  ${read('js/strategy-detector.js')}
+  ${read('js/tasty-strategy-mapper.js')}
+  const TastyStrategyMapper = { convertTastyWithStrategyInference };
+  ${read('js/broker-adapters.js')}
+  ${read('js/csv-parser.js')}
+  return { BrokerAdapter, RobinhoodAdapter, SchwabAdapter, IBKRAdapter, FidelityAdapter, ETradeAdapter, CSVParser };
+`)();
+
+const { BrokerAdapter, RobinhoodAdapter, SchwabAdapter, IBKRAdapter, FidelityAdapter, ETradeAdapter, CSVParser } = adapters;
+
+// ===== Robinhood =====
+
+/** One Robinhood activity row */
+function robinhood(date, instrument, description, transCode, quantity, price, amount) {
+  return {
+    'Activity Date': date,
+    Instrument: instrument,
+    Description: description,
+    'Trans Code': transCode,
+    Quantity: quantity,
+    Price: price,
+    Amount: amount
+  };
+}
+
+test('Robinhood names bought and sold options by the shared classifier', () => {
+  const trades = new RobinhoodAdapter().convert([
+    robinhood('3/1/2024', 'AMD', 'AMD 3/15/2024 Put $100.00', 'BTO', '1', '$2.00', '($200.04)'),
+    robinhood('3/1/2024', 'SPY', 'SPY 3/15/2024 Put $495.00', 'STO', '1', '$1.00', '$99.96'),
+    robinhood('3/1/2024', 'SPY', 'SPY 3/15/2024 Put $490.00', 'BTO', '1', '$0.50', '($50.04)')
+  ]);
+
+  const amd = trades.find(trade => trade.Symbol === 'AMD');
+  assert.strictEqual(amd.Strategy, 'Long Put', 'a bought put is not a short put');
+  assert.strictEqual(amd._metadata.strategyConfidence, 1);
+
+  const spread = trades.filter(trade => trade.Symbol === 'SPY');
+  assert.deepStrictEqual(spread.map(trade => trade.Strategy), ['Bull Put Spread', 'Bull Put Spread']);
+});
+
+test('Robinhood expirations close the option at zero', () => {
+  const trades = new RobinhoodAdapter().convert([
+    robinhood('4/17/2025', 'SOFI', 'Option Expiration for SOFI 4/17/2025 Put $10.50', 'OEXP', '1S', '', ''),
+    robinhood('4/10/2025', 'SOFI', 'SOFI 4/17/2025 Put $10.50', 'STO', '1', '$0.25', '$24.95')
+  ]);
+
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].Exit.getTime(), new Date('4/17/2025').getTime());
+  assert.strictEqual(trades[0].Credit, 24.95);
+  assert.strictEqual(trades[0].Debit, 0);
+  assert.deepStrictEqual(trades[0]._metadata.legs.map(leg => leg.date).sort(), ['2025-04-10T00:00:00', '2025-04-17T00:00:00']);
+});
+
+test('Robinhood assignments open share lots linked to the option', () => {
+  // Newest first, as Robinhood exports it
+  const trades = new RobinhoodAdapter().convert([
+    robinhood('5/2/2025', 'AAPL', 'Apple\nCUSIP: 037833100', 'Sell', '100', '$205.00', '$20,500.00'),
+    robinhood('5/2/2025', 'AAPL', 'Option Assignment for AAPL 5/2/2025 Call $205.00', 'OASGN', '1S', '', ''),
+    robinhood('4/25/2025', 'AAPL', 'AAPL 5/2/2025 Call $205.00', 'STO', '1', '$1.50', '$149.95'),
+    robinhood('4/17/2025', 'AAPL', 'Apple\nCUSIP: 037833100', 'Buy', '100', '$200.00', '($20,000.00)'),
+    robinhood('4/17/2025', 'AAPL', 'AAPL 4/17/2025 Put $200.00', 'OASGN', '1S', '', ''),
+    robinhood('4/10/2025', 'AAPL', 'AAPL 4/17/2025 Put $200.00', 'STO', '1', '$2.00', '$199.95')
+  ]);
+
+  const put = trades.find(trade => trade.Type === 'Put');
+  assert.ok(put.Exit, 'the assignment closes the put');
+  assert.strictEqual(put.Credit, 199.95);
+  assert.deepStrictEqual(put._metadata.settlement, { action: 'OASGN', side: 'BUY', shares: 100, price: 200 });
+
+  const call = trades.find(trade => trade.Type === 'Call');
+  assert.strictEqual(call._metadata.settlement.side, 'SELL');
+
+  const lots = trades.filter(trade => trade.Type === 'Stock');
+  assert.strictEqual(lots.length, 1);
+  assert.strictEqual(lots[0].Strategy, 'Long Stock');
+  assert.strictEqual(lots[0].Credit - lots[0].Debit, 500);
+  assert.deepStrictEqual(lots[0]._metadata.linkedOptions, [
+    { contract: 'AAPL 4/17/2025 Put $200.00', action: 'OASGN' },
+    { contract: 'AAPL 5/2/2025 Call $205.00', action: 'OASGN' }
+  ]);
+});
+
+test('Robinhood call assignment without shares opens a short lot', () => {
+  const trades = new RobinhoodAdapter().convert([
+    robinhood('5/2/2025', 'AMD', 'AMD Inc\nCUSIP: 007903107', 'Sell', '100', '$110.00', '$11,000.00'),
+    robinhood('5/2/2025', 'AMD', 'AMD 5/2/2025 Call $110.00', 'OASGN', '1S', '', ''),
+    robinhood('4/25/2025', 'AMD', 'AMD 5/2/2025 Call $110.00', 'STO', '1', '$1.00', '$99.95'),
+    robinhood('4/1/2025', 'MSFT', 'Microsoft\nCUSIP: 594918104', 'Sell', '10', '$400.00', '$4,000.00')
+  ]);
+
+  const amd = trades.find(trade => trade.Symbol === 'AMD' && trade.Type === 'Stock');
+  assert.strictEqual(amd.Strategy, 'Short Stock');
+  assert.strictEqual(amd.Exit, null);
+
+  // Shares sold with nothing to close were bought before the export began
+  const msft = trades.find(trade => trade.Symbol === 'MSFT');
+  assert.strictEqual(msft.Strategy, 'Long Stock');
+  assert.strictEqual(msft.Entry, null);
+  assert.strictEqual(msft._metadata.incompleteBasis, true);
+});
+
+// ===== Schwab =====
+
+const SCHWAB_HEADERS = ['Date', 'Action', 'Symbol', 'Description', 'Quantity', 'Price', 'Fees & Comm', 'Amount'];
+
+/** One Schwab transaction row */
+function schwab(date, action, symbol, quantity, price, fees, amount, description = '') {
+  return {
+    Date: date,
+    Action: action,
+    Symbol: symbol,
+    Description: description,
+    Quantity: quantity,
+    Price: price,
+    'Fees & Comm': fees,
+    Amount: amount
+  };
+}
+
+test('detectBroker recognizes the Schwab layout', () => {
+  assert.strictEqual(BrokerAdapter.detectBroker(SCHWAB_HEADERS, []), 'schwab');
+  assert.ok(BrokerAdapter.getAdapter('schwab') instanceof SchwabAdapter);
+});
+
+test('parseOptionSymbol reads Schwab, OCC and thinkorswim forms alike', () => {
+  const adapter = new SchwabAdapter();
+  const forms = ['SPY 03/15/2024 500.00 P', 'SPY   240315P00500000', '.SPY240315P500', 'SPY_031524P500'];
+
+  forms.forEach(form => {
+    const option = adapter.parseOptionSymbol(form);
+    assert.ok(option, form);
+    assert.strictEqual(option.root, 'SPY', form);
+    assert.strictEqual(option.type, 'PUT', form);
+    assert.strictEqual(option.strike, 500, form);
+    assert.strictEqual(option.expiry.getFullYear(), 2024, form);
+    assert.strictEqual(option.expiry.getMonth(), 2, form);
+    assert.strictEqual(option.expiry.getDate(), 15, form);
+  });
+
+  assert.strictEqual(adapter.parseOptionSymbol('AAPL'), null);
+});
+
+test('a same-day Schwab iron condor is one strategy, closed by expiration', () => {
+  // Newest first, as exported
+  const trades = new SchwabAdapter().convert([
+    schwab('03/15/2024', 'Expired', 'SPY 03/15/2024 490.00 P', '1', '', '', ''),
+    schwab('03/15/2024', 'Expired', 'SPY 03/15/2024 495.00 P', '1', '', '', ''),
+    schwab('03/15/2024', 'Expired', 'SPY 03/15/2024 520.00 C', '1', '', '', ''),
+    schwab('03/15/2024', 'Expired', 'SPY 03/15/2024 525.00 C', '1', '', '', ''),
+    schwab('03/01/2024', 'Buy to Open', 'SPY 03/15/2024 490.00 P', '1', '$0.50', '$0.66', '-$50.66'),
+    schwab('03/01/2024', 'Sell to Open', 'SPY 03/15/2024 495.00 P', '1', '$1.00', '$0.66', '$99.34'),
+    schwab('03/01/2024', 'Sell to Open', 'SPY 03/15/2024 520.00 C', '1', '$0.90', '$0.66', '$89.34'),
+    schwab('03/01/2024', 'Buy to Open', 'SPY 03/15/2024 525.00 C', '1', '$0.40', '$0.66', '-$40.66'),
+    schwab('02/28/2024', 'MoneyLink Transfer', '', '', '', '', '$1,000.00')
+  ]);
+
+  assert.strictEqual(trades.length, 1);
+  const [condor] = trades;
+
+  assert.strictEqual(condor.Strategy, 'Iron Condor');
+  assert.strictEqual(condor.Symbol, 'SPY');
+  assert.strictEqual(condor.Account, 'Schwab');
+  assert.ok(condor.Exit, 'expired position is closed');
+  assert.strictEqual(condor.Width, 5);
+  // Gross of the $2.64 in costs, which are carried separately
+  assert.strictEqual(condor.Credit, 190);
+  assert.strictEqual(condor.Debit, 90);
+  assert.strictEqual(condor.Commissions, 2.64);
+  assert.strictEqual(condor.RealizedGrossPL, 100);
+});
+
+test('an assigned Schwab short put closes the option and opens a share lot', () => {
+  const trades = new SchwabAdapter().convert([
+    schwab('03/15/2024', 'Buy', 'AMD', '100', '$100.00', '', '-$10,000.00'),
+    schwab('03/15/2024', 'Assigned', 'AMD 03/15/2024 100.00 P', '1', '', '', ''),
+    schwab('03/01/2024', 'Sell to Open', 'AMD 03/15/2024 100.00 P', '1', '$2.00', '$0.66', '$199.34')
+  ]);
+
+  const put = trades.find(trade => trade.Strategy === 'Short Put');
+  const shares = trades.find(trade => trade.Strategy === 'Long Stock');
+
+  assert.ok(put, 'short put present');
+  assert.ok(put.Exit, 'assignment closes the put');
+  assert.strictEqual(put.RealizedGrossPL, 200);
+
+  assert.ok(shares, 'share lot present');
+  assert.strictEqual(shares.Exit, null, 'shares are still held');
+  assert.strictEqual(shares.Debit, 10000);
+  assert.strictEqual(shares.Account, 'Schwab');
+});
+
+test('SPXW legs roll up under SPX', () => {
+  const trades = new SchwabAdapter().convert([
+    schwab('03/01/2024', 'Sell to Open', 'SPXW 03/01/2024 5000.00 P', '1', '$1.00', '$0.66', '$99.34'),
+    schwab('03/01/2024', 'Buy to Open', 'SPXW 03/01/2024 4990.00 P', '1', '$0.50', '$0.66', '-$50.66')
+  ]);
+
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].Symbol, 'SPX');
+  assert.strictEqual(trades[0].Strategy, 'Bull Put Spread');
+});
+
+test('Schwab "as of" rows are dated by when they took effect', () => {
+  const trades = new SchwabAdapter().convert([
+    schwab('03/18/2024 as of 03/15/2024', 'Expired', 'SPY 03/15/2024 495.00 P', '1', '', '', ''),
+    schwab('03/04/2024 as of 03/01/2024', 'Sell to Open', 'SPY 03/15/2024 495.00 P', '1', '$1.00', '$0.66', '$99.34')
+  ]);
+
+  assert.strictEqual(trades.length, 1);
+  const entry = new Date(trades[0].Entry);
+  const exit = new Date(trades[0].Exit);
+  assert.deepStrictEqual([entry.getMonth(), entry.getDate()], [2, 1]);
+  assert.deepStrictEqual([exit.getMonth(), exit.getDate()], [2, 15]);
+});
+
+// ===== Interactive Brokers =====
+
+const FLEX_HEADERS = [
+  'AssetClass', 'Symbol', 'UnderlyingSymbol', 'Strike', 'Expiry', 'Put/Call', 'Multiplier',
+  'DateTime', 'Quantity', 'TradePrice', 'Proceeds', 'IBCommission', 'Open/CloseIndicator',
+  'Notes/Codes', 'IBOrderID'
+];
+
+/** One Flex Query CSV line for an SPY option */
+function flexLine(strike, putCall, dateTime, quantity, price, proceeds, commission, openClose, codes, orderId) {
+  const occ = `SPY   240315${putCall}${String(strike * 1000).padStart(8, '0')}`;
+  return ['OPT', occ, 'SPY', strike, '20240315', putCall, '100', dateTime, quantity, price,
+    proceeds, commission, openClose, codes, orderId].join(',');
+}
+
+const FLEX_CSV = [
+  FLEX_HEADERS.join(','),
+  flexLine(490, 'P', '20240301;093512', '1', '0.5', '-50', '-0.65', 'O', '', '111'),
+  flexLine(495, 'P', '20240301;093512', '-1', '1', '100', '-0.65', 'O', '', '111'),
+  flexLine(520, 'C', '20240301;093512', '-1', '0.9', '90', '-0.65', 'O', '', '111'),
+  flexLine(525, 'C', '20240301;093512', '1', '0.4', '-40', '-0.65', 'O', '', '111'),
+  flexLine(490, 'P', '20240315;162000', '-1', '0', '0', '0', 'C', 'Ep', ''),
+  flexLine(495, 'P', '20240315;162000', '1', '0', '0', '0', 'C', 'Ep', ''),
+  flexLine(520, 'C', '20240315;162000', '1', '0', '0', '0', 'C', 'Ep', ''),
+  flexLine(525, 'C', '20240315;162000', '-1', '0', '0', '0', 'C', 'Ep', '')
+].join('\n');
+
+test('detectBroker recognizes Flex Query and Activity Statement layouts', () => {
+  assert.strictEqual(BrokerAdapter.detectBroker(FLEX_HEADERS, []), 'ibkr');
+  assert.strictEqual(
+    BrokerAdapter.detectBroker(['Statement', 'Header', 'Field Name', 'Field Value'], []),
+    'ibkr'
+  );
+  assert.ok(BrokerAdapter.getAdapter('ibkr') instanceof IBKRAdapter);
+});
+
+test('a Flex Query iron condor is one strategy, closed by expiration', () => {
+  const trades = new CSVParser().parseCSVString(FLEX_CSV);
+
+  assert.strictEqual(trades.length, 1);
+  const [condor] = trades;
+
+  assert.strictEqual(condor.Strategy, 'Iron Condor');
+  assert.strictEqual(condor.Symbol, 'SPY');
+  assert.strictEqual(condor.Account, 'IBKR');
+  assert.ok(condor.Exit, 'expired position is closed');
+  assert.strictEqual(condor.Width, 5);
+  assert.strictEqual(condor.Credit, 190);
+  assert.strictEqual(condor.Debit, 90);
+  assert.strictEqual(condor.Commissions, 2.6);
+  assert.strictEqual(condor.RealizedGrossPL, 100);
+});
+
+test('Flex Query XML carries the same trades as the CSV', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<FlexQueryResponse queryName="Trades" type="AF">
+<FlexStatements count="1">
+<FlexStatement accountId="U1234567">
+<Trades>
+<Trade assetCategory="OPT" symbol="SPY   240315P00495000" underlyingSymbol="SPY" strike="495" expiry="20240315" putCall="P" multiplier="100" dateTime="20240301;093512" quantity="-1" tradePrice="1" proceeds="100" ibCommission="-0.65" openCloseIndicator="O" notes="" ibOrderID="222" />
+<Trade assetCategory="OPT" symbol="SPY   240315P00490000" underlyingSymbol="SPY" strike="490" expiry="20240315" putCall="P" multiplier="100" dateTime="20240301;093512" quantity="1" tradePrice="0.5" proceeds="-50" ibCommission="-0.65" openCloseIndicator="O" notes="" ibOrderID="222" />
+<Trade assetCategory="OPT" symbol="SPY   240315P00495000" underlyingSymbol="SPY" strike="495" expiry="20240315" putCall="P" multiplier="100" dateTime="20240308;100000" quantity="1" tradePrice="0.2" proceeds="-20" ibCommission="-0.65" openCloseIndicator="C" notes="" ibOrderID="223" />
+<Trade assetCategory="OPT" symbol="SPY   240315P00490000" underlyingSymbol="SPY" strike="490" expiry="20240315" putCall="P" multiplier="100" dateTime="20240308;100000" quantity="-1" tradePrice="0.05" proceeds="5" ibCommission="-0.65" openCloseIndicator="C" notes="" ibOrderID="223" />
+</Trades>
+</FlexStatement>
+</FlexStatements>
+</FlexQueryResponse>`;
+
+  assert.ok(IBKRAdapter.isFlexXML(xml));
+  assert.strictEqual(IBKRAdapter.parseFlexXML(xml).length, 4);
+
+  const trades = new CSVParser().parseCSVString(xml);
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].Strategy, 'Bull Put Spread');
+  assert.strictEqual(trades[0].RealizedGrossPL, 35);
+  assert.ok(trades[0].Exit);
+});
+
+test('Activity Statement trades are read from their section only', () => {
+  const statement = [
+    'Statement,Header,Field Name,Field Value',
+    'Statement,Data,Period,"March 1, 2024 - March 31, 2024"',
+    'Trades,Header,DataDiscriminator,Asset Category,Currency,Symbol,Date/Time,Quantity,T. Price,Proceeds,Comm/Fee,Code',
+    'Trades,Data,Order,Equity and Index Options,USD,SPY 15MAR24 495 P,"2024-03-01, 09:35:12",-1,1,100,-0.65,O',
+    'Trades,Data,Order,Equity and Index Options,USD,SPY 15MAR24 490 P,"2024-03-01, 09:35:12",1,0.5,-50,-0.65,O',
+    'Trades,SubTotal,,Equity and Index Options,USD,SPY,,,,50,-1.3,',
+    'Trades,Header,DataDiscriminator,Asset Category,Currency,Symbol,Date/Time,Quantity,T. Price,Proceeds,Comm/Fee,Code',
+    'Trades,Data,Order,Stocks,USD,AAPL,"2024-03-04, 10:00:00",100,170,-17000,-1,O',
+    'Open Positions,Header,DataDiscriminator,Asset Category,Symbol,Quantity',
+    'Open Positions,Data,Summary,Stocks,AAPL,100'
+  ].join('\n');
+
+  const trades = new CSVParser().parseCSVString(statement);
+  const spread = trades.find(trade => trade.Strategy === 'Bull Put Spread');
+  const shares = trades.find(trade => trade.Strategy === 'Long Stock');
+
+  assert.strictEqual(trades.length, 2);
+  assert.ok(spread, 'legs filled together are one spread');
+  assert.strictEqual(spread.Symbol, 'SPY');
+  assert.strictEqual(spread.Exit, null);
+  assert.ok(shares, 'share lot present');
+  assert.strictEqual(shares.Debit, 17000);
+});
+
+test('a missing open/close indicator is inferred from the running position', () => {
+  const rows = new IBKRAdapter().normalizeRows([
+    { AssetClass: 'STK', Symbol: 'AMD', DateTime: '20240301', Quantity: '100', TradePrice: '100', IBCommission: '-1' },
+    { AssetClass: 'STK', Symbol: 'AMD', DateTime: '20240305', Quantity: '-100', TradePrice: '110', IBCommission: '-1' }
+  ]);
+
+  assert.deepStrictEqual(rows.map(row => row.Action), ['BUY_TO_OPEN', 'SELL_TO_CLOSE']);
+  assert.deepStrictEqual(rows.map(row => row.Value), ['-10000.00', '11000.00']);
+});
+
+// ===== Fidelity =====
+
+const FIDELITY_CSV = [
+  '',
+  'Brokerage',
+  '',
+  'Run Date,Action,Symbol,Description,Type,Quantity,Price ($),Commission ($),Fees ($),Accrued Interest ($),Amount ($),Settlement Date',
+  '03/15/2024,"YOU BOUGHT ASSIGNED PUTS AS OF 03-15-24 ADVANCED MICRO DEVICES INC (AMD) (Cash)",AMD,ADVANCED MICRO DEVICES INC,Cash,100,100,,,,-10000,03/18/2024',
+  '03/15/2024,"ASSIGNED as of Mar-15-2024 PUT (AMD) ADVANCED MICRO DEVICES MAR 15 24 $100 (100 SHS) (Cash)", -AMD240315P100,PUT (AMD) ADVANCED MICRO DEVICES MAR 15 24 $100 (100 SHS),Cash,1,,,,,,',
+  '03/01/2024,"YOU SOLD OPENING TRANSACTION PUT (AMD) ADVANCED MICRO DEVICES MAR 15 24 $100 (100 SHS) (Cash)", -AMD240315P100,PUT (AMD) ADVANCED MICRO DEVICES MAR 15 24 $100 (100 SHS),Cash,-1,2.00,0.65,0.04,,199.31,03/04/2024',
+  '02/28/2024,"ELECTRONIC FUNDS TRANSFER RECEIVED (Cash)", ,No Description,Cash,0,,,,,5000,',
+  '',
+  '"The data and information in this spreadsheet is provided to you solely for your use and is not for distribution."',
+  '"Date downloaded 03/20/2024 1:23 pm"'
+].join('\n');
+
+test('Fidelity history is read past its preamble and disclaimer rows', () => {
+  const parser = new CSVParser();
+  const lines = FIDELITY_CSV.trim().split('\n');
+
+  assert.strictEqual(BrokerAdapter.detectBroker(parser.parseCSVLine(lines[parser.findHeaderIndex(lines)]), null), 'fidelity');
+  assert.ok(BrokerAdapter.getAdapter('fidelity') instanceof FidelityAdapter);
+
+  const trades = parser.parseCSVString(FIDELITY_CSV);
+  const put = trades.find(trade => trade.Strategy === 'Short Put');
+  const shares = trades.find(trade => trade.Strategy === 'Long Stock');
+
+  assert.strictEqual(trades.length, 2);
+  assert.ok(put, 'short put present');
+  assert.strictEqual(put.Account, 'Fidelity');
+  assert.ok(put.Exit, 'assignment closes the put');
+  assert.strictEqual(put.RealizedGrossPL, 200);
+  assert.strictEqual(put.Commissions, 0.69);
+
+  assert.ok(shares, 'share lot present');
+  assert.strictEqual(shares.Exit, null);
+  assert.strictEqual(shares.Debit, 10000);
+});
+
+test('trades keep their fills and the file lines they came from', () => {
+  const trades = new CSVParser().parseCSVString(FIDELITY_CSV);
+  const put = trades.find(trade => trade.Strategy === 'Short Put');
+  const shares = trades.find(trade => trade.Strategy === 'Long Stock');
+
+  // Lines count from the top of the file, preamble and blank lines included
+  assert.deepStrictEqual(put._metadata.sourceRows, [6, 7]);
+  assert.deepStrictEqual(shares._metadata.sourceRows, [5]);
+
+  const open = put._metadata.legs.find(leg => leg.action === 'SELL_TO_OPEN');
+  assert.strictEqual(open.sourceRow, 7);
+  assert.strictEqual(open.quantity, 1);
+  assert.strictEqual(open.price, 2);
+  assert.strictEqual(open.value, 200);
+  assert.strictEqual(open.commissions, 0.69);
+  // Kept in local time, so the trade date does not shift with the time zone
+  assert.strictEqual(open.date, '2024-03-01T00:00:00');
+  assert.strictEqual(put._metadata.legs.length, 2, 'the sale and the assignment');
+});
+
+// ===== E*TRADE =====
+
+test('E*TRADE history in the older layout, preamble included', () => {
+  const csv = [
+    'For Account:,#####1234',
+    '',
+    'Download Date:,03/20/2024',
+    '',
+    'TransactionDate,TransactionType,SecurityType,Symbol,Quantity,Amount,Price,Commission,Description',
+    "03/08/24,Bought To Cover,OPTN,SPY Mar 15 '24 $495 Put,1,-20.66,0.20,0.66,PUT SPY 03/15/24 495.000",
+    "03/08/24,Sold To Close,OPTN,SPY Mar 15 '24 $490 Put,-1,4.34,0.05,0.66,PUT SPY 03/15/24 490.000",
+    "03/01/24,Sold Short,OPTN,SPY Mar 15 '24 $495 Put,-1,99.34,1.00,0.66,PUT SPY 03/15/24 495.000",
+    "03/01/24,Bought To Open,OPTN,SPY Mar 15 '24 $490 Put,1,-50.66,0.50,0.66,PUT SPY 03/15/24 490.000",
+    '02/28/24,Transfer,,,0,5000,0,0,ACH DEPOSIT',
+    '',
+    'Total:,,,,,,,,'
+  ].join('\n');
+
+  const trades = new CSVParser().parseCSVString(csv);
+
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].Strategy, 'Bull Put Spread');
+  assert.strictEqual(trades[0].Account, 'E*TRADE');
+  assert.strictEqual(trades[0].RealizedGrossPL, 35);
+  assert.strictEqual(trades[0].Commissions, 2.64);
+  assert.ok(trades[0].Exit);
+});
+
+test('E*TRADE history in the current layout reads options from Description', () => {
+  const headers = ['Activity/Trade Date', 'Transaction Date', 'Settlement Date', 'Activity Type',
+    'Description', 'Symbol', 'Cusip', 'Quantity #', 'Price $', 'Amount $', 'Commission', 'Category', 'Note'];
+  assert.strictEqual(BrokerAdapter.detectBroker(headers, null), 'etrade');
+
+  const row = (date, type, description, quantity, price, amount, commission) => {
+    const values = [date, date, date, type, description, 'SPY', '', quantity, price, amount, commission, '', ''];
+    return Object.fromEntries(headers.map((header, index) => [header, values[index]]));
+  };
+
+  const trades = new ETradeAdapter().convert([
+    row('03/15/2024', 'Option Expiration', 'PUT SPY 03/15/24 495.000', '1', '0', '0', '0'),
+    row('03/01/2024', 'Sold Short', 'PUT SPY 03/15/24 495.000', '-1', '1.00', '99.34', '0.66')
+  ]);
+
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].Strategy, 'Short Put');
+  assert.strictEqual(trades[0].Strike, 495);
+  assert.ok(trades[0].Exit, 'expiration closes the put');
+  assert.strictEqual(trades[0].RealizedGrossPL, 100);
+});
@@ -0,0 +1,115 @@
+/**
+ * Capital metrics
+ * Covers the max risk of defined-risk structures, the return a trade made on
+ * it, and the pooled returns the P/L charts can plot instead of raw P/L.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const AnalyticsEngine = new Function(
+  `${readFileSync(join(repoRoot, 'js/analytics-engine.js'), 'utf8')}\nreturn AnalyticsEngine;`
+)();
+
+const engine = new AnalyticsEngine();
+
+/** An enriched trade held from March 1 to March 11, 2024 */
+function trade(strategy, credit, debit, overrides = {}) {
+  return engine.enrichTrade({
+    Symbol: 'SPY',
+    Strategy: strategy,
+    Volume: 1,
+    Entry: '2024-03-01T10:00:00',
+    Exit: '2024-03-11T10:00:00',
+    Credit: credit,
+    Debit: debit,
+    ...overrides
+  });
+}
+
+/** Opening legs as the adapters keep them; value is signed like the ledger */
+const legs = (...values) => ({
+  _metadata: { legs: values.map(([action, value]) => ({ action, value })) }
+});
+
+test('a $5-wide and a $50-wide condor risk the width less the net credit', () => {
+  const narrow = trade('Iron Condor', 150, 50, {
+    Width: 5,
+    ...legs(['SELL_TO_OPEN', 180], ['BUY_TO_OPEN', -60], ['SELL_TO_OPEN', 150], ['BUY_TO_OPEN', -120])
+  });
+  const wide = trade('Iron Condor', 150, 50, { Width: 50, OpenCredit: 150 });
+
+  assert.strictEqual(narrow.MaxRisk, 350);
+  assert.strictEqual(wide.MaxRisk, 4850);
+  assert.strictEqual(narrow.ProfitLoss, wide.ProfitLoss);
+  assert.ok(Math.abs(narrow.ReturnOnRisk - 100 / 350 * 100) < 1e-9);
+  assert.ok(Math.abs(narrow.AnnualizedROC - narrow.ReturnOnRisk * 365 / 10) < 1e-9);
+  assert.strictEqual(narrow.PLPerDay, 10);
+});
+
+test('puts risk the strike less the credit and long premium risks the debit', () => {
+  assert.strictEqual(trade('Short Put', 120, 20, { Strike: 50, Volume: 2 }).MaxRisk, 9880);
+  assert.strictEqual(trade('Cash Secured Put', 120, 20, { Strike: 50, Volume: 2 }).MaxRisk, 9880);
+  assert.strictEqual(trade('Long Call', 300, 200).MaxRisk, 200);
+  assert.strictEqual(trade('Bull Call Spread', 400, 0, { Width: 5, ...legs(['BTO', -250], ['STO', 90]) }).MaxRisk, 160);
+});
+
+test('a debit is the risk only when it was paid for the whole structure', () => {
+  // Robinhood books each leg of a spread as its own trade, named after the spread
+  const leg = (action, value, strike) => ({
+    Strike: strike,
+    _metadata: { legs: [{ action, value, symbol: 'SPY', type: 'PUT', strike, expiry: '2024-03-15' }] }
+  });
+  assert.strictEqual(trade('Bull Put Spread', 0, 50, leg('BTO', -50, 490)).MaxRisk, null);
+  assert.strictEqual(trade('Bull Put Spread', 100, 0, leg('STO', 100, 495)).MaxRisk, null);
+  assert.strictEqual(trade('Bull Call Spread', 0, 160).MaxRisk, null, 'no width and no legs');
+
+  const calendar = {
+    _metadata: {
+      legs: [
+        { action: 'BUY_TO_OPEN', value: -300, symbol: 'SPY', type: 'CALL', strike: 500, expiry: '2024-04-19' },
+        { action: 'SELL_TO_OPEN', value: 180, symbol: 'SPY', type: 'CALL', strike: 500, expiry: '2024-03-15' }
+      ]
+    }
+  };
+  assert.strictEqual(trade('Calendar Spread', 180, 300, calendar).MaxRisk, 120);
+});
+
+test('undefined risk and share lots have no max risk', () => {
+  for (const strategy of ['Short Call', 'Strangle', 'Covered Call', 'Long Stock', 'Call Ratio Spread']) {
+    const record = trade(strategy, 200, 50, { Strike: 100 });
+    assert.strictEqual(record.MaxRisk, null, strategy);
+    assert.strictEqual(record.ReturnOnRisk, null, strategy);
+    assert.strictEqual(record.PLPerDay, 15, 'P/L per day needs no risk');
+  }
+
+  const open = trade('Short Put', 120, 0, { Strike: 50, Exit: null });
+  assert.strictEqual(open.MaxRisk, 4880, 'an open position still ties up capital');
+  assert.strictEqual(open.ReturnOnRisk, null);
+});
+
+test('group returns are pooled over capital and days, not averaged', () => {
+  const trades = [
+    trade('Bull Put Spread', 100, 0, { Width: 5, OpenCredit: 100 }), // risks 400 for 10 days
+    trade('Bull Put Spread', 100, 500, {
+      Width: 10, OpenCredit: 100, Exit: '2024-03-01T15:00:00' // risks 900, same day
+    }),
+    trade('Short Call', 100, 0, { Strike: 100 })
+  ];
+
+  const capital = engine.calculateCapitalMetrics(trades);
+  assert.strictEqual(capital.capitalAtRisk, 1300);
+  assert.strictEqual(capital.riskTradeCount, 2);
+  assert.strictEqual(capital.returnOnRisk, (-300 / 1300) * 100);
+  assert.strictEqual(capital.annualizedROC, (-300 / (400 * 10 + 900 * 1)) * 365 * 100);
+  assert.strictEqual(capital.plPerDay, -200 / 21);
+
+  const spreads = engine.calculatePLBreakdown(trades, ['Strategy'])
+    .find(row => row.dimensions.Strategy === 'Bull Put Spread');
+  assert.strictEqual(spreads.capital.returnOnRisk, capital.returnOnRisk);
+  assert.strictEqual(spreads.capital.plPerDay, -300 / 11);
+  assert.strictEqual(engine.calculateWinRateByStrategy(trades).find(row => row.strategy === 'Short Call').capital.returnOnRisk, null);
+});
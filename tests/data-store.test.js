@@ -0,0 +1,348 @@
+/**
+ * DataStore
+ * Covers appending an import to the stored book (repeats from overlapping
+ * export windows are dropped, and a repeat that carries the close replaces the
+ * copy stored while the trade was still open), schema migrations, the move
+ * of localStorage books into IndexedDB on first load, and the price history,
+ * IV history and Greeks settings kept between sessions.
+ *
+ * Storage globals are passed in so each test gets its own (storage-stubs.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { loadDataStore, memoryStorage, memoryIndexedDB } from './storage-stubs.js';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const DataStore = loadDataStore(memoryStorage(), undefined);
+const DashboardController = new Function(`${read('js/dashboard-controller.js')}\nreturn DashboardController;`)();
+const AnalyticsEngine = new Function(`${read('js/analytics-engine.js')}\nreturn AnalyticsEngine;`)();
+
+function trade(overrides = {}) {
+  return {
+    Symbol: 'SPY',
+    Type: 'Put',
+    Strategy: 'Bull Put Spread',
+    Strike: 495,
+    Expiry: '2024-03-15T00:00:00',
+    Volume: 1,
+    Entry: '2024-03-01T09:35:12',
+    Exit: null,
+    Credit: 100,
+    Debit: 50,
+    Account: 'TastyTrade',
+    _metadata: { strategyGroupId: '111', strikes: [490, 495] },
+    ...overrides
+  };
+}
+
+test('trades repeated by an overlapping export are skipped', () => {
+  const store = new DataStore();
+  const existing = [trade(), trade({ _metadata: { strategyGroupId: '222', strikes: [500] }, Strike: 500 })];
+  const incoming = [trade(), trade({ Symbol: 'QQQ', _metadata: { strategyGroupId: '333', strikes: [400] } })];
+
+  const merged = store.mergeTrades(existing, incoming);
+
+  assert.strictEqual(merged.trades.length, 3);
+  assert.strictEqual(merged.added, 1);
+  assert.strictEqual(merged.duplicates, 1);
+  assert.strictEqual(merged.updated, 0);
+});
+
+test('overlapping exports under different file names are not duplicated', () => {
+  const store = new DataStore();
+  // Generic CSVs without an Account column; the October file repeats the
+  // late September trade
+  const imported = (trades, file) => trades.map(entry => ({
+    ...entry,
+    Account: DashboardController.prototype.resolveAccountName({ Account: 'Default' }, ''),
+    _metadata: { ...entry._metadata, source: { file, broker: 'generic' } }
+  }));
+  const september = imported([trade(), trade({ Symbol: 'QQQ' })], 'robinhood_2026-09.csv');
+  const october = imported([trade({ Symbol: 'QQQ' }), trade({ Symbol: 'IWM' })], 'robinhood_2026-10.csv');
+
+  const merged = store.mergeTrades(store.mergeTrades([], september).trades, october);
+
+  assert.deepStrictEqual(merged.trades.map(entry => entry.Symbol), ['SPY', 'QQQ', 'IWM']);
+  assert.strictEqual(merged.duplicates, 1);
+});
+
+test('identical fills in one import are all kept', () => {
+  const store = new DataStore();
+
+  const fresh = store.mergeTrades([], [trade(), trade()]);
+  assert.strictEqual(fresh.trades.length, 2);
+  assert.strictEqual(fresh.added, 2);
+  assert.strictEqual(fresh.duplicates, 0);
+
+  // Re-importing the same file matches each copy once
+  const repeated = store.mergeTrades(fresh.trades, [trade(), trade(), trade()]);
+  assert.strictEqual(repeated.trades.length, 3);
+  assert.strictEqual(repeated.added, 1);
+  assert.strictEqual(repeated.duplicates, 2);
+});
+
+test('the same trade in two accounts is not a duplicate', () => {
+  const store = new DataStore();
+
+  const merged = store.mergeTrades([trade({ Account: 'IRA' })], [trade({ Account: 'Margin' })]);
+
+  assert.strictEqual(merged.trades.length, 2);
+  assert.strictEqual(merged.added, 1);
+  assert.strictEqual(merged.duplicates, 0);
+});
+
+test('a repeat that records the close replaces the open copy', () => {
+  const store = new DataStore();
+  const closed = trade({ Exit: '2024-03-08T10:00:00', Debit: 70 });
+
+  const merged = store.mergeTrades([trade()], [closed]);
+
+  assert.strictEqual(merged.trades.length, 1);
+  assert.strictEqual(merged.updated, 1);
+  assert.strictEqual(merged.trades[0].Debit, 70);
+
+  // An older export that still shows the trade open does not undo the close
+  const reverted = store.mergeTrades(merged.trades, [trade()]);
+  assert.strictEqual(reverted.trades[0].Debit, 70);
+  assert.strictEqual(reverted.duplicates, 1);
+});
+
+test('the key survives the Date round trip through storage', () => {
+  const store = new DataStore();
+  const stored = { ...trade(), Entry: new Date('2024-03-01T09:35:12'), Expiry: new Date('2024-03-15T00:00:00') };
+
+  assert.strictEqual(store.tradeKey(stored), store.tradeKey(trade()));
+  assert.notStrictEqual(store.tradeKey(trade({ Entry: '2024-03-02T09:35:12' })), store.tradeKey(trade()));
+});
+
+test('the account filter scopes trades to one account', () => {
+  const engine = new AnalyticsEngine();
+  const trades = [trade(), trade({ Account: 'Robinhood IRA' }), trade({ Account: 'Robinhood IRA' })];
+
+  assert.deepStrictEqual(engine.getAccounts(trades), ['Robinhood IRA', 'TastyTrade']);
+  assert.strictEqual(engine.filterByAccount(trades, 'Robinhood IRA').length, 2);
+  assert.strictEqual(engine.filterByAccount(trades, 'all').length, 3);
+  assert.strictEqual(engine.filterByAccount(trades, undefined).length, 3);
+});
+
+/** A record as saved before the schema was versioned */
+function legacyRecord(overrides = {}) {
+  const record = {
+    ...trade({ Exit: '2024-03-08T10:00:00', Credit: 100, Debit: 20, Commissions: 2, Fees: 0.5 }),
+    ...overrides
+  };
+  delete record.RealizedPL;
+  delete record.RealizedGrossPL;
+  delete record.Width;
+  return record;
+}
+
+test('migrations fill in realized P/L, width and the incomplete-basis flag', () => {
+  const store = new DataStore();
+  const [spread, strangle, open] = store.migrateTrades([
+    legacyRecord(),
+    legacyRecord({ Strategy: 'Short Strangle', _metadata: { strikes: [480, 520] } }),
+    legacyRecord({ Exit: null })
+  ], 1);
+
+  assert.strictEqual(spread.RealizedGrossPL, 80);
+  assert.strictEqual(spread.RealizedPL, 77.5);
+  assert.strictEqual(spread.Width, 5);
+  assert.strictEqual(spread._metadata.incompleteBasis, false);
+
+  assert.strictEqual(strangle.Width, null, 'a strangle has no width');
+  assert.strictEqual(open.RealizedPL, 0);
+
+  // Current records pass through untouched
+  const current = trade({ RealizedPL: 1, Width: 10, _metadata: { incompleteBasis: true } });
+  assert.deepStrictEqual(store.migrateTrades([current], 1)[0], current);
+});
+
+test('a localStorage book moves to IndexedDB on first load', async () => {
+  const localStorage = memoryStorage({
+    options_trading_journal_trades: JSON.stringify([legacyRecord()])
+  });
+  const indexedDB = memoryIndexedDB();
+  const Store = loadDataStore(localStorage, indexedDB);
+
+  const first = new Store();
+  await first.init();
+
+  assert.strictEqual(first.loadTrades().length, 1);
+  assert.strictEqual(first.loadTrades()[0].Width, 5);
+  assert.ok(first.loadTrades()[0].Entry instanceof Date);
+  assert.strictEqual(localStorage.getItem('options_trading_journal_trades'), null);
+
+  first.saveTrades([...first.loadTrades(), trade({ Symbol: 'QQQ' })]);
+  await first.flush();
+
+  const second = new Store();
+  await second.init();
+  assert.deepStrictEqual(second.loadTrades().map(t => t.Symbol), ['SPY', 'QQQ']);
+  assert.strictEqual(second.loadTrades()[1]._recordId, undefined);
+});
+
+test('an append writes only the trades it added or updated', async () => {
+  const Store = loadDataStore(memoryStorage(), memoryIndexedDB());
+  const store = new Store();
+  await store.init();
+  store.saveTrades([trade(), trade({ Symbol: 'QQQ' })]);
+  await store.flush();
+
+  const writes = [];
+  const transaction = store.db.transaction.bind(store.db);
+  store.db.transaction = (...args) => {
+    const opened = transaction(...args);
+    const objectStore = opened.objectStore.bind(opened);
+    opened.objectStore = name => {
+      const target = objectStore(name);
+      return {
+        ...target,
+        clear: () => writes.push('clear') && target.clear(),
+        put: value => writes.push(value.Symbol) && target.put(value)
+      };
+    };
+    return opened;
+  };
+
+  const merged = store.appendTrades([
+    trade({ Symbol: 'QQQ', Exit: '2024-03-08T15:00:00' }),
+    trade({ Symbol: 'IWM' }),
+    trade()
+  ]);
+  await store.flush();
+
+  assert.deepStrictEqual(merged.changed, [1, 2]);
+  assert.deepStrictEqual(writes, ['QQQ', 'IWM']);
+
+  const reloaded = new Store();
+  await reloaded.init();
+  assert.deepStrictEqual(reloaded.loadTrades().map(t => [t.Symbol, Boolean(t.Exit)]),
+    [['SPY', false], ['QQQ', true], ['IWM', false]]);
+});
+
+test('without IndexedDB trades stay in localStorage, migrated on load', async () => {
+  const localStorage = memoryStorage({
+    options_trading_journal_trades: JSON.stringify([legacyRecord()])
+  });
+  const Store = loadDataStore(localStorage, undefined);
+
+  const store = new Store();
+  await store.init();
+
+  assert.strictEqual(store.loadTrades()[0].RealizedPL, 77.5);
+
+  store.saveTrades(store.loadTrades());
+  assert.strictEqual(localStorage.getItem('options_trading_journal_schema_version'), '4');
+});
+
+// ===== Between sessions =====
+
+/** A daily bar closing at the given price */
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close });
+
+test('price history is merged by date and kept between sessions without IndexedDB', () => {
+  const Store = loadDataStore(memoryStorage(), undefined);
+  const store = new Store();
+  let emitted = 0;
+  store.on('pricesChanged', () => { emitted++; });
+
+  store.setPriceHistory({ SPY: [bar('2026-03-02', 500), bar('2026-03-03', 502)] });
+  store.setPriceHistory({ spy: [bar('2026-03-03', 503), bar('2026-03-04', 488)], QQQ: [bar('2026-03-02', 430)] });
+  const kept = new Store().getPriceHistory();
+  assert.deepStrictEqual(kept.SPY.map(day => [day.date, day.close]),
+    [['2026-03-02', 500], ['2026-03-03', 503], ['2026-03-04', 488]], 'the newer bar for a date wins');
+
+  store.removePriceHistory('QQQ');
+  assert.deepStrictEqual(Object.keys(new Store().getPriceHistory()), ['SPY']);
+  store.removePriceHistory();
+  assert.deepStrictEqual(new Store().getPriceHistory(), {});
+  assert.strictEqual(emitted, 4);
+});
+
+test('price history lives in IndexedDB, one record per symbol, moved from localStorage', async () => {
+  const localStorage = memoryStorage({
+    options_trading_journal_prices: JSON.stringify({ SPY: [['2026-03-02', 500, 500, 500, 500]] })
+  });
+  const indexedDB = memoryIndexedDB();
+  const Store = loadDataStore(localStorage, indexedDB);
+
+  const first = new Store();
+  await first.init();
+  assert.deepStrictEqual(first.getPriceHistory().SPY, [bar('2026-03-02', 500)]);
+  assert.strictEqual(localStorage.getItem('options_trading_journal_prices'), null);
+
+  first.setPriceHistory({ QQQ: [bar('2026-03-02', 430)] });
+  first.setPriceHistory({ SPY: [bar('2026-03-03', 502)] });
+  first.removePriceHistory('QQQ');
+  await first.flush();
+
+  const second = new Store();
+  await second.init();
+  assert.deepStrictEqual(Object.keys(second.getPriceHistory()), ['SPY']);
+  assert.deepStrictEqual(second.getPriceHistory().SPY.map(day => day.close), [500, 502]);
+  assert.strictEqual(localStorage.getItem('options_trading_journal_prices'), null, 'nothing written back');
+
+  second.removePriceHistory();
+  await second.flush();
+  const third = new Store();
+  await third.init();
+  assert.deepStrictEqual(third.getPriceHistory(), {});
+});
+
+test('IV history is merged by date and kept between sessions without IndexedDB', () => {
+  const Store = loadDataStore(memoryStorage(), undefined);
+  const store = new Store();
+  let emitted = 0;
+  store.on('ivHistoryChanged', () => { emitted++; });
+
+  store.setIVHistory({ SPY: [{ date: '2026-03-02', iv: 0.18 }, { date: '2026-03-03', iv: 0.2 }] });
+  store.setIVHistory({ spy: [{ date: '2026-03-03', iv: 0.5 }, { date: '2026-03-04', iv: 0.22 }] });
+  const kept = new Store().getIVHistory();
+  assert.deepStrictEqual(kept.SPY.map(reading => reading.iv), [0.18, 0.5, 0.22], 'the newer reading for a date wins');
+
+  store.removeIVHistory('SPY');
+  assert.deepStrictEqual(new Store().getIVHistory(), {});
+  assert.strictEqual(emitted, 3);
+});
+
+test('IV history lives in IndexedDB, one record per symbol, moved from localStorage', async () => {
+  const localStorage = memoryStorage({
+    options_trading_journal_iv_history: JSON.stringify({ SPY: [['2026-03-02', 0.18]] })
+  });
+  const Store = loadDataStore(localStorage, memoryIndexedDB());
+
+  const first = new Store();
+  await first.init();
+  assert.deepStrictEqual(first.getIVHistory(), { SPY: [{ date: '2026-03-02', iv: 0.18 }] });
+  assert.strictEqual(localStorage.getItem('options_trading_journal_iv_history'), null);
+
+  first.setIVHistory({ QQQ: [{ date: '2026-03-02', iv: 0.22 }], SPY: [{ date: '2026-03-03', iv: 0.2 }] });
+  first.removeIVHistory('QQQ');
+  await first.flush();
+
+  const second = new Store();
+  await second.init();
+  assert.deepStrictEqual(Object.keys(second.getIVHistory()), ['SPY']);
+  assert.deepStrictEqual(second.getIVHistory().SPY.map(reading => reading.iv), [0.18, 0.2]);
+});
+
+test('benchmark and betas are kept between sessions', () => {
+  const Store = loadDataStore(memoryStorage(), undefined);
+  const store = new Store();
+  assert.deepStrictEqual(store.getGreeksSettings(), { benchmark: 'SPY', betas: {} });
+
+  let emitted = null;
+  store.on('greeksSettingsChanged', settings => { emitted = settings; });
+  store.setGreeksSettings({ benchmark: ' qqq ', betas: { SPY: '0.8', IWM: 1.3 } });
+  assert.deepStrictEqual(new Store().getGreeksSettings(), { benchmark: 'QQQ', betas: { SPY: 0.8, IWM: 1.3 } });
+  assert.deepStrictEqual(emitted.betas, { SPY: 0.8, IWM: 1.3 });
+
+  store.setGreeksSettings({ betas: { SPY: '' } });
+  assert.deepStrictEqual(store.getGreeksSettings(), { benchmark: 'QQQ', betas: { IWM: 1.3 } });
+});
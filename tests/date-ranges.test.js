@@ -0,0 +1,94 @@
+/**
+ * Date ranges
+ * Covers the window each date range resolves to, custom and open-ended
+ * ranges, the previous period a range is compared against, and the deltas
+ * and month alignment the comparison is drawn with.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const AnalyticsEngine = new Function(
+  `${readFileSync(join(repoRoot, 'js/analytics-engine.js'), 'utf8')}\nreturn AnalyticsEngine;`
+)();
+
+const engine = new AnalyticsEngine();
+const NOW = new Date(2026, 4, 31, 14, 0); // May 31, 2026
+
+const label = window => engine.describeDateWindow(window);
+
+test('calendar presets resolve to whole days ending today', () => {
+  assert.strictEqual(label(engine.resolveDateRange('qtd', NOW)), '2026-04-01 to 2026-05-31');
+  assert.strictEqual(label(engine.resolveDateRange('ytd', NOW)), '2026-01-01 to 2026-05-31');
+  assert.strictEqual(label(engine.resolveDateRange('prioryear', NOW)), '2025-01-01 to 2025-12-31');
+  assert.strictEqual(engine.resolveDateRange({ type: 'alltime' }, NOW), null);
+});
+
+test('a custom range covers both end days and may be open at the start', () => {
+  const range = { type: 'custom', startDate: new Date(2026, 1, 1), endDate: new Date(2026, 1, 28) };
+  const window = engine.resolveDateRange(range, NOW);
+  assert.strictEqual(label(window), '2026-02-01 to 2026-02-28');
+
+  const trades = [
+    { Entry: '2026-01-20T10:00:00', Exit: '2026-02-28T15:30:00' },
+    { Entry: '2026-02-27T10:00:00', Exit: '2026-03-01T09:31:00' },
+    { Entry: '2026-02-03T10:00:00', Exit: null }
+  ];
+  assert.deepStrictEqual(engine.filterByDateRange(trades, range), [trades[0], trades[2]]);
+
+  const openStart = engine.resolveDateRange({ type: 'custom', startDate: null, endDate: new Date(2026, 1, 28) }, NOW);
+  assert.strictEqual(label(openStart), 'Through 2026-02-28');
+  assert.strictEqual(engine.previousDateRange({ type: 'custom', endDate: new Date(2026, 1, 28) }, NOW), null);
+
+  assert.strictEqual(engine.resolveDateRange({ type: 'custom' }, NOW), null, 'no ends is all time');
+});
+
+test('the previous period steps back a year, a quarter, or the same number of days', () => {
+  assert.strictEqual(label(engine.previousDateRange('ytd', NOW)), '2025-01-01 to 2025-05-31');
+  assert.strictEqual(label(engine.previousDateRange('prioryear', NOW)), '2024-01-01 to 2024-12-31');
+  assert.strictEqual(label(engine.previousDateRange('qtd', NOW)), '2026-01-01 to 2026-02-28', 'May 31 clamps to Feb 28');
+
+  const custom = { type: 'custom', startDate: new Date(2026, 2, 1), endDate: new Date(2026, 2, 10) };
+  assert.strictEqual(label(engine.previousDateRange(custom, NOW)), '2026-02-19 to 2026-02-28');
+
+  assert.strictEqual(engine.previousDateRange('alltime', NOW), null);
+});
+
+test('month to date compares with the same days of last month', () => {
+  assert.strictEqual(label(engine.resolveDateRange('mtd', NOW)), '2026-05-01 to 2026-05-31');
+  assert.strictEqual(label(engine.previousDateRange('mtd', NOW)), '2026-04-01 to 2026-04-30');
+});
+
+test('comparison deltas are the current figures less the previous ones', () => {
+  const deltas = engine.calculateComparisonDeltas(
+    { totalTrades: 12, winRate: 75, totalPL: 900, realizedPL: 1200, averageWin: 150 },
+    { totalTrades: 10, winRate: 60, totalPL: 700, realizedPL: 800, averageWin: 160 }
+  );
+
+  assert.deepStrictEqual(deltas, { totalTrades: 2, winRate: 15, realizedPL: 400, realizedPLPct: 50, averageWin: -10 });
+  assert.strictEqual(
+    engine.calculateComparisonDeltas({ totalTrades: 1, winRate: 0, realizedPL: 50, averageWin: 0 },
+      { totalTrades: 0, winRate: 0, realizedPL: 0, averageWin: 0 }).realizedPLPct,
+    null
+  );
+});
+
+test('a previous year overlays the months of this one', () => {
+  const previous = engine.resolveDateRange('prioryear', NOW);
+  const current = engine.resolveDateRange('ytd', NOW);
+  const monthly = engine.calculateMonthlyPL([
+    { Result: 'Win', Exit: '2025-02-14T15:00:00', ProfitLoss: 100 },
+    { Result: 'Loss', Exit: '2025-12-19T15:00:00', ProfitLoss: -40 }
+  ]);
+
+  const aligned = engine.alignMonthlyPL(monthly, previous, current);
+
+  assert.deepStrictEqual(aligned.map(item => [item.month, item.alignedMonth, item.alignedLabel]), [
+    ['2025-02', '2026-02', 'Feb 2026'],
+    ['2025-12', '2026-12', 'Dec 2026']
+  ]);
+  assert.strictEqual(aligned[1].cumulativePL, 60);
+});
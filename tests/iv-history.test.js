@@ -0,0 +1,114 @@
+/**
+ * Implied Volatility History
+ * Covers reading IV files, the IV, IV rank and IV percentile enrichTrade
+ * attaches at entry, and the split of trades by IV rank bucket.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const { CSVParser, ParseError } = new Function(`
+  ${read('js/strategy-detector.js')}
+  ${read('js/tasty-strategy-mapper.js')}
+  const TastyStrategyMapper = { convertTastyWithStrategyInference };
+  ${read('js/broker-adapters.js')}
+  ${read('js/csv-parser.js')}
+  return { CSVParser, ParseError };
+`)();
+const AnalyticsEngine = new Function(`${read('js/analytics-engine.js')}\nreturn AnalyticsEngine;`)();
+const RA = new Function(`${read('js/research-analytics.js')}\nreturn ResearchAnalytics;`)();
+
+/**
+ * Thirty daily SPY readings, 02-01 to 03-02: IV climbs from 10% to 29% over
+ * the first twenty days, then sits at 20% for the last ten.
+ */
+const day = offset => {
+  const date = new Date(2026, 1, 1 + offset);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+const IV_CSV = ['Date,IV'].concat(
+  Array.from({ length: 30 }, (_, i) => `${day(i)},${i < 20 ? 10 + i : 20}%`)
+).join('\n');
+
+const history = new CSVParser().parseIVHistoryString(IV_CSV, 'SPY');
+
+const engine = new AnalyticsEngine();
+engine.setIVHistory(history);
+
+/** A closed SPY trade opened on a given day */
+const opened = (entry, overrides = {}) => engine.enrichTrade({
+  Symbol: 'SPY',
+  Strategy: 'Short Put',
+  Volume: 1,
+  Entry: `${entry}T10:00:00`,
+  Exit: `${entry}T15:00:00`,
+  Expiry: '2026-03-20',
+  Credit: 100,
+  Debit: 0,
+  ...overrides
+});
+
+test('IV files are read as percentages or fractions, one reading per day', () => {
+  assert.strictEqual(history.SPY.length, 30);
+  assert.deepStrictEqual(history.SPY[0], { date: '2026-02-01', iv: 0.1 });
+  assert.deepStrictEqual(history.SPY[29], { date: '2026-03-02', iv: 0.2 });
+
+  const fractions = new CSVParser().parseIVHistoryString(
+    'Ticker,Date,Implied Volatility\nqqq,2026-03-02,0.24\nqqq,2026-03-02,0.25\niwm,03/02/2026,0.31\n'
+  );
+  assert.deepStrictEqual(fractions, {
+    QQQ: [{ date: '2026-03-02', iv: 0.25 }],
+    IWM: [{ date: '2026-03-02', iv: 0.31 }]
+  });
+
+  assert.throws(() => new CSVParser().parseIVHistoryString('Date,IV\n2026-03-02,18'), /Name the file after it/);
+  assert.throws(() => new CSVParser().parseIVHistoryString('Date,Vol\n2026-03-02,18', 'SPY'), ParseError);
+});
+
+test('enrichTrade ranks the IV at entry within the year before', () => {
+  const ranked = opened('2026-03-02');
+  assert.strictEqual(ranked.IVAtEntry, 0.2);
+  assert.strictEqual(ranked.IVRank, 52.6, '(20 - 10) / (29 - 10)');
+  assert.strictEqual(ranked.IVPercentile, 33.3, 'ten of thirty readings below 20%');
+
+  const weekend = opened('2026-03-05');
+  assert.deepStrictEqual([weekend.IVAtEntry, weekend.IVRank], [0.2, 52.6], 'reads the last reading before');
+
+  const peak = opened('2026-02-20');
+  assert.deepStrictEqual([peak.IVRank, peak.IVPercentile], [100, 95], 'top of twenty readings');
+
+  const early = opened('2026-02-10');
+  assert.deepStrictEqual([early.IVAtEntry, early.IVRank, early.IVPercentile], [0.19, null, null], 'ten readings are too few to rank');
+
+  const stale = opened('2026-03-09');
+  assert.deepStrictEqual([stale.IVAtEntry, stale.IVRank, stale.IVPercentile], [null, null, null], 'a week past the last reading');
+
+  const other = opened('2026-03-02', { Symbol: 'QQQ' });
+  assert.deepStrictEqual([other.IVAtEntry, other.IVRank], [null, null]);
+  assert.strictEqual(new AnalyticsEngine().enrichTrade({ ...ranked }).IVRank, null, 'no history given');
+
+  assert.deepStrictEqual(engine.calculateScatterData([ranked, early]).map(point => point.ivRank), [52.6, null]);
+});
+
+test('trades split by IV rank bucket', () => {
+  const trades = [
+    { IVRank: 10, ProfitLoss: 100 },
+    { IVRank: 24.9, ProfitLoss: -300 },
+    { IVRank: 50, ProfitLoss: 80 },
+    { IVRank: 75, ProfitLoss: 120 },
+    { IVRank: 100, ProfitLoss: -40 },
+    { IVRank: null, ProfitLoss: 500 }
+  ];
+
+  const buckets = RA.ivRankStats(trades);
+  assert.deepStrictEqual(Object.keys(buckets), ['0-25', '50-75', '75-100']);
+  assert.deepStrictEqual([buckets['0-25'].n, buckets['0-25'].net, buckets['0-25'].winRate], [2, -200, 50]);
+  assert.deepStrictEqual([buckets['50-75'].n, buckets['50-75'].net], [1, 80]);
+  assert.deepStrictEqual([buckets['75-100'].n, buckets['75-100'].net, buckets['75-100'].winRate], [2, 80, 50]);
+  assert.deepStrictEqual(RA.ivRankStats([{ IVRank: null, ProfitLoss: 10 }]), {});
+});
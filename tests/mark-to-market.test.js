@@ -0,0 +1,147 @@
+/**
+ * Mark to market
+ * Covers reading a quotes list, the keys quotes and typed marks are stored
+ * under, and valuing open positions at them: unrealized P/L, total P/L and
+ * the share of max profit captured.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { loadDataStore, memoryStorage } from './storage-stubs.js';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const AnalyticsEngine = new Function(`${read('js/analytics-engine.js')}\nreturn AnalyticsEngine;`)();
+const { CSVParser, ParseError } = new Function(`${read('js/csv-parser.js')}\nreturn { CSVParser, ParseError };`)();
+const DataStore = loadDataStore(memoryStorage(), undefined);
+
+const engine = new AnalyticsEngine();
+
+/** A leg as the adapters keep it */
+const leg = (action, type, strike, value, quantity = 1) =>
+  ({ action, type, strike, expiry: '2026-04-17', quantity, value });
+
+/** An open SPY 480/475 bull put spread opened for $150, from its legs */
+const putSpread = (extraLegs = [], overrides = {}) => engine.enrichTrade({
+  Symbol: 'SPY',
+  Strategy: 'Bull Put Spread',
+  Volume: 1,
+  Entry: '2026-03-02T10:00:00',
+  Exit: null,
+  Expiry: '2026-04-17',
+  Width: 5,
+  Credit: 300,
+  Debit: 150,
+  _metadata: { legs: [leg('SELL_TO_OPEN', 'PUT', 480, 300), leg('BUY_TO_OPEN', 'PUT', 475, -150), ...extraLegs] },
+  ...overrides
+});
+
+const at = (mark, updatedAt = '2026-03-16T15:00:00.000Z') => ({ mark, updatedAt });
+
+test('quotes list with or without a header', () => {
+  const parser = new CSVParser();
+
+  assert.deepStrictEqual(
+    parser.parseQuotesString('SPY   260417P00480000, 1.20\n\nSPY,512.40\nnot a quote\n').map(quote => [quote.symbol, quote.mark]),
+    [['SPY   260417P00480000', 1.2], ['SPY', 512.4]]
+  );
+  assert.deepStrictEqual(
+    parser.parseQuotesString('Last,Contract\n"$3.05",QQQ260417C00450000').map(quote => [quote.symbol, quote.mark]),
+    [['QQQ260417C00450000', 3.05]]
+  );
+  assert.throws(() => parser.parseQuotesString('Symbol,Mark\n'), ParseError);
+});
+
+test('OCC symbols key to the contract the legs describe', () => {
+  assert.strictEqual(engine.instrumentKey('SPY   260417P00480000'), 'SPY|2026-04-17|P|480');
+  assert.strictEqual(engine.instrumentKey('.spy260417p00482500'), 'SPY|2026-04-17|P|482.5');
+  assert.strictEqual(engine.instrumentKey(' brk.b '), 'BRK.B');
+});
+
+test('a spread is worth its legs at their quotes', () => {
+  const [position] = engine.calculateOpenPositions([putSpread()]);
+  const marks = {
+    [engine.instrumentKey('SPY   260417P00480000')]: at(1.2),
+    [engine.instrumentKey('SPY260417P00475000')]: at(0.4, '2026-03-16T14:00:00.000Z')
+  };
+
+  const valuation = engine.valuePosition(position, marks);
+
+  assert.strictEqual(valuation.source, 'quotes');
+  assert.strictEqual(valuation.closeValue, -80, 'buying back the spread costs $80');
+  assert.strictEqual(valuation.totalPL, 70);
+  assert.strictEqual(valuation.unrealizedPL, 70);
+  assert.strictEqual(valuation.maxProfit, 150);
+  assert.ok(Math.abs(valuation.maxProfitCapturedPct - 70 / 150 * 100) < 1e-9);
+  assert.strictEqual(valuation.markedAt, '2026-03-16T14:00:00.000Z', 'the older quote dates the valuation');
+
+  const missing = engine.valuePosition(position, { 'SPY|2026-04-17|P|480': at(1.2) });
+  assert.strictEqual(missing.marked, false);
+  assert.deepStrictEqual(missing.missing, ['SPY|2026-04-17|P|475']);
+});
+
+test('legs already closed are realized and need no quote', () => {
+  const [position] = engine.calculateOpenPositions([
+    putSpread([leg('SELL_TO_CLOSE', 'PUT', 475, 60)], { Credit: 360, RealizedPL: -90 })
+  ]);
+
+  const valuation = engine.valuePosition(position, { 'SPY|2026-04-17|P|480': at(0.5) });
+
+  assert.strictEqual(valuation.closeValue, -50);
+  assert.strictEqual(valuation.totalPL, 160, 'net cash of 210 less 50 to close');
+  assert.strictEqual(valuation.unrealizedPL, 250);
+});
+
+test('a typed mark prices the whole position and takes precedence', () => {
+  const store = new DataStore();
+  const trade = putSpread();
+  const key = store.positionMarkKey(trade);
+  const stamp = new Date('2026-03-16T16:00:00Z');
+
+  store.setMarks({ [key]: '0.50', 'SPY|2026-04-17|P|480': 1.2, 'SPY|2026-04-17|P|475': 0.4 }, stamp);
+  const shares = engine.enrichTrade({
+    Symbol: 'SPY', Strategy: 'Long Stock', Volume: 100, Entry: '2026-03-02', Exit: null, Debit: 50000
+  });
+  store.setMarks({ SPY: 502 }, stamp);
+
+  const result = engine.calculateMarkToMarket(
+    engine.calculateOpenPositions([trade, shares]),
+    store.getMarks(),
+    record => store.positionMarkKey(record)
+  );
+
+  const [spread, lot] = result.positions;
+  assert.strictEqual(spread.markKey, key);
+  assert.strictEqual(spread.valuation.source, 'position');
+  assert.strictEqual(spread.valuation.positionMark, 0.5);
+  assert.strictEqual(spread.valuation.totalPL, 100);
+  assert.strictEqual(lot.valuation.totalPL, 200);
+  assert.strictEqual(lot.valuation.maxProfit, null);
+  assert.deepStrictEqual([result.unrealizedPL, result.totalPL, result.marked, result.unmarked], [300, 300, 2, 0]);
+  assert.strictEqual(result.asOf, '2026-03-16T16:00:00.000Z');
+
+  store.setMarks({ [key]: null });
+  assert.strictEqual(store.getMarks()[key], undefined, 'a cleared mark falls back to the quotes');
+});
+
+test('a typed mark prices its own account only', () => {
+  const store = new DataStore();
+  const ira = putSpread([], { Account: 'IRA' });
+  const margin = putSpread([], { Account: 'Margin' });
+  store.clearMarks();
+
+  assert.notStrictEqual(store.positionMarkKey(ira), store.positionMarkKey(margin));
+  store.setMarks({ [store.positionMarkKey(ira)]: '0.50' });
+
+  const result = engine.calculateMarkToMarket(
+    engine.calculateOpenPositions([ira, margin]),
+    store.getMarks(),
+    record => store.positionMarkKey(record)
+  );
+
+  assert.deepStrictEqual(result.positions.map(position => position.valuation.marked), [true, false]);
+  store.clearMarks();
+});
@@ -0,0 +1,85 @@
+/**
+ * Open positions
+ * Covers days to expiration, max loss and breakevens for open structures,
+ * and grouping them into an expiration ladder by week.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const AnalyticsEngine = new Function(
+  `${readFileSync(join(repoRoot, 'js/analytics-engine.js'), 'utf8')}\nreturn AnalyticsEngine;`
+)();
+
+const engine = new AnalyticsEngine();
+const NOW = new Date(2026, 2, 16, 11, 0); // Monday, March 16, 2026
+
+/** An enriched open trade on SPY */
+function open(strategy, expiry, credit, debit, overrides = {}) {
+  return engine.enrichTrade({
+    Symbol: 'SPY',
+    Account: 'TastyTrade',
+    Strategy: strategy,
+    Volume: 1,
+    Entry: '2026-03-02T10:00:00',
+    Exit: null,
+    Expiry: expiry,
+    Credit: credit,
+    Debit: debit,
+    ...overrides
+  });
+}
+
+test('open structures carry days to expiration, max loss and breakevens', () => {
+  const positions = engine.calculateOpenPositions([
+    open('Iron Condor', '2026-04-17', 250, 0, { Width: 5, _metadata: { strikes: [480, 485, 520, 525] } }),
+    open('Bull Put Spread', '2026-03-20', 120, 0, { Strike: 500, Width: 5 }),
+    open('Long Call', '2026-03-18', 0, 340, { Strike: 510 }),
+    open('Short Call', '2026-03-20', 90, 0, { Strike: 530 }),
+    engine.enrichTrade({ Symbol: 'SPY', Strategy: 'Long Stock', Entry: '2026-03-02', Exit: null, Debit: 5000 }),
+    { ...open('Short Put', '2026-03-20', 100, 0, { Strike: 490 }), Result: 'Win' }
+  ], NOW);
+
+  assert.deepStrictEqual(positions.map(position => [position.Strategy, position.dte]), [
+    ['Long Call', 2],
+    ['Bull Put Spread', 4],
+    ['Short Call', 4],
+    ['Iron Condor', 32],
+    ['Long Stock', null]
+  ]);
+
+  const [longCall, spread, shortCall, condor, shares] = positions;
+  assert.deepStrictEqual(condor.breakevens, [482.5, 522.5]);
+  assert.strictEqual(condor.maxLoss, 250);
+  assert.deepStrictEqual(spread.strikes, [495, 500], 'the lower strike comes from the width');
+  assert.deepStrictEqual(spread.breakevens, [498.8]);
+  assert.strictEqual(spread.credit, 120);
+  assert.deepStrictEqual(longCall.breakevens, [513.4]);
+  assert.strictEqual(longCall.credit, -340);
+  assert.strictEqual(shortCall.maxLoss, null, 'a naked call has no max loss');
+  assert.deepStrictEqual(shares.breakevens, []);
+});
+
+test('the ladder groups positions by expiration week, undated last', () => {
+  const positions = engine.calculateOpenPositions([
+    open('Short Put', '2026-03-20', 100, 0, { Strike: 490 }),
+    open('Short Call', '2026-03-16', 90, 0, { Strike: 530 }),
+    open('Bull Put Spread', '2026-03-27', 120, 0, { Strike: 500, Width: 5 }),
+    engine.enrichTrade({ Symbol: 'SPY', Strategy: 'Long Stock', Entry: '2026-03-02', Exit: null, Debit: 5000 })
+  ], NOW);
+
+  const ladder = engine.buildExpirationLadder(positions);
+
+  assert.deepStrictEqual(ladder.map(week => [week.label, week.positions.length]), [
+    ['Week of Mar 16, 2026', 2],
+    ['Week of Mar 23, 2026', 1],
+    ['No expiration', 1]
+  ]);
+  assert.strictEqual(ladder[0].credit, 190);
+  assert.strictEqual(ladder[0].maxLoss, 48900);
+  assert.strictEqual(ladder[0].undefinedRisk, 1);
+  assert.strictEqual(ladder[1].maxLoss, 380);
+});
@@ -0,0 +1,145 @@
+/**
+ * Option pricing
+ * Covers Black-Scholes values and Greeks against published figures, the
+ * American tree, implied volatility, and back-filling entry delta and
+ * position Greeks on trades whose underlying price at entry is known.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const OptionPricing = new Function(`${read('js/option-pricing.js')}\nreturn OptionPricing;`)();
+const AnalyticsEngine = new Function('OptionPricing', `${read('js/analytics-engine.js')}\nreturn AnalyticsEngine;`)(
+  OptionPricing
+);
+
+const engine = new AnalyticsEngine();
+const near = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} is not within ${tolerance} of ${expected}`);
+
+// Hull's textbook case: S = K = 100, one year, 20% volatility, 5% rate
+const atTheMoney = { spot: 100, strike: 100, years: 1, vol: 0.2, rate: 0.05 };
+
+test('Black-Scholes values, Greeks and put-call parity', () => {
+  const call = OptionPricing.blackScholes({ ...atTheMoney, type: 'CALL' });
+  const put = OptionPricing.blackScholes({ ...atTheMoney, type: 'PUT' });
+
+  near(call.price, 10.4506, 1e-4);
+  near(put.price, 5.5735, 1e-4);
+  near(call.price - put.price, 100 - 100 * Math.exp(-0.05), 1e-9, 'parity');
+  near(call.delta, 0.6368, 1e-4);
+  near(put.delta, -0.3632, 1e-4);
+  near(call.gamma, 0.018762, 1e-6);
+  near(call.vega, 0.3752, 1e-4, 'per volatility point');
+  near(call.theta * 365, -6.414, 1e-3, 'per year');
+  near(put.theta * 365, -1.658, 1e-3, 'per year');
+
+  const expired = OptionPricing.blackScholes({ ...atTheMoney, type: 'PUT', strike: 110, years: 0 });
+  assert.deepStrictEqual([expired.price, expired.delta, expired.gamma], [10, -1, 0]);
+});
+
+test('American puts carry the early exercise premium; calls without dividends do not', () => {
+  const american = OptionPricing.price({ ...atTheMoney, type: 'PUT', symbol: 'SPY' });
+  const european = OptionPricing.price({ ...atTheMoney, type: 'PUT', symbol: 'SPXW' });
+
+  assert.strictEqual(american.style, 'american');
+  assert.strictEqual(european.style, 'european');
+  near(american.price, 6.09, 0.01);
+  assert.ok(american.delta < european.delta, 'deeper delta for the American put');
+  near(american.vega, european.vega, 0.01);
+
+  const call = OptionPricing.price({ ...atTheMoney, type: 'CALL', symbol: 'SPY' });
+  near(call.price, 10.4506, 1e-4);
+  near(OptionPricing.binomial({ ...atTheMoney, type: 'CALL' }).price, call.price, 0.02, 'tree converges');
+});
+
+test('implied volatility recovers the volatility a price was made with', () => {
+  const params = { type: 'PUT', spot: 500, strike: 480, years: 30 / 365, rate: 0.04, symbol: 'SPY' };
+  const price = OptionPricing.price({ ...params, vol: 0.18 }).price;
+
+  near(OptionPricing.impliedVolatility(params, price), 0.18, 1e-4);
+  near(OptionPricing.impliedVolatility({ ...params, symbol: 'SPX' }, price), 0.18, 0.01, 'European is close');
+  assert.strictEqual(
+    OptionPricing.impliedVolatility({ ...params, strike: 520 }, 10),
+    null,
+    'below intrinsic'
+  );
+  assert.strictEqual(OptionPricing.impliedVolatility(params, 0), null);
+
+  // Deep in the money, where early exercise is worth the most
+  [{ ...params, strike: 540, years: 0.5 }, { ...params, type: 'CALL', strike: 440, dividendYield: 0.03 }]
+    .forEach(deep => {
+      const tree = OptionPricing.binomial({ ...deep, vol: 0.3 }).price;
+      near(OptionPricing.impliedVolatility(deep, tree), 0.3, 1e-4, `${deep.type} ${deep.strike}`);
+    });
+});
+
+test('time to expiration runs to the close on expiration day', () => {
+  near(OptionPricing.yearsToExpiry(new Date(2026, 3, 17, 10), '2026-04-17') * 365 * 24, 6, 1e-9);
+  near(OptionPricing.yearsToExpiry(new Date(2026, 3, 17, 15, 50), '2026-04-17') * 365 * 24, 1, 1e-9, 'an hour at least');
+  assert.strictEqual(OptionPricing.yearsToExpiry(new Date(2026, 3, 18), '2026-04-17'), 0);
+});
+
+test('entry delta and Greeks are back-filled where the underlying price is known', () => {
+  const shortPut = engine.enrichTrade({
+    Symbol: 'SPY',
+    Strategy: 'Short Put',
+    Type: 'PUT',
+    Strike: 480,
+    Volume: 2,
+    Entry: '2026-03-02T10:00:00',
+    Expiry: '2026-04-17',
+    Credit: 400,
+    Debit: 0,
+    UnderlyingPrice: 500
+  });
+  const spread = engine.enrichTrade({
+    Symbol: 'SPY',
+    Strategy: 'Bull Put Spread',
+    Volume: 1,
+    Entry: '2026-03-02T10:00:00',
+    Expiry: '2026-04-17',
+    Credit: 300,
+    Debit: 150,
+    Delta: -0.3,
+    _metadata: { legs: [
+      { action: 'SELL_TO_OPEN', type: 'PUT', strike: 480, expiry: '2026-04-17', quantity: 1, value: 300 },
+      { action: 'BUY_TO_OPEN', type: 'PUT', strike: 475, expiry: '2026-04-17', quantity: 1, value: -150 }
+    ] }
+  });
+  const unpriced = engine.enrichTrade({ ...shortPut, Symbol: 'QQQ', UnderlyingPrice: null });
+
+  const [put, vertical, untouched] = engine.backfillEntryGreeks(
+    [shortPut, spread, unpriced],
+    (symbol, date) => (symbol === 'SPY' && date.getDate() === 2 && date.getMonth() === 2 ? 498 : null)
+  );
+
+  assert.strictEqual(put.UnderlyingAtEntry, 498, 'the lookup comes first');
+  assert.ok(put.Delta < -0.1 && put.Delta > -0.4, `a $2 put 18 points out is not ${put.Delta}`);
+  near(put.EntryGreeks.delta, -200 * put.EntryGreeks.entryDelta, 1e-9, 'two short puts are long deltas');
+  assert.ok(put.EntryGreeks.theta > 0, 'short premium collects theta');
+  assert.ok(put.EntryGreeks.vega < 0);
+  near(OptionPricing.price({
+    type: 'PUT', spot: 498, strike: 480, vol: put.EntryIV, symbol: 'SPY',
+    years: OptionPricing.yearsToExpiry(new Date(2026, 2, 2, 10), '2026-04-17')
+  }).price, 2, 1e-3, 'the IV reprices the fill');
+
+  assert.strictEqual(vertical.Delta, -0.3, 'a delta from the export is kept');
+  const [short, long] = vertical.EntryGreeks.legs;
+  assert.ok(short.iv > 0 && long.iv > 0);
+  assert.strictEqual(vertical.EntryGreeks.entryDelta, short.delta, 'the short leg defines a credit spread');
+  near(vertical.EntryGreeks.delta, 100 * (long.delta - short.delta), 1e-9);
+
+  assert.strictEqual(untouched, unpriced, 'no underlying price, no back-fill');
+  assert.strictEqual(engine.backfillEntryGreeks([shortPut], () => 498)[0].EntryGreeks, put.EntryGreeks, 'cached');
+  assert.strictEqual(
+    engine.backfillEntryGreeks([{ ...shortPut }], () => 498)[0].EntryGreeks,
+    put.EntryGreeks,
+    'a re-enriched copy of the trade reads the same cache entry'
+  );
+});
@@ -0,0 +1,91 @@
+/**
+ * Payoff at expiration
+ * Covers the payoff curve drawn for a trade from the legs it opened, or from
+ * its strategy and strikes when the legs were not kept, and the breakevens,
+ * max profit and max loss read off it.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const AnalyticsEngine = new Function(
+  `${readFileSync(join(repoRoot, 'js/analytics-engine.js'), 'utf8')}\nreturn AnalyticsEngine;`
+)();
+
+const engine = new AnalyticsEngine();
+
+/** An enriched SPY trade */
+function trade(strategy, credit, debit, overrides = {}) {
+  return engine.enrichTrade({
+    Symbol: 'SPY',
+    Strategy: strategy,
+    Volume: 1,
+    Entry: '2026-03-02T10:00:00',
+    Exit: null,
+    Expiry: '2026-04-17',
+    Credit: credit,
+    Debit: debit,
+    ...overrides
+  });
+}
+
+/** An opening leg as the adapters keep it */
+const leg = (action, type, strike, quantity, value, expiry = '2026-04-17') =>
+  ({ action, type, strike, expiry, quantity, value });
+
+test('a condor without legs is rebuilt from its strikes', () => {
+  const payoff = engine.calculatePayoff(
+    trade('Iron Condor', 250, 0, { Width: 5, _metadata: { strikes: [480, 485, 520, 525] } })
+  );
+
+  assert.deepStrictEqual(payoff.legs.map(item => [item.side, item.type, item.strike]), [
+    [1, 'PUT', 480], [-1, 'PUT', 485], [-1, 'CALL', 520], [1, 'CALL', 525]
+  ]);
+  assert.strictEqual(payoff.legs[0].premium, null, 'only the net premium is known');
+  assert.deepStrictEqual(payoff.breakevens, [482.5, 522.5]);
+  assert.strictEqual(payoff.maxProfit, 250);
+  assert.strictEqual(payoff.maxLoss, 250);
+  assert.deepStrictEqual(
+    payoff.points.filter(point => [480, 485, 520, 525].includes(point.price)).map(point => point.pl),
+    [-250, 250, 250, -250]
+  );
+});
+
+test('a custom ratio is drawn from its legs', () => {
+  const payoff = engine.calculatePayoff(trade('Custom', 300, 150, {
+    _metadata: { legs: [leg('STO', 'PUT', 480, 2, 300), leg('BTO', 'PUT', 470, 1, -150)] }
+  }));
+
+  assert.strictEqual(payoff.netPremium, 150);
+  assert.deepStrictEqual(payoff.legs.map(item => [item.side, item.quantity, item.premium]), [[-1, 2, 300], [1, 1, -150]]);
+  assert.deepStrictEqual(payoff.breakevens, [479.25]);
+  assert.strictEqual(payoff.maxProfit, 150);
+  assert.strictEqual(payoff.maxLoss, 48850, 'the extra short put loses down to zero');
+  assert.strictEqual(payoff.mixedExpiries, false);
+});
+
+test('unbounded sides, share lots and calendars', () => {
+  const call = engine.calculatePayoff(trade('Short Call', 90, 0, { Type: 'CALL', Strike: 530 }));
+  assert.strictEqual(call.maxLoss, null);
+  assert.strictEqual(call.maxProfit, 90);
+  assert.deepStrictEqual(call.breakevens, [530.9]);
+
+  const shares = engine.calculatePayoff(trade('Long Stock', 5200, 5000, {
+    Volume: 100, Expiry: null, Exit: '2026-03-05T15:00:00'
+  }));
+  assert.strictEqual(shares.maxProfit, null);
+  assert.strictEqual(shares.maxLoss, 5000);
+  assert.deepStrictEqual([shares.entryPrice, shares.exitPrice], [50, 52]);
+  assert.deepStrictEqual(shares.breakevens, [50]);
+
+  const calendar = engine.calculatePayoff(trade('Custom', 200, 320, {
+    _metadata: { legs: [leg('STO', 'CALL', 500, 1, 200), leg('BTO', 'CALL', 500, 1, -320, '2026-05-15')] }
+  }), { entryPrice: 497.3 });
+  assert.strictEqual(calendar.mixedExpiries, true);
+  assert.strictEqual(calendar.entryPrice, 497.3);
+
+  assert.strictEqual(engine.calculatePayoff(trade('Custom', 100, 0)), null, 'no legs, no payoff');
+});
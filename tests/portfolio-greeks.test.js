@@ -0,0 +1,111 @@
+/**
+ * Portfolio Greeks
+ * Covers pricing what the open positions still hold at the entered quotes,
+ * the totals by underlying and by expiration, and beta-weighting against a
+ * benchmark.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const OptionPricing = new Function(`${read('js/option-pricing.js')}\nreturn OptionPricing;`)();
+const AnalyticsEngine = new Function('OptionPricing', `${read('js/analytics-engine.js')}\nreturn AnalyticsEngine;`)(
+  OptionPricing
+);
+
+const engine = new AnalyticsEngine();
+const now = new Date(2026, 2, 16, 12);
+const near = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} is not within ${tolerance} of ${expected}`);
+
+/** An open trade */
+const open = (symbol, strategy, overrides = {}) => engine.enrichTrade({
+  Symbol: symbol,
+  Strategy: strategy,
+  Volume: 1,
+  Entry: '2026-03-02T10:00:00',
+  Exit: null,
+  Expiry: '2026-04-17',
+  Credit: 0,
+  Debit: 0,
+  ...overrides
+});
+
+const leg = (action, type, strike, value) =>
+  ({ action, type, strike, expiry: '2026-04-17', quantity: 1, value, price: Math.abs(value) / 100 });
+
+const book = () => [
+  open('SPY', 'Bull Put Spread', {
+    Credit: 300,
+    Debit: 150,
+    _metadata: { legs: [leg('SELL_TO_OPEN', 'PUT', 480, 300), leg('BUY_TO_OPEN', 'PUT', 475, -150)] }
+  }),
+  open('SPY', 'Long Stock', { Volume: 100, Expiry: null, Debit: 49000 }),
+  open('QQQ', 'Short Put', { Type: 'PUT', Strike: 400, Credit: 250 }),
+  open('IWM', 'Short Put', { Type: 'PUT', Strike: 190, Credit: 120 })
+];
+
+const at = mark => ({ mark, updatedAt: '2026-03-16T15:00:00.000Z' });
+const marks = {
+  SPY: at(500),
+  QQQ: at(420),
+  'SPY|2026-04-17|P|480': at(2.1),
+  'SPY|2026-04-17|P|475': at(1.6)
+};
+
+/** Delta of one contract at its quote, worked out directly */
+function quotedDelta(strike, mark) {
+  const params = { type: 'PUT', spot: 500, strike, years: OptionPricing.yearsToExpiry(now, '2026-04-17'), symbol: 'SPY' };
+  return OptionPricing.price({ ...params, vol: OptionPricing.impliedVolatility(params, mark) }).delta;
+}
+
+test('holdings are priced at their quotes and totalled by underlying and expiration', () => {
+  const greeks = engine.calculatePortfolioGreeks(engine.calculateOpenPositions(book(), now), marks, {}, now);
+  const spreadDelta = 100 * (quotedDelta(475, 1.6) - quotedDelta(480, 2.1));
+
+  assert.deepStrictEqual(greeks.missing, [
+    { key: 'IWM|2026-04-17|P|190', reason: 'price' },
+    { key: 'QQQ|2026-04-17|P|400', reason: 'volatility' }
+  ]);
+  assert.strictEqual(greeks.priced, 3);
+  near(greeks.delta, 100 + spreadDelta, 1e-9);
+  assert.ok(spreadDelta > 0, 'a bull put spread is long deltas');
+  assert.ok(greeks.theta > 0 && greeks.vega < 0, 'short premium');
+
+  const [spy] = greeks.byUnderlying;
+  assert.deepStrictEqual(greeks.byUnderlying.map(row => row.symbol), ['SPY']);
+  assert.deepStrictEqual([spy.price, spy.beta, spy.betaAssumed, spy.holdings], [500, 1, false, 3]);
+  near(greeks.betaWeightedDelta, greeks.delta, 1e-9, 'SPY against SPY');
+
+  assert.deepStrictEqual(greeks.byExpiration.map(row => [row.expiry, row.dte, row.holdings]), [
+    ['2026-04-17', 32, 2],
+    [null, null, 1]
+  ]);
+  near(greeks.byExpiration[1].delta, 100, 1e-9, 'a hundred shares');
+});
+
+test('beta-weighting against another benchmark, and the volatility a contract opened at', () => {
+  const trades = engine.backfillEntryGreeks(book(), symbol => (symbol === 'QQQ' ? 410 : null));
+  const positions = engine.calculateOpenPositions(trades, now);
+
+  const assumed = engine.calculatePortfolioGreeks(positions, marks, { benchmark: 'qqq' }, now);
+  const [qqq, spy] = assumed.byUnderlying;
+  assert.strictEqual(assumed.benchmark, 'QQQ');
+  assert.deepStrictEqual(assumed.missing.map(item => item.reason), ['price'], 'QQQ priced at its entry volatility');
+  assert.ok(qqq.delta > 0);
+  assert.strictEqual(spy.betaAssumed, true);
+  near(spy.betaWeightedDelta, spy.delta * 500 / 420, 1e-9);
+
+  const weighted = engine.calculatePortfolioGreeks(positions, marks, { benchmark: 'QQQ', betas: { SPY: 0.8 } }, now);
+  near(weighted.byUnderlying[1].betaWeightedDelta, spy.delta * 500 * 0.8 / 420, 1e-9);
+  near(weighted.betaWeightedDelta, qqq.delta + spy.delta * 500 * 0.8 / 420, 1e-9);
+
+  const unquoted = engine.calculatePortfolioGreeks(positions, marks, { benchmark: 'DIA' }, now);
+  assert.strictEqual(unquoted.betaWeightedDelta, null, 'no benchmark quote');
+  assert.strictEqual(unquoted.byUnderlying[0].betaWeightedDelta, null);
+});
@@ -0,0 +1,146 @@
+/**
+ * Underlying Price History
+ * Covers reading daily price files, the close on a given day, what the underlying did while a trade was held, and the
+ * split of trades by whether a short strike was breached.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const { CSVParser, ParseError } = new Function(`
+  ${read('js/strategy-detector.js')}
+  ${read('js/tasty-strategy-mapper.js')}
+  const TastyStrategyMapper = { convertTastyWithStrategyInference };
+  ${read('js/broker-adapters.js')}
+  ${read('js/csv-parser.js')}
+  return { CSVParser, ParseError };
+`)();
+const AnalyticsEngine = new Function(`${read('js/analytics-engine.js')}\nreturn AnalyticsEngine;`)();
+const RA = new Function(`${read('js/research-analytics.js')}\nreturn ResearchAnalytics;`)();
+
+const engine = new AnalyticsEngine();
+
+/**
+ * Seven SPY sessions. The underlying sells off from 502 to a low of 478 on
+ * 03-05, through a 480 short put, and recovers to 491.
+ */
+const SPY_CSV = [
+  'Date,Open,High,Low,Close,Adj Close,Volume',
+  '2026-03-10,489,492,487,491,491,1000',
+  '2026-03-02,500,502,498,500,500,1000',
+  '2026-03-03,501,503,499,502,502,1000',
+  '2026-03-04,500,501,485,488,488,1000',
+  '2026-03-05,488,489,478,481,481,1000',
+  '2026-03-06,481,486,480.5,485,485,1000',
+  '2026-03-09,485,490,484,489,489,1000',
+  '2026-03-09,485,490,484,489,489,1000'
+].join('\n');
+
+const history = new CSVParser().parsePriceHistoryString(SPY_CSV, 'spy');
+const bars = history.SPY;
+
+const leg = (action, type, strike, value) =>
+  ({ action, type, strike, expiry: '2026-03-20', quantity: 1, value, price: Math.abs(value) / 100 });
+
+/** A SPY vertical from 03-03 to 03-06, or as overridden */
+const spread = (strategy, legs, overrides = {}) => engine.enrichTrade({
+  Symbol: 'SPY',
+  Strategy: strategy,
+  Volume: 1,
+  Entry: '2026-03-03T10:00:00',
+  Exit: '2026-03-06T15:00:00',
+  Expiry: '2026-03-20',
+  Credit: legs[0].value,
+  Debit: -legs[1].value,
+  _metadata: { legs },
+  ...overrides
+});
+const putSpread = overrides => spread('Bull Put Spread',
+  [leg('SELL_TO_OPEN', 'PUT', 480, 200), leg('BUY_TO_OPEN', 'PUT', 475, -120)], overrides);
+const callSpread = overrides => spread('Bear Call Spread',
+  [leg('SELL_TO_OPEN', 'CALL', 510, 150), leg('BUY_TO_OPEN', 'CALL', 515, -90)], overrides);
+
+test('price files are read by date, one bar per day, under the symbol given', () => {
+  assert.deepStrictEqual(Object.keys(history), ['SPY']);
+  assert.deepStrictEqual(bars.map(bar => bar.date), [
+    '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-09', '2026-03-10'
+  ]);
+  assert.deepStrictEqual(bars[3], { date: '2026-03-05', open: 488, high: 489, low: 478, close: 481 });
+
+  const split = new CSVParser().parsePriceHistoryString('Symbol,Date,Close\nqqq,03/02/2026,420\nIWM,2026-03-02,205.5\n');
+  assert.deepStrictEqual(split, {
+    QQQ: [{ date: '2026-03-02', open: 420, high: 420, low: 420, close: 420 }],
+    IWM: [{ date: '2026-03-02', open: 205.5, high: 205.5, low: 205.5, close: 205.5 }]
+  });
+
+  assert.throws(() => new CSVParser().parsePriceHistoryString('Date,Close\n2026-03-02,500'), /Name the file after it/);
+  assert.throws(() => new CSVParser().parsePriceHistoryString('Day,Price\n2026-03-02,500', 'SPY'), ParseError);
+});
+
+test('the close on a day reads back over weekends, not over holes', () => {
+  const priceAt = engine.priceLookup({ SPX: bars });
+  assert.strictEqual(priceAt('SPX', new Date(2026, 2, 4, 10)), 488);
+  assert.strictEqual(priceAt('SPXW', new Date(2026, 2, 8, 10)), 485, 'Sunday reads Friday, under the weekly root');
+  assert.strictEqual(priceAt('SPX', new Date(2026, 2, 14, 10)), 491);
+  assert.strictEqual(priceAt('SPX', new Date(2026, 2, 15, 10)), null, 'five days past the last close');
+  assert.strictEqual(priceAt('SPX', new Date(2026, 2, 1, 10)), null, 'before the history');
+  assert.strictEqual(priceAt('QQQ', new Date(2026, 2, 4, 10)), null);
+});
+
+test('the move while held and the first day a short strike was breached', () => {
+  const put = engine.calculatePriceContext(putSpread(), bars);
+  assert.deepStrictEqual(put, {
+    from: '2026-03-03',
+    to: '2026-03-06',
+    days: 4,
+    entryPrice: 502,
+    exitPrice: 485,
+    move: -17,
+    movePct: -3.39,
+    high: 503,
+    low: 478,
+    shortStrikes: [{ type: 'PUT', strike: 480 }],
+    breaches: [{ type: 'PUT', strike: 480, date: '2026-03-05', extreme: 478 }],
+    breached: true,
+    beyondAtExit: false,
+    open: false,
+    complete: true
+  });
+
+  const call = engine.calculatePriceContext(callSpread(), bars);
+  assert.deepStrictEqual([call.breached, call.breaches, call.shortStrikes], [false, [], [{ type: 'CALL', strike: 510 }]]);
+
+  const open = engine.calculatePriceContext(putSpread({ Entry: '2026-03-09T10:00:00', Exit: null }), bars);
+  assert.deepStrictEqual([open.from, open.to, open.days, open.move, open.open, open.complete],
+    ['2026-03-09', '2026-03-10', 2, 2, true, true]);
+
+  const unfinished = engine.calculatePriceContext(putSpread({ Exit: '2026-03-13T15:00:00' }), bars);
+  assert.deepStrictEqual([unfinished.to, unfinished.complete], ['2026-03-10', false]);
+
+  assert.strictEqual(engine.calculatePriceContext(putSpread({ Entry: '2026-02-27T10:00:00' }), bars), null);
+  assert.deepStrictEqual(engine.barsAround(bars, put, 1).map(bar => bar.date),
+    ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-09']);
+});
+
+test('trades split by whether a short strike was breached while held', () => {
+  const trades = engine.attachPriceContext([
+    { ...putSpread(), ProfitLoss: -250 },
+    { ...callSpread(), ProfitLoss: 60 },
+    { ...callSpread({ Entry: '2026-03-04T10:00:00' }), ProfitLoss: -40 },
+    { ...putSpread({ Exit: '2026-03-13T15:00:00' }), ProfitLoss: 80 },
+    { ...putSpread({ Symbol: 'QQQ' }), ProfitLoss: 100 }
+  ], history);
+
+  assert.deepStrictEqual(trades.map(trade => Boolean(trade.PriceContext)), [true, true, true, true, false]);
+
+  const split = RA.breachStats(trades);
+  assert.deepStrictEqual(Object.keys(split), ['breached', 'held']);
+  assert.deepStrictEqual([split.breached.n, split.breached.net], [1, -250]);
+  assert.deepStrictEqual([split.held.n, split.held.net, split.held.winRate], [2, 20, 50]);
+  assert.deepStrictEqual(RA.breachStats(engine.attachPriceContext([putSpread()], {})), {});
+});
@@ -13,6 +13,9 @@ const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
 const src = readFileSync(join(repoRoot, 'js/research-analytics.js'), 'utf8');
 const RA = new Function(`${src}\nreturn ResearchAnalytics;`)();
 
+/** A win/loss summary without its confidence intervals, which have tests of their own */
+const pointEstimates = ({ intervals, ...stats }) => stats;
+
 /**
  * Twelve closed SPX trades, chronological. Dates use local-time constructors so
  * the fixture is timezone-independent.
@@ -87,8 +90,38 @@ test('canonicalStructure maps the Robinhood adapter labels too', () => {
   assert.strictEqual(RA.canonicalStructure('Call Credit Spread'), 'call_credit_spread');
 });
 
+test('canonicalStructure maps strangles, short puts, butterflies, calendars and debit spreads', () => {
+  assert.strictEqual(RA.canonicalStructure('Strangle'), 'strangle');
+  assert.strictEqual(RA.canonicalStructure('Straddle'), 'strangle');
+  assert.strictEqual(RA.canonicalStructure('Short Put'), 'short_put');
+  assert.strictEqual(RA.canonicalStructure('Cash Secured Put'), 'short_put');
+  assert.strictEqual(RA.canonicalStructure('Broken Wing Butterfly'), 'butterfly');
+  assert.strictEqual(RA.canonicalStructure('Iron Butterfly'), 'butterfly');
+  assert.strictEqual(RA.canonicalStructure('Diagonal Spread'), 'calendar');
+  assert.strictEqual(RA.canonicalStructure('Bull Call Spread'), 'debit_spread');
+  assert.strictEqual(RA.canonicalStructure('Bear Put Spread'), 'debit_spread');
+});
+
+test('every structure definition is reachable through the lookup tables', () => {
+  RA.STRUCTURE_DEFINITIONS.forEach(definition => {
+    assert.strictEqual(RA.STRUCTURES[definition.id.toUpperCase()], definition.id);
+    assert.strictEqual(RA.structureLabel(definition.id), definition.label);
+    definition.strategies.forEach(strategy => {
+      assert.strictEqual(RA.canonicalStructure(strategy), definition.id, strategy);
+    });
+  });
+});
+
+test('presentStructures lists the closed trades\' structures in definition order', () => {
+  const openStrangle = { ...trade(21, 'Strangle', 30, null, 0, 400), Exit: null };
+  assert.deepStrictEqual(
+    RA.presentStructures([...fixture(), openStrangle, trade(22, 'Custom', 0, null, 10, 0)]),
+    ['iron_condor', 'put_credit_spread', 'call_credit_spread', 'short_put']
+  );
+});
+
 test('canonicalStructure returns null for out-of-scope strategies', () => {
-  assert.strictEqual(RA.canonicalStructure('Short Put'), null);
+  assert.strictEqual(RA.canonicalStructure('Covered Call'), null);
   assert.strictEqual(RA.canonicalStructure('Custom'), null);
   assert.strictEqual(RA.canonicalStructure(''), null);
   assert.strictEqual(RA.canonicalStructure(undefined), null);
@@ -109,15 +142,25 @@ test('applyFilter keeps closed trades for the chosen underlying only', () => {
 });
 
 test('applyFilter separates unmapped strategies from deselected ones', () => {
-  const result = RA.applyFilter(fixture(), {
+  const result = RA.applyFilter([...fixture(), trade(21, 'Custom', 0, null, 10, 0)], {
     underlying: 'SPX',
     dteCut: 'all',
     structures: [RA.STRUCTURES.IRON_CONDOR]
   });
 
   assert.strictEqual(result.trades.length, 5, 'five iron condors');
-  assert.strictEqual(result.excluded.unmappedStructure, 1, 'the Short Put');
-  assert.strictEqual(result.excluded.structureNotSelected, 6, 'the credit spreads');
+  assert.strictEqual(result.excluded.unmappedStructure, 1, 'the Custom trade');
+  assert.strictEqual(result.excluded.structureNotSelected, 7, 'the credit spreads and the Short Put');
+});
+
+test('applyFilter cuts by the structures beyond credit spreads', () => {
+  const result = RA.applyFilter(fixture(), {
+    underlying: 'SPX',
+    dteCut: 'all',
+    structures: [RA.STRUCTURES.SHORT_PUT]
+  });
+
+  assert.deepStrictEqual(result.trades.map(entry => entry.Strategy), ['Short Put']);
 });
 
 test('applyFilter with no structure list keeps every strategy', () => {
@@ -164,7 +207,7 @@ test('winLossStats over the whole fixture', () => {
   // wins 100+150+80+60+200+90+40+30 = 750 over 8 trades, avg 93.75
   // losses -300-500-700+0 = -1500 over 4 trades, avg -375
   // breakeven 375 / (93.75 + 375) = 80%
-  assert.deepStrictEqual(RA.winLossStats(fixture()), {
+  assert.deepStrictEqual(pointEstimates(RA.winLossStats(fixture())), {
     n: 12,
     winRate: 66.7,
     avgWin: 93.75,
@@ -194,7 +237,8 @@ test('winLossStats on an empty set reports nulls, not zeros', () => {
     breakevenWinRate: null,
     net: 0,
     worst: null,
-    expectancy: null
+    expectancy: null,
+    intervals: null
   });
 });
 
@@ -226,6 +270,59 @@ test('winLossStats on an all-losses set', () => {
   assert.strictEqual(stats.worst, -300);
 });
 
+// ===== confidence intervals =====
+
+test('Wilson intervals for the win rate', () => {
+  // centre (p + z²/2n) / (1 + z²/n), half-width z·√(p(1-p)/n + z²/4n²) / (1 + z²/n)
+  assert.deepStrictEqual(RA.wilsonInterval(8, 12), { low: 39.1, high: 86.2 });
+  assert.deepStrictEqual(RA.wilsonInterval(2, 2), { low: 34.2, high: 100 }, 'two wins do not make a certainty');
+  assert.deepStrictEqual(RA.wilsonInterval(0, 1), { low: 0, high: 79.3 });
+  assert.strictEqual(RA.wilsonInterval(0, 0), null);
+
+  const intervals = RA.winLossStats(fixture()).intervals;
+  assert.deepStrictEqual(intervals.winRateWilson, { low: 39.1, high: 86.2 });
+  assert.deepStrictEqual([intervals.confidence, intervals.resamples], [95, 1000]);
+});
+
+test('bootstrap intervals bracket the figures and never leave the data', () => {
+  const stats = RA.winLossStats(fixture());
+  const { winRate, expectancy, avgWin, avgLoss } = stats.intervals;
+
+  [[winRate, stats.winRate], [expectancy, stats.expectancy], [avgWin, stats.avgWin], [avgLoss, stats.avgLoss]]
+    .forEach(([interval, value]) => {
+      assert.ok(interval.low < value && value < interval.high, `${value} within ${interval.low}-${interval.high}`);
+    });
+
+  // Averages of resampled trades cannot pass the extremes they are drawn from
+  assert.ok(expectancy.low >= -700 && expectancy.high <= 200);
+  assert.ok(avgWin.low >= 30 && avgWin.high <= 200);
+  assert.ok(avgLoss.low >= -700 && avgLoss.high <= 0);
+  assert.ok(winRate.low >= 0 && winRate.high <= 100);
+});
+
+test('bootstrap intervals are seeded: the same trades give the same bounds', () => {
+  const values = fixture().map(t => t.ProfitLoss);
+  assert.deepStrictEqual(RA.bootstrapIntervals(values), RA.bootstrapIntervals(values));
+  assert.deepStrictEqual(
+    RA.dteBucketStats(fixture())['0DTE'].intervals,
+    RA.winLossStats(fixture().filter(t => t.DaysToExpireAtEntry === 0)).intervals
+  );
+});
+
+test('bootstrap intervals need two trades, and a win or a loss to average', () => {
+  assert.deepStrictEqual(RA.bootstrapIntervals([120]), {
+    winRate: null, expectancy: null, avgWin: null, avgLoss: null
+  });
+
+  const allWins = RA.bootstrapIntervals([100, 300]);
+  assert.deepStrictEqual(allWins.winRate, { low: 100, high: 100 });
+  assert.deepStrictEqual([allWins.avgWin.low >= 100, allWins.avgWin.high <= 300], [true, true]);
+  assert.strictEqual(allWins.avgLoss, null);
+
+  const single = RA.winLossStats([trade(5, 'Iron Condor', 0, 20, 100, 200)]).intervals;
+  assert.deepStrictEqual([single.winRateWilson, single.expectancy], [{ low: 20.7, high: 100 }, null]);
+});
+
 // ===== dteBucketStats (Requirements 9.1, 9.4) =====
 
 test('dteBucketStats buckets in ascending DTE order', () => {
@@ -236,7 +333,7 @@ test('dteBucketStats buckets in ascending DTE order', () => {
 test('dteBucketStats 0DTE bucket', () => {
   // 100, 150, -300, 80, 60, 0 → wins 390/4 = 97.5, losses -300/2 = -150
   // breakeven 150 / 247.5 = 60.6%
-  assert.deepStrictEqual(RA.dteBucketStats(fixture())['0DTE'], {
+  assert.deepStrictEqual(pointEstimates(RA.dteBucketStats(fixture())['0DTE']), {
     n: 6,
     winRate: 66.7,
     avgWin: 97.5,
@@ -251,7 +348,7 @@ test('dteBucketStats 0DTE bucket', () => {
 test('dteBucketStats 1-7DTE bucket', () => {
   // -500, 200, 30 → wins 230/2 = 115, losses -500
   // breakeven 500 / 615 = 81.3%
-  assert.deepStrictEqual(RA.dteBucketStats(fixture())['1-7DTE'], {
+  assert.deepStrictEqual(pointEstimates(RA.dteBucketStats(fixture())['1-7DTE']), {
     n: 3,
     winRate: 66.7,
     avgWin: 115,
@@ -266,7 +363,7 @@ test('dteBucketStats 1-7DTE bucket', () => {
 test('dteBucketStats >7DTE bucket', () => {
   // 90, -700, 40 → wins 130/2 = 65, losses -700
   // breakeven 700 / 765 = 91.5%
-  assert.deepStrictEqual(RA.dteBucketStats(fixture())['>7DTE'], {
+  assert.deepStrictEqual(pointEstimates(RA.dteBucketStats(fixture())['>7DTE']), {
     n: 3,
     winRate: 66.7,
     avgWin: 65,
@@ -289,6 +386,24 @@ test('dteBucketStats skips trades with unknown DTE', () => {
   assert.deepStrictEqual(RA.dteBucketStats(trades), {});
 });
 
+// ===== deltaBucketStats =====
+
+test('deltaBucketStats buckets by absolute entry delta', () => {
+  // #4 carries a zero delta and #9 none, so both are left out
+  const deltas = [0.08, -0.16, -0.25, 0, 0.1, -0.35, 0.2, -0.12, undefined, -0.05, -0.3, 0.16];
+  const buckets = RA.deltaBucketStats(fixture().map((t, i) => ({ ...t, Delta: deltas[i] })));
+
+  assert.deepStrictEqual(Object.keys(buckets), ['≤0.10', '0.11-0.20', '0.21-0.30', '>0.30']);
+  assert.deepStrictEqual(
+    Object.values(buckets).map(stats => [stats.n, stats.net]),
+    [[3, 200], [4, 440], [2, -270], [1, -500]]
+  );
+});
+
+test('deltaBucketStats without deltas is empty', () => {
+  assert.deepStrictEqual(RA.deltaBucketStats(fixture()), {});
+});
+
 // ===== condorVsSingleSide (Requirements 10.1, 10.4) =====
 
 test('condorVsSingleSide splits the three structures', () => {
@@ -90,11 +90,21 @@ test('the shared stat columns cover every metric winLossStats reports', () => {
   ]));
   const columns = ResearchOutputs.STAT_COLUMNS.map(column => column.key);
 
-  reported.forEach(key => {
+  reported.filter(key => key !== 'intervals').forEach(key => {
     assert.ok(columns.includes(key), `no column renders "${key}"`);
   });
 });
 
+test('every error bar column names an interval winLossStats reports', () => {
+  const intervals = RA.winLossStats([{ ProfitLoss: 100 }, { ProfitLoss: -40 }]).intervals;
+  const barred = ResearchOutputs.STAT_COLUMNS.filter(column => column.interval);
+
+  assert.deepStrictEqual(barred.map(column => column.key), ['winRate', 'avgWin', 'avgLoss', 'expectancy']);
+  barred.forEach(column => {
+    assert.ok(intervals[column.interval], `no "${column.interval}" interval for ${column.key}`);
+  });
+});
+
 test('every stat column declares a label and a format', () => {
   ResearchOutputs.STAT_COLUMNS.forEach(column => {
     assert.ok(column.label, `label for ${column.key}`);
@@ -0,0 +1,151 @@
+/**
+ * Saved Research presets
+ * Covers checking presets read back from storage or a shared file, naming
+ * them, saving over one, and the export/import round trip. The save, edit,
+ * delete and file buttons in ResearchPanel are DOM-bound and not covered here.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const RA = new Function(`${read('js/research-analytics.js')}\nreturn ResearchAnalytics;`)();
+const { RESEARCH_PRESETS, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS } = new Function(
+  `${read('js/research-scenarios.js')}\nreturn { RESEARCH_PRESETS, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS };`
+)();
+const ResearchPresets = new Function(
+  'ResearchAnalytics', 'RESEARCH_SECTIONS', 'RESEARCH_SCENARIO_DEFAULTS',
+  `${read('js/research-presets.js')}\nreturn ResearchPresets;`
+)(RA, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS);
+
+const wideCondors = {
+  title: 'Wide SPX condors',
+  filter: { underlying: 'spx', dteCut: 'zero', structures: ['iron_condor', 'not_a_structure'] },
+  focus: 'width-counterfactual',
+  params: { counterfactualWidths: [20, '25', -5, 'x'], unknownSetting: [1] }
+};
+
+test('a preset read back keeps only what the tab understands', () => {
+  const preset = ResearchPresets.normalizePreset(wideCondors);
+  assert.deepStrictEqual(preset, {
+    id: 'user_wide_spx_condors',
+    title: 'Wide SPX condors',
+    filter: { underlying: 'SPX', dteCut: 'zero', structures: ['iron_condor'] },
+    focus: 'width-counterfactual',
+    params: { counterfactualWidths: [20, 25] }
+  });
+
+  const loose = ResearchPresets.normalizePreset({
+    id: '0dte_condor_only',
+    title: '  Anything  ',
+    filter: { underlying: ['qqq', 'QQQ', 'iwm'], dteCut: '3dte', structures: ['nope'] },
+    focus: 'nowhere'
+  });
+  assert.strictEqual(loose.id, 'user_anything', 'cannot take a seeded preset\'s id');
+  assert.deepStrictEqual(loose.filter, { underlying: ['QQQ', 'IWM'], dteCut: 'all', structures: null });
+  assert.strictEqual(loose.focus, RESEARCH_SECTIONS[0].id);
+
+  assert.strictEqual(ResearchPresets.normalizePreset({ ...wideCondors, filter: { underlying: '*' } }).filter.underlying, '*');
+  assert.strictEqual(ResearchPresets.normalizePreset({ ...wideCondors, filter: {} }).filter.underlying, null);
+  assert.strictEqual(ResearchPresets.normalizePreset({ ...wideCondors, title: '   ' }), null);
+  assert.strictEqual(ResearchPresets.normalizePreset({ ...wideCondors, filter: { underlying: [3] } }), null);
+  assert.strictEqual(ResearchPresets.normalizePreset('preset'), null);
+});
+
+test('new presets get ids of their own', () => {
+  const taken = [{ id: 'user_condors' }, { id: 'user_condors_2' }];
+  assert.strictEqual(ResearchPresets.presetId('Condors!', taken), 'user_condors_3');
+  assert.strictEqual(ResearchPresets.presetId('***', []), 'user_preset');
+
+  const seededIds = new Set(RESEARCH_PRESETS.map(preset => preset.id));
+  assert.ok(!seededIds.has(ResearchPresets.presetId(RESEARCH_PRESETS[0].title, [])));
+});
+
+test('saving adds a preset, or replaces the one being edited', () => {
+  let presets = ResearchPresets.savePreset([], wideCondors);
+  presets = ResearchPresets.savePreset(presets, { ...wideCondors, id: null });
+  assert.deepStrictEqual(presets.map(preset => preset.id), ['user_wide_spx_condors', 'user_wide_spx_condors_2']);
+
+  presets = ResearchPresets.savePreset(presets, {
+    id: 'user_wide_spx_condors',
+    title: 'SPX condors, any DTE',
+    filter: { underlying: 'SPX', dteCut: 'all', structures: ['iron_condor'] }
+  });
+  assert.strictEqual(presets.length, 2);
+  assert.deepStrictEqual([presets[0].id, presets[0].title, presets[0].filter.dteCut],
+    ['user_wide_spx_condors', 'SPX condors, any DTE', 'all']);
+
+  assert.strictEqual(ResearchPresets.savePreset(presets, { title: '' }), null);
+});
+
+test('an exported file imports back without duplicates', () => {
+  const saved = ResearchPresets.savePreset(
+    ResearchPresets.savePreset([], wideCondors),
+    { title: 'Put spreads', filter: { underlying: '*', structures: ['put_credit_spread'] } }
+  );
+  const file = ResearchPresets.exportPresets(saved);
+  assert.strictEqual(JSON.parse(file).format, ResearchPresets.FILE_FORMAT);
+
+  const first = ResearchPresets.importPresets(file, []);
+  assert.deepStrictEqual(first.presets, saved);
+  assert.deepStrictEqual([first.added, first.unchanged, first.skipped], [2, 0, 0]);
+
+  const again = ResearchPresets.importPresets(file, first.presets);
+  assert.deepStrictEqual(again.presets, saved);
+  assert.deepStrictEqual([again.added, again.unchanged, again.skipped], [0, 2, 0]);
+
+  const bare = ResearchPresets.importPresets(JSON.stringify([wideCondors, { title: '' }]), []);
+  assert.deepStrictEqual([bare.added, bare.skipped], [1, 1]);
+});
+
+test('an imported preset never overwrites a different one with its id', () => {
+  const saved = ResearchPresets.savePreset([], { title: 'Condors', filter: { underlying: 'SPX' } });
+  const file = JSON.stringify([
+    { title: 'Condors', filter: { underlying: 'RUT' } },
+    { title: 'Condors', filter: { underlying: 'NDX' } },
+    { ...saved[0], filter: { underlying: 'QQQ' } }
+  ]);
+
+  const result = ResearchPresets.importPresets(file, saved);
+  assert.deepStrictEqual([result.added, result.unchanged, result.skipped], [3, 0, 0]);
+  assert.deepStrictEqual(
+    result.presets.map(preset => [preset.id, preset.filter.underlying]),
+    [
+      ['user_condors', 'SPX'],
+      ['user_condors_2', 'RUT'],
+      ['user_condors_3', 'NDX'],
+      ['user_condors_4', 'QQQ']
+    ]
+  );
+});
+
+test('a file whose preset clashes with a saved one imports only once', () => {
+  const saved = ResearchPresets.savePreset([], { title: 'Condors', filter: { underlying: 'SPX' } });
+  const file = ResearchPresets.exportPresets(
+    ResearchPresets.savePreset([], { title: 'Condors', filter: { underlying: 'RUT' } })
+  );
+
+  const first = ResearchPresets.importPresets(file, saved);
+  assert.deepStrictEqual([first.added, first.unchanged], [1, 0]);
+
+  const again = ResearchPresets.importPresets(file, first.presets);
+  assert.deepStrictEqual([again.added, again.unchanged], [0, 1]);
+  assert.deepStrictEqual(
+    again.presets.map(preset => [preset.id, preset.filter.underlying]),
+    [['user_condors', 'SPX'], ['user_condors_2', 'RUT']]
+  );
+});
+
+test('a file that is not a presets file is refused', () => {
+  assert.throws(() => ResearchPresets.importPresets('not json', []), /not valid JSON/);
+  assert.throws(() => ResearchPresets.importPresets('{"presets": []}', []), /not a presets file/);
+  assert.throws(() => ResearchPresets.importPresets('null', []), /not a presets file/);
+  assert.throws(
+    () => ResearchPresets.importPresets(JSON.stringify({ format: ResearchPresets.FILE_FORMAT, presets: {} }), []),
+    /not a presets file/
+  );
+});
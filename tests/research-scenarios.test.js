@@ -17,9 +17,9 @@ const load = (path, expression) => new Function(
 )();
 
 const RA = load('js/research-analytics.js', 'ResearchAnalytics');
-const { RESEARCH_PRESETS, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS } = load(
+const { RESEARCH_PRESETS, RESEARCH_PRESET_RENAMES, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS } = load(
   'js/research-scenarios.js',
-  '{ RESEARCH_PRESETS, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS }'
+  '{ RESEARCH_PRESETS, RESEARCH_PRESET_RENAMES, RESEARCH_SECTIONS, RESEARCH_SCENARIO_DEFAULTS }'
 );
 
 // ===== Preset configuration (Requirements 6.2, 6.6) =====
@@ -80,12 +80,41 @@ test('every preset names only canonical structures', () => {
 test('the cuts needing every strategy in scope use a null structure filter', () => {
   // DTE buckets, streak check and loss concentration are asked of the whole
   // book, not just the three structures the tab otherwise focuses on
-  ['spx_dte_buckets', 'spx_runs_test', 'spx_loss_concentration'].forEach(id => {
+  ['dte_buckets', 'runs_test', 'loss_concentration'].forEach(id => {
     const preset = RESEARCH_PRESETS.find(entry => entry.id === id);
     assert.strictEqual(preset.filter.structures, null, id);
   });
 });
 
+test('only the SPX-scale width presets are tied to a symbol list', () => {
+  RESEARCH_PRESETS.forEach(preset => {
+    const expected = preset.focus.startsWith('width-') ? ['SPX', 'SPXW'] : RA.BUSIEST_UNDERLYING;
+    assert.deepStrictEqual(preset.filter.underlying, expected, preset.id);
+  });
+});
+
+test('ids from the SPX-only presets lead to the preset that replaced them', () => {
+  const ids = RESEARCH_PRESETS.map(preset => preset.id);
+  Object.entries(RESEARCH_PRESET_RENAMES).forEach(([old, id]) => {
+    assert.ok(ids.includes(id), `${old} leads to ${id}`);
+    assert.ok(!ids.includes(old), `${old} is not reused`);
+  });
+});
+
+test('presets resolve to the busiest underlying, or the busiest of a list', () => {
+  const underlyings = [{ symbol: 'SPY', count: 40 }, { symbol: 'QQQ', count: 12 }, { symbol: 'SPX', count: 5 }];
+  const resolve = underlying => RA.resolvePresetFilter({ underlying, dteCut: 'zero', structures: ['iron_condor'] }, underlyings);
+
+  assert.deepStrictEqual(resolve('*'), { underlying: 'SPY', dteCut: 'zero', structures: ['iron_condor'] });
+  assert.strictEqual(resolve(['SPX', 'QQQ']).underlying, 'QQQ');
+  assert.strictEqual(resolve('SPX').underlying, 'SPX');
+  assert.strictEqual(resolve(null).underlying, null, 'every underlying');
+  assert.strictEqual(resolve(['NDX', 'RUT']), null);
+  assert.strictEqual(resolve('SPXW'), null);
+  assert.strictEqual(RA.resolvePresetFilter({ underlying: '*' }, []), null, 'no closed trades at all');
+  assert.strictEqual(RA.resolvePresetFilter({ underlying: 'SPY' }, underlyings).dteCut, 'all');
+});
+
 test('preset params only override known defaults', () => {
   const known = Object.keys(RESEARCH_SCENARIO_DEFAULTS);
 
@@ -155,6 +184,11 @@ test('describeFilter treats an empty structure list as no filter', () => {
   );
 });
 
+test('describeFilter names an unresolved preset underlying', () => {
+  assert.strictEqual(RA.describeFilter({ underlying: '*' }), 'Busiest underlying · All strategies · All DTE');
+  assert.strictEqual(RA.describeFilter({ underlying: ['SPX', 'XSP'] }), 'SPX or XSP · All strategies · All DTE');
+});
+
 test('describeFilter handles a missing underlying and missing DTE cut', () => {
   assert.strictEqual(
     RA.describeFilter({}),
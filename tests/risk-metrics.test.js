@@ -0,0 +1,100 @@
+/**
+ * Risk metrics
+ * Covers the loss and ratio metrics, max drawdown with its duration and
+ * recovery, the daily equity curve it is drawn on, and Sharpe and Sortino on
+ * daily P/L.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const AnalyticsEngine = new Function(
+  `${readFileSync(join(repoRoot, 'js/analytics-engine.js'), 'utf8')}\nreturn AnalyticsEngine;`
+)();
+
+const engine = new AnalyticsEngine();
+
+/** A trade closed on a day of March 2024 for the given P/L */
+function closed(day, profitLoss) {
+  return {
+    Exit: `2024-03-${String(day).padStart(2, '0')}T15:00:00`,
+    ProfitLoss: profitLoss,
+    Result: profitLoss > 0 ? 'Win' : 'Loss'
+  };
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≈ ${expected}`);
+
+test('loss and ratio metrics come from closed trades only', () => {
+  const metrics = engine.calculateSummaryMetrics([
+    closed(1, 300), closed(2, -100), closed(3, 100), closed(4, -200),
+    { Exit: null, ProfitLoss: 999, Result: 'Open' }
+  ]);
+
+  assert.strictEqual(metrics.averageLoss, -150);
+  assert.strictEqual(metrics.largestWin, 300);
+  assert.strictEqual(metrics.largestLoss, -200);
+  assert.strictEqual(metrics.profitFactor, 400 / 300);
+  assert.strictEqual(metrics.expectancy, 25);
+  assert.strictEqual(metrics.payoffRatio, 200 / 150);
+});
+
+test('ratios without a denominator are null', () => {
+  const metrics = engine.calculateRiskMetrics([closed(1, 100)]);
+
+  assert.strictEqual(metrics.profitFactor, null);
+  assert.strictEqual(metrics.payoffRatio, null);
+  assert.strictEqual(metrics.recoveryFactor, null);
+  assert.strictEqual(metrics.sharpeRatio, null, 'one day has no deviation');
+  assert.strictEqual(metrics.maxDrawdown.amount, 0);
+});
+
+test('max drawdown runs from the peak to the day it is regained', () => {
+  // Cumulative: 500, 300, 100, 400, 600, 550
+  const trades = [closed(1, 500), closed(4, -200), closed(6, -200), closed(8, 300), closed(11, 200), closed(12, -50)];
+  const drawdown = engine.calculateMaxDrawdown(trades);
+
+  assert.strictEqual(drawdown.amount, 400);
+  assert.strictEqual(drawdown.percent, 80);
+  assert.strictEqual(drawdown.durationDays, 10);
+  assert.strictEqual(drawdown.peakDate.getDate(), 1);
+  assert.strictEqual(drawdown.troughDate.getDate(), 6);
+  assert.strictEqual(drawdown.recovered, true);
+
+  assert.strictEqual(engine.calculateRiskMetrics(trades).recoveryFactor, 550 / 400);
+
+  const unrecovered = engine.calculateMaxDrawdown([closed(1, 500), closed(4, -200), closed(9, 100)]);
+  assert.strictEqual(unrecovered.recovered, false);
+  assert.strictEqual(unrecovered.durationDays, 8, 'to the latest close');
+});
+
+test('the equity curve tracks cumulative P/L and its distance below the peak', () => {
+  const trades = [closed(1, 500), closed(4, -200), closed(4, -100), closed(8, 300), closed(11, 200),
+    { Exit: null, ProfitLoss: 999, Result: 'Open' }];
+  const curve = engine.calculateEquityCurve(trades);
+
+  assert.deepStrictEqual(curve.map(day => [day.date.getDate(), day.equity, day.peak, day.drawdown]), [
+    [1, 500, 500, 0],
+    [4, 200, 500, -300],
+    [8, 500, 500, 0],
+    [11, 700, 700, 0]
+  ]);
+  assert.strictEqual(curve[1].tradeCount, 2);
+
+  const drawdown = engine.calculateMaxDrawdown(trades);
+  assert.strictEqual(drawdown.endDate.getDate(), 8, 'the band ends where the peak is regained');
+  assert.deepStrictEqual(engine.calculateEquityCurve([]), []);
+});
+
+test('Sharpe and Sortino annualize the days a trade closed', () => {
+  // Two trades on the 1st make one day of +200
+  const metrics = engine.calculateRiskMetrics([closed(1, 100), closed(1, 100), closed(2, -100), closed(3, 200)]);
+
+  const mean = 100;
+  const deviation = Math.sqrt(((200 - mean) ** 2 + (-100 - mean) ** 2 + (200 - mean) ** 2) / 2);
+  near(metrics.sharpeRatio, (mean / deviation) * Math.sqrt(252));
+  near(metrics.sortinoRatio, (mean / Math.sqrt(100 ** 2 / 3)) * Math.sqrt(252));
+});
@@ -0,0 +1,117 @@
+/**
+ * Roll campaigns
+ * Covers chaining a close to the same-day open that replaced it, the trades
+ * that must not be chained, and the campaign-level totals.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const AnalyticsEngine = new Function(
+  `${readFileSync(join(repoRoot, 'js/analytics-engine.js'), 'utf8')}\nreturn AnalyticsEngine;`
+)();
+
+/** A short put held from entry to exit, e.g. put('SPY', '2024-03-01T10:00', '2024-03-08T15:00', 120) */
+function put(symbol, entry, exit, profitLoss, overrides = {}) {
+  return {
+    Symbol: symbol,
+    Type: 'PUT',
+    Strategy: 'Short Put',
+    Account: 'Tasty',
+    Volume: 1,
+    Entry: entry,
+    Exit: exit,
+    Credit: 150,
+    Debit: exit ? 150 - profitLoss : 0,
+    OpenCredit: 150,
+    ProfitLoss: exit ? profitLoss : 0,
+    RealizedPL: exit ? profitLoss : 0,
+    Result: exit ? (profitLoss > 0 ? 'Win' : 'Loss') : 'Open',
+    ...overrides
+  };
+}
+
+test('a close and a same-day open on the same underlying chain into one campaign', () => {
+  const engine = new AnalyticsEngine();
+  const first = put('SPY', '2024-03-01T10:00:00', '2024-03-08T15:00:00', -80);
+  const roll = put('SPY', '2024-03-08T15:01:00', '2024-03-15T15:00:00', 130);
+  const lastRoll = put('SPY', '2024-03-15T15:02:00', null, 0);
+  const other = put('QQQ', '2024-03-08T15:01:00', '2024-03-20T15:00:00', 40);
+
+  const chains = engine.chainRolls([lastRoll, other, roll, first]);
+
+  assert.strictEqual(chains.length, 2);
+  assert.deepStrictEqual(chains.find(chain => chain[0] === first), [first, roll, lastRoll]);
+  assert.deepStrictEqual(chains.find(chain => chain[0] === other), [other]);
+});
+
+test('trades are not chained across days, accounts, option types or share lots', () => {
+  const engine = new AnalyticsEngine();
+  const close = put('SPY', '2024-03-01T10:00:00', '2024-03-08T15:00:00', 50);
+
+  const trades = [
+    close,
+    put('SPY', '2024-03-09T10:00:00', null, 0),
+    put('SPY', '2024-03-08T15:01:00', null, 0, { Account: 'Schwab' }),
+    put('SPY', '2024-03-08T15:01:00', null, 0, { Type: 'CALL' }),
+    put('SPY', '2024-03-08T15:01:00', null, 0, { Type: 'Stock' })
+  ];
+
+  assert.ok(engine.chainRolls(trades).every(chain => chain.length === 1));
+});
+
+test('a close links to the nearest of several same-day opens', () => {
+  const engine = new AnalyticsEngine();
+  const close = put('SPY', '2024-03-01T10:00:00', '2024-03-08T15:00:00', 50);
+  const morning = put('SPY', '2024-03-08T09:31:00', null, 0);
+  const roll = put('SPY', '2024-03-08T15:00:30', null, 0);
+
+  const chains = engine.chainRolls([close, morning, roll]);
+
+  assert.deepStrictEqual(chains.find(chain => chain[0] === close), [close, roll]);
+  assert.deepStrictEqual(chains.find(chain => chain[0] === morning), [morning]);
+});
+
+test('campaigns total P/L, credit collected, rolls and days in trade', () => {
+  const engine = new AnalyticsEngine();
+  const trades = [
+    put('SPY', '2024-03-01T10:00:00', '2024-03-08T15:00:00', -80),
+    put('SPY', '2024-03-08T15:01:00', '2024-03-15T15:00:00', 130, { OpenCredit: 210 }),
+    put('QQQ', '2024-03-04T10:00:00', '2024-03-06T10:00:00', -20)
+  ];
+
+  const campaigns = engine.buildCampaigns(trades);
+  const spy = campaigns.find(campaign => campaign.Symbol === 'SPY');
+
+  assert.strictEqual(spy.ProfitLoss, 50);
+  assert.strictEqual(spy.Result, 'Win');
+  assert.strictEqual(spy.Rolls, 1);
+  assert.strictEqual(spy.CreditCollected, 360);
+  assert.strictEqual(spy.DaysInTrade, 14);
+  assert.strictEqual(spy.Entry, '2024-03-01T10:00:00');
+  assert.strictEqual(spy.Exit, '2024-03-15T15:00:00');
+
+  const summary = engine.calculateCampaignSummary(campaigns);
+  assert.strictEqual(summary.totalTrades, 2);
+  assert.strictEqual(summary.winRate, 50);
+  assert.strictEqual(summary.rolls, 1);
+  assert.strictEqual(summary.averageDaysInTrade, 8);
+
+  // Per trade, the same book is one win in three
+  assert.strictEqual(engine.calculateSummaryMetrics(trades).totalTrades, 3);
+});
+
+test('a campaign stays open while its latest roll is open', () => {
+  const engine = new AnalyticsEngine();
+  const [campaign] = engine.buildCampaigns([
+    put('SPY', '2024-03-01T10:00:00', '2024-03-08T15:00:00', 90),
+    put('SPY', '2024-03-08T15:01:00', null, 0)
+  ]);
+
+  assert.strictEqual(campaign.Result, 'Open');
+  assert.strictEqual(campaign.Exit, null);
+  assert.strictEqual(engine.filterByStatus([campaign], 'open').length, 1);
+});
@@ -0,0 +1,76 @@
+/**
+ * Storage stand-ins for the tests
+ * DataStore reads localStorage and indexedDB as globals; loadDataStore hands
+ * it the ones a test gives, so each test can start from its own storage.
+ * The IndexedDB stand-in covers the calls the store makes.
+ */
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const source = readFileSync(join(repoRoot, 'js/data-store.js'), 'utf8');
+
+/**
+ * The DataStore class, bound to the given storage
+ * @param {Object} localStorage - From memoryStorage()
+ * @param {Object} [indexedDB] - From memoryIndexedDB(); omit for none
+ */
+export const loadDataStore = (localStorage, indexedDB) =>
+  new Function('localStorage', 'indexedDB', `${source}\nreturn DataStore;`)(localStorage, indexedDB);
+
+/** In-memory localStorage, optionally holding some items */
+export function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/** In-memory IndexedDB: open, object stores, and whole-transaction completion */
+export function memoryIndexedDB() {
+  const databases = new Map();
+  const later = fn => setTimeout(fn, 0);
+
+  const createDatabase = () => {
+    const stores = new Map();
+    return {
+      objectStoreNames: { contains: name => stores.has(name) },
+      createObjectStore(name, { keyPath }) {
+        stores.set(name, { keyPath, rows: new Map() });
+      },
+      transaction() {
+        const transaction = {
+          objectStore(name) {
+            const store = stores.get(name);
+            return {
+              getAll: () => ({ result: [...store.rows.values()].map(row => structuredClone(row)) }),
+              get: key => ({ result: store.rows.has(key) ? structuredClone(store.rows.get(key)) : undefined }),
+              clear: () => store.rows.clear(),
+              delete: key => store.rows.delete(key),
+              put: value => store.rows.set(value[store.keyPath], structuredClone(value))
+            };
+          }
+        };
+        later(() => transaction.oncomplete && transaction.oncomplete());
+        return transaction;
+      }
+    };
+  };
+
+  return {
+    open(name) {
+      const request = {};
+      later(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, createDatabase());
+        request.result = databases.get(name);
+        if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
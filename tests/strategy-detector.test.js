@@ -0,0 +1,175 @@
+/**
+ * StrategyDetector
+ * Covers leg-based classification of each recognized structure, the
+ * confidence score, and how detect() chooses between registered detectors,
+ * the adapter's classification, recorded legs and the CSV column.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const StrategyDetector = new Function(
+  `${readFileSync(join(repoRoot, 'js/strategy-detector.js'), 'utf8')}\nreturn StrategyDetector;`
+)();
+
+const EXPIRY = '2024-03-15';
+
+/** One opening leg, e.g. leg('SELL', 'PUT', 495) */
+function leg(side, type, strike, overrides = {}) {
+  return { side, type, strike, expiry: EXPIRY, quantity: 1, ...overrides };
+}
+
+const classify = legs => StrategyDetector.classifyLegs(legs);
+const strategyOf = legs => classify(legs).strategy;
+
+test('single legs are named by side and type', () => {
+  assert.strictEqual(strategyOf([leg('BUY', 'CALL', 500)]), 'Long Call');
+  assert.strictEqual(strategyOf([leg('SELL', 'CALL', 500)]), 'Short Call');
+  assert.strictEqual(strategyOf([leg('BUY', 'PUT', 500)]), 'Long Put');
+  assert.strictEqual(strategyOf([leg('SELL', 'PUT', 500)]), 'Short Put');
+});
+
+test('verticals are named by direction', () => {
+  assert.strictEqual(strategyOf([leg('SELL', 'PUT', 495), leg('BUY', 'PUT', 490)]), 'Bull Put Spread');
+  assert.strictEqual(strategyOf([leg('BUY', 'PUT', 495), leg('SELL', 'PUT', 490)]), 'Bear Put Spread');
+  assert.strictEqual(strategyOf([leg('BUY', 'CALL', 500), leg('SELL', 'CALL', 505)]), 'Bull Call Spread');
+  assert.strictEqual(strategyOf([leg('SELL', 'CALL', 500), leg('BUY', 'CALL', 505)]), 'Bear Call Spread');
+});
+
+test('unequal quantities on one expiry make a ratio spread', () => {
+  assert.strictEqual(
+    strategyOf([leg('BUY', 'CALL', 500), leg('SELL', 'CALL', 510, { quantity: 2 })]),
+    'Call Ratio Spread'
+  );
+});
+
+test('two expiries make a calendar at one strike and a diagonal across two', () => {
+  const back = { expiry: '2024-04-19' };
+  assert.strictEqual(strategyOf([leg('SELL', 'CALL', 500), leg('BUY', 'CALL', 500, back)]), 'Calendar Spread');
+  assert.strictEqual(strategyOf([leg('SELL', 'CALL', 505), leg('BUY', 'CALL', 500, back)]), 'Diagonal Spread');
+});
+
+test('a call and a put on one side make a straddle or strangle', () => {
+  assert.strictEqual(strategyOf([leg('SELL', 'CALL', 500), leg('SELL', 'PUT', 500)]), 'Straddle');
+  assert.strictEqual(strategyOf([leg('SELL', 'CALL', 520), leg('SELL', 'PUT', 480)]), 'Strangle');
+  assert.strictEqual(strategyOf([leg('BUY', 'CALL', 500), leg('SELL', 'PUT', 480)]), 'Custom');
+});
+
+test('butterflies are told apart by their wing widths', () => {
+  const body = { quantity: 2 };
+  assert.strictEqual(
+    strategyOf([leg('BUY', 'PUT', 490), leg('SELL', 'PUT', 495, body), leg('BUY', 'PUT', 500)]),
+    'Butterfly'
+  );
+  assert.strictEqual(
+    strategyOf([leg('BUY', 'PUT', 485), leg('SELL', 'PUT', 495, body), leg('BUY', 'PUT', 500)]),
+    'Broken Wing Butterfly'
+  );
+
+  // A body sold as two one-lot rows reads the same as one two-lot row
+  const split = classify([
+    leg('BUY', 'CALL', 490), leg('SELL', 'CALL', 495), leg('SELL', 'CALL', 495), leg('BUY', 'CALL', 500)
+  ]);
+  assert.deepStrictEqual(split, { strategy: 'Butterfly', confidence: 1 });
+});
+
+test('a short put under a short call spread is a jade lizard', () => {
+  assert.strictEqual(
+    strategyOf([leg('SELL', 'PUT', 480), leg('SELL', 'CALL', 510), leg('BUY', 'CALL', 515)]),
+    'Jade Lizard'
+  );
+});
+
+test('four legs make an iron condor, or an iron butterfly on one body strike', () => {
+  assert.deepStrictEqual(
+    classify([leg('BUY', 'PUT', 490), leg('SELL', 'PUT', 495), leg('SELL', 'CALL', 520), leg('BUY', 'CALL', 525)]),
+    { strategy: 'Iron Condor', confidence: 1 }
+  );
+  assert.strictEqual(
+    strategyOf([leg('BUY', 'PUT', 490), leg('SELL', 'PUT', 500), leg('SELL', 'CALL', 500), leg('BUY', 'CALL', 510)]),
+    'Iron Butterfly'
+  );
+});
+
+test('long shares with a short call against them are a covered call', () => {
+  const shares = { type: 'STOCK', side: 'BUY', quantity: 100 };
+  assert.deepStrictEqual(classify([shares, leg('SELL', 'CALL', 110)]), { strategy: 'Covered Call', confidence: 1 });
+  assert.strictEqual(classify([{ ...shares, quantity: 50 }, leg('SELL', 'CALL', 110)]).confidence, 0.6);
+});
+
+test('confidence drops when a pattern is read past missing or off-ratio legs', () => {
+  const noExpiry = classify([leg('SELL', 'PUT', 495, { expiry: null }), leg('BUY', 'PUT', 490, { expiry: null })]);
+  assert.strictEqual(noExpiry.strategy, 'Bull Put Spread');
+  assert.ok(noExpiry.confidence < 1 && noExpiry.confidence > 0);
+
+  const lopsided = classify([
+    leg('BUY', 'PUT', 490), leg('SELL', 'PUT', 495), leg('SELL', 'CALL', 520, { quantity: 2 }), leg('BUY', 'CALL', 525, { quantity: 2 })
+  ]);
+  assert.strictEqual(lopsided.strategy, 'Iron Condor');
+  assert.ok(lopsided.confidence < 1);
+
+  assert.deepStrictEqual(classify([leg('BUY', 'PUT', 490), leg('BUY', 'PUT', 495)]), { strategy: 'Custom', confidence: 0 });
+});
+
+test('detect classifies recorded opening legs and ignores the closing ones', () => {
+  const detector = new StrategyDetector();
+  const trade = {
+    Strategy: 'Custom',
+    _metadata: {
+      legs: [
+        { action: 'SELL_TO_OPEN', type: 'PUT', strike: 495, expiry: EXPIRY, quantity: 1 },
+        { action: 'BUY_TO_OPEN', type: 'PUT', strike: 490, expiry: EXPIRY, quantity: 1 },
+        { action: 'BUY_TO_CLOSE', type: 'PUT', strike: 495, expiry: EXPIRY, quantity: 1 }
+      ]
+    }
+  };
+
+  assert.deepStrictEqual(detector.classify(trade), { strategy: 'Bull Put Spread', confidence: 1 });
+});
+
+test('detect keeps an adapter classification and passes manual strategies through', () => {
+  const detector = new StrategyDetector();
+
+  // Robinhood names each contract after the order it was opened in
+  const robinhoodLeg = {
+    Strategy: 'Iron Condor',
+    _metadata: { strategyConfidence: 1, legs: [{ action: 'STO', type: 'PUT', strike: 495, quantity: 1 }] }
+  };
+  assert.strictEqual(detector.detect(robinhoodLeg), 'Iron Condor');
+
+  assert.deepStrictEqual(detector.classify({ Strategy: 'Bull Call Spread' }), { strategy: 'Bull Call Spread', confidence: null });
+  assert.strictEqual(detector.detect({}), 'Unknown');
+});
+
+test('a short call is covered by shares held in the book at its entry', () => {
+  const detector = new StrategyDetector();
+  const call = { Symbol: 'AMD', Strategy: 'Short Call', Volume: 1, Entry: '2024-03-20', _metadata: { strategyConfidence: 1 } };
+  const shares = { Symbol: 'AMD', Strategy: 'Long Stock', Volume: 100, Entry: '2024-03-15', Exit: null };
+
+  assert.strictEqual(detector.detect(call, [shares, call]), 'Covered Call');
+  assert.strictEqual(detector.detect(call, [{ ...shares, Exit: '2024-03-18' }, call]), 'Short Call', 'sold before the call');
+  assert.strictEqual(detector.detect(call, [{ ...shares, Volume: 50 }, call]), 'Short Call', 'too few shares');
+});
+
+test('a short put is cash-secured when its account takes shares of the underlying', () => {
+  const detector = new StrategyDetector();
+  const put = { Symbol: 'SOFI', Account: 'IRA', Strategy: 'Short Put', Volume: 1, Entry: '2024-03-04', _metadata: { strategyConfidence: 1 } };
+  const assigned = { Symbol: 'SOFI', Account: 'IRA', Strategy: 'Long Stock', Volume: 100, Entry: '2024-03-15', Exit: null };
+
+  assert.deepStrictEqual(detector.classify(put, [put, assigned]), { strategy: 'Cash Secured Put', confidence: 0.7 });
+  assert.strictEqual(detector.detect(put, [put, { ...assigned, Entry: '2024-01-02', Exit: '2024-06-03' }]), 'Cash Secured Put', 'held at entry');
+  assert.strictEqual(detector.detect(put, [put, { ...assigned, Entry: '2024-01-02', Exit: '2024-02-01' }]), 'Short Put', 'sold before the put');
+  assert.strictEqual(detector.detect(put, [put, { ...assigned, Account: 'Margin' }]), 'Short Put', 'another account');
+  assert.strictEqual(detector.detect(put, [put]), 'Short Put', 'no share activity');
+});
+
+test('registered detectors run first', () => {
+  const detector = new StrategyDetector();
+  detector.registerDetector(trade => (trade.Symbol === 'SPX' ? { strategy: 'Index Condor', confidence: 0.5 } : null));
+
+  assert.deepStrictEqual(detector.classify({ Symbol: 'SPX', Strategy: 'Iron Condor' }), { strategy: 'Index Condor', confidence: 0.5 });
+  assert.strictEqual(detector.detect({ Symbol: 'QQQ', Strategy: 'Iron Condor' }), 'Iron Condor');
+});
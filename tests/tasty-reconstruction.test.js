@@ -12,7 +12,8 @@ import { dirname, join } from 'node:path';
 
 const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
 const mapper = new Function(
-  `${readFileSync(join(repoRoot, 'js/tasty-strategy-mapper.js'), 'utf8')}
+  `${readFileSync(join(repoRoot, 'js/strategy-detector.js'), 'utf8')}
+   ${readFileSync(join(repoRoot, 'js/tasty-strategy-mapper.js'), 'utf8')}
    return { convertTastyWithStrategyInference, classifyStrategy, extractOptionType,
             isOptionTrade, isOptionRemoval, processEquityTrades };`
 )();
@@ -185,6 +186,27 @@ test('one closing row spanning two lots is split between them', () => {
   assert.strictEqual(trades.reduce((s, t) => s + t.RealizedGrossPL, 0), 200);
 });
 
+test('a split closing row is listed on each lot it retired, once per lot', () => {
+  const trades = convert([
+    row({ 'Order #': '7201', Value: '100.00', 'Source Row': '2', Date: '2026-03-02T09:30:00-0800' }),
+    row({ 'Order #': '7202', Value: '100.00', 'Source Row': '3', Date: '2026-03-03T09:30:00-0800' }),
+    row({
+      Action: 'BUY_TO_CLOSE', 'Sub Type': 'Buy to Close', Quantity: '2', Value: '-40.00',
+      Commissions: '-2.00', Fees: '-0.24', 'Order #': '7203', 'Source Row': '4',
+      Date: '2026-03-10T09:30:00-0700'
+    })
+  ]);
+
+  assert.deepStrictEqual(trades.map(t => t._metadata.sourceRows), [[2, 4], [3, 4]]);
+  trades.forEach(t => {
+    const close = t._metadata.legs.find(leg => leg.action === 'BUY_TO_CLOSE');
+    assert.strictEqual(close.quantity, 1);
+    assert.strictEqual(close.value, -20);
+    assert.strictEqual(close.price, 0.2);
+    assert.strictEqual(close.commissions, 1);
+  });
+});
+
 // ===== Partial closes =====
 
 test('a half-closed strangle stays open but realizes its closed leg', () => {
@@ -0,0 +1,121 @@
+/**
+ * Wheel cycles
+ * Covers grouping short puts, the share lot they were assigned into and the
+ * calls sold against it into one cycle, and the cycle's basis and returns.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const repoRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+const read = path => readFileSync(join(repoRoot, path), 'utf8');
+
+const OptionPricing = new Function(`${read('js/option-pricing.js')}\nreturn OptionPricing;`)();
+const AnalyticsEngine = new Function('OptionPricing', `${read('js/analytics-engine.js')}\nreturn AnalyticsEngine;`)(
+  OptionPricing
+);
+
+const engine = new AnalyticsEngine();
+
+/** An enriched option or share trade on SOFI */
+function trade(strategy, type, entry, exit, credit, debit, overrides = {}) {
+  return engine.enrichTrade({
+    Symbol: 'SOFI',
+    Account: 'Robinhood',
+    Strategy: strategy,
+    Type: type,
+    Strike: 10,
+    Volume: 1,
+    Entry: entry,
+    Exit: exit,
+    Credit: credit,
+    Debit: debit,
+    ...overrides
+  });
+}
+
+test('puts, the assigned lot and the calls against it form one cycle', () => {
+  const trades = [
+    trade('Short Put', 'PUT', '2025-03-03', '2025-03-14', 40, 0),
+    trade('Short Put', 'PUT', '2025-03-17', '2025-03-28', 50, 0),
+    trade('Long Stock', 'Stock', '2025-03-28', '2025-04-25', 1050, 1000, { Volume: 100, Strike: 0 }),
+    trade('Covered Call', 'CALL', '2025-04-01', '2025-04-11', 30, 0, { Strike: 10.5 }),
+    trade('Covered Call', 'CALL', '2025-04-14', '2025-04-25', 20, 0, { Strike: 10.5 })
+  ];
+
+  const [cycle] = engine.calculateWheelCycles(trades);
+
+  assert.strictEqual(cycle.putsSold, 2);
+  assert.strictEqual(cycle.putPremium, 90);
+  assert.strictEqual(cycle.assignmentPrice, 10);
+  assert.strictEqual(cycle.callsSold, 2);
+  assert.strictEqual(cycle.premium, 140);
+  assert.strictEqual(cycle.adjustedBasis, 8.6);
+  assert.strictEqual(cycle.exitPrice, 10.5);
+  assert.strictEqual(cycle.status, 'Called away');
+  assert.strictEqual(cycle.totalReturn, 190);
+  assert.strictEqual(cycle.returnPct, 19);
+  assert.strictEqual(cycle.days, 53);
+  assert.strictEqual(cycle.annualizedPct, 19 * 365 / 53);
+  assert.strictEqual(cycle.Result, 'Win');
+});
+
+test('puts sold after an assignment start the next cycle', () => {
+  const trades = [
+    trade('Short Put', 'PUT', '2025-03-03', '2025-03-14', 40, 0),
+    trade('Long Stock', 'Stock', '2025-03-14', '2025-03-28', 1000, 1000, { Volume: 100, Strike: 0 }),
+    trade('Short Put', 'PUT', '2025-04-01', null, 45, 0)
+  ];
+
+  const cycles = engine.calculateWheelCycles(trades);
+
+  assert.strictEqual(cycles.length, 2);
+  assert.strictEqual(cycles[0].status, 'Selling puts');
+  assert.strictEqual(cycles[0].Result, 'Open');
+  assert.strictEqual(cycles[0].assignmentPrice, null);
+  assert.strictEqual(cycles[0].returnPct, 4.5, 'premium over the put collateral');
+  assert.strictEqual(cycles[1].status, 'Shares sold');
+});
+
+test('shares bought outright are not wheels', () => {
+  const trades = [
+    trade('Long Stock', 'Stock', '2025-03-03', null, 0, 1000, { Volume: 100, Strike: 0 }),
+    trade('Covered Call', 'CALL', '2025-03-10', '2025-03-21', 30, 0)
+  ];
+
+  assert.deepStrictEqual(engine.calculateWheelCycles(trades), []);
+});
+
+test('puts on an underlying never assigned are a wheel from the first put', () => {
+  const trades = [
+    trade('Short Put', 'PUT', '2025-03-03', '2025-03-14', 40, 0, { Symbol: 'AMD' }),
+    trade('Short Put', 'PUT', '2025-03-17', null, 35, 0, { Symbol: 'AMD' }),
+    trade('Short Put', 'PUT', '2025-03-03', '2025-03-14', 25, 0)
+  ];
+
+  const cycles = engine.calculateWheelCycles(trades);
+  const amd = cycles.find(cycle => cycle.Symbol === 'AMD');
+  const sofi = cycles.find(cycle => cycle.Symbol === 'SOFI');
+
+  assert.strictEqual(cycles.length, 2);
+  assert.strictEqual(amd.putsSold, 2);
+  assert.strictEqual(amd.status, 'Selling puts');
+  assert.strictEqual(amd.Result, 'Open');
+  assert.strictEqual(sofi.status, 'Not assigned');
+  assert.strictEqual(sofi.Result, 'Win');
+});
+
+test('short puts on cash-settled indexes are never a wheel', () => {
+  const trades = [
+    trade('Short Put', 'PUT', '2025-03-03', '2025-03-03', 120, 0, { Symbol: 'SPX', Strike: 5600 }),
+    trade('Short Put', 'PUT', '2025-03-04', null, 95, 0, { Symbol: 'SPXW', Strike: 5650 }),
+    trade('Short Put', 'PUT', '2025-03-05', null, 30, 0, { Symbol: 'RUT', Strike: 2050 }),
+    trade('Short Put', 'PUT', '2025-03-05', null, 25, 0)
+  ];
+
+  const cycles = engine.calculateWheelCycles(trades);
+
+  assert.deepStrictEqual(cycles.map(cycle => cycle.Symbol), ['SOFI']);
+});